@@ -7,6 +7,8 @@ using System.Linq;
 using System.Text.Json;
 using System.Text.Json.Serialization;
 using System.Text.RegularExpressions;
+using System.Threading;
+using System.Threading.Channels;
 using System.Threading.Tasks;
 using Jellyfin.Data.Enums;
 using Jellyfin.Plugin.SmartLists.Core;
@@ -25,7 +27,9 @@ using MediaBrowser.Controller.Collections;
 using MediaBrowser.Controller.Providers;
 using Microsoft.AspNetCore.Authorization;
 using Microsoft.AspNetCore.Http;
+using Microsoft.AspNetCore.Http.Features;
 using Microsoft.AspNetCore.Mvc;
+using Microsoft.Extensions.Caching.Memory;
 using Microsoft.Extensions.Logging;
 using System.Diagnostics;
 
@@ -49,7 +53,8 @@ namespace Jellyfin.Plugin.SmartLists.Api.Controllers
         IProviderManager providerManager,
         IManualRefreshService manualRefreshService,
         RefreshStatusService refreshStatusService,
-        RefreshQueueService refreshQueueService) : ControllerBase
+        RefreshQueueService refreshQueueService,
+        WebhookNotificationService webhookNotificationService) : ControllerBase
     {
         private readonly IServerApplicationPaths _applicationPaths = applicationPaths;
         private readonly IUserManager _userManager = userManager;
@@ -61,6 +66,7 @@ namespace Jellyfin.Plugin.SmartLists.Api.Controllers
         private readonly IManualRefreshService _manualRefreshService = manualRefreshService;
         private readonly RefreshStatusService _refreshStatusService = refreshStatusService;
         private readonly RefreshQueueService _refreshQueueService = refreshQueueService;
+        private readonly WebhookNotificationService _webhookNotificationService = webhookNotificationService;
 
         private Services.Playlists.PlaylistStore GetPlaylistStore()
         {
@@ -227,6 +233,157 @@ namespace Jellyfin.Plugin.SmartLists.Api.Controllers
             return true;
         }
 
+        /// <summary>
+        /// Checks that nested rule groups and exclusion blocks only contain rules that can be evaluated per item.
+        /// </summary>
+        /// <param name="list">The list to check.</param>
+        /// <returns>A 400 result describing the first unsupported rule, or null if the rules are valid.</returns>
+        private BadRequestObjectResult? ValidateNestedRules(SmartListDto list)
+        {
+            var unsupported = (list.ExpressionSets ?? [])
+                .Where(set => set?.Groups != null)
+                .SelectMany(set => set.Groups!)
+                .Where(group => group != null)
+                .SelectMany(group => group.GetAllExpressions())
+                .FirstOrDefault(expr => expr != null && !ExpressionGroup.IsSupportedInGroup(expr));
+
+            var location = "a nested group";
+            if (unsupported == null)
+            {
+                unsupported = (list.ExclusionSets ?? [])
+                    .Where(set => set != null)
+                    .SelectMany(set => set.GetAllExpressions())
+                    .FirstOrDefault(expr => expr != null && !ExpressionGroup.IsSupportedInGroup(expr));
+                location = "the exclusion rules";
+            }
+
+            if (unsupported == null)
+            {
+                return null;
+            }
+
+            return BadRequest(new ProblemDetails
+            {
+                Title = "Validation Error",
+                Detail = unsupported.MemberName == "SimilarTo"
+                    ? $"Similar To rules can't be used inside {location}. Move the rule to a logic group."
+                    : $"Collections rules that include the collections themselves or their episodes can't be used inside {location}. Move the rule to a logic group.",
+                Status = StatusCodes.Status400BadRequest
+            });
+        }
+
+        /// <summary>
+        /// Checks that the list's Cron and windowed Interval schedules can be evaluated.
+        /// </summary>
+        /// <param name="list">The list to check.</param>
+        /// <returns>A 400 result describing the first invalid schedule, or null if the schedules are valid.</returns>
+        private BadRequestObjectResult? ValidateSchedules(SmartListDto list)
+        {
+            var error = (list.Schedules ?? [])
+                .Where(schedule => schedule != null)
+                .Select(GetScheduleError)
+                .FirstOrDefault(message => message != null);
+
+            if (error == null)
+            {
+                return null;
+            }
+
+            return BadRequest(new ProblemDetails
+            {
+                Title = "Validation Error",
+                Detail = error,
+                Status = StatusCodes.Status400BadRequest
+            });
+        }
+
+        private static string? GetScheduleError(Schedule schedule)
+        {
+            if (schedule.Trigger == Core.Enums.ScheduleTrigger.Cron)
+            {
+                if (!CronSchedule.TryParse(schedule.CronExpression, out var cron, out var cronError))
+                {
+                    return $"Invalid cron schedule: {cronError}";
+                }
+
+                // The schedule timer checks every 15 minutes, so more frequent runs would only ever run once per check
+                return cron!.GetShortestInterval() < TimeSpan.FromMinutes(15)
+                    ? "Cron schedules are checked every 15 minutes, so they can't run more often than that. Use minutes at least 15 apart, such as */15 or 0,30"
+                    : null;
+            }
+
+            if (schedule.Trigger == Core.Enums.ScheduleTrigger.Interval && (schedule.WindowStart != null || schedule.WindowEnd != null))
+            {
+                if (schedule.WindowStart == null || schedule.WindowEnd == null)
+                {
+                    return "An active window needs both a start and an end time";
+                }
+
+                var oneDay = TimeSpan.FromDays(1);
+                if (schedule.WindowStart < TimeSpan.Zero || schedule.WindowStart >= oneDay || schedule.WindowEnd < TimeSpan.Zero || schedule.WindowEnd >= oneDay)
+                {
+                    return "Active window times must be between 00:00 and 23:59";
+                }
+
+                if (schedule.WindowStart == schedule.WindowEnd)
+                {
+                    return "An active window needs different start and end times";
+                }
+            }
+
+            return null;
+        }
+
+        /// <summary>
+        /// Checks that the list's Smart List rules don't lead back to the list itself, directly or through other lists.
+        /// </summary>
+        /// <param name="list">The list to check.</param>
+        /// <param name="listId">The ID the list is saved under.</param>
+        /// <returns>A 400 result describing the loop, or null if there is none.</returns>
+        private async Task<BadRequestObjectResult?> ValidateListReferencesAsync(SmartListDto list, string listId)
+        {
+            if (SmartListReferenceResolver.GetReferencedListIds(list).Count == 0)
+            {
+                return null;
+            }
+
+            var originalId = list.Id;
+            list.Id = listId;
+            try
+            {
+                var resolver = new SmartListReferenceResolver(new SmartListFileSystem(_applicationPaths), _libraryManager, logger);
+                var cycle = await resolver.FindReferenceCycleAsync(list).ConfigureAwait(false);
+                if (cycle == null)
+                {
+                    return null;
+                }
+
+                return BadRequest(new ProblemDetails
+                {
+                    Title = "Validation Error",
+                    Detail = cycle.Count == 2
+                        ? "A Smart List rule can't reference the list it belongs to."
+                        : $"This Smart List rule creates a reference loop: {string.Join(" → ", cycle)}",
+                    Status = StatusCodes.Status400BadRequest
+                });
+            }
+            finally
+            {
+                list.Id = originalId;
+            }
+        }
+
+        /// <summary>
+        /// Creates the refresh cache for a preview request, with the current items of any referenced smart lists loaded.
+        /// </summary>
+        private async Task<RefreshQueueService.RefreshCache> CreatePreviewCacheAsync(SmartListDto list, Jellyfin.Database.Implementations.Entities.User user)
+        {
+            var refreshCache = new RefreshQueueService.RefreshCache();
+            var resolver = new SmartListReferenceResolver(new SmartListFileSystem(_applicationPaths), _libraryManager, logger);
+            await resolver.LoadReferencedItemsAsync(list, user, refreshCache).ConfigureAwait(false);
+            return refreshCache;
+        }
+
         /// <summary>
         /// Gets the current user ID from Jellyfin claims.
         /// </summary>
@@ -600,14 +757,32 @@ namespace Jellyfin.Plugin.SmartLists.Api.Controllers
 
                 var playlistStore = GetPlaylistStore();
 
+                var nestedGroupError = ValidateNestedRules(playlist);
+                if (nestedGroupError != null)
+                {
+                    return nestedGroupError;
+                }
+
+                var scheduleError = ValidateSchedules(playlist);
+                if (scheduleError != null)
+                {
+                    return scheduleError;
+                }
+
+                var referenceError = await ValidateListReferencesAsync(playlist, playlist.Id!);
+                if (referenceError != null)
+                {
+                    return referenceError;
+                }
+
                 // Validate regex patterns before saving
-                if (playlist.ExpressionSets != null)
+                if (playlist.ExpressionSets != null || playlist.ExclusionSets != null)
                 {
-                    foreach (var expressionSet in playlist.ExpressionSets)
+                    foreach (var expressionSet in playlist.GetAllRuleSets())
                     {
-                        if (expressionSet.Expressions != null)
+                        if (expressionSet != null)
                         {
-                            foreach (var expression in expressionSet.Expressions)
+                            foreach (var expression in expressionSet.GetAllExpressions())
                             {
                                 if (expression.Operator == "MatchRegex" && !string.IsNullOrEmpty(expression.TargetValue))
                                 {
@@ -639,8 +814,9 @@ namespace Jellyfin.Plugin.SmartLists.Api.Controllers
                     }
                 }
 
-                // Set DateCreated to current time for new playlists
+                // Set DateCreated to current time for new playlists, which start without a statistics history
                 playlist.DateCreated = DateTime.UtcNow;
+                playlist.StatisticsHistory = null;
 
                 var createdPlaylist = await playlistStore.SaveAsync(playlist);
                 logger.LogInformation("Created smart playlist: {PlaylistName}", playlist.Name);
@@ -813,14 +989,32 @@ namespace Jellyfin.Plugin.SmartLists.Api.Controllers
                     });
                 }
 
+                var nestedGroupError = ValidateNestedRules(collection);
+                if (nestedGroupError != null)
+                {
+                    return nestedGroupError;
+                }
+
+                var scheduleError = ValidateSchedules(collection);
+                if (scheduleError != null)
+                {
+                    return scheduleError;
+                }
+
+                var referenceError = await ValidateListReferencesAsync(collection, collection.Id!);
+                if (referenceError != null)
+                {
+                    return referenceError;
+                }
+
                 // Validate regex patterns before saving
-                if (collection.ExpressionSets != null)
+                if (collection.ExpressionSets != null || collection.ExclusionSets != null)
                 {
-                    foreach (var expressionSet in collection.ExpressionSets)
+                    foreach (var expressionSet in collection.GetAllRuleSets())
                     {
-                        if (expressionSet.Expressions != null)
+                        if (expressionSet != null)
                         {
-                            foreach (var expression in expressionSet.Expressions)
+                            foreach (var expression in expressionSet.GetAllExpressions())
                             {
                                 if (expression.Operator == "MatchRegex" && !string.IsNullOrEmpty(expression.TargetValue))
                                 {
@@ -849,8 +1043,9 @@ namespace Jellyfin.Plugin.SmartLists.Api.Controllers
                     }
                 }
 
-                // Set DateCreated to current time for new collections
+                // Set DateCreated to current time for new collections, which start without a statistics history
                 collection.DateCreated = DateTime.UtcNow;
+                collection.StatisticsHistory = null;
 
                 var createdCollection = await collectionStore.SaveAsync(collection);
                 logger.LogInformation("Created smart collection: {CollectionName}", collection.Name);
@@ -900,190 +1095,781 @@ namespace Jellyfin.Plugin.SmartLists.Api.Controllers
         }
 
         /// <summary>
-        /// Update an existing smart list (playlist or collection).
+        /// Preview the items a smart list would contain without saving it (dry run).
+        /// Runs the same filtering, sorting and limits as a real refresh, but nothing is stored
+        /// and no Jellyfin playlist or collection is created or modified.
         /// </summary>
-        /// <param name="id">The list ID.</param>
-        /// <param name="list">The updated smart list.</param>
-        /// <returns>The updated smart list.</returns>
-        [HttpPut("{id}")]
-        [System.Diagnostics.CodeAnalysis.SuppressMessage("Security", "CA3003:Review code for file path injection vulnerabilities", Justification = "ID is validated as GUID before use, preventing path injection")]
-        [System.Diagnostics.CodeAnalysis.SuppressMessage("Security", "CA3012:Review code for regex injection vulnerabilities", Justification = "Regex patterns are validated with IsValidRegexPattern method including length limits and timeout")]
-        public async Task<ActionResult<SmartListDto>> UpdateSmartList([FromRoute, Required] string id, [FromBody, Required] SmartListDto list)
+        /// <param name="list">The in-progress smart list (playlist or collection).</param>
+        /// <param name="limit">Maximum number of matching items to return (1-100, default 20).</param>
+        /// <returns>The total match count, total runtime and the first matching items.</returns>
+        [HttpPost("preview")]
+        [ProducesResponseType(StatusCodes.Status200OK)]
+        [ProducesResponseType(StatusCodes.Status400BadRequest)]
+        [ProducesResponseType(StatusCodes.Status500InternalServerError)]
+        public async Task<IActionResult> PreviewSmartList([FromBody] SmartListDto? list, [FromQuery] int limit = 20)
         {
-            if (list == null)
+            var validationError = ValidatePreviewRequest(list);
+            if (validationError != null)
             {
-                return BadRequest("List data is required");
+                return validationError;
             }
 
+            limit = Math.Clamp(limit, 1, 100);
+
             var stopwatch = Stopwatch.StartNew();
             try
             {
-                if (!Guid.TryParse(id, out var guidId))
+                var user = ResolvePreviewUser(list!);
+                if (user == null)
                 {
-                    return BadRequest("Invalid list ID format");
+                    return PreviewUserNotFound();
                 }
 
-                // Determine type and route to appropriate handler
-                // Try to find existing list to determine type
-                var playlistStore = GetPlaylistStore();
-                var existingPlaylist = await playlistStore.GetByIdAsync(guidId);
-                if (existingPlaylist != null)
-                {
-                    // Handle type conversion: playlist → collection
-                    if (list.Type == Core.Enums.SmartListType.Collection)
-                    {
-                        logger.LogInformation("Converting playlist '{Name}' to collection", existingPlaylist.Name);
-                        
-                        // Convert to collection DTO and create as new collection
-                        var collectionDto = list as SmartCollectionDto ?? JsonSerializer.Deserialize<SmartCollectionDto>(JsonSerializer.Serialize(list))!;
-                        collectionDto.Id = id; // Keep the same ID
-                        collectionDto.FileName = existingPlaylist.FileName; // Keep the same filename
-                        collectionDto.JellyfinCollectionId = null; // Clear old Jellyfin ID
-                        
-                        // Save to collection store first (before enqueuing)
-                        var newCollectionStore = GetCollectionStore();
-                        await newCollectionStore.SaveAsync(collectionDto);
-                        
-                        // Only delete the old playlist after successful conversion
-                        await DeleteAllPlaylistsAsync(existingPlaylist);
-                        
-                        await playlistStore.DeleteAsync(guidId);
-                        
-                        // Enqueue refresh operation for the converted collection (after successful save)
-                        try
-                        {
-                            var listId = collectionDto.Id ?? Guid.NewGuid().ToString();
-                            var queueItem = new RefreshQueueItem
-                            {
-                                ListId = listId,
-                                ListName = collectionDto.Name,
-                                ListType = Core.Enums.SmartListType.Collection,
-                                OperationType = RefreshOperationType.Create,
-                                ListData = collectionDto,
-                                UserId = collectionDto.UserId,
-                                TriggerType = Core.Enums.RefreshTriggerType.Manual
-                            };
+                var (smartList, allMedia) = PreparePreview(list!, user);
 
-                            _refreshQueueService.EnqueueOperation(queueItem);
-                        }
-                        catch (Exception enqueueEx)
-                        {
-                            // Log but don't fail the conversion - the collection is already saved
-                            logger.LogWarning(enqueueEx, "Failed to enqueue refresh for converted collection '{Name}', but conversion succeeded", collectionDto.Name);
-                        }
-                        
-                        logger.LogInformation("Successfully converted playlist to collection '{Name}' (JellyfinCollectionId: {Id})", 
-                            collectionDto.Name, collectionDto.JellyfinCollectionId);
-                        return Ok(collectionDto);
-                    }
-                    
-                    // Normal playlist update
-                    return await UpdatePlaylistInternal(id, guidId, list as SmartPlaylistDto ?? JsonSerializer.Deserialize<SmartPlaylistDto>(JsonSerializer.Serialize(list))!);
-                }
+                var refreshCache = await CreatePreviewCacheAsync(list!, user);
+                var matchingIds = smartList.FilterPlaylistItems(allMedia, _libraryManager, user, refreshCache, _userDataManager, logger).ToArray();
 
-                var collectionStore = GetCollectionStore();
-                var existingCollection = await collectionStore.GetByIdAsync(guidId);
-                if (existingCollection != null)
+                // Collections with IncludeCollectionOnly can return BoxSets that are not part of the queried media
+                var mediaLookup = allMedia.ToDictionary(m => m.Id, m => m);
+                foreach (var itemId in matchingIds.Where(id => !mediaLookup.ContainsKey(id)))
                 {
-                    // Handle type conversion: collection → playlist
-                    if (list.Type == Core.Enums.SmartListType.Playlist)
+                    var item = _libraryManager.GetItemById(itemId);
+                    if (item != null)
                     {
-                        logger.LogInformation("Converting collection '{Name}' to playlist", existingCollection.Name);
-                        
-                        // Convert to playlist DTO and create as new playlist
-                        var playlistDto = list as SmartPlaylistDto ?? JsonSerializer.Deserialize<SmartPlaylistDto>(JsonSerializer.Serialize(list))!;
-                        playlistDto.Id = id; // Keep the same ID
-                        playlistDto.FileName = existingCollection.FileName; // Keep the same filename
-                        playlistDto.JellyfinPlaylistId = null; // Clear old Jellyfin ID
-                        
-                        // Ensure User field is set (required for playlists)
-                        if (string.IsNullOrEmpty(playlistDto.UserId))
-                        {
-                            playlistDto.UserId = existingCollection.UserId; // Carry over from collection
-                        }
-                        
-                        // Save to playlist store first (before enqueuing)
-                        var newPlaylistStore = GetPlaylistStore();
-                        await newPlaylistStore.SaveAsync(playlistDto);
-                        
-                        // Only delete the old collection after successful conversion
-                        var collectionService = GetCollectionService();
-                        await collectionService.DeleteAsync(existingCollection);
-                        await collectionStore.DeleteAsync(guidId);
-                        
-                        // Enqueue refresh operation for the converted playlist (after successful save)
-                        try
-                        {
-                            var listId = playlistDto.Id ?? Guid.NewGuid().ToString();
-                            var queueItem = new RefreshQueueItem
-                            {
-                                ListId = listId,
-                                ListName = playlistDto.Name,
-                                ListType = Core.Enums.SmartListType.Playlist,
-                                OperationType = RefreshOperationType.Create,
-                                ListData = playlistDto,
-                                UserId = playlistDto.UserId,
-                                TriggerType = Core.Enums.RefreshTriggerType.Manual
-                            };
-
-                            _refreshQueueService.EnqueueOperation(queueItem);
-                        }
-                        catch (Exception enqueueEx)
-                        {
-                            // Log but don't fail the conversion - the playlist is already saved
-                            logger.LogWarning(enqueueEx, "Failed to enqueue refresh for converted playlist '{Name}', but conversion succeeded", playlistDto.Name);
-                        }
-                        
-                        logger.LogInformation("Successfully converted collection to playlist '{Name}' (JellyfinPlaylistId: {Id})", 
-                            playlistDto.Name, playlistDto.JellyfinPlaylistId);
-                        return Ok(playlistDto);
+                        mediaLookup[itemId] = item;
                     }
-                    
-                    // Normal collection update
-                    return await UpdateCollectionInternal(id, guidId, list as SmartCollectionDto ?? JsonSerializer.Deserialize<SmartCollectionDto>(JsonSerializer.Serialize(list))!);
                 }
 
-                return NotFound("Smart list not found");
+                var items = matchingIds
+                    .Take(limit)
+                    .Where(mediaLookup.ContainsKey)
+                    .Select(id => ToPreviewItem(mediaLookup[id]))
+                    .ToList();
+
+                stopwatch.Stop();
+                logger.LogDebug("Previewed smart list '{ListName}': {MatchCount} of {TotalCount} items matched in {ElapsedTime}ms",
+                    list!.Name, matchingIds.Length, allMedia.Length, stopwatch.ElapsedMilliseconds);
+
+                return Ok(new
+                {
+                    totalCount = matchingIds.Length,
+                    totalRuntimeMinutes = RuntimeCalculator.CalculateTotalRuntimeMinutes(matchingIds, mediaLookup, logger),
+                    scannedCount = allMedia.Length,
+                    elapsedMilliseconds = stopwatch.ElapsedMilliseconds,
+                    items = items
+                });
+            }
+            catch (InvalidOperationException ex)
+            {
+                logger.LogWarning(ex, "Smart list preview rejected for '{ListName}'", list!.Name);
+                return PreviewRejected(ex);
             }
             catch (Exception ex)
             {
                 stopwatch.Stop();
-                logger.LogError(ex, "Error updating smart list {ListId} after {ElapsedTime}ms", id, stopwatch.ElapsedMilliseconds);
-                return StatusCode(StatusCodes.Status500InternalServerError, "Error updating smart list");
+                logger.LogError(ex, "Error previewing smart list after {ElapsedTime}ms", stopwatch.ElapsedMilliseconds);
+                return StatusCode(StatusCodes.Status500InternalServerError, "Error previewing smart list");
             }
         }
 
-        [System.Diagnostics.CodeAnalysis.SuppressMessage("Security", "CA3012:Review code for regex injection vulnerabilities", Justification = "Regex patterns are validated with IsValidRegexPattern method including length limits and timeout")]
-        private async Task<ActionResult<SmartListDto>> UpdatePlaylistInternal(string id, Guid guidId, SmartPlaylistDto playlist)
+        /// <summary>
+        /// Count how many library items each rule of an in-progress smart list matches on its own,
+        /// and how many are left after each AND step within its logic group.
+        /// </summary>
+        /// <param name="list">The in-progress smart list (playlist or collection).</param>
+        /// <returns>Per-group and per-rule counts, aligned with the list's ExpressionSets by index.</returns>
+        [HttpPost("preview/rules")]
+        [ProducesResponseType(StatusCodes.Status200OK)]
+        [ProducesResponseType(StatusCodes.Status400BadRequest)]
+        [ProducesResponseType(StatusCodes.Status500InternalServerError)]
+        public async Task<IActionResult> PreviewRuleStatistics([FromBody] SmartListDto? list)
         {
+            var validationError = ValidatePreviewRequest(list);
+            if (validationError != null)
+            {
+                return validationError;
+            }
+
             var stopwatch = Stopwatch.StartNew();
             try
             {
-                var playlistStore = GetPlaylistStore();
-                var existingPlaylist = await playlistStore.GetByIdAsync(guidId);
-                if (existingPlaylist == null)
+                var user = ResolvePreviewUser(list!);
+                if (user == null)
                 {
-                    return NotFound("Smart playlist not found");
+                    return PreviewUserNotFound();
                 }
 
-                // Validate regex patterns before saving
-                if (playlist.ExpressionSets != null)
+                var (smartList, allMedia) = PreparePreview(list!, user);
+                var refreshCache = await CreatePreviewCacheAsync(list!, user);
+                var statistics = smartList.GetRuleStatistics(allMedia, _libraryManager, user, refreshCache, _userDataManager, logger);
+
+                stopwatch.Stop();
+                logger.LogDebug("Calculated rule statistics for '{ListName}' over {TotalCount} items in {ElapsedTime}ms",
+                    list!.Name, allMedia.Length, stopwatch.ElapsedMilliseconds);
+
+                return Ok(new
                 {
-                    foreach (var expressionSet in playlist.ExpressionSets)
+                    scannedCount = allMedia.Length,
+                    elapsedMilliseconds = stopwatch.ElapsedMilliseconds,
+                    sets = statistics.Select(set => new
                     {
-                        if (expressionSet.Expressions != null)
+                        matchCount = set.MatchCount,
+                        rules = set.Rules.Select(rule => new
                         {
-                            foreach (var expression in expressionSet.Expressions)
-                            {
-                                if (expression.Operator == "MatchRegex" && !string.IsNullOrEmpty(expression.TargetValue))
-                                {
-                                    // Validate regex pattern to prevent injection attacks
-                                    if (!IsValidRegexPattern(expression.TargetValue, out var regexError))
-                                    {
-                                        return BadRequest($"Invalid regex pattern: {regexError}");
-                                    }
-
-                                    try
+                            matchCount = rule.MatchCount,
+                            remainingCount = rule.RemainingCount,
+                            evaluated = rule.Evaluated,
+                            error = rule.Error
+                        })
+                    })
+                });
+            }
+            catch (InvalidOperationException ex)
+            {
+                logger.LogWarning(ex, "Rule statistics rejected for '{ListName}'", list!.Name);
+                return PreviewRejected(ex);
+            }
+            catch (Exception ex)
+            {
+                stopwatch.Stop();
+                logger.LogError(ex, "Error calculating rule statistics after {ElapsedTime}ms", stopwatch.ElapsedMilliseconds);
+                return StatusCode(StatusCodes.Status500InternalServerError, "Error calculating rule statistics");
+            }
+        }
+
+        /// <summary>
+        /// Find items an in-progress smart list could contain, to pick one to explain.
+        /// Searches the same media the list is built from (its media types and the list user's libraries).
+        /// </summary>
+        /// <param name="list">The in-progress smart list (playlist or collection).</param>
+        /// <param name="searchTerm">Text to look for in the item name or, for episodes, the series name.</param>
+        /// <returns>Up to 20 matching items.</returns>
+        [HttpPost("preview/search")]
+        [ProducesResponseType(StatusCodes.Status200OK)]
+        [ProducesResponseType(StatusCodes.Status400BadRequest)]
+        [ProducesResponseType(StatusCodes.Status500InternalServerError)]
+        public IActionResult SearchPreviewItems([FromBody] SmartListDto? list, [FromQuery] string? searchTerm)
+        {
+            var validationError = ValidatePreviewRequest(list);
+            if (validationError != null)
+            {
+                return validationError;
+            }
+
+            if (string.IsNullOrWhiteSpace(searchTerm))
+            {
+                return BadRequest(new ProblemDetails
+                {
+                    Title = "Validation Error",
+                    Detail = "A search term is required",
+                    Status = StatusCodes.Status400BadRequest
+                });
+            }
+
+            try
+            {
+                var user = ResolvePreviewUser(list!);
+                if (user == null)
+                {
+                    return PreviewUserNotFound();
+                }
+
+                var (_, allMedia) = PreparePreview(list!, user);
+                var term = searchTerm.Trim();
+
+                var items = allMedia
+                    .Where(item => (item.Name?.Contains(term, StringComparison.OrdinalIgnoreCase) ?? false) ||
+                        ((item as MediaBrowser.Controller.Entities.TV.Episode)?.SeriesName?.Contains(term, StringComparison.OrdinalIgnoreCase) ?? false))
+                    .OrderBy(item => (item as MediaBrowser.Controller.Entities.TV.Episode)?.SeriesName ?? item.Name, StringComparer.OrdinalIgnoreCase)
+                    .ThenBy(item => item.ParentIndexNumber ?? 0)
+                    .ThenBy(item => item.IndexNumber ?? 0)
+                    .Take(20)
+                    .Select(ToPreviewItem)
+                    .ToList();
+
+                return Ok(items);
+            }
+            catch (InvalidOperationException ex)
+            {
+                logger.LogWarning(ex, "Preview item search rejected for '{ListName}'", list!.Name);
+                return PreviewRejected(ex);
+            }
+            catch (Exception ex)
+            {
+                logger.LogError(ex, "Error searching preview items");
+                return StatusCode(StatusCodes.Status500InternalServerError, "Error searching items");
+            }
+        }
+
+        /// <summary>
+        /// Explain why a single item does or does not match an in-progress smart list.
+        /// Every rule is evaluated against the item and reported with the field value it was evaluated against.
+        /// </summary>
+        /// <param name="list">The in-progress smart list (playlist or collection).</param>
+        /// <param name="itemId">The item to explain.</param>
+        /// <returns>Per-group and per-rule pass/fail results for the item.</returns>
+        [HttpPost("preview/explain")]
+        [ProducesResponseType(StatusCodes.Status200OK)]
+        [ProducesResponseType(StatusCodes.Status400BadRequest)]
+        [ProducesResponseType(StatusCodes.Status404NotFound)]
+        [ProducesResponseType(StatusCodes.Status500InternalServerError)]
+        public async Task<IActionResult> ExplainPreviewItem([FromBody] SmartListDto? list, [FromQuery] string? itemId)
+        {
+            var validationError = ValidatePreviewRequest(list);
+            if (validationError != null)
+            {
+                return validationError;
+            }
+
+            if (string.IsNullOrEmpty(itemId) || !Guid.TryParse(itemId, out var itemGuid))
+            {
+                return BadRequest(new ProblemDetails
+                {
+                    Title = "Validation Error",
+                    Detail = "A valid item ID is required",
+                    Status = StatusCodes.Status400BadRequest
+                });
+            }
+
+            try
+            {
+                var user = ResolvePreviewUser(list!);
+                if (user == null)
+                {
+                    return PreviewUserNotFound();
+                }
+
+                var (smartList, allMedia) = PreparePreview(list!, user);
+
+                // Items outside the list's media types or libraries can still be explained, but can never match
+                var item = allMedia.FirstOrDefault(m => m.Id == itemGuid) ?? _libraryManager.GetItemById(itemGuid);
+                if (item == null)
+                {
+                    return NotFound("Item not found");
+                }
+
+                var inScope = allMedia.Any(m => m.Id == itemGuid);
+                var refreshCache = await CreatePreviewCacheAsync(list!, user);
+                var explanation = smartList.ExplainItem(item, allMedia, _libraryManager, user, refreshCache, _userDataManager, logger);
+
+                return Ok(new
+                {
+                    item = ToPreviewItem(item),
+                    inScope = inScope,
+                    matches = inScope && explanation.Matches,
+                    sets = explanation.Sets.Select(set => new
+                    {
+                        passed = set.Passed,
+                        expressions = set.Expressions.Select(ToExpressionExplanation),
+                        groups = set.Groups.Select(ToGroupExplanation)
+                    }),
+                    exclusions = explanation.Exclusions.Select(ToGroupExplanation)
+                });
+            }
+            catch (InvalidOperationException ex)
+            {
+                logger.LogWarning(ex, "Item explanation rejected for '{ListName}'", list!.Name);
+                return PreviewRejected(ex);
+            }
+            catch (Exception ex)
+            {
+                logger.LogError(ex, "Error explaining item {ItemId}", itemId);
+                return StatusCode(StatusCodes.Status500InternalServerError, "Error explaining item");
+            }
+        }
+
+        /// <summary>
+        /// Test a MatchRegex pattern against sample strings and, optionally, the values a rule's field has in the
+        /// media of an in-progress list. Patterns are evaluated with the same .NET options as MatchRegex rules.
+        /// </summary>
+        /// <param name="request">The pattern, the samples, and the list and rule to read library values for.</param>
+        /// <returns>Whether the pattern is valid, and which samples and library values it matches.</returns>
+        [HttpPost("preview/regex")]
+        [ProducesResponseType(StatusCodes.Status200OK)]
+        [ProducesResponseType(StatusCodes.Status400BadRequest)]
+        [ProducesResponseType(StatusCodes.Status500InternalServerError)]
+        [System.Diagnostics.CodeAnalysis.SuppressMessage("Security", "CA3012:Review code for regex injection vulnerabilities", Justification = "Pattern is validated with IsValidRegexPattern and matched with a timeout")]
+        public async Task<IActionResult> TestRegexPattern([FromBody] RegexTestRequest? request)
+        {
+            if (request == null || string.IsNullOrEmpty(request.Pattern))
+            {
+                return BadRequest(new ProblemDetails
+                {
+                    Title = "Validation Error",
+                    Detail = "A regex pattern is required",
+                    Status = StatusCodes.Status400BadRequest
+                });
+            }
+
+            // An invalid pattern is what the tester is there to show, so it's a result rather than a bad request
+            if (!IsValidRegexPattern(request.Pattern, out var patternError))
+            {
+                return Ok(new { valid = false, error = patternError });
+            }
+
+            Regex regex;
+            try
+            {
+                // Compiled only affects speed, and isn't worth it for a pattern that's used once
+                regex = new Regex(request.Pattern, Core.QueryEngine.Engine.MatchRegexOptions & ~RegexOptions.Compiled, TimeSpan.FromMilliseconds(100));
+            }
+            catch (ArgumentException ex)
+            {
+                return Ok(new { valid = false, error = ex.Message });
+            }
+
+            // Room for the typed samples plus the library values the tester re-sends with them
+            const int maxSamples = 200;
+            var samples = (request.Samples ?? []).Take(maxSamples).Select(sample => ToRegexTestResult(regex, sample ?? string.Empty, null)).ToList();
+            if (request.List == null || request.Expression == null)
+            {
+                return Ok(new { valid = true, samples });
+            }
+
+            var validationError = ValidatePreviewRequest(request.List);
+            if (validationError != null)
+            {
+                return validationError;
+            }
+
+            try
+            {
+                var user = ResolvePreviewUser(request.List);
+                if (user == null)
+                {
+                    return PreviewUserNotFound();
+                }
+
+                var (smartList, allMedia) = PreparePreview(request.List, user);
+                var refreshCache = await CreatePreviewCacheAsync(request.List, user);
+                var values = smartList.GetFieldValues(allMedia, request.Expression, _libraryManager, user, refreshCache,
+                    Math.Clamp(request.Limit, 1, 500), _userDataManager, logger);
+
+                return Ok(new
+                {
+                    valid = true,
+                    samples,
+                    libraryValues = values.Select(value => ToRegexTestResult(regex, value.Value, value.ItemCount))
+                });
+            }
+            catch (InvalidOperationException ex)
+            {
+                logger.LogWarning(ex, "Regex test rejected for '{ListName}'", request.List.Name);
+                return PreviewRejected(ex);
+            }
+            catch (Exception ex)
+            {
+                logger.LogError(ex, "Error testing regex pattern against library values");
+                return StatusCode(StatusCodes.Status500InternalServerError, "Error testing regex pattern");
+            }
+        }
+
+        private static object ToRegexTestResult(Regex regex, string value, int? itemCount)
+        {
+            try
+            {
+                var match = regex.Match(value);
+                return new
+                {
+                    value,
+                    itemCount,
+                    matched = match.Success,
+                    index = match.Success ? match.Index : (int?)null,
+                    length = match.Success ? match.Length : (int?)null,
+                    error = (string?)null
+                };
+            }
+            catch (RegexMatchTimeoutException)
+            {
+                return new
+                {
+                    value,
+                    itemCount,
+                    matched = false,
+                    index = (int?)null,
+                    length = (int?)null,
+                    error = (string?)"Matching took too long"
+                };
+            }
+        }
+
+        private static object ToExpressionExplanation(ExpressionExplanation expr)
+        {
+            return new
+            {
+                memberName = expr.MemberName,
+                @operator = expr.Operator,
+                targetValue = expr.TargetValue,
+                passed = expr.Passed,
+                evaluated = expr.Evaluated,
+                actualValue = expr.ActualValue,
+                error = expr.Error
+            };
+        }
+
+        private static object ToGroupExplanation(ExpressionGroupExplanation group)
+        {
+            return new
+            {
+                logic = group.Logic.ToString(),
+                passed = group.Passed,
+                evaluated = group.Evaluated,
+                expressions = group.Expressions.Select(ToExpressionExplanation),
+                groups = group.Groups.Select(ToGroupExplanation)
+            };
+        }
+
+        /// <summary>
+        /// Validates a preview request body. Returns a 400 result when the list can't be previewed, otherwise null.
+        /// </summary>
+        [System.Diagnostics.CodeAnalysis.SuppressMessage("Security", "CA3012:Review code for regex injection vulnerabilities", Justification = "Regex patterns are validated with IsValidRegexPattern method including length limits and timeout")]
+        private BadRequestObjectResult? ValidatePreviewRequest(SmartListDto? list)
+        {
+            if (list == null)
+            {
+                logger.LogWarning("Preview called with null list data");
+                return BadRequest(new ProblemDetails
+                {
+                    Title = "Validation Error",
+                    Detail = "List data is required",
+                    Status = StatusCodes.Status400BadRequest
+                });
+            }
+
+            if (list.MediaTypes == null || list.MediaTypes.Count == 0)
+            {
+                return BadRequest(new ProblemDetails
+                {
+                    Title = "Validation Error",
+                    Detail = "At least one media type must be selected",
+                    Status = StatusCodes.Status400BadRequest
+                });
+            }
+
+            var nestedGroupError = ValidateNestedRules(list);
+            if (nestedGroupError != null)
+            {
+                return nestedGroupError;
+            }
+
+            // Validate regex patterns before compiling any rules
+            if (list.ExpressionSets != null || list.ExclusionSets != null)
+            {
+                foreach (var expression in list.GetAllRuleSets().SelectMany(s => s.GetAllExpressions()))
+                {
+                    if (expression.Operator == "MatchRegex" && !string.IsNullOrEmpty(expression.TargetValue))
+                    {
+                        if (!IsValidRegexPattern(expression.TargetValue, out var regexError))
+                        {
+                            return BadRequest($"Invalid regex pattern: {regexError}");
+                        }
+
+                        try
+                        {
+                            _ = new Regex(expression.TargetValue, Core.QueryEngine.Engine.MatchRegexOptions & ~RegexOptions.Compiled, TimeSpan.FromMilliseconds(100));
+                        }
+                        catch (ArgumentException ex)
+                        {
+                            return BadRequest($"Invalid regex pattern '{expression.TargetValue}': {ex.Message}");
+                        }
+                    }
+                }
+            }
+
+            // Previews are never saved, but SmartList requires an ID
+            if (string.IsNullOrEmpty(list.Id))
+            {
+                list.Id = Guid.NewGuid().ToString();
+            }
+
+            return null;
+        }
+
+        /// <summary>
+        /// Builds the SmartList for a preview request and queries the media it is evaluated against.
+        /// </summary>
+        private (Core.SmartList SmartList, BaseItem[] Media) PreparePreview(SmartListDto list, Jellyfin.Database.Implementations.Entities.User user)
+        {
+            var mediaTypes = list.MediaTypes!.ToList();
+            if (list.Type == Core.Enums.SmartListType.Collection)
+            {
+                var collection = list as SmartCollectionDto ?? JsonSerializer.Deserialize<SmartCollectionDto>(JsonSerializer.Serialize(list))!;
+                var media = GetCollectionService().GetAllUserMediaForPlaylist(user, mediaTypes, collection).ToArray();
+                return (new Core.SmartList(collection) { UserManager = _userManager }, media);
+            }
+            else
+            {
+                var playlist = list as SmartPlaylistDto ?? JsonSerializer.Deserialize<SmartPlaylistDto>(JsonSerializer.Serialize(list))!;
+                var media = GetPlaylistService().GetAllUserMediaForPlaylist(user, mediaTypes, playlist).ToArray();
+                return (new Core.SmartList(playlist) { UserManager = _userManager }, media);
+            }
+        }
+
+        private static object ToPreviewItem(BaseItem item)
+        {
+            return new
+            {
+                id = item.Id.ToString("N"),
+                name = item.Name,
+                type = item.GetBaseItemKind().ToString(),
+                seriesName = (item as MediaBrowser.Controller.Entities.TV.Episode)?.SeriesName,
+                seasonNumber = (item as MediaBrowser.Controller.Entities.TV.Episode)?.ParentIndexNumber,
+                episodeNumber = (item as MediaBrowser.Controller.Entities.TV.Episode)?.IndexNumber,
+                productionYear = item.ProductionYear,
+                runtimeMinutes = item.RunTimeTicks.HasValue ? (double?)TimeSpan.FromTicks(item.RunTimeTicks.Value).TotalMinutes : null
+            };
+        }
+
+        private BadRequestObjectResult PreviewUserNotFound()
+        {
+            return BadRequest(new ProblemDetails
+            {
+                Title = "Validation Error",
+                Detail = "Could not determine a user to evaluate the rules for",
+                Status = StatusCodes.Status400BadRequest
+            });
+        }
+
+        private BadRequestObjectResult PreviewRejected(InvalidOperationException ex)
+        {
+            return BadRequest(new ProblemDetails
+            {
+                Title = "Validation Error",
+                Detail = ex.Message,
+                Status = StatusCodes.Status400BadRequest
+            });
+        }
+
+        /// <summary>
+        /// Resolves the user whose library and user data a preview is evaluated against.
+        /// Uses the first playlist user or the collection owner, falling back to the current user.
+        /// </summary>
+        /// <param name="list">The smart list being previewed.</param>
+        /// <returns>The resolved user, or null if no user could be found.</returns>
+        private Jellyfin.Database.Implementations.Entities.User? ResolvePreviewUser(SmartListDto list)
+        {
+            var userId = Guid.Empty;
+            if (list is SmartPlaylistDto playlist)
+            {
+                userId = GetPlaylistUserId(playlist);
+            }
+            else if (!string.IsNullOrEmpty(list.UserId) && Guid.TryParse(list.UserId, out var ownerId))
+            {
+                userId = ownerId;
+            }
+
+            if (userId == Guid.Empty)
+            {
+                userId = GetCurrentUserId();
+            }
+
+            return userId == Guid.Empty ? null : _userManager.GetUserById(userId);
+        }
+
+        /// <summary>
+        /// Update an existing smart list (playlist or collection).
+        /// </summary>
+        /// <param name="id">The list ID.</param>
+        /// <param name="list">The updated smart list.</param>
+        /// <returns>The updated smart list.</returns>
+        [HttpPut("{id}")]
+        [System.Diagnostics.CodeAnalysis.SuppressMessage("Security", "CA3003:Review code for file path injection vulnerabilities", Justification = "ID is validated as GUID before use, preventing path injection")]
+        [System.Diagnostics.CodeAnalysis.SuppressMessage("Security", "CA3012:Review code for regex injection vulnerabilities", Justification = "Regex patterns are validated with IsValidRegexPattern method including length limits and timeout")]
+        public async Task<ActionResult<SmartListDto>> UpdateSmartList([FromRoute, Required] string id, [FromBody, Required] SmartListDto list)
+        {
+            if (list == null)
+            {
+                return BadRequest("List data is required");
+            }
+
+            var stopwatch = Stopwatch.StartNew();
+            try
+            {
+                if (!Guid.TryParse(id, out var guidId))
+                {
+                    return BadRequest("Invalid list ID format");
+                }
+
+                // Determine type and route to appropriate handler
+                // Try to find existing list to determine type
+                var playlistStore = GetPlaylistStore();
+                var existingPlaylist = await playlistStore.GetByIdAsync(guidId);
+                if (existingPlaylist != null)
+                {
+                    // Handle type conversion: playlist → collection
+                    if (list.Type == Core.Enums.SmartListType.Collection)
+                    {
+                        logger.LogInformation("Converting playlist '{Name}' to collection", existingPlaylist.Name);
+                        
+                        // Convert to collection DTO and create as new collection
+                        var collectionDto = list as SmartCollectionDto ?? JsonSerializer.Deserialize<SmartCollectionDto>(JsonSerializer.Serialize(list))!;
+                        collectionDto.Id = id; // Keep the same ID
+                        collectionDto.FileName = existingPlaylist.FileName; // Keep the same filename
+                        collectionDto.JellyfinCollectionId = null; // Clear old Jellyfin ID
+                        
+                        // Save to collection store first (before enqueuing)
+                        var newCollectionStore = GetCollectionStore();
+                        await newCollectionStore.SaveAsync(collectionDto);
+                        
+                        // Only delete the old playlist after successful conversion
+                        await DeleteAllPlaylistsAsync(existingPlaylist);
+                        
+                        await playlistStore.DeleteAsync(guidId);
+                        
+                        // Enqueue refresh operation for the converted collection (after successful save)
+                        try
+                        {
+                            var listId = collectionDto.Id ?? Guid.NewGuid().ToString();
+                            var queueItem = new RefreshQueueItem
+                            {
+                                ListId = listId,
+                                ListName = collectionDto.Name,
+                                ListType = Core.Enums.SmartListType.Collection,
+                                OperationType = RefreshOperationType.Create,
+                                ListData = collectionDto,
+                                UserId = collectionDto.UserId,
+                                TriggerType = Core.Enums.RefreshTriggerType.Manual
+                            };
+
+                            _refreshQueueService.EnqueueOperation(queueItem);
+                        }
+                        catch (Exception enqueueEx)
+                        {
+                            // Log but don't fail the conversion - the collection is already saved
+                            logger.LogWarning(enqueueEx, "Failed to enqueue refresh for converted collection '{Name}', but conversion succeeded", collectionDto.Name);
+                        }
+                        
+                        logger.LogInformation("Successfully converted playlist to collection '{Name}' (JellyfinCollectionId: {Id})", 
+                            collectionDto.Name, collectionDto.JellyfinCollectionId);
+                        return Ok(collectionDto);
+                    }
+                    
+                    // Normal playlist update
+                    return await UpdatePlaylistInternal(id, guidId, list as SmartPlaylistDto ?? JsonSerializer.Deserialize<SmartPlaylistDto>(JsonSerializer.Serialize(list))!);
+                }
+
+                var collectionStore = GetCollectionStore();
+                var existingCollection = await collectionStore.GetByIdAsync(guidId);
+                if (existingCollection != null)
+                {
+                    // Handle type conversion: collection → playlist
+                    if (list.Type == Core.Enums.SmartListType.Playlist)
+                    {
+                        logger.LogInformation("Converting collection '{Name}' to playlist", existingCollection.Name);
+                        
+                        // Convert to playlist DTO and create as new playlist
+                        var playlistDto = list as SmartPlaylistDto ?? JsonSerializer.Deserialize<SmartPlaylistDto>(JsonSerializer.Serialize(list))!;
+                        playlistDto.Id = id; // Keep the same ID
+                        playlistDto.FileName = existingCollection.FileName; // Keep the same filename
+                        playlistDto.JellyfinPlaylistId = null; // Clear old Jellyfin ID
+                        
+                        // Ensure User field is set (required for playlists)
+                        if (string.IsNullOrEmpty(playlistDto.UserId))
+                        {
+                            playlistDto.UserId = existingCollection.UserId; // Carry over from collection
+                        }
+                        
+                        // Save to playlist store first (before enqueuing)
+                        var newPlaylistStore = GetPlaylistStore();
+                        await newPlaylistStore.SaveAsync(playlistDto);
+                        
+                        // Only delete the old collection after successful conversion
+                        var collectionService = GetCollectionService();
+                        await collectionService.DeleteAsync(existingCollection);
+                        await collectionStore.DeleteAsync(guidId);
+                        
+                        // Enqueue refresh operation for the converted playlist (after successful save)
+                        try
+                        {
+                            var listId = playlistDto.Id ?? Guid.NewGuid().ToString();
+                            var queueItem = new RefreshQueueItem
+                            {
+                                ListId = listId,
+                                ListName = playlistDto.Name,
+                                ListType = Core.Enums.SmartListType.Playlist,
+                                OperationType = RefreshOperationType.Create,
+                                ListData = playlistDto,
+                                UserId = playlistDto.UserId,
+                                TriggerType = Core.Enums.RefreshTriggerType.Manual
+                            };
+
+                            _refreshQueueService.EnqueueOperation(queueItem);
+                        }
+                        catch (Exception enqueueEx)
+                        {
+                            // Log but don't fail the conversion - the playlist is already saved
+                            logger.LogWarning(enqueueEx, "Failed to enqueue refresh for converted playlist '{Name}', but conversion succeeded", playlistDto.Name);
+                        }
+                        
+                        logger.LogInformation("Successfully converted collection to playlist '{Name}' (JellyfinPlaylistId: {Id})", 
+                            playlistDto.Name, playlistDto.JellyfinPlaylistId);
+                        return Ok(playlistDto);
+                    }
+                    
+                    // Normal collection update
+                    return await UpdateCollectionInternal(id, guidId, list as SmartCollectionDto ?? JsonSerializer.Deserialize<SmartCollectionDto>(JsonSerializer.Serialize(list))!);
+                }
+
+                return NotFound("Smart list not found");
+            }
+            catch (Exception ex)
+            {
+                stopwatch.Stop();
+                logger.LogError(ex, "Error updating smart list {ListId} after {ElapsedTime}ms", id, stopwatch.ElapsedMilliseconds);
+                return StatusCode(StatusCodes.Status500InternalServerError, "Error updating smart list");
+            }
+        }
+
+        [System.Diagnostics.CodeAnalysis.SuppressMessage("Security", "CA3012:Review code for regex injection vulnerabilities", Justification = "Regex patterns are validated with IsValidRegexPattern method including length limits and timeout")]
+        private async Task<ActionResult<SmartListDto>> UpdatePlaylistInternal(string id, Guid guidId, SmartPlaylistDto playlist)
+        {
+            var stopwatch = Stopwatch.StartNew();
+            try
+            {
+                var playlistStore = GetPlaylistStore();
+                var existingPlaylist = await playlistStore.GetByIdAsync(guidId);
+                if (existingPlaylist == null)
+                {
+                    return NotFound("Smart playlist not found");
+                }
+
+                var nestedGroupError = ValidateNestedRules(playlist);
+                if (nestedGroupError != null)
+                {
+                    return nestedGroupError;
+                }
+
+                var scheduleError = ValidateSchedules(playlist);
+                if (scheduleError != null)
+                {
+                    return scheduleError;
+                }
+
+                var referenceError = await ValidateListReferencesAsync(playlist, id);
+                if (referenceError != null)
+                {
+                    return referenceError;
+                }
+
+                // Validate regex patterns before saving
+                if (playlist.ExpressionSets != null || playlist.ExclusionSets != null)
+                {
+                    foreach (var expressionSet in playlist.GetAllRuleSets())
+                    {
+                        if (expressionSet != null)
+                        {
+                            foreach (var expression in expressionSet.GetAllExpressions())
+                            {
+                                if (expression.Operator == "MatchRegex" && !string.IsNullOrEmpty(expression.TargetValue))
+                                {
+                                    // Validate regex pattern to prevent injection attacks
+                                    if (!IsValidRegexPattern(expression.TargetValue, out var regexError))
+                                    {
+                                        return BadRequest($"Invalid regex pattern: {regexError}");
+                                    }
+
+                                    try
                                     {
                                         // Use a timeout to prevent ReDoS attacks
                                         // Pattern is already validated by IsValidRegexPattern above
@@ -1281,6 +2067,9 @@ namespace Jellyfin.Plugin.SmartLists.Api.Controllers
                     playlist.LastRefreshed = existingPlaylist.LastRefreshed;
                 }
 
+                // The statistics history is only ever appended to by refreshes
+                playlist.StatisticsHistory = existingPlaylist.StatisticsHistory;
+
                 var updatedPlaylist = await playlistStore.SaveAsync(playlist);
 
                 // Update the auto-refresh cache with the updated playlist
@@ -1435,14 +2224,32 @@ namespace Jellyfin.Plugin.SmartLists.Api.Controllers
                     }
                 }
 
+                var nestedGroupError = ValidateNestedRules(collection);
+                if (nestedGroupError != null)
+                {
+                    return nestedGroupError;
+                }
+
+                var scheduleError = ValidateSchedules(collection);
+                if (scheduleError != null)
+                {
+                    return scheduleError;
+                }
+
+                var referenceError = await ValidateListReferencesAsync(collection, id);
+                if (referenceError != null)
+                {
+                    return referenceError;
+                }
+
                 // Validate regex patterns before saving
-                if (collection.ExpressionSets != null)
+                if (collection.ExpressionSets != null || collection.ExclusionSets != null)
                 {
-                    foreach (var expressionSet in collection.ExpressionSets)
+                    foreach (var expressionSet in collection.GetAllRuleSets())
                     {
-                        if (expressionSet.Expressions != null)
+                        if (expressionSet != null)
                         {
-                            foreach (var expression in expressionSet.Expressions)
+                            foreach (var expression in expressionSet.GetAllExpressions())
                             {
                                 if (expression.Operator == "MatchRegex" && !string.IsNullOrEmpty(expression.TargetValue))
                                 {
@@ -1500,6 +2307,9 @@ namespace Jellyfin.Plugin.SmartLists.Api.Controllers
                     collection.LastRefreshed = existingCollection.LastRefreshed;
                 }
 
+                // The statistics history is only ever appended to by refreshes
+                collection.StatisticsHistory = existingCollection.StatisticsHistory;
+
                 var updatedCollection = await collectionStore.SaveAsync(collection);
 
                 // Update the auto-refresh cache with the updated collection
@@ -1712,6 +2522,7 @@ namespace Jellyfin.Plugin.SmartLists.Api.Controllers
                 CollectionFields = new[]
                 {
                     new { Value = "Collections", Label = "Collections" },
+                    new { Value = "SmartList", Label = "Smart List" },
                     new { Value = "Genres", Label = "Genres" },
                     new { Value = "Studios", Label = "Studios" },
                     new { Value = "Tags", Label = "Tags" },
@@ -1867,6 +2678,121 @@ namespace Jellyfin.Plugin.SmartLists.Api.Controllers
             }
         }
 
+        // Distinct field values per user, field and media types. Reading them means a pass over the library,
+        // so they're kept for a few minutes while the user types, and requests for the same values share one pass.
+        // The cache holds a limited number of entries so it can't grow with every user and media type combination.
+        private const int ValueSuggestionCacheSize = 100;
+        private static readonly MemoryCache _valueSuggestionCache = new(new MemoryCacheOptions { SizeLimit = ValueSuggestionCacheSize });
+        private static readonly object _valueSuggestionCacheLock = new();
+        private static readonly TimeSpan ValueSuggestionCacheDuration = TimeSpan.FromMinutes(5);
+
+        /// <summary>
+        /// Get the distinct values a field has in the library, with the number of items that have each value,
+        /// to suggest rule values as they're typed.
+        /// </summary>
+        /// <param name="field">The field, e.g. Genres, Actors, OfficialRating or VideoCodec.</param>
+        /// <param name="mediaTypes">Comma-separated media types to read values from. All media types when omitted.</param>
+        /// <param name="prefix">Only return values that start with this text (case-insensitive).</param>
+        /// <param name="limit">The maximum number of values to return.</param>
+        /// <returns>The most common matching values, most common first.</returns>
+        [HttpGet("values")]
+        [ProducesResponseType(StatusCodes.Status200OK)]
+        [ProducesResponseType(StatusCodes.Status400BadRequest)]
+        [ProducesResponseType(StatusCodes.Status500InternalServerError)]
+        public IActionResult GetValueSuggestions([FromQuery] string? field, [FromQuery] string? mediaTypes, [FromQuery] string? prefix, [FromQuery] int limit = 20)
+        {
+            // Use the field's own spelling, so "genres" and "Genres" share a cache entry
+            var suggestionField = Core.QueryEngine.FieldDefinitions.GetSuggestionField(field);
+            if (suggestionField == null)
+            {
+                return BadRequest(new ProblemDetails
+                {
+                    Title = "Validation Error",
+                    Detail = $"Values can't be suggested for field '{field}'",
+                    Status = StatusCodes.Status400BadRequest
+                });
+            }
+
+            var selectedTypes = (mediaTypes ?? string.Empty)
+                .Split(',', StringSplitOptions.RemoveEmptyEntries | StringSplitOptions.TrimEntries)
+                .Where(type => Core.Constants.MediaTypes.All.Contains(type, StringComparer.Ordinal))
+                .Distinct(StringComparer.Ordinal)
+                .OrderBy(type => type, StringComparer.Ordinal)
+                .ToList();
+            if (selectedTypes.Count == 0)
+            {
+                selectedTypes = [.. Core.Constants.MediaTypes.All];
+            }
+
+            var userId = GetCurrentUserId();
+            var user = userId == Guid.Empty ? null : _userManager.GetUserById(userId);
+            if (user == null)
+            {
+                return PreviewUserNotFound();
+            }
+
+            try
+            {
+                var cacheKey = $"{user.Id:N}|{suggestionField}|{string.Join(',', selectedTypes)}";
+                Lazy<List<FieldValueCount>> cached;
+                lock (_valueSuggestionCacheLock)
+                {
+                    cached = _valueSuggestionCache.GetOrCreate(cacheKey, entry =>
+                    {
+                        entry.Size = 1;
+                        entry.AbsoluteExpirationRelativeToNow = ValueSuggestionCacheDuration;
+                        return new Lazy<List<FieldValueCount>>(
+                            () => ReadSuggestionValues(user, suggestionField, selectedTypes),
+                            System.Threading.LazyThreadSafetyMode.ExecutionAndPublication);
+                    })!;
+                }
+
+                List<FieldValueCount> values;
+                try
+                {
+                    values = cached.Value;
+                }
+                catch
+                {
+                    // Don't keep the failure around; the next request tries again
+                    _valueSuggestionCache.Remove(cacheKey);
+                    throw;
+                }
+
+                var term = prefix?.Trim() ?? string.Empty;
+                var suggestions = values
+                    .Where(value => value.Value.StartsWith(term, StringComparison.OrdinalIgnoreCase))
+                    .Take(Math.Clamp(limit, 1, 100))
+                    .Select(value => new { value = value.Value, itemCount = value.ItemCount });
+
+                return Ok(suggestions);
+            }
+            catch (Exception ex)
+            {
+                logger.LogError(ex, "Error reading {Field} values for suggestions", suggestionField);
+                return StatusCode(StatusCodes.Status500InternalServerError, "Error reading field values");
+            }
+        }
+
+        private List<FieldValueCount> ReadSuggestionValues(Jellyfin.Database.Implementations.Entities.User user, string field, List<string> mediaTypes)
+        {
+            // The collection service reads every media type, including Series
+            var list = new SmartCollectionDto
+            {
+                Id = Guid.NewGuid().ToString(),
+                Name = "Value suggestions",
+                MediaTypes = mediaTypes,
+                ExpressionSets = [],
+            };
+            var media = GetCollectionService().GetAllUserMediaForPlaylist(user, mediaTypes).ToArray();
+            var smartList = new Core.SmartList(list) { UserManager = _userManager };
+            var values = smartList.GetFieldValues(media, new Core.QueryEngine.Expression(field, "Contains", string.Empty), _libraryManager, user,
+                new RefreshQueueService.RefreshCache(), int.MaxValue, _userDataManager, logger);
+
+            logger.LogDebug("Read {ValueCount} distinct {Field} values from {ItemCount} items for suggestions", values.Count, field, media.Length);
+            return values;
+        }
+
         /// <summary>
         /// Enable a smart list (playlist or collection).
         /// </summary>
@@ -2200,7 +3126,7 @@ namespace Jellyfin.Plugin.SmartLists.Api.Controllers
                         0);
                 }
                 var errorDuration = _refreshStatusService?.GetElapsedTime(id) ?? TimeSpan.Zero;
-                _refreshStatusService?.CompleteOperation(id, false, errorDuration, $"Error refreshing smart list: {ex.Message}");
+                _refreshStatusService?.CompleteOperation(id, false, errorDuration, $"Error refreshing smart list: {ex.Message}", ex);
                 
                 return StatusCode(StatusCodes.Status500InternalServerError, "Error refreshing smart list");
             }
@@ -2694,232 +3620,850 @@ namespace Jellyfin.Plugin.SmartLists.Api.Controllers
                     }
                 }
 
-                var totalImported = importedPlaylistCount + importedCollectionCount;
-                var summary = new
+                var totalImported = importedPlaylistCount + importedCollectionCount;
+                var summary = new
+                {
+                    totalFiles = archive.Entries.Count(e => e.Name.EndsWith(".json", StringComparison.OrdinalIgnoreCase)),
+                    imported = totalImported,
+                    importedPlaylists = importedPlaylistCount,
+                    importedCollections = importedCollectionCount,
+                    skipped = skippedCount,
+                    errors = errorCount,
+                    details = importResults,
+                };
+
+                logger.LogInformation("Import completed: {Imported} imported ({Playlists} playlists, {Collections} collections), {Skipped} skipped, {Errors} errors",
+                    totalImported, importedPlaylistCount, importedCollectionCount, skippedCount, errorCount);
+
+                return Ok(summary);
+            }
+            catch (Exception ex)
+            {
+                logger.LogError(ex, "Error importing smart lists");
+                return StatusCode(StatusCodes.Status500InternalServerError, "Error importing smart lists");
+            }
+        }
+
+        /// <summary>
+        /// Restart the schedule timer (useful for debugging timer issues)
+        /// </summary>
+        [HttpPost("Timer/Restart")]
+        [ProducesResponseType(StatusCodes.Status200OK)]
+        [ProducesResponseType(StatusCodes.Status500InternalServerError)]
+        public IActionResult RestartScheduleTimer()
+        {
+            try
+            {
+                var autoRefreshService = AutoRefreshService.Instance;
+                if (autoRefreshService == null)
+                {
+                    return StatusCode(StatusCodes.Status500InternalServerError, "AutoRefreshService is not available");
+                }
+
+                autoRefreshService.RestartScheduleTimer();
+
+                var nextCheck = autoRefreshService.GetNextScheduledCheckTime();
+                var isRunning = autoRefreshService.IsScheduleTimerRunning();
+
+                return Ok(new
+                {
+                    message = "Schedule timer restarted successfully",
+                    isRunning = isRunning,
+                    nextScheduledCheck = nextCheck?.ToString("o"),
+                });
+            }
+            catch (Exception ex)
+            {
+                logger.LogError(ex, "Error restarting schedule timer");
+                return StatusCode(StatusCodes.Status500InternalServerError, "Error restarting schedule timer");
+            }
+        }
+
+        /// <summary>
+        /// Get schedule timer status
+        /// </summary>
+        [HttpGet("Timer/Status")]
+        [ProducesResponseType(StatusCodes.Status200OK)]
+        [ProducesResponseType(StatusCodes.Status500InternalServerError)]
+        public IActionResult GetScheduleTimerStatus()
+        {
+            try
+            {
+                var autoRefreshService = AutoRefreshService.Instance;
+                if (autoRefreshService == null)
+                {
+                    return StatusCode(StatusCodes.Status500InternalServerError, "AutoRefreshService is not available");
+                }
+
+                var isRunning = autoRefreshService.IsScheduleTimerRunning();
+                var nextCheck = autoRefreshService.GetNextScheduledCheckTime();
+
+                return Ok(new
+                {
+                    isRunning = isRunning,
+                    nextScheduledCheck = nextCheck?.ToString("o"),
+                    currentTime = DateTime.Now.ToString("o"),
+                });
+            }
+            catch (Exception ex)
+            {
+                logger.LogError(ex, "Error getting schedule timer status");
+                return StatusCode(StatusCodes.Status500InternalServerError, "Error getting schedule timer status");
+            }
+        }
+
+        /// <summary>
+        /// Get refresh status including ongoing operations, history, and statistics
+        /// </summary>
+        [HttpGet("Status")]
+        [ProducesResponseType(StatusCodes.Status200OK)]
+        [ProducesResponseType(StatusCodes.Status500InternalServerError)]
+        public IActionResult GetRefreshStatus()
+        {
+            try
+            {
+                if (_refreshStatusService == null)
+                {
+                    logger.LogWarning("RefreshStatusService is null in GetRefreshStatus");
+                    return StatusCode(StatusCodes.Status500InternalServerError, "RefreshStatusService is not available");
+                }
+
+                var ongoing = _refreshStatusService.GetOngoingOperations().Select(ToOngoingOperationResult).ToList();
+
+                var history = _refreshStatusService.GetRefreshHistory().Select(ToRefreshHistoryResult).ToList();
+
+                var statistics = _refreshStatusService.GetStatistics();
+
+                return Ok(new
+                {
+                    ongoingOperations = ongoing,
+                    history = history,
+                    statistics = new
+                    {
+                        totalLists = statistics.TotalLists,
+                        ongoingOperationsCount = statistics.OngoingOperationsCount,
+                        queuedOperationsCount = statistics.QueuedOperationsCount,
+                        queuePaused = _refreshQueueService.IsPaused,
+                        lastRefreshTime = statistics.LastRefreshTime?.ToString("o"),
+                        averageRefreshDuration = statistics.AverageRefreshDuration?.TotalSeconds,
+                        successfulRefreshes = statistics.SuccessfulRefreshes,
+                        failedRefreshes = statistics.FailedRefreshes
+                    }
+                });
+            }
+            catch (Exception ex)
+            {
+                logger.LogError(ex, "Error getting refresh status");
+                return StatusCode(StatusCodes.Status500InternalServerError, "Error getting refresh status");
+            }
+        }
+
+        /// <summary>
+        /// Get one page of the refresh history, filtered and sorted
+        /// </summary>
+        /// <param name="search">Text the list name must contain.</param>
+        /// <param name="listType">Playlist or Collection.</param>
+        /// <param name="triggerType">Manual, Auto or Scheduled.</param>
+        /// <param name="status">Success or Failed.</param>
+        /// <param name="from">Only refreshes that ended at or after this time.</param>
+        /// <param name="to">Only refreshes that ended before this time.</param>
+        /// <param name="latestPerList">Only the most recent refresh of each list.</param>
+        /// <param name="sortBy">EndTime, ListName, ListType, TriggerType, Status, Changes or Duration.</param>
+        /// <param name="sortDescending">Sort in descending order.</param>
+        /// <param name="page">Page number, starting at 1.</param>
+        /// <param name="pageSize">Refreshes per page (1-200).</param>
+        [HttpGet("Status/History")]
+        [ProducesResponseType(StatusCodes.Status200OK)]
+        [ProducesResponseType(StatusCodes.Status400BadRequest)]
+        [ProducesResponseType(StatusCodes.Status500InternalServerError)]
+        public IActionResult GetRefreshHistory(
+            [FromQuery] string? search = null,
+            [FromQuery] string? listType = null,
+            [FromQuery] string? triggerType = null,
+            [FromQuery] string? status = null,
+            [FromQuery] DateTime? from = null,
+            [FromQuery] DateTime? to = null,
+            [FromQuery] bool latestPerList = false,
+            [FromQuery] string? sortBy = null,
+            [FromQuery] bool sortDescending = true,
+            [FromQuery] int page = 1,
+            [FromQuery] int pageSize = 25)
+        {
+            if (page < 1 || pageSize < 1 || pageSize > 200)
+            {
+                return BadRequest(new ProblemDetails
+                {
+                    Title = "Validation Error",
+                    Detail = "Page must be 1 or more and page size between 1 and 200",
+                    Status = StatusCodes.Status400BadRequest
+                });
+            }
+
+            var filterError = ParseRefreshHistoryFilter(search, listType, triggerType, status, from, to, latestPerList, sortBy, sortDescending, out var filter);
+            if (filterError != null)
+            {
+                return BadRequest(new ProblemDetails
+                {
+                    Title = "Validation Error",
+                    Detail = filterError,
+                    Status = StatusCodes.Status400BadRequest
+                });
+            }
+
+            try
+            {
+                var history = _refreshStatusService.QueryRefreshHistory(filter);
+                var items = history
+                    .Skip((page - 1) * pageSize)
+                    .Take(pageSize)
+                    .Select(ToRefreshHistoryResult)
+                    .ToList();
+
+                return Ok(new
+                {
+                    totalCount = history.Count,
+                    page,
+                    pageSize,
+                    items
+                });
+            }
+            catch (Exception ex)
+            {
+                logger.LogError(ex, "Error getting refresh history");
+                return StatusCode(StatusCodes.Status500InternalServerError, "Error getting refresh history");
+            }
+        }
+
+        /// <summary>
+        /// Download the filtered refresh history as CSV or JSON
+        /// </summary>
+        /// <param name="format">csv or json.</param>
+        /// <param name="search">Text the list name must contain.</param>
+        /// <param name="listType">Playlist or Collection.</param>
+        /// <param name="triggerType">Manual, Auto or Scheduled.</param>
+        /// <param name="status">Success or Failed.</param>
+        /// <param name="from">Only refreshes that ended at or after this time.</param>
+        /// <param name="to">Only refreshes that ended before this time.</param>
+        /// <param name="latestPerList">Only the most recent refresh of each list.</param>
+        /// <param name="sortBy">EndTime, ListName, ListType, TriggerType, Status, Changes or Duration.</param>
+        /// <param name="sortDescending">Sort in descending order.</param>
+        [HttpGet("Status/History/Export")]
+        [ProducesResponseType(StatusCodes.Status200OK)]
+        [ProducesResponseType(StatusCodes.Status400BadRequest)]
+        [ProducesResponseType(StatusCodes.Status500InternalServerError)]
+        public IActionResult ExportRefreshHistory(
+            [FromQuery] string? format = "csv",
+            [FromQuery] string? search = null,
+            [FromQuery] string? listType = null,
+            [FromQuery] string? triggerType = null,
+            [FromQuery] string? status = null,
+            [FromQuery] DateTime? from = null,
+            [FromQuery] DateTime? to = null,
+            [FromQuery] bool latestPerList = false,
+            [FromQuery] string? sortBy = null,
+            [FromQuery] bool sortDescending = true)
+        {
+            var isCsv = string.Equals(format, "csv", StringComparison.OrdinalIgnoreCase);
+            var filterError = ParseRefreshHistoryFilter(search, listType, triggerType, status, from, to, latestPerList, sortBy, sortDescending, out var filter);
+            if (!isCsv && !string.Equals(format, "json", StringComparison.OrdinalIgnoreCase))
+            {
+                filterError = "Format must be csv or json";
+            }
+
+            if (filterError != null)
+            {
+                return BadRequest(new ProblemDetails
+                {
+                    Title = "Validation Error",
+                    Detail = filterError,
+                    Status = StatusCodes.Status400BadRequest
+                });
+            }
+
+            try
+            {
+                var history = _refreshStatusService.QueryRefreshHistory(filter);
+                var timestamp = DateTime.Now.ToString("yyyyMMdd_HHmmss", System.Globalization.CultureInfo.InvariantCulture);
+
+                if (!isCsv)
+                {
+                    var json = JsonSerializer.SerializeToUtf8Bytes(history.Select(ToRefreshHistoryResult), new JsonSerializerOptions { WriteIndented = true });
+                    return File(json, "application/json", $"smartlists_refresh_history_{timestamp}.json");
+                }
+
+                var csv = new System.Text.StringBuilder();
+                csv.AppendLine("ListId,ListName,ListType,TriggerType,StartTime,EndTime,DurationSeconds,Success,ErrorMessage,ErrorType,RuleErrors,AddedCount,RemovedCount");
+                foreach (var h in history)
+                {
+                    csv.AppendLine(string.Join(',',
+                        EscapeCsvValue(h.ListId),
+                        EscapeCsvValue(h.ListName),
+                        h.ListType,
+                        h.TriggerType,
+                        h.StartTime.ToString("o"),
+                        h.EndTime?.ToString("o") ?? string.Empty,
+                        h.Duration.TotalSeconds.ToString("0.###", System.Globalization.CultureInfo.InvariantCulture),
+                        h.Success ? "true" : "false",
+                        EscapeCsvValue(h.ErrorMessage),
+                        EscapeCsvValue(h.ErrorType),
+                        EscapeCsvValue(string.Join("; ", h.RuleErrors)),
+                        h.AddedCount?.ToString(System.Globalization.CultureInfo.InvariantCulture) ?? string.Empty,
+                        h.RemovedCount?.ToString(System.Globalization.CultureInfo.InvariantCulture) ?? string.Empty));
+                }
+
+                return File(System.Text.Encoding.UTF8.GetBytes(csv.ToString()), "text/csv", $"smartlists_refresh_history_{timestamp}.csv");
+            }
+            catch (Exception ex)
+            {
+                logger.LogError(ex, "Error exporting refresh history");
+                return StatusCode(StatusCodes.Status500InternalServerError, "Error exporting refresh history");
+            }
+        }
+
+        // Parses the refresh history query parameters shared by the history and export endpoints. Returns an error message, or null if they are valid.
+        private static string? ParseRefreshHistoryFilter(
+            string? search,
+            string? listType,
+            string? triggerType,
+            string? status,
+            DateTime? from,
+            DateTime? to,
+            bool latestPerList,
+            string? sortBy,
+            bool sortDescending,
+            out RefreshHistoryFilter filter)
+        {
+            filter = new RefreshHistoryFilter
+            {
+                Search = search,
+                From = from?.ToUniversalTime(),
+                To = to?.ToUniversalTime(),
+                LatestPerList = latestPerList,
+                SortDescending = sortDescending
+            };
+
+            if (!string.IsNullOrEmpty(listType))
+            {
+                if (!Enum.TryParse<Core.Enums.SmartListType>(listType, ignoreCase: true, out var parsedListType))
+                {
+                    return $"Unknown list type '{listType}'";
+                }
+                filter.ListType = parsedListType;
+            }
+
+            if (!string.IsNullOrEmpty(triggerType))
+            {
+                if (!Enum.TryParse<Core.Enums.RefreshTriggerType>(triggerType, ignoreCase: true, out var parsedTriggerType))
                 {
-                    totalFiles = archive.Entries.Count(e => e.Name.EndsWith(".json", StringComparison.OrdinalIgnoreCase)),
-                    imported = totalImported,
-                    importedPlaylists = importedPlaylistCount,
-                    importedCollections = importedCollectionCount,
-                    skipped = skippedCount,
-                    errors = errorCount,
-                    details = importResults,
-                };
+                    return $"Unknown trigger type '{triggerType}'";
+                }
+                filter.TriggerType = parsedTriggerType;
+            }
 
-                logger.LogInformation("Import completed: {Imported} imported ({Playlists} playlists, {Collections} collections), {Skipped} skipped, {Errors} errors",
-                    totalImported, importedPlaylistCount, importedCollectionCount, skippedCount, errorCount);
+            if (!string.IsNullOrEmpty(status))
+            {
+                if (string.Equals(status, "Success", StringComparison.OrdinalIgnoreCase))
+                {
+                    filter.Success = true;
+                }
+                else if (string.Equals(status, "Failed", StringComparison.OrdinalIgnoreCase))
+                {
+                    filter.Success = false;
+                }
+                else
+                {
+                    return "Status must be Success or Failed";
+                }
+            }
 
-                return Ok(summary);
+            if (!string.IsNullOrEmpty(sortBy))
+            {
+                if (!Enum.TryParse<Core.Enums.RefreshHistorySortField>(sortBy, ignoreCase: true, out var parsedSortBy))
+                {
+                    return $"Unknown sort column '{sortBy}'";
+                }
+                filter.SortBy = parsedSortBy;
             }
-            catch (Exception ex)
+
+            if (filter.From.HasValue && filter.To.HasValue && filter.From.Value >= filter.To.Value)
             {
-                logger.LogError(ex, "Error importing smart lists");
-                return StatusCode(StatusCodes.Status500InternalServerError, "Error importing smart lists");
+                return "The start of the date range must be before its end";
+            }
+
+            return null;
+        }
+
+        private static object ToRefreshHistoryResult(RefreshHistoryEntry h)
+        {
+            return new
+            {
+                listId = h.ListId,
+                listName = h.ListName,
+                listType = h.ListType.ToString(),
+                triggerType = h.TriggerType.ToString(),
+                startTime = h.StartTime.ToString("o"),
+                endTime = h.EndTime?.ToString("o"),
+                duration = h.Duration.TotalSeconds,
+                success = h.Success,
+                errorMessage = h.ErrorMessage,
+                errorType = h.ErrorType,
+                ruleErrors = h.RuleErrors,
+                addedCount = h.AddedCount,
+                removedCount = h.RemovedCount
+            };
+        }
+
+        private static object ToOngoingOperationResult(RefreshOperation op)
+        {
+            return new
+            {
+                listId = op.ListId,
+                listName = op.ListName,
+                listType = op.ListType.ToString(),
+                triggerType = op.TriggerType.ToString(),
+                startTime = op.StartTime.ToString("o"),
+                totalItems = op.TotalItems,
+                processedItems = op.ProcessedItems,
+                estimatedTimeRemaining = op.EstimatedTimeRemaining?.TotalSeconds,
+                elapsedTime = op.ElapsedTime.TotalSeconds,
+                errorMessage = op.ErrorMessage,
+                batchCurrentIndex = op.BatchCurrentIndex,
+                batchTotalCount = op.BatchTotalCount
+            };
+        }
+
+        // Quotes a CSV field when it contains a separator, quote or line break
+        private static string EscapeCsvValue(string? value)
+        {
+            if (string.IsNullOrEmpty(value))
+            {
+                return string.Empty;
             }
+
+            return value.IndexOfAny([',', '"', '\r', '\n']) >= 0
+                ? "\"" + value.Replace("\"", "\"\"", StringComparison.Ordinal) + "\""
+                : value;
         }
 
         /// <summary>
-        /// Restart the schedule timer (useful for debugging timer issues)
+        /// Get the recent refreshes of one list with the items each refresh added and removed, and the full error of failed ones
         /// </summary>
-        [HttpPost("Timer/Restart")]
+        /// <param name="id">The list ID.</param>
+        [HttpGet("Status/History/{id}")]
         [ProducesResponseType(StatusCodes.Status200OK)]
+        [ProducesResponseType(StatusCodes.Status404NotFound)]
         [ProducesResponseType(StatusCodes.Status500InternalServerError)]
-        public IActionResult RestartScheduleTimer()
+        public IActionResult GetListRefreshHistory([FromRoute, Required] string id)
         {
             try
             {
-                var autoRefreshService = AutoRefreshService.Instance;
-                if (autoRefreshService == null)
+                var refreshes = _refreshStatusService.GetListRefreshHistory(id);
+                if (refreshes.Count == 0)
                 {
-                    return StatusCode(StatusCodes.Status500InternalServerError, "AutoRefreshService is not available");
+                    return NotFound("No refreshes of this list have been recorded since the server started");
                 }
 
-                autoRefreshService.RestartScheduleTimer();
-
-                var nextCheck = autoRefreshService.GetNextScheduledCheckTime();
-                var isRunning = autoRefreshService.IsScheduleTimerRunning();
-
+                var latest = refreshes[0];
                 return Ok(new
                 {
-                    message = "Schedule timer restarted successfully",
-                    isRunning = isRunning,
-                    nextScheduledCheck = nextCheck?.ToString("o"),
+                    listId = latest.ListId,
+                    listName = latest.ListName,
+                    listType = latest.ListType.ToString(),
+                    refreshes = refreshes.Select(h => new
+                    {
+                        triggerType = h.TriggerType.ToString(),
+                        startTime = h.StartTime.ToString("o"),
+                        endTime = h.EndTime?.ToString("o"),
+                        duration = h.Duration.TotalSeconds,
+                        success = h.Success,
+                        errorMessage = h.ErrorMessage,
+                        errorType = h.ErrorType,
+                        errorDetails = h.ErrorDetails,
+                        ruleErrors = h.RuleErrors,
+                        addedCount = h.AddedCount,
+                        removedCount = h.RemovedCount,
+                        added = h.AddedItemIds.Select(DescribeChangedItem).ToList(),
+                        removed = h.RemovedItemIds.Select(DescribeChangedItem).ToList(),
+                        profile = ToRefreshProfileResult(h.Profile)
+                    }).ToList()
                 });
             }
             catch (Exception ex)
             {
-                logger.LogError(ex, "Error restarting schedule timer");
-                return StatusCode(StatusCodes.Status500InternalServerError, "Error restarting schedule timer");
+                logger.LogError(ex, "Error getting refresh history for list {ListId}", id);
+                return StatusCode(StatusCodes.Status500InternalServerError, "Error getting refresh history");
             }
         }
 
+        private static object? ToRefreshProfileResult(RefreshProfile? profile)
+        {
+            if (profile == null)
+            {
+                return null;
+            }
+
+            return new
+            {
+                totalMilliseconds = profile.TotalMilliseconds,
+                itemsEvaluated = profile.ItemsEvaluated,
+                itemsMatched = profile.ItemsMatched,
+                phases = profile.Phases.Select(p => new { phase = p.Phase.ToString(), milliseconds = p.Milliseconds }).ToList(),
+                rules = profile.Rules.Select(r => new
+                {
+                    location = r.Location,
+                    rule = r.Rule,
+                    needsItemData = r.NeedsItemData,
+                    evaluations = r.Evaluations,
+                    matches = r.Matches,
+                    totalMilliseconds = r.TotalMilliseconds,
+                    averageMicroseconds = r.AverageMicroseconds
+                }).ToList(),
+                suggestions = profile.Suggestions
+            };
+        }
+
+        // Items removed from a list may since have been deleted from the library, so those are reported by ID only
+        private object DescribeChangedItem(Guid itemId)
+        {
+            var item = _libraryManager.GetItemById(itemId);
+            return item != null ? ToPreviewItem(item) : new { id = itemId.ToString("N") };
+        }
+
         /// <summary>
-        /// Get schedule timer status
+        /// Get ongoing refresh operations
         /// </summary>
-        [HttpGet("Timer/Status")]
+        [HttpGet("Status/Ongoing")]
         [ProducesResponseType(StatusCodes.Status200OK)]
         [ProducesResponseType(StatusCodes.Status500InternalServerError)]
-        public IActionResult GetScheduleTimerStatus()
+        public IActionResult GetOngoingOperations()
         {
             try
             {
-                var autoRefreshService = AutoRefreshService.Instance;
-                if (autoRefreshService == null)
+                var ongoing = _refreshStatusService.GetOngoingOperations().Select(ToOngoingOperationResult).ToList();
+
+                return Ok(ongoing);
+            }
+            catch (Exception ex)
+            {
+                logger.LogError(ex, "Error getting ongoing operations");
+                return StatusCode(StatusCodes.Status500InternalServerError, "Error getting ongoing operations");
+            }
+        }
+
+        private const int StatusEventBufferSize = 256;
+        private static readonly TimeSpan StatusEventKeepAliveInterval = TimeSpan.FromSeconds(15);
+
+        /// <summary>
+        /// Stream refresh status changes as Server-Sent Events until the client disconnects.
+        /// Events: queued, started, progress (at most twice a second per list) and completed.
+        /// </summary>
+        /// <param name="cancellationToken">Cancelled when the client disconnects.</param>
+        [HttpGet("Status/Events")]
+        [Produces("text/event-stream")]
+        [ProducesResponseType(StatusCodes.Status200OK)]
+        public async Task GetStatusEvents(CancellationToken cancellationToken)
+        {
+            // A client that stops reading loses its oldest messages instead of holding up refreshes
+            var channel = Channel.CreateBounded<string>(new BoundedChannelOptions(StatusEventBufferSize)
+            {
+                FullMode = BoundedChannelFullMode.DropOldest,
+                SingleReader = true
+            });
+
+            void OnStatusChanged(object? sender, RefreshStatusChangedEventArgs e)
+            {
+                channel.Writer.TryWrite(FormatStatusEvent(e));
+            }
+
+            Response.Headers.ContentType = "text/event-stream";
+            Response.Headers.CacheControl = "no-cache";
+            Response.Headers["X-Accel-Buffering"] = "no";
+            HttpContext.Features.Get<IHttpResponseBodyFeature>()?.DisableBuffering();
+
+            _refreshStatusService.StatusChanged += OnStatusChanged;
+
+            // Comments keep proxies from closing the connection while no refreshes run
+            using var keepAliveTimer = new Timer(_ => channel.Writer.TryWrite(": keep-alive\n\n"), null, StatusEventKeepAliveInterval, StatusEventKeepAliveInterval);
+            try
+            {
+                await Response.WriteAsync("retry: 5000\n\n", cancellationToken).ConfigureAwait(false);
+                await Response.Body.FlushAsync(cancellationToken).ConfigureAwait(false);
+
+                await foreach (var message in channel.Reader.ReadAllAsync(cancellationToken).ConfigureAwait(false))
                 {
-                    return StatusCode(StatusCodes.Status500InternalServerError, "AutoRefreshService is not available");
+                    await Response.WriteAsync(message, cancellationToken).ConfigureAwait(false);
+                    await Response.Body.FlushAsync(cancellationToken).ConfigureAwait(false);
                 }
+            }
+            catch (OperationCanceledException)
+            {
+                // The client disconnected
+            }
+            finally
+            {
+                _refreshStatusService.StatusChanged -= OnStatusChanged;
+            }
+        }
 
-                var isRunning = autoRefreshService.IsScheduleTimerRunning();
-                var nextCheck = autoRefreshService.GetNextScheduledCheckTime();
+        private static string FormatStatusEvent(RefreshStatusChangedEventArgs e)
+        {
+            var data = new
+            {
+                listId = e.ListId,
+                listName = e.ListName,
+                queuedCount = e.QueuedCount,
+                operation = e.Operation != null ? ToOngoingOperationResult(e.Operation) : null,
+                refresh = e.HistoryEntry != null ? ToRefreshHistoryResult(e.HistoryEntry) : null
+            };
+
+            return $"event: {e.EventType.ToString().ToLowerInvariant()}\ndata: {JsonSerializer.Serialize(data)}\n\n";
+        }
+
+        /// <summary>
+        /// Get the refresh queue: the operations waiting in it, in order, and the one being processed
+        /// </summary>
+        [HttpGet("Status/Queue")]
+        [ProducesResponseType(StatusCodes.Status200OK)]
+        [ProducesResponseType(StatusCodes.Status500InternalServerError)]
+        public IActionResult GetRefreshQueue()
+        {
+            try
+            {
+                var current = _refreshQueueService.GetCurrentlyProcessing();
+                var items = _refreshQueueService.GetQueuedItems().Select((item, index) => new
+                {
+                    position = index + 1,
+                    listId = item.ListId,
+                    listName = item.ListName,
+                    listType = item.ListType.ToString(),
+                    triggerType = item.TriggerType.ToString(),
+                    operationType = item.OperationType.ToString(),
+                    queuedAt = item.QueuedAt.ToString("o")
+                }).ToList();
 
                 return Ok(new
                 {
-                    isRunning = isRunning,
-                    nextScheduledCheck = nextCheck?.ToString("o"),
-                    currentTime = DateTime.Now.ToString("o"),
+                    paused = _refreshQueueService.IsPaused,
+                    current = current == null ? null : new
+                    {
+                        listId = current.ListId,
+                        listName = current.ListName,
+                        listType = current.ListType.ToString(),
+                        triggerType = current.TriggerType.ToString(),
+                        operationType = current.OperationType.ToString()
+                    },
+                    items
                 });
             }
             catch (Exception ex)
             {
-                logger.LogError(ex, "Error getting schedule timer status");
-                return StatusCode(StatusCodes.Status500InternalServerError, "Error getting schedule timer status");
+                logger.LogError(ex, "Error getting refresh queue");
+                return StatusCode(StatusCodes.Status500InternalServerError, "Error getting refresh queue");
             }
         }
 
         /// <summary>
-        /// Get refresh status including ongoing operations, history, and statistics
+        /// Cancel a list's queued or running refresh. A running refresh stops before it updates the list,
+        /// or finishes if it is already updating it.
         /// </summary>
-        [HttpGet("Status")]
+        /// <param name="id">The list ID.</param>
+        [HttpPost("Status/Queue/{id}/Cancel")]
+        [ProducesResponseType(StatusCodes.Status200OK)]
+        [ProducesResponseType(StatusCodes.Status404NotFound)]
+        public IActionResult CancelQueuedRefresh([FromRoute, Required] string id)
+        {
+            if (!_refreshQueueService.CancelOperation(id))
+            {
+                return NotFound("The list is not queued or being refreshed");
+            }
+
+            return Ok(new { message = "Refresh cancelled" });
+        }
+
+        /// <summary>
+        /// Move a queued list to the front of the refresh queue
+        /// </summary>
+        /// <param name="id">The list ID.</param>
+        [HttpPost("Status/Queue/{id}/MoveToFront")]
+        [ProducesResponseType(StatusCodes.Status200OK)]
+        [ProducesResponseType(StatusCodes.Status404NotFound)]
+        public IActionResult MoveQueuedRefreshToFront([FromRoute, Required] string id)
+        {
+            if (!_refreshQueueService.MoveToFront(id))
+            {
+                return NotFound("The list is not queued");
+            }
+
+            return Ok(new { message = "Moved to the front of the queue" });
+        }
+
+        /// <summary>
+        /// Pause the refresh queue. The running refresh finishes, but no new ones start until the queue is resumed.
+        /// The queue is always running again after a server restart.
+        /// </summary>
+        [HttpPost("Status/Queue/Pause")]
+        [ProducesResponseType(StatusCodes.Status200OK)]
+        public IActionResult PauseRefreshQueue()
+        {
+            _refreshQueueService.Pause();
+            return Ok(new { message = "Refresh queue paused", paused = true });
+        }
+
+        /// <summary>
+        /// Resume a paused refresh queue
+        /// </summary>
+        [HttpPost("Status/Queue/Resume")]
         [ProducesResponseType(StatusCodes.Status200OK)]
+        public IActionResult ResumeRefreshQueue()
+        {
+            _refreshQueueService.Resume();
+            return Ok(new { message = "Refresh queue resumed", paused = false });
+        }
+
+        /// <summary>
+        /// Get the scheduled refreshes of all enabled lists for the coming days, as the schedule timer will start them.
+        /// </summary>
+        /// <param name="days">Number of days to look ahead (1-31).</param>
+        [HttpGet("Status/Schedule")]
+        [ProducesResponseType(StatusCodes.Status200OK)]
+        [ProducesResponseType(StatusCodes.Status400BadRequest)]
         [ProducesResponseType(StatusCodes.Status500InternalServerError)]
-        public IActionResult GetRefreshStatus()
+        public async Task<IActionResult> GetUpcomingScheduledRuns([FromQuery] int days = 7)
         {
+            if (days < 1 || days > 31)
+            {
+                return BadRequest(new ProblemDetails
+                {
+                    Title = "Validation Error",
+                    Detail = "Days must be between 1 and 31",
+                    Status = StatusCodes.Status400BadRequest
+                });
+            }
+
             try
             {
-                if (_refreshStatusService == null)
+                var autoRefreshService = AutoRefreshService.Instance;
+                if (autoRefreshService == null)
                 {
-                    logger.LogWarning("RefreshStatusService is null in GetRefreshStatus");
-                    return StatusCode(StatusCodes.Status500InternalServerError, "RefreshStatusService is not available");
+                    return StatusCode(StatusCodes.Status500InternalServerError, "AutoRefreshService is not available");
                 }
 
-                var ongoing = _refreshStatusService.GetOngoingOperations().Select(op => new
-                {
-                    listId = op.ListId,
-                    listName = op.ListName,
-                    listType = op.ListType.ToString(),
-                    triggerType = op.TriggerType.ToString(),
-                    startTime = op.StartTime.ToString("o"),
-                    totalItems = op.TotalItems,
-                    processedItems = op.ProcessedItems,
-                    estimatedTimeRemaining = op.EstimatedTimeRemaining?.TotalSeconds,
-                    elapsedTime = op.ElapsedTime.TotalSeconds,
-                    errorMessage = op.ErrorMessage,
-                    batchCurrentIndex = op.BatchCurrentIndex,
-                    batchTotalCount = op.BatchTotalCount
-                }).ToList();
-
-                var history = _refreshStatusService.GetRefreshHistory().Select(h => new
-                {
-                    listId = h.ListId,
-                    listName = h.ListName,
-                    listType = h.ListType.ToString(),
-                    triggerType = h.TriggerType.ToString(),
-                    startTime = h.StartTime.ToString("o"),
-                    endTime = h.EndTime?.ToString("o"),
-                    duration = h.Duration.TotalSeconds,
-                    success = h.Success,
-                    errorMessage = h.ErrorMessage
-                }).ToList();
-
-                var statistics = _refreshStatusService.GetStatistics();
+                var from = DateTime.UtcNow;
+                var to = from.AddDays(days);
+                var runs = await autoRefreshService.GetUpcomingScheduledRunsAsync(from, to).ConfigureAwait(false);
 
                 return Ok(new
                 {
-                    ongoingOperations = ongoing,
-                    history = history,
-                    statistics = new
+                    from = from.ToString("o"),
+                    to = to.ToString("o"),
+                    timerRunning = autoRefreshService.IsScheduleTimerRunning(),
+                    runs = runs.Select(run => new
                     {
-                        totalLists = statistics.TotalLists,
-                        ongoingOperationsCount = statistics.OngoingOperationsCount,
-                        queuedOperationsCount = statistics.QueuedOperationsCount,
-                        lastRefreshTime = statistics.LastRefreshTime?.ToString("o"),
-                        averageRefreshDuration = statistics.AverageRefreshDuration?.TotalSeconds,
-                        successfulRefreshes = statistics.SuccessfulRefreshes,
-                        failedRefreshes = statistics.FailedRefreshes
-                    }
+                        listId = run.ListId,
+                        listName = run.ListName,
+                        listType = run.ListType.ToString(),
+                        time = run.Time.ToString("o"),
+                        triggers = run.Triggers.Select(trigger => trigger.ToString()).ToList()
+                    }).ToList()
                 });
             }
             catch (Exception ex)
             {
-                logger.LogError(ex, "Error getting refresh status");
-                return StatusCode(StatusCodes.Status500InternalServerError, "Error getting refresh status");
+                logger.LogError(ex, "Error getting upcoming scheduled refreshes");
+                return StatusCode(StatusCodes.Status500InternalServerError, "Error getting upcoming scheduled refreshes");
             }
         }
 
         /// <summary>
-        /// Get refresh history (last refresh per list)
+        /// Preview a schedule being edited: whether it is valid and the next five times it will refresh the list.
+        /// An invalid schedule is reported in the response rather than as an error, so the editor can show it inline.
         /// </summary>
-        [HttpGet("Status/History")]
+        /// <param name="schedule">The schedule to preview.</param>
+        [HttpPost("schedules/preview")]
         [ProducesResponseType(StatusCodes.Status200OK)]
+        [ProducesResponseType(StatusCodes.Status400BadRequest)]
         [ProducesResponseType(StatusCodes.Status500InternalServerError)]
-        public IActionResult GetRefreshHistory()
+        public IActionResult PreviewSchedule([FromBody] Schedule? schedule)
         {
+            if (schedule == null)
+            {
+                return BadRequest(new ProblemDetails
+                {
+                    Title = "Validation Error",
+                    Detail = "A schedule is required",
+                    Status = StatusCodes.Status400BadRequest
+                });
+            }
+
             try
             {
-                var history = _refreshStatusService.GetRefreshHistory().Select(h => new
-                {
-                    listId = h.ListId,
-                    listName = h.ListName,
-                    listType = h.ListType.ToString(),
-                    triggerType = h.TriggerType.ToString(),
-                    startTime = h.StartTime.ToString("o"),
-                    endTime = h.EndTime?.ToString("o"),
-                    duration = h.Duration.TotalSeconds,
-                    success = h.Success,
-                    errorMessage = h.ErrorMessage
-                }).ToList();
+                var error = GetScheduleError(schedule);
+                if (error != null)
+                {
+                    return Ok(new { valid = false, error, nextRuns = Array.Empty<string>() });
+                }
 
-                return Ok(history);
+                // A year covers every schedule type; cron expressions for Feb 29 may have no run in it
+                var nextRuns = AutoRefreshService.GetNextScheduleRuns(schedule, DateTime.UtcNow, 5, TimeSpan.FromDays(366));
+                return Ok(new
+                {
+                    valid = true,
+                    error = (string?)null,
+                    nextRuns = nextRuns.Select(run => run.ToString("o")).ToList()
+                });
             }
             catch (Exception ex)
             {
-                logger.LogError(ex, "Error getting refresh history");
-                return StatusCode(StatusCodes.Status500InternalServerError, "Error getting refresh history");
+                logger.LogError(ex, "Error previewing schedule");
+                return StatusCode(StatusCodes.Status500InternalServerError, "Error previewing schedule");
             }
         }
 
         /// <summary>
-        /// Get ongoing refresh operations
+        /// Send a made-up refresh event to a webhook being edited, with its payload template filled in.
+        /// A webhook that can't be reached or answers with an error is reported in the response rather than as an error.
         /// </summary>
-        [HttpGet("Status/Ongoing")]
+        /// <param name="request">The webhook URL, payload template and event to send.</param>
+        /// <returns>Whether the webhook accepted the payload, its HTTP status, and the payload that was sent.</returns>
+        [HttpPost("webhooks/test")]
         [ProducesResponseType(StatusCodes.Status200OK)]
+        [ProducesResponseType(StatusCodes.Status400BadRequest)]
         [ProducesResponseType(StatusCodes.Status500InternalServerError)]
-        public IActionResult GetOngoingOperations()
+        public async Task<IActionResult> TestWebhook([FromBody] WebhookTestRequest? request)
         {
-            try
+            var urlError = WebhookNotificationService.ValidateUrl(request?.Url);
+            if (request == null || urlError != null)
             {
-                var ongoing = _refreshStatusService.GetOngoingOperations().Select(op => new
-                {
-                    listId = op.ListId,
-                    listName = op.ListName,
-                    listType = op.ListType.ToString(),
-                    triggerType = op.TriggerType.ToString(),
-                    startTime = op.StartTime.ToString("o"),
-                    totalItems = op.TotalItems,
-                    processedItems = op.ProcessedItems,
-                    estimatedTimeRemaining = op.EstimatedTimeRemaining?.TotalSeconds,
-                    elapsedTime = op.ElapsedTime.TotalSeconds,
-                    errorMessage = op.ErrorMessage,
-                    batchCurrentIndex = op.BatchCurrentIndex,
-                    batchTotalCount = op.BatchTotalCount
-                }).ToList();
+                return BadRequest(new ProblemDetails
+                {
+                    Title = "Validation Error",
+                    Detail = urlError ?? "A webhook is required",
+                    Status = StatusCodes.Status400BadRequest
+                });
+            }
 
-                return Ok(ongoing);
+            var sample = WebhookNotificationService.CreateSampleEntry(request.EventType);
+            var payload = WebhookNotificationService.RenderPayload(request.PayloadTemplate, request.EventType, sample);
+            var payloadError = WebhookNotificationService.ValidatePayload(payload);
+            if (payloadError != null)
+            {
+                return BadRequest(new ProblemDetails
+                {
+                    Title = "Validation Error",
+                    Detail = payloadError,
+                    Status = StatusCodes.Status400BadRequest
+                });
+            }
+
+            try
+            {
+                var result = await _webhookNotificationService.SendAsync(request.Url!, payload, HttpContext.RequestAborted);
+                return Ok(new { success = result.Success, statusCode = result.StatusCode, message = result.Message, payload });
             }
             catch (Exception ex)
             {
-                logger.LogError(ex, "Error getting ongoing operations");
-                return StatusCode(StatusCodes.Status500InternalServerError, "Error getting ongoing operations");
+                logger.LogError(ex, "Error sending test webhook");
+                return StatusCode(StatusCodes.Status500InternalServerError, "Error sending test webhook");
             }
         }
 
@@ -0,0 +1,41 @@
+using System.Collections.Generic;
+using Jellyfin.Plugin.SmartLists.Core.Enums;
+
+namespace Jellyfin.Plugin.SmartLists.Configuration
+{
+    /// <summary>
+    /// A URL that list refresh events are posted to as JSON.
+    /// </summary>
+    public class NotificationWebhook
+    {
+        /// <summary>
+        /// Gets or sets the webhook ID.
+        /// </summary>
+        public string Id { get; set; } = string.Empty;
+
+        /// <summary>
+        /// Gets or sets the name shown in the Notifications settings and the logs.
+        /// </summary>
+        public string Name { get; set; } = string.Empty;
+
+        /// <summary>
+        /// Gets or sets the http or https URL the payload is posted to.
+        /// </summary>
+        public string Url { get; set; } = string.Empty;
+
+        /// <summary>
+        /// Gets or sets whether the webhook is sent. Disabled webhooks keep their settings.
+        /// </summary>
+        public bool Enabled { get; set; } = true;
+
+        /// <summary>
+        /// Gets or sets the events the webhook is sent for.
+        /// </summary>
+        public List<WebhookEventType> Events { get; set; } = [];
+
+        /// <summary>
+        /// Gets or sets the JSON payload with {{placeholder}} values, or empty for the default payload.
+        /// </summary>
+        public string PayloadTemplate { get; set; } = string.Empty;
+    }
+}
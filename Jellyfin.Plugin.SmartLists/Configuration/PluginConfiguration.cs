@@ -1,4 +1,5 @@
 using System;
+using System.Collections.Generic;
 using Jellyfin.Plugin.SmartLists.Core.Enums;
 using MediaBrowser.Model.Plugins;
 
@@ -84,6 +85,17 @@ namespace Jellyfin.Plugin.SmartLists.Configuration
         public TimeSpan DefaultScheduleInterval { get; set; } = TimeSpan.FromMinutes(15); // 15 minutes default
 
 
+        /// <summary>
+        /// Gets or sets the custom rule templates saved from existing lists.
+        /// </summary>
+        public List<RuleTemplate> RuleTemplates { get; set; } = [];
+
+        /// <summary>
+        /// Gets or sets the webhooks that are sent when lists are refreshed.
+        /// </summary>
+        public List<NotificationWebhook> Webhooks { get; set; } = [];
+
+
         private int _processingBatchSize = 300;
 
         /// <summary>
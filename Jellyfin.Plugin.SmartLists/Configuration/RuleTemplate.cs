@@ -0,0 +1,25 @@
+namespace Jellyfin.Plugin.SmartLists.Configuration
+{
+    /// <summary>
+    /// A named set of rules and sorts that can be inserted into the Create form.
+    /// </summary>
+    public class RuleTemplate
+    {
+        /// <summary>
+        /// Gets or sets the template ID.
+        /// </summary>
+        public string Id { get; set; } = string.Empty;
+
+        /// <summary>
+        /// Gets or sets the name shown in the Templates menu.
+        /// </summary>
+        public string Name { get; set; } = string.Empty;
+
+        /// <summary>
+        /// Gets or sets the template content as JSON: MediaTypes, ExpressionSets, ExclusionSets and Order,
+        /// in the same format as a smart list file.
+        /// Stored as JSON because rule expressions can't be written to the XML configuration file directly.
+        /// </summary>
+        public string Definition { get; set; } = string.Empty;
+    }
+}
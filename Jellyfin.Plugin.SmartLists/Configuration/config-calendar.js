@@ -0,0 +1,248 @@
+(function (SmartLists) {
+    'use strict';
+
+    // ===== SCHEDULE CALENDAR =====
+    // Upcoming scheduled refreshes on the Status tab. The server replays the schedule timer's 15-minute checks,
+    // so every run shown here is one the timer will start. Checks where several lists refresh together are
+    // highlighted, since those are the moments worth spreading out.
+
+    // Number of lists refreshing at the same check that makes it a busy check
+    const BUSY_SLOT_THRESHOLD = 3;
+    const SLOTS_PER_DAY = 96;
+    const BUSY_COLOR = '#ff9800';
+
+    function formatSlotTime(date) {
+        return SmartLists.formatTimeForUser(date.getHours(), date.getMinutes());
+    }
+
+    function formatDay(date) {
+        try {
+            return date.toLocaleDateString(undefined, { weekday: 'short', month: 'short', day: 'numeric' });
+        } catch (e) {
+            return date.toDateString();
+        }
+    }
+
+    function isIntervalOnly(run) {
+        return run.triggers.length === 1 && run.triggers[0] === 'Interval';
+    }
+
+    // Runs are grouped into checks (slots), and the slots into local days
+    function groupRuns(runs) {
+        const days = [];
+        const dayByKey = {};
+        let currentSlot = null;
+
+        runs.forEach(function (run) {
+            if (!currentSlot || currentSlot.key !== run.time) {
+                const date = new Date(run.time);
+                const dayKey = date.toDateString();
+                let day = dayByKey[dayKey];
+                if (!day) {
+                    day = { date: date, slots: [], runCount: 0 };
+                    dayByKey[dayKey] = day;
+                    days.push(day);
+                }
+                currentSlot = { key: run.time, date: date, runs: [] };
+                day.slots.push(currentSlot);
+            }
+            currentSlot.runs.push(run);
+            dayByKey[currentSlot.date.toDateString()].runCount += 1;
+        });
+        return days;
+    }
+
+    function describeSlot(slot) {
+        return formatSlotTime(slot.date) + ': ' + slot.runs.length + ' list' + (slot.runs.length === 1 ? '' : 's') + ' (' +
+            slot.runs.map(function (run) {
+                return run.listName;
+            }).join(', ') + ')';
+    }
+
+    // One cell per 15 minutes, shaded by how many lists refresh at that check
+    function renderDayStrip(day, maxSlotSize) {
+        const cells = new Array(SLOTS_PER_DAY);
+        day.slots.forEach(function (slot) {
+            cells[slot.date.getHours() * 4 + Math.floor(slot.date.getMinutes() / 15)] = slot;
+        });
+
+        let html = '<div aria-hidden="true" style="display: flex; gap: 1px; height: 14px; margin: 0.5em 0;">';
+        for (let i = 0; i < SLOTS_PER_DAY; i++) {
+            const slot = cells[i];
+            let background = 'rgba(255,255,255,0.05)';
+            let title = '';
+            if (slot) {
+                const isBusy = slot.runs.length >= BUSY_SLOT_THRESHOLD;
+                const strength = 0.35 + 0.65 * (slot.runs.length / maxSlotSize);
+                background = isBusy ? BUSY_COLOR : 'rgba(0, 164, 220, ' + strength.toFixed(2) + ')';
+                title = describeSlot(slot);
+            }
+            html += '<div title="' + SmartLists.escapeHtmlAttribute(title) + '" style="flex: 1; background: ' + background + ';' +
+                (i % 4 === 0 ? ' margin-left: 1px;' : '') + '"></div>';
+        }
+        return html + '</div>';
+    }
+
+    function renderSlotRow(slot) {
+        const isBusy = slot.runs.length >= BUSY_SLOT_THRESHOLD;
+        let html = '<li style="display: flex; gap: 0.75em; align-items: baseline; padding: 0.35em 0.5em; border-radius: 2px;' +
+            (isBusy ? ' background: rgba(255, 152, 0, 0.12); border-left: 3px solid ' + BUSY_COLOR + ';' : '') + '">' +
+            '<span style="min-width: 5.5em; font-variant-numeric: tabular-nums;">' + SmartLists.escapeHtml(formatSlotTime(slot.date)) + '</span>' +
+            '<span style="flex: 1;">';
+        html += slot.runs.map(function (run) {
+            const triggers = run.triggers.join(', ');
+            return '<span title="' + SmartLists.escapeHtmlAttribute(run.listType + ' - ' + triggers) + '"' +
+                (isIntervalOnly(run) ? ' style="color: #aaa;"' : '') + '>' + SmartLists.escapeHtml(run.listName) + '</span>';
+        }).join(', ');
+        html += '</span>';
+        if (isBusy) {
+            html += '<span style="color: ' + BUSY_COLOR + '; white-space: nowrap;">' + slot.runs.length + ' lists at once</span>';
+        }
+        return html + '</li>';
+    }
+
+    // Interval schedules fire at most checks, so their runs are summarized per day instead of listed per check
+    function renderIntervalSummary(day, listedSlots) {
+        const counts = {};
+        const order = [];
+        day.slots.forEach(function (slot) {
+            if (listedSlots.indexOf(slot) !== -1) return;
+            slot.runs.forEach(function (run) {
+                if (counts[run.listId] === undefined) {
+                    counts[run.listId] = { name: run.listName, count: 0 };
+                    order.push(run.listId);
+                }
+                counts[run.listId].count += 1;
+            });
+        });
+        if (order.length === 0) {
+            return '';
+        }
+        return '<p style="margin: 0.5em 0 0 0; color: #aaa;">Also on an interval: ' + order.map(function (listId) {
+            const entry = counts[listId];
+            return SmartLists.escapeHtml(entry.name) + ' (' + entry.count + '&times;)';
+        }).join(', ') + '</p>';
+    }
+
+    function renderDay(day, maxSlotSize, isOpen) {
+        // A check is listed when a non-interval schedule fires or the check is busy
+        const listedSlots = day.slots.filter(function (slot) {
+            return slot.runs.length >= BUSY_SLOT_THRESHOLD || slot.runs.some(function (run) {
+                return !isIntervalOnly(run);
+            });
+        });
+        const busyCount = day.slots.filter(function (slot) {
+            return slot.runs.length >= BUSY_SLOT_THRESHOLD;
+        }).length;
+
+        let html = '<details class="schedule-calendar-day"' + (isOpen ? ' open' : '') + ' style="padding: 0.5em 0; border-bottom: 1px solid rgba(255,255,255,0.05);">' +
+            '<summary style="cursor: pointer;"><strong>' + SmartLists.escapeHtml(formatDay(day.date)) + '</strong> ' +
+            '<span style="color: #aaa;">' + day.runCount + ' refresh' + (day.runCount === 1 ? '' : 'es') + '</span>' +
+            (busyCount > 0 ? ' <span style="color: ' + BUSY_COLOR + ';">&middot; ' + busyCount + ' busy check' + (busyCount === 1 ? '' : 's') + '</span>' : '') +
+            '</summary>';
+        html += renderDayStrip(day, maxSlotSize);
+        if (listedSlots.length > 0) {
+            html += '<ul style="list-style: none; margin: 0; padding: 0;">' + listedSlots.map(renderSlotRow).join('') + '</ul>';
+        }
+        html += renderIntervalSummary(day, listedSlots);
+        return html + '</details>';
+    }
+
+    function renderScheduleCalendar(container, data, days) {
+        const runs = data.runs || [];
+        let html = '';
+        if (data.timerRunning === false) {
+            html += '<p style="color: #ff6b6b; margin: 0 0 1em 0;">The schedule timer isn\'t running, so none of these refreshes will start until the server is restarted.</p>';
+        }
+        if (runs.length === 0) {
+            container.innerHTML = html + '<p style="color: #aaa; margin: 0;">No enabled list has a schedule that runs in the next ' + days + ' days.</p>';
+            return;
+        }
+
+        const calendarDays = groupRuns(runs);
+        let maxSlot = null;
+        calendarDays.forEach(function (day) {
+            day.slots.forEach(function (slot) {
+                if (!maxSlot || slot.runs.length > maxSlot.runs.length) {
+                    maxSlot = slot;
+                }
+            });
+        });
+        const listCount = runs.reduce(function (ids, run) {
+            if (ids.indexOf(run.listId) === -1) ids.push(run.listId);
+            return ids;
+        }, []).length;
+
+        html += '<p style="margin: 0 0 0.5em 0;">' + runs.length + ' scheduled refresh' + (runs.length === 1 ? '' : 'es') + ' of ' +
+            listCount + ' list' + (listCount === 1 ? '' : 's') + ' in the next ' + days + ' days. ' +
+            'Busiest check: ' + SmartLists.escapeHtml(formatDay(maxSlot.date) + ' ' + formatSlotTime(maxSlot.date)) + ' with ' +
+            maxSlot.runs.length + ' list' + (maxSlot.runs.length === 1 ? '' : 's') + '.</p>';
+        html += '<p class="fieldDescription" style="margin: 0 0 0.5em 0;">Checks with ' + BUSY_SLOT_THRESHOLD +
+            ' or more lists are <span style="color: ' + BUSY_COLOR + ';">highlighted</span>. Moving some of those schedules to another time spreads the load.</p>';
+        html += calendarDays.map(function (day, index) {
+            return renderDay(day, maxSlot.runs.length, index === 0);
+        }).join('');
+        container.innerHTML = html;
+    }
+
+    /**
+     * Load the upcoming scheduled refreshes for the range picked on the Status tab and render them.
+     */
+    SmartLists.loadScheduleCalendar = function (page) {
+        const container = page.querySelector('#schedule-calendar-container');
+        if (!container) {
+            return Promise.resolve();
+        }
+        const rangeSelect = page.querySelector('#scheduleCalendarRange');
+        const days = rangeSelect ? parseInt(rangeSelect.value, 10) || 7 : 7;
+
+        // Track the request so a slow, stale response never overwrites a newer one
+        const requestId = (container._calendarRequestId || 0) + 1;
+        container._calendarRequestId = requestId;
+        if (!container.hasChildNodes() || container._calendarDays !== days) {
+            container.innerHTML = '<p style="color: #aaa; margin: 0;">Loading scheduled refreshes...</p>';
+        }
+
+        const apiClient = SmartLists.getApiClient();
+        return apiClient.ajax({
+            type: 'GET',
+            url: apiClient.getUrl(SmartLists.ENDPOINTS.scheduleCalendar) + '?days=' + days,
+            contentType: 'application/json'
+        }).then(function (response) {
+            if (!response.ok) {
+                throw new Error('HTTP ' + response.status + ': ' + response.statusText);
+            }
+            return response.json();
+        }).then(function (data) {
+            if (container._calendarRequestId !== requestId) return;
+            container._calendarDays = days;
+            renderScheduleCalendar(container, data || {}, days);
+        }).catch(function (err) {
+            if (container._calendarRequestId !== requestId) return;
+            console.error('Error loading scheduled refreshes:', err);
+            container.innerHTML = '<p style="color: #ff6b6b; margin: 0;">Error loading scheduled refreshes: ' +
+                SmartLists.escapeHtml((err && err.message) ? err.message : 'Unknown error') + '</p>';
+        });
+    };
+
+    // ===== SCHEDULE CALENDAR LISTENERS =====
+    SmartLists.setupScheduleCalendarListeners = function (page, signal) {
+        const listenerOptions = SmartLists.getEventListenerOptions(signal);
+
+        const rangeSelect = page.querySelector('#scheduleCalendarRange');
+        if (rangeSelect) {
+            rangeSelect.addEventListener('change', function () {
+                SmartLists.loadScheduleCalendar(page);
+            }, listenerOptions);
+        }
+
+        // The Status tab's Refresh button reloads the calendar along with the rest of the tab
+        const refreshBtn = page.querySelector('#refresh-status-btn');
+        if (refreshBtn) {
+            refreshBtn.addEventListener('click', function () {
+                SmartLists.loadScheduleCalendar(page);
+            }, listenerOptions);
+        }
+    };
+
+})(window.SmartLists = window.SmartLists || {});
@@ -0,0 +1,196 @@
+(function (SmartLists) {
+    'use strict';
+
+    // ===== STATISTICS CHARTS =====
+    // Item count, playtime and refresh duration over the list's recent refreshes (StatisticsHistory, oldest first).
+    // A refresh that empties a list which had items is marked in red, since that usually means a rule stopped
+    // matching after a metadata change rather than the library actually shrinking.
+
+    const LINE_COLOR = '#00a4dc';
+    const DROP_COLOR = '#f44336';
+    const SPARKLINE_WIDTH = 80;
+    const SPARKLINE_HEIGHT = 18;
+    const CHART_WIDTH = 600;
+    const CHART_HEIGHT = 90;
+    const CHART_PADDING_LEFT = 56;
+    const CHART_PADDING_Y = 8;
+
+    function getHistory(playlist) {
+        return Array.isArray(playlist.StatisticsHistory) ? playlist.StatisticsHistory : [];
+    }
+
+    function isDropToZero(history, index) {
+        return index > 0 && history[index].ItemCount === 0 && history[index - 1].ItemCount > 0;
+    }
+
+    function formatSnapshotTime(snapshot) {
+        const date = new Date(snapshot.Time);
+        if (Number.isNaN(date.getTime())) {
+            return 'Unknown time';
+        }
+        try {
+            return date.toLocaleDateString(undefined, { month: 'short', day: 'numeric' }) + ' ' +
+                SmartLists.formatTimeForUser(date.getHours(), date.getMinutes());
+        } catch (e) {
+            return date.toLocaleString();
+        }
+    }
+
+    function formatDuration(seconds) {
+        if (seconds === null || seconds === undefined) {
+            return 'not tracked';
+        }
+        if (seconds < 60) {
+            return seconds.toFixed(1) + 's';
+        }
+        return Math.floor(seconds / 60) + 'm ' + Math.round(seconds % 60) + 's';
+    }
+
+    function describeSnapshot(snapshot) {
+        return formatSnapshotTime(snapshot) + ': ' + snapshot.ItemCount + ' item' + (snapshot.ItemCount === 1 ? '' : 's') +
+            ', ' + (SmartLists.formatRuntime(snapshot.TotalRuntimeMinutes) || 'no playtime') +
+            ', refreshed in ' + formatDuration(snapshot.DurationSeconds);
+    }
+
+    // Maps values onto the y axis of a chart, keeping flat series in the middle rather than on an edge
+    function createScale(values, top, bottom) {
+        const min = Math.min.apply(null, values);
+        const max = Math.max.apply(null, values);
+        return function (value) {
+            if (max === min) {
+                return (top + bottom) / 2;
+            }
+            return bottom - (value - min) / (max - min) * (bottom - top);
+        };
+    }
+
+    function getX(index, count, left, right) {
+        return count === 1 ? (left + right) / 2 : left + index * (right - left) / (count - 1);
+    }
+
+    /**
+     * Small item count sparkline for the card header, or an empty string if the list hasn't been refreshed twice yet.
+     */
+    SmartLists.generateStatisticsSparklineHtml = function (playlist) {
+        const history = getHistory(playlist);
+        if (history.length < 2) {
+            return '';
+        }
+
+        const scaleY = createScale(history.map(function (snapshot) { return snapshot.ItemCount; }), 2, SPARKLINE_HEIGHT - 2);
+        const points = history.map(function (snapshot, index) {
+            return getX(index, history.length, 1, SPARKLINE_WIDTH - 1).toFixed(1) + ',' + scaleY(snapshot.ItemCount).toFixed(1);
+        });
+        let dropCount = 0;
+        let dropMarkers = '';
+        history.forEach(function (snapshot, index) {
+            if (isDropToZero(history, index)) {
+                dropCount++;
+                dropMarkers += '<circle cx="' + getX(index, history.length, 1, SPARKLINE_WIDTH - 1).toFixed(1) + '" cy="' +
+                    scaleY(snapshot.ItemCount).toFixed(1) + '" r="2" fill="' + DROP_COLOR + '" />';
+            }
+        });
+
+        const title = 'Item count over the last ' + history.length + ' refreshes' +
+            (dropCount > 0 ? ' (dropped to 0 ' + dropCount + ' time' + (dropCount === 1 ? '' : 's') + ')' : '');
+        return '<svg class="playlist-sparkline" width="' + SPARKLINE_WIDTH + '" height="' + SPARKLINE_HEIGHT + '" viewBox="0 0 ' +
+            SPARKLINE_WIDTH + ' ' + SPARKLINE_HEIGHT + '" style="margin-right: 0.75em; flex-shrink: 0; align-self: center;" role="img" aria-label="' +
+            SmartLists.escapeHtmlAttribute(title) + '">' +
+            '<title>' + SmartLists.escapeHtml(title) + '</title>' +
+            '<polyline points="' + points.join(' ') + '" fill="none" stroke="' + LINE_COLOR + '" stroke-width="1.5" stroke-linejoin="round" />' +
+            dropMarkers +
+            '</svg>';
+    };
+
+    // One panel of the expanded chart: a line over the refreshes with a labelled min/max axis
+    function renderChartPanel(history, label, getValue, formatValue) {
+        const indexed = [];
+        history.forEach(function (snapshot, index) {
+            const value = getValue(snapshot);
+            if (value !== null && value !== undefined) {
+                indexed.push({ index: index, value: value, snapshot: snapshot });
+            }
+        });
+        if (indexed.length === 0) {
+            return '';
+        }
+
+        const values = indexed.map(function (entry) { return entry.value; });
+        const top = CHART_PADDING_Y;
+        const bottom = CHART_HEIGHT - CHART_PADDING_Y;
+        const left = CHART_PADDING_LEFT;
+        const right = CHART_WIDTH - 6;
+        const scaleY = createScale(values, top, bottom);
+        const min = Math.min.apply(null, values);
+        const max = Math.max.apply(null, values);
+
+        let svg = '<svg viewBox="0 0 ' + CHART_WIDTH + ' ' + CHART_HEIGHT + '" style="width: 100%; height: auto; display: block;" role="img" aria-label="' +
+            SmartLists.escapeHtmlAttribute(label + ' over the last ' + history.length + ' refreshes') + '">';
+        svg += '<line x1="' + left + '" y1="' + top + '" x2="' + right + '" y2="' + top + '" stroke="rgba(255,255,255,0.08)" />' +
+            '<line x1="' + left + '" y1="' + bottom + '" x2="' + right + '" y2="' + bottom + '" stroke="rgba(255,255,255,0.15)" />';
+        svg += '<text x="' + (left - 6) + '" y="' + (top + 4) + '" fill="#999" font-size="11" text-anchor="end">' + SmartLists.escapeHtml(formatValue(max)) + '</text>';
+        if (max !== min) {
+            svg += '<text x="' + (left - 6) + '" y="' + bottom + '" fill="#999" font-size="11" text-anchor="end">' + SmartLists.escapeHtml(formatValue(min)) + '</text>';
+        }
+
+        const points = indexed.map(function (entry) {
+            return getX(entry.index, history.length, left, right).toFixed(1) + ',' + scaleY(entry.value).toFixed(1);
+        });
+        svg += '<polyline points="' + points.join(' ') + '" fill="none" stroke="' + LINE_COLOR + '" stroke-width="2" stroke-linejoin="round" />';
+        indexed.forEach(function (entry) {
+            const isDrop = isDropToZero(history, entry.index);
+            svg += '<circle cx="' + getX(entry.index, history.length, left, right).toFixed(1) + '" cy="' + scaleY(entry.value).toFixed(1) +
+                '" r="' + (isDrop ? 4 : 2.5) + '" fill="' + (isDrop ? DROP_COLOR : LINE_COLOR) + '">' +
+                '<title>' + SmartLists.escapeHtml(describeSnapshot(entry.snapshot)) + '</title></circle>';
+        });
+        svg += '</svg>';
+
+        return '<div style="margin-bottom: 0.75em;">' +
+            '<div style="color: #ccc; font-size: 0.85em; margin-bottom: 0.25em;">' + SmartLists.escapeHtml(label) + '</div>' +
+            svg + '</div>';
+    }
+
+    /**
+     * Larger charts of item count, playtime and refresh duration for the card's expanded view,
+     * or an empty string if the list has no statistics history yet.
+     */
+    SmartLists.generateStatisticsChartHtml = function (playlist) {
+        const history = getHistory(playlist);
+        if (history.length === 0) {
+            return '';
+        }
+
+        const drops = [];
+        history.forEach(function (snapshot, index) {
+            if (isDropToZero(history, index)) {
+                drops.push(snapshot);
+            }
+        });
+
+        let html = '<div class="statistics-history" style="margin-top: 0.75em; padding: 0.75em; background: rgba(255,255,255,0.02); border-radius: 4px;">';
+        html += '<div style="display: flex; justify-content: space-between; color: #aaa; font-size: 0.85em; margin-bottom: 0.5em;">' +
+            '<span>Last ' + history.length + ' refresh' + (history.length === 1 ? '' : 'es') + '</span>' +
+            '<span>' + SmartLists.escapeHtml(formatSnapshotTime(history[0])) + ' &ndash; ' + SmartLists.escapeHtml(formatSnapshotTime(history[history.length - 1])) + '</span>' +
+            '</div>';
+        if (drops.length > 0) {
+            html += '<p style="color: ' + DROP_COLOR + '; margin: 0 0 0.5em 0; font-size: 0.9em;">Dropped to 0 items at ' +
+                drops.map(function (snapshot) { return SmartLists.escapeHtml(formatSnapshotTime(snapshot)); }).join(', ') +
+                '. Check whether a metadata change stopped a rule from matching.</p>';
+        }
+        html += renderChartPanel(history, 'Items', function (snapshot) {
+            return snapshot.ItemCount;
+        }, function (value) {
+            return String(value);
+        });
+        html += renderChartPanel(history, 'Total Playtime', function (snapshot) {
+            return snapshot.TotalRuntimeMinutes;
+        }, function (value) {
+            return SmartLists.formatRuntime(value) || '0m';
+        });
+        html += renderChartPanel(history, 'Refresh Duration', function (snapshot) {
+            return snapshot.DurationSeconds;
+        }, formatDuration);
+        return html + '</div>';
+    };
+
+})(window.SmartLists = window.SmartLists || {});
@@ -11,12 +11,22 @@
         refresh: 'Plugins/SmartLists/refresh',
         refreshDirect: 'Plugins/SmartLists/refresh-direct',
         export: 'Plugins/SmartLists/export',
-        import: 'Plugins/SmartLists/import'
+        import: 'Plugins/SmartLists/import',
+        preview: 'Plugins/SmartLists/preview',
+        previewRules: 'Plugins/SmartLists/preview/rules',
+        previewSearch: 'Plugins/SmartLists/preview/search',
+        previewExplain: 'Plugins/SmartLists/preview/explain',
+        previewRegex: 'Plugins/SmartLists/preview/regex',
+        values: 'Plugins/SmartLists/values',
+        scheduleCalendar: 'Plugins/SmartLists/Status/Schedule',
+        refreshHistory: 'Plugins/SmartLists/Status/History',
+        schedulePreview: 'Plugins/SmartLists/schedules/preview',
+        webhookTest: 'Plugins/SmartLists/webhooks/test'
     };
 
     // Field type constants to avoid duplication
     SmartLists.FIELD_TYPES = {
-        LIST_FIELDS: ['Collections', 'People', 'Actors', 'Directors', 'Writers', 'Producers', 'GuestStars', 'Genres', 'Studios', 'Tags', 'Artists', 'AlbumArtists', 'AudioLanguages'],
+        LIST_FIELDS: ['Collections', 'SmartList', 'People', 'Actors', 'Directors', 'Writers', 'Producers', 'GuestStars', 'Genres', 'Studios', 'Tags', 'Artists', 'AlbumArtists', 'AudioLanguages'],
         NUMERIC_FIELDS: ['ProductionYear', 'CommunityRating', 'CriticRating', 'RuntimeMinutes', 'PlayCount', 'Framerate', 'AudioBitrate', 'AudioSampleRate', 'AudioBitDepth', 'AudioChannels'],
         DATE_FIELDS: ['DateCreated', 'DateLastRefreshed', 'DateLastSaved', 'DateModified', 'ReleaseDate', 'LastPlayedDate'],
         BOOLEAN_FIELDS: ['IsFavorite', 'NextUnwatched'],
@@ -473,6 +483,37 @@
             alignSelf: 'center',
             marginLeft: 'auto'
         },
+        dragHandle: {
+            padding: '0.1em',
+            border: 'none',
+            background: 'transparent',
+            color: '#888',
+            cursor: 'grab',
+            lineHeight: '1',
+            width: 'auto',
+            minWidth: 'auto',
+            alignSelf: 'center',
+            flex: '0 0 auto'
+        },
+        logicGroupHandle: {
+            position: 'absolute',
+            top: '0.25em',
+            right: '0.25em'
+        },
+        dropIndicator: {
+            height: '3px',
+            margin: '0.25em 0',
+            borderRadius: '2px',
+            background: '#00a4dc'
+        },
+        ruleValidationError: {
+            margin: '-0.5em 0 1em 0',
+            padding: '0.4em 0.75em',
+            borderLeft: '3px solid #ff6b6b',
+            color: '#ff6b6b',
+            fontSize: '0.9em',
+            background: 'rgba(255, 107, 107, 0.08)'
+        },
         modal: {
             container: {
                 position: 'fixed',
@@ -504,6 +545,19 @@
             boxShadow: '0 2px 8px rgba(0, 0, 0, 0.3)',
             position: 'relative'
         },
+        ruleSubgroup: {
+            border: '1px dashed #777',
+            borderRadius: '2px',
+            padding: '0.75em 1em 0 1em',
+            marginBottom: '1em',
+            background: 'rgba(255, 255, 255, 0.03)'
+        },
+        ruleSubgroupHeader: {
+            display: 'flex',
+            gap: '0.5em',
+            alignItems: 'center',
+            marginBottom: '0.75em'
+        },
         buttons: {
             action: {
                 base: {
@@ -580,8 +634,8 @@
     };
 
     SmartLists.styleRuleActionButton = function (button, buttonType) {
-        // Map and/or buttons to shared 'action' styling
-        const styleKey = (buttonType === 'and' || buttonType === 'or') ? 'action' : buttonType;
+        // Map and/or/group buttons to shared 'action' styling
+        const styleKey = (buttonType === 'and' || buttonType === 'or' || buttonType === 'group') ? 'action' : buttonType;
         const buttonStyles = SmartLists.STYLES.buttons[styleKey];
         if (!buttonStyles) return;
 
@@ -589,9 +643,10 @@
         SmartLists.applyStyles(button, styles);
     };
 
-    SmartLists.createAndSeparator = function () {
+    SmartLists.createAndSeparator = function (label) {
         const separator = SmartLists.createStyledElement('div', 'rule-within-group-separator', SmartLists.STYLES.separators.and);
-        separator.textContent = 'AND';
+        // Nested OR groups reuse the same separator with an 'OR' label
+        separator.textContent = label || 'AND';
 
         const line = SmartLists.createStyledElement('div', '', SmartLists.STYLES.separators.andLine);
         separator.appendChild(line);
@@ -599,6 +654,17 @@
         return separator;
     };
 
+    // Drag handle for reorderable elements (see config-reorder.js). kind is 'rule', 'group' or 'sort'.
+    SmartLists.createDragHandle = function (kind, label) {
+        const handle = SmartLists.createStyledElement('button', 'drag-handle', SmartLists.STYLES.dragHandle);
+        handle.type = 'button';
+        handle.setAttribute('data-drag-kind', kind);
+        handle.setAttribute('aria-label', label + '. Drag, or press the up and down arrow keys to move.');
+        handle.title = label;
+        handle.innerHTML = '<span class="material-icons" aria-hidden="true" style="font-size: 1.2em;">drag_indicator</span>';
+        return handle;
+    };
+
     SmartLists.createOrSeparator = function () {
         const separator = SmartLists.createStyledElement('div', 'logic-group-separator', SmartLists.STYLES.separators.or);
         const orText = SmartLists.createStyledElement('div', '', SmartLists.STYLES.separators.orText);
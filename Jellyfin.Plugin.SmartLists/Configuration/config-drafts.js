@@ -0,0 +1,287 @@
+(function (SmartLists) {
+    'use strict';
+
+    // ===== UNSAVED CHANGES =====
+    // The form has unsaved changes when the DTO it collects differs from the one it collected when the list was loaded.
+    // That baseline is taken on the first interaction with the form rather than right after loading, because users,
+    // people sub-fields and form defaults are filled in asynchronously after a list is loaded.
+
+    const DRAFTS_STORAGE_KEY = 'smartListsDrafts';
+    const NEW_LIST_DRAFT_KEY = 'new';
+    const DRAFT_MAX_AGE_DAYS = 30;
+    const DRAFT_SAVE_DEBOUNCE_MS = 1000;
+
+    function collectFormState(page) {
+        return JSON.stringify(SmartLists.buildListDtoFromForm(page));
+    }
+
+    function captureBaseline(page) {
+        if (page._formBaseline === null || page._formBaseline === undefined) {
+            page._formBaseline = collectFormState(page);
+        }
+    }
+
+    /**
+     * Forget the form's baseline. Called whenever a list is loaded into the form or the form is reset or saved.
+     */
+    SmartLists.markFormClean = function (page) {
+        page._formBaseline = null;
+        if (page._draftSaveTimer) {
+            clearTimeout(page._draftSaveTimer);
+            page._draftSaveTimer = null;
+        }
+        SmartLists.hideDraftBanner(page);
+    };
+
+    SmartLists.isFormDirty = function (page) {
+        if (page._formBaseline === null || page._formBaseline === undefined) {
+            return false;
+        }
+        return collectFormState(page) !== page._formBaseline;
+    };
+
+    // Throw away the form's changes: leave edit mode or reset the new list form, and drop its draft
+    SmartLists.discardFormChanges = function (page) {
+        SmartLists.discardDraft(page);
+        if (SmartLists.getPageEditState(page).editMode) {
+            SmartLists.exitEditMode(page);
+        } else {
+            SmartLists.clearForm(page);
+        }
+    };
+
+    SmartLists.showUnsavedChangesModal = function (page, onDiscard) {
+        const modal = page.querySelector('#unsaved-changes-modal');
+        if (!modal) return;
+
+        SmartLists.cleanupModalListeners(modal);
+
+        const modalContainer = modal.querySelector('.custom-modal-container');
+        SmartLists.applyStyles(modalContainer, SmartLists.STYLES.modal.container);
+        SmartLists.applyStyles(modal, SmartLists.STYLES.modal.backdrop);
+
+        modal.classList.remove('hide');
+
+        const modalAbortController = SmartLists.createAbortController();
+        const modalSignal = modalAbortController ? modalAbortController.signal : null;
+
+        const cleanupAndClose = function () {
+            modal.classList.add('hide');
+            SmartLists.cleanupModalListeners(modal);
+        };
+
+        // Discard the changes and carry on with what the user was doing
+        const confirmBtn = modal.querySelector('.modal-confirm-btn');
+        confirmBtn.addEventListener('click', function () {
+            cleanupAndClose();
+            onDiscard();
+        }, SmartLists.getEventListenerOptions(modalSignal));
+
+        // Keep editing
+        const cancelBtn = modal.querySelector('.modal-cancel-btn');
+        cancelBtn.addEventListener('click', function () {
+            cleanupAndClose();
+        }, SmartLists.getEventListenerOptions(modalSignal));
+
+        modal.addEventListener('click', function (e) {
+            if (e.target === modal) {
+                cleanupAndClose();
+            }
+        }, SmartLists.getEventListenerOptions(modalSignal));
+
+        modal._modalAbortController = modalAbortController;
+    };
+
+    // ===== DRAFTS =====
+    // While a list has unsaved changes, the form is saved to localStorage as a draft keyed by the list's ID,
+    // or "new" for a list that hasn't been created yet. Drafts are offered for restore when the Create tab opens.
+
+    function getDraftKey(page) {
+        const editState = SmartLists.getPageEditState(page);
+        return editState.editMode && editState.editingPlaylistId ? editState.editingPlaylistId : NEW_LIST_DRAFT_KEY;
+    }
+
+    function loadDrafts() {
+        try {
+            const saved = localStorage.getItem(DRAFTS_STORAGE_KEY);
+            const drafts = saved ? JSON.parse(saved) : {};
+
+            // Drop drafts nobody came back to
+            const cutoff = Date.now() - DRAFT_MAX_AGE_DAYS * 24 * 60 * 60 * 1000;
+            Object.keys(drafts).forEach(function (key) {
+                const draft = drafts[key];
+                if (!draft || !draft.List || !(Date.parse(draft.SavedAt) >= cutoff)) {
+                    delete drafts[key];
+                }
+            });
+            return drafts;
+        } catch (err) {
+            console.warn('Failed to load list drafts:', err);
+            return {};
+        }
+    }
+
+    function storeDrafts(drafts) {
+        try {
+            if (Object.keys(drafts).length === 0) {
+                localStorage.removeItem(DRAFTS_STORAGE_KEY);
+            } else {
+                localStorage.setItem(DRAFTS_STORAGE_KEY, JSON.stringify(drafts));
+            }
+        } catch (err) {
+            console.warn('Failed to save list drafts:', err);
+        }
+    }
+
+    SmartLists.saveDraft = function (page) {
+        if (page._draftSaveTimer) {
+            clearTimeout(page._draftSaveTimer);
+            page._draftSaveTimer = null;
+        }
+
+        const drafts = loadDrafts();
+        const key = getDraftKey(page);
+        if (SmartLists.isFormDirty(page)) {
+            drafts[key] = {
+                SavedAt: new Date().toISOString(),
+                List: SmartLists.buildListDtoFromForm(page)
+            };
+        } else {
+            delete drafts[key];
+        }
+        storeDrafts(drafts);
+    };
+
+    SmartLists.scheduleDraftSave = function (page) {
+        if (page._draftSaveTimer) {
+            clearTimeout(page._draftSaveTimer);
+        }
+        page._draftSaveTimer = setTimeout(function () {
+            page._draftSaveTimer = null;
+            SmartLists.saveDraft(page);
+        }, DRAFT_SAVE_DEBOUNCE_MS);
+    };
+
+    /**
+     * Delete the draft of the list in the form (or of the given key).
+     */
+    SmartLists.discardDraft = function (page, key) {
+        if (page._draftSaveTimer) {
+            clearTimeout(page._draftSaveTimer);
+            page._draftSaveTimer = null;
+        }
+
+        const drafts = loadDrafts();
+        delete drafts[key || getDraftKey(page)];
+        storeDrafts(drafts);
+        SmartLists.hideDraftBanner(page);
+    };
+
+    /**
+     * Offer to restore the draft of the list in the form, if there is one and the form has no changes of its own.
+     */
+    SmartLists.showDraftBanner = function (page) {
+        const banner = page.querySelector('#draftRestoreBanner');
+        if (!banner) return;
+
+        const draft = loadDrafts()[getDraftKey(page)];
+        if (!draft || SmartLists.isFormDirty(page)) {
+            SmartLists.hideDraftBanner(page);
+            return;
+        }
+
+        const savedAgo = SmartLists.formatRelativeTimeFromIso(draft.SavedAt, 'earlier').toLowerCase();
+        const text = getDraftKey(page) === NEW_LIST_DRAFT_KEY
+            ? 'You have an unsaved new list' + (draft.List.Name ? ' "' + draft.List.Name + '"' : '') + ' from ' + savedAgo + '.'
+            : 'You have unsaved changes to this list from ' + savedAgo + '.';
+        banner.querySelector('#draftRestoreText').textContent = text;
+        banner.classList.remove('hide');
+    };
+
+    SmartLists.hideDraftBanner = function (page) {
+        const banner = page.querySelector('#draftRestoreBanner');
+        if (banner) {
+            banner.classList.add('hide');
+        }
+    };
+
+    SmartLists.restoreDraft = function (page) {
+        const draft = loadDrafts()[getDraftKey(page)];
+        SmartLists.hideDraftBanner(page);
+        if (!draft) {
+            SmartLists.showNotification('The draft is no longer available.', 'error');
+            return;
+        }
+
+        // The form as loaded stays the baseline, so the restored draft counts as unsaved changes
+        captureBaseline(page);
+
+        try {
+            SmartLists.populateFormFromList(page, draft.List);
+        } catch (err) {
+            console.error('Error restoring draft:', err);
+            SmartLists.showNotification('Error restoring draft: ' + err.message);
+            return;
+        }
+
+        if (SmartLists.clearListPreview) {
+            SmartLists.clearListPreview(page);
+        }
+        SmartLists.showNotification('Draft restored. Save the list to keep these changes.', 'success');
+    };
+
+    // ===== DRAFT LISTENERS =====
+    SmartLists.setupDraftListeners = function (page, signal) {
+        const restoreBtn = page.querySelector('#restoreDraftBtn');
+        if (restoreBtn) {
+            restoreBtn.addEventListener('click', function () {
+                SmartLists.restoreDraft(page);
+            }, SmartLists.getEventListenerOptions(signal));
+        }
+
+        const discardBtn = page.querySelector('#discardDraftBtn');
+        if (discardBtn) {
+            discardBtn.addEventListener('click', function () {
+                SmartLists.discardDraft(page);
+            }, SmartLists.getEventListenerOptions(signal));
+        }
+
+        const playlistForm = page.querySelector('#playlistForm');
+        if (playlistForm) {
+            // Take the baseline before the first change lands (capture phase runs before any other handler)
+            const onFirstInteraction = function () {
+                captureBaseline(page);
+            };
+            ['pointerdown', 'focusin', 'keydown'].forEach(function (eventName) {
+                playlistForm.addEventListener(eventName, onFirstInteraction,
+                    Object.assign({ capture: true }, SmartLists.getEventListenerOptions(signal)));
+            });
+
+            const onFormEdited = function (e) {
+                if (e.target && e.target.closest && (e.target.closest('#previewPanel') || e.target.closest('#draftRestoreBanner'))) {
+                    return;
+                }
+                SmartLists.scheduleDraftSave(page);
+            };
+            playlistForm.addEventListener('change', onFormEdited, SmartLists.getEventListenerOptions(signal));
+            playlistForm.addEventListener('input', onFormEdited, SmartLists.getEventListenerOptions(signal));
+            // Rules, sorts and schedules are added and removed with buttons
+            playlistForm.addEventListener('click', function (e) {
+                if (e.target && e.target.closest && e.target.closest('button')) {
+                    onFormEdited(e);
+                }
+            }, SmartLists.getEventListenerOptions(signal));
+        }
+
+        // Navigating away from Jellyfin or reloading the page
+        window.addEventListener('beforeunload', function (e) {
+            if (!SmartLists.isFormDirty(page)) {
+                return;
+            }
+            SmartLists.saveDraft(page);
+            e.preventDefault();
+            e.returnValue = '';
+        }, SmartLists.getEventListenerOptions(signal));
+    };
+
+})(window.SmartLists = window.SmartLists || {});
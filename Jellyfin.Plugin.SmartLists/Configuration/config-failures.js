@@ -0,0 +1,187 @@
+(function (SmartLists) {
+    'use strict';
+
+    // ===== REFRESH FAILURE ALERTS =====
+    // Lists whose latest refresh failed get a badge on their card. When the page is opened and lists have failed
+    // since the last visit, a banner names them until it's dismissed. Both link to the error in the refresh history.
+
+    const LAST_VISIT_STORAGE_KEY = 'smartListsLastVisit';
+    const MAX_FAILED_LISTS = 200;
+    const MAX_BANNER_LISTS = 5;
+
+    // Latest refresh of each list whose latest refresh failed, keyed by list ID
+    let refreshFailures = {};
+    let refreshFailuresRequestId = 0;
+
+    function getLastVisit() {
+        try {
+            const saved = localStorage.getItem(LAST_VISIT_STORAGE_KEY);
+            const time = saved ? Date.parse(saved) : NaN;
+            return Number.isNaN(time) ? null : time;
+        } catch (err) {
+            console.warn('Failed to load the last visit time:', err);
+            return null;
+        }
+    }
+
+    function storeLastVisit() {
+        try {
+            localStorage.setItem(LAST_VISIT_STORAGE_KEY, new Date().toISOString());
+        } catch (err) {
+            console.warn('Failed to save the last visit time:', err);
+        }
+    }
+
+    function describeFailure(failure) {
+        return (failure.errorType ? failure.errorType + ': ' : '') + (failure.errorMessage || 'Unknown error');
+    }
+
+    SmartLists.generateRefreshFailureBadgeHtml = function (listId) {
+        const failure = refreshFailures[listId];
+        if (!failure) {
+            return '';
+        }
+        const title = 'Last refresh failed ' + SmartLists.formatRelativeTimeFromIso(failure.endTime, '').toLowerCase() +
+            ': ' + describeFailure(failure) + '. Click to see the details.';
+        return '<span class="playlist-failure-badge" data-playlist-id="' + SmartLists.escapeHtmlAttribute(listId) + '"' +
+            ' title="' + SmartLists.escapeHtmlAttribute(title) + '"' +
+            ' style="padding: 0.2em 0.5em; margin-right: 0.75em; background: rgba(244, 67, 54, 0.15); border: 1px solid #f44336; border-radius: 3px; color: #ff6b6b; font-size: 0.8em; white-space: nowrap; flex-shrink: 0; align-self: center; cursor: pointer;">Refresh failed</span>';
+    };
+
+    // Cards are rendered before the failures load, so badges are added to (or removed from) the cards in place
+    function updateRefreshFailureBadges(page) {
+        page.querySelectorAll('.playlist-card').forEach(function (card) {
+            const existing = card.querySelector('.playlist-failure-badge');
+            if (existing) {
+                existing.remove();
+            }
+            const title = card.querySelector('.playlist-header-left h3');
+            const badgeHtml = SmartLists.generateRefreshFailureBadgeHtml(card.getAttribute('data-playlist-id'));
+            if (title && badgeHtml) {
+                title.insertAdjacentHTML('afterend', badgeHtml);
+            }
+        });
+    }
+
+    /**
+     * Open the refresh history at a list's failed refresh
+     */
+    SmartLists.showRefreshFailure = function (page, listId) {
+        const failure = listId ? refreshFailures[listId] : null;
+        SmartLists.switchToTab(page, 'status');
+        if (window.SmartLists.Status && window.SmartLists.Status.showFailedRefreshes) {
+            window.SmartLists.Status.showFailedRefreshes(failure);
+        }
+    };
+
+    /**
+     * Keep a list's failure badge current when one of its refreshes completes
+     */
+    SmartLists.updateRefreshFailure = function (page, refresh) {
+        if (!refresh || !refresh.listId) {
+            return;
+        }
+        if (refresh.success) {
+            delete refreshFailures[refresh.listId];
+        } else {
+            refreshFailures[refresh.listId] = refresh;
+        }
+        if (page) {
+            updateRefreshFailureBadges(page);
+        }
+    };
+
+    function renderRefreshFailuresBanner(page, failures) {
+        const banner = page.querySelector('#refresh-failures-banner');
+        if (!banner) {
+            return;
+        }
+        if (failures.length === 0) {
+            banner.style.display = 'none';
+            banner.innerHTML = '';
+            return;
+        }
+
+        let html = '<div style="display: flex; align-items: flex-start; justify-content: space-between; gap: 1em; padding: 0.75em 1em; margin: 0.5em 0 1em 0; border-left: 4px solid #f44336; background: rgba(244, 67, 54, 0.12); border-radius: 2px;">' +
+            '<div style="min-width: 0;">' +
+            '<strong>' + failures.length + ' list' + (failures.length === 1 ? '' : 's') + ' failed to refresh since your last visit</strong>' +
+            '<ul style="margin: 0.5em 0 0 0; padding-left: 1.25em;">';
+        failures.slice(0, MAX_BANNER_LISTS).forEach(function (failure) {
+            html += '<li style="margin-bottom: 0.25em;">' +
+                '<a href="#" class="refresh-failure-link" data-list-id="' + SmartLists.escapeHtmlAttribute(failure.listId) + '" style="color: #00a4dc;">' + SmartLists.escapeHtml(failure.listName) + '</a>' +
+                ' <span style="color: #aaa;">' + SmartLists.escapeHtml(SmartLists.formatRelativeTimeFromIso(failure.endTime, '')) + ' - ' + SmartLists.escapeHtml(describeFailure(failure)) + '</span>' +
+                '</li>';
+        });
+        if (failures.length > MAX_BANNER_LISTS) {
+            html += '<li><a href="#" class="refresh-failure-link" style="color: #00a4dc;">and ' + (failures.length - MAX_BANNER_LISTS) + ' more</a></li>';
+        }
+        html += '</ul></div>' +
+            '<button type="button" is="emby-button" class="emby-button raised refresh-failures-dismiss" style="flex-shrink: 0;">Dismiss</button>' +
+            '</div>';
+
+        banner.innerHTML = html;
+        banner.style.display = 'block';
+
+        if (!banner._failureListenersAttached) {
+            banner.addEventListener('click', function (e) {
+                const link = e.target.closest('.refresh-failure-link');
+                if (link) {
+                    e.preventDefault();
+                    SmartLists.showRefreshFailure(page, link.getAttribute('data-list-id'));
+                    return;
+                }
+                if (e.target.closest('.refresh-failures-dismiss')) {
+                    banner.style.display = 'none';
+                    banner.innerHTML = '';
+                }
+            });
+            banner._failureListenersAttached = true;
+        }
+    }
+
+    /**
+     * Load the lists whose latest refresh failed and badge their cards. On page load (showBanner), also show
+     * the lists that failed since the last visit and remember this visit.
+     */
+    SmartLists.loadRefreshFailures = async function (page, showBanner) {
+        const apiClient = SmartLists.getApiClient();
+        const lastVisit = showBanner ? getLastVisit() : null;
+        if (showBanner) {
+            storeLastVisit();
+        }
+
+        // Track the request so a slow, stale response never overwrites a newer one
+        const requestId = ++refreshFailuresRequestId;
+        try {
+            const response = await apiClient.ajax({
+                type: 'GET',
+                url: apiClient.getUrl(SmartLists.ENDPOINTS.refreshHistory) + '?latestPerList=true&status=Failed&pageSize=' + MAX_FAILED_LISTS,
+                contentType: 'application/json'
+            });
+            if (!response.ok) {
+                throw new Error('HTTP ' + response.status + ': ' + response.statusText);
+            }
+            const result = await response.json();
+            if (requestId !== refreshFailuresRequestId) {
+                return;
+            }
+
+            refreshFailures = {};
+            (result.items || []).forEach(function (failure) {
+                refreshFailures[failure.listId] = failure;
+            });
+            updateRefreshFailureBadges(page);
+
+            if (showBanner) {
+                // Newest first, as returned; without a recorded visit every current failure is new
+                const newFailures = (result.items || []).filter(function (failure) {
+                    return lastVisit === null || Date.parse(failure.endTime) > lastVisit;
+                });
+                renderRefreshFailuresBanner(page, newFailures);
+            }
+        } catch (err) {
+            console.warn('SmartLists: Failed to load refresh failures:', err);
+        }
+    };
+
+})(window.SmartLists = window.SmartLists || {});
@@ -112,13 +112,14 @@
                 return true;
             }
 
-            // Search in rules (field names, operators, and values)
-            if (playlist.ExpressionSets) {
-                for (var i = 0; i < playlist.ExpressionSets.length; i++) {
-                    const expressionSet = playlist.ExpressionSets[i];
-                    if (expressionSet.Expressions) {
-                        for (var j = 0; j < expressionSet.Expressions.length; j++) {
-                            const expression = expressionSet.Expressions[j];
+            // Search in rules and exclusion rules (field names, operators, and values)
+            const ruleSets = (playlist.ExpressionSets || []).concat(playlist.ExclusionSets || []);
+            if (ruleSets.length > 0) {
+                for (var i = 0; i < ruleSets.length; i++) {
+                    const expressions = SmartLists.getAllExpressions(ruleSets[i]);
+                    if (expressions.length > 0) {
+                        for (var j = 0; j < expressions.length; j++) {
+                            const expression = expressions[j];
                             // Search in field name
                             if (expression.MemberName && expression.MemberName.toLowerCase().indexOf(searchTerm) !== -1) {
                                 return true;
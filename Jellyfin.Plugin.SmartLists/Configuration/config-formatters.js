@@ -165,7 +165,7 @@
         return options;
     };
 
-    SmartLists.generateScheduleTriggerOptions = function (defaultValue, includeNoSchedule) {
+    SmartLists.generateScheduleTriggerOptions = function (defaultValue, includeNoSchedule, includeCron) {
         var options = [];
         if (includeNoSchedule) {
             options.push({ value: '', label: 'No schedule' });
@@ -177,6 +177,10 @@
             { value: 'Yearly', label: 'Yearly' },
             { value: 'Interval', label: 'Interval' }
         );
+        // The default schedule settings have no field for an expression, so only list editors offer Cron
+        if (includeCron) {
+            options.push({ value: 'Cron', label: 'Cron' });
+        }
         // Mark the default option as selected
         for (var i = 0; i < options.length; i++) {
             options[i].selected = options[i].value === defaultValue;
@@ -459,22 +463,37 @@
             const suffix = getDayOfMonthSuffix(dayOfMonth);
             return 'Yearly on ' + monthNames[month - 1] + ' ' + dayOfMonth + suffix + ' at ' + SmartLists.formatTimeForUser(h, m);
         } else if (schedule.Trigger === 'Interval') {
-            const interval = schedule.Interval || '24:00:00';
-            if (interval === '00:15:00') return 'Every 15 minutes';
-            if (interval === '00:30:00') return 'Every 30 minutes';
-            if (interval === '01:00:00') return 'Every hour';
-            if (interval === '02:00:00') return 'Every 2 hours';
-            if (interval === '03:00:00') return 'Every 3 hours';
-            if (interval === '04:00:00') return 'Every 4 hours';
-            if (interval === '06:00:00') return 'Every 6 hours';
-            if (interval === '08:00:00') return 'Every 8 hours';
-            if (interval === '12:00:00') return 'Every 12 hours';
-            if (interval === '24:00:00' || interval === '1.00:00:00') return 'Every 24 hours';
-            return 'Every ' + interval;
+            const intervalText = formatInterval(schedule.Interval || '24:00:00');
+            if (schedule.WindowStart && schedule.WindowEnd) {
+                return intervalText + ' between ' + formatScheduleTime(schedule.WindowStart) + ' and ' + formatScheduleTime(schedule.WindowEnd);
+            }
+            return intervalText;
+        } else if (schedule.Trigger === 'Cron') {
+            return 'Cron: ' + (schedule.CronExpression || '(no expression)');
         }
         return schedule.Trigger || 'Unknown';
     };
 
+    function formatInterval(interval) {
+        if (interval === '00:15:00') return 'Every 15 minutes';
+        if (interval === '00:30:00') return 'Every 30 minutes';
+        if (interval === '01:00:00') return 'Every hour';
+        if (interval === '02:00:00') return 'Every 2 hours';
+        if (interval === '03:00:00') return 'Every 3 hours';
+        if (interval === '04:00:00') return 'Every 4 hours';
+        if (interval === '06:00:00') return 'Every 6 hours';
+        if (interval === '08:00:00') return 'Every 8 hours';
+        if (interval === '12:00:00') return 'Every 12 hours';
+        if (interval === '24:00:00' || interval === '1.00:00:00') return 'Every 24 hours';
+        return 'Every ' + interval;
+    }
+
+    // Format a "HH:mm:ss" schedule time for the user's locale
+    function formatScheduleTime(time) {
+        const parts = time.substring(0, 5).split(':');
+        return SmartLists.formatTimeForUser(parseInt(parts[0], 10) || 0, parseInt(parts[1], 10) || 0);
+    }
+
     // Format playlist display values (used in playlist cards)
     // Note: This function returns maxItemsDisplay and maxPlayTimeDisplay
     // The runtime/schedule/sort formatting is done separately in generatePlaylistCardHtml
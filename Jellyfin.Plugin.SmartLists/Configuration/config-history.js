@@ -0,0 +1,224 @@
+(function (SmartLists) {
+    'use strict';
+
+    // ===== EDITOR HISTORY =====
+    // Undo/redo for the rule, sort and schedule editors. Each entry is a JSON snapshot of what the form
+    // collects for those sections, and is restored through the same population functions as edit/clone.
+    // Other form fields (name, media types, owner...) are not part of the history.
+
+    const MAX_HISTORY_ENTRIES = 50;
+
+    function getHistory(page) {
+        if (!page._editorHistory) {
+            page._editorHistory = { undoStack: [], redoStack: [], current: null, restoring: false };
+        }
+        return page._editorHistory;
+    }
+
+    function takeSnapshot(page) {
+        const dto = SmartLists.buildListDtoFromForm(page);
+        return JSON.stringify({
+            ExpressionSets: dto.ExpressionSets,
+            ExclusionSets: dto.ExclusionSets,
+            Order: dto.Order,
+            Schedules: dto.Schedules,
+            SimilarityComparisonFields: dto.SimilarityComparisonFields || null
+        });
+    }
+
+    function updateHistoryButtons(page) {
+        const history = getHistory(page);
+        const undoBtn = page.querySelector('#undoEditBtn');
+        const redoBtn = page.querySelector('#redoEditBtn');
+        if (undoBtn) {
+            undoBtn.disabled = history.undoStack.length === 0;
+        }
+        if (redoBtn) {
+            redoBtn.disabled = history.redoStack.length === 0;
+        }
+    }
+
+    function restoreSnapshot(page, snapshot) {
+        const history = getHistory(page);
+        const state = JSON.parse(snapshot);
+
+        history.restoring = true;
+        history.current = snapshot;
+        SmartLists.populateRulesAndSorts(page, state);
+        SmartLists.loadSchedulesIntoUI(page, state);
+        updateHistoryButtons(page);
+
+        // Some rule values (people sub-fields) are set on the next tick, so re-read the form after that.
+        // The restored form then counts as the current state, and edits made from here are recorded again.
+        setTimeout(function () {
+            history.current = takeSnapshot(page);
+            history.restoring = false;
+        }, 0);
+
+        if (SmartLists.clearRuleStatistics) {
+            SmartLists.clearRuleStatistics(page);
+        }
+        if (SmartLists.schedulePreviewUpdate) {
+            SmartLists.schedulePreviewUpdate(page);
+        }
+    }
+
+    function isTextEntry(element) {
+        if (!element || !element.tagName) {
+            return false;
+        }
+        if (element.isContentEditable || element.tagName === 'TEXTAREA') {
+            return true;
+        }
+        if (element.tagName !== 'INPUT') {
+            return false;
+        }
+        const type = (element.type || 'text').toLowerCase();
+        return ['checkbox', 'radio', 'button', 'submit', 'reset'].indexOf(type) === -1;
+    }
+
+    /**
+     * Record the current rules, sorts and schedules as a new history entry if they changed since the last one.
+     * Making a new edit clears the redo stack.
+     */
+    SmartLists.recordEditorState = function (page) {
+        const history = getHistory(page);
+        if (history.restoring) {
+            return;
+        }
+
+        const snapshot = takeSnapshot(page);
+        if (history.current === null) {
+            history.current = snapshot;
+            updateHistoryButtons(page);
+            return;
+        }
+        if (snapshot === history.current) {
+            return;
+        }
+
+        history.undoStack.push(history.current);
+        if (history.undoStack.length > MAX_HISTORY_ENTRIES) {
+            history.undoStack.shift();
+        }
+        history.redoStack = [];
+        history.current = snapshot;
+        updateHistoryButtons(page);
+    };
+
+    /**
+     * Forget all history and take the form as it is once loaded as the starting point.
+     * Called whenever a different list is loaded into the form (new, edit, clone).
+     */
+    SmartLists.resetEditorHistory = function (page) {
+        const history = getHistory(page);
+        history.undoStack = [];
+        history.redoStack = [];
+        history.current = null;
+        updateHistoryButtons(page);
+
+        // Wait for rule values that are set on the next tick
+        setTimeout(function () {
+            SmartLists.recordEditorState(page);
+        }, 0);
+    };
+
+    SmartLists.undoEditorChange = function (page) {
+        const history = getHistory(page);
+        if (history.restoring || history.undoStack.length === 0) {
+            return;
+        }
+
+        // Pick up an edit that hasn't been recorded yet (e.g. a text field that still has focus)
+        SmartLists.recordEditorState(page);
+
+        history.redoStack.push(history.current);
+        restoreSnapshot(page, history.undoStack.pop());
+    };
+
+    SmartLists.redoEditorChange = function (page) {
+        const history = getHistory(page);
+        if (history.restoring || history.redoStack.length === 0) {
+            return;
+        }
+
+        history.undoStack.push(history.current);
+        restoreSnapshot(page, history.redoStack.pop());
+    };
+
+    // ===== HISTORY LISTENERS =====
+    SmartLists.setupEditorHistoryListeners = function (page, signal) {
+        const undoBtn = page.querySelector('#undoEditBtn');
+        if (undoBtn) {
+            undoBtn.addEventListener('click', function () {
+                SmartLists.undoEditorChange(page);
+            }, SmartLists.getEventListenerOptions(signal));
+        }
+
+        const redoBtn = page.querySelector('#redoEditBtn');
+        if (redoBtn) {
+            redoBtn.addEventListener('click', function () {
+                SmartLists.redoEditorChange(page);
+            }, SmartLists.getEventListenerOptions(signal));
+        }
+
+        const playlistForm = page.querySelector('#playlistForm');
+        if (playlistForm) {
+            const isHistoryTarget = function (e) {
+                return e.target && e.target.closest && !e.target.closest('#previewPanel, #undoEditBtn, #redoEditBtn');
+            };
+
+            // Text fields are recorded when they are committed (change), not on every keystroke
+            playlistForm.addEventListener('change', function (e) {
+                if (isHistoryTarget(e)) {
+                    setTimeout(function () {
+                        SmartLists.recordEditorState(page);
+                    }, 0);
+                }
+            }, SmartLists.getEventListenerOptions(signal));
+
+            // Adding or removing rules, groups, sorts and schedules happens in the page's click handler,
+            // which runs after this one, so record on the next tick
+            playlistForm.addEventListener('click', function (e) {
+                if (isHistoryTarget(e) && e.target.closest('button')) {
+                    setTimeout(function () {
+                        SmartLists.recordEditorState(page);
+                    }, 0);
+                }
+            }, SmartLists.getEventListenerOptions(signal));
+        }
+
+        // Listen on the document so the shortcuts also work when nothing in the page has focus
+        document.addEventListener('keydown', function (e) {
+            if (!(e.ctrlKey || e.metaKey) || e.altKey || !e.key) {
+                return;
+            }
+
+            const key = e.key.toLowerCase();
+            const isUndo = key === 'z' && !e.shiftKey;
+            const isRedo = key === 'y' || (key === 'z' && e.shiftKey);
+            if (!isUndo && !isRedo) {
+                return;
+            }
+
+            // Only while the list editor is showing
+            const createTab = page.querySelector('#create-tab');
+            if (!createTab || createTab.classList.contains('hide')) {
+                return;
+            }
+
+            // Text fields keep the browser's own undo for what is being typed
+            if (isTextEntry(e.target)) {
+                return;
+            }
+
+            e.preventDefault();
+            if (isUndo) {
+                SmartLists.undoEditorChange(page);
+            } else {
+                SmartLists.redoEditorChange(page);
+            }
+        }, SmartLists.getEventListenerOptions(signal));
+    };
+
+})(window.SmartLists = window.SmartLists || {});
@@ -88,6 +88,21 @@
         // Set up navigation functionality
         SmartLists.setupNavigation(page);
 
+        // Receive refresh progress and completions pushed by the server (Status tab and list cards)
+        if (window.SmartLists.Status && window.SmartLists.Status.connectStatusEvents) {
+            window.SmartLists.Status.connectStatusEvents();
+        }
+
+        // Badge lists whose last refresh failed and alert about the ones that failed since the last visit
+        if (SmartLists.loadRefreshFailures) {
+            SmartLists.loadRefreshFailures(page, true);
+        }
+
+        // Add, remove and test notification webhooks on the Settings tab
+        if (SmartLists.initNotifications) {
+            SmartLists.initNotifications(page);
+        }
+
         // Load configuration (this can run independently)
         SmartLists.loadConfiguration(page);
     };
@@ -374,6 +389,11 @@
             userSelect.value = '';
             SmartLists.setCurrentUserAsDefault(page);
         }
+
+        // Undo history starts from the default form
+        if (SmartLists.resetEditorHistory) {
+            SmartLists.resetEditorHistory(page);
+        }
     };
 
     // Fallback defaults when config fails to load
@@ -392,6 +412,10 @@
         // Reinitialize sort system with fallback defaults
         SmartLists.initializeSortSystem(page);
         SmartLists.addSortBox(page, { SortBy: 'Name', SortOrder: 'Ascending' });
+
+        if (SmartLists.resetEditorHistory) {
+            SmartLists.resetEditorHistory(page);
+        }
     };
 
     SmartLists.populateFormDefaults = function (page) {
@@ -536,6 +560,19 @@
     };
 
     SmartLists.switchToTab = function (page, tabId) {
+        // Leaving the list editor with unsaved changes asks first
+        var createTab = page.querySelector('#create-tab');
+        var isLeavingEditor = tabId !== 'create' && createTab && !createTab.classList.contains('hide');
+        if (isLeavingEditor && SmartLists.isFormDirty && SmartLists.isFormDirty(page)) {
+            SmartLists.showUnsavedChangesModal(page, function () {
+                SmartLists.discardFormChanges(page);
+                SmartLists.switchToTab(page, tabId);
+            });
+            // Back/forward navigation has already changed the hash, so point it at the editor again
+            SmartLists.updateUrl('create');
+            return;
+        }
+
         var navContainer = page.querySelector('.localnav');
         var navButtons = navContainer ? navContainer.querySelectorAll('a[data-tab]') : [];
         var tabContents = page.querySelectorAll('[data-tab-content]');
@@ -567,6 +604,9 @@
                 requestAnimationFrame(function () {
                     window.SmartLists.Status.initializeStatusPage();
                     window.SmartLists.Status.loadStatusPage();
+                    if (SmartLists.loadScheduleCalendar) {
+                        SmartLists.loadScheduleCalendar(page);
+                    }
                 });
             } else {
                 // Stop polling when leaving status tab
@@ -600,6 +640,11 @@
                     SmartLists.populateFormDefaults(page);
                 }
             }
+
+            // Offer to restore a draft of this list (or of a new list)
+            if (SmartLists.showDraftBanner) {
+                SmartLists.showDraftBanner(page);
+            }
         }
 
         // Note: Status page loading is now handled in the tab visibility update above
@@ -693,6 +738,61 @@
         // Setup playlist naming event listeners
         SmartLists.setupPlaylistNamingListeners(page, pageSignal);
 
+        // Setup rule preview panel listeners
+        if (SmartLists.setupPreviewListeners) {
+            SmartLists.setupPreviewListeners(page, pageSignal);
+        }
+
+        // Setup undo/redo for the rule, sort and schedule editors
+        if (SmartLists.setupEditorHistoryListeners) {
+            SmartLists.setupEditorHistoryListeners(page, pageSignal);
+        }
+
+        // Setup unsaved changes tracking and draft autosave
+        if (SmartLists.setupDraftListeners) {
+            SmartLists.setupDraftListeners(page, pageSignal);
+        }
+
+        // Setup drag-and-drop and keyboard reordering of rules, rule groups and sorts
+        if (SmartLists.setupReorderListeners) {
+            SmartLists.setupReorderListeners(page, pageSignal);
+        }
+
+        // Setup inline rule validation
+        if (SmartLists.setupRuleValidationListeners) {
+            SmartLists.setupRuleValidationListeners(page, pageSignal);
+        }
+
+        // Setup the rules text mode
+        if (SmartLists.setupRuleTextListeners) {
+            SmartLists.setupRuleTextListeners(page, pageSignal);
+        }
+
+        // Setup the rule linter
+        if (SmartLists.setupLintListeners) {
+            SmartLists.setupLintListeners(page, pageSignal);
+        }
+
+        // Setup the regex tester on MatchRegex rules
+        if (SmartLists.setupRegexTesterListeners) {
+            SmartLists.setupRegexTesterListeners(page, pageSignal);
+        }
+
+        // Setup value suggestions for rule values
+        if (SmartLists.setupValueSuggestionListeners) {
+            SmartLists.setupValueSuggestionListeners(page, pageSignal);
+        }
+
+        // Setup the item picker for Similar To rules
+        if (SmartLists.setupSimilarToPickerListeners) {
+            SmartLists.setupSimilarToPickerListeners(page, pageSignal);
+        }
+
+        // Setup the schedule calendar on the Status tab
+        if (SmartLists.setupScheduleCalendarListeners) {
+            SmartLists.setupScheduleCalendarListeners(page, pageSignal);
+        }
+
         // Setup list type change handler
         const listTypeSelect = page.querySelector('#listType');
         if (listTypeSelect) {
@@ -705,29 +805,50 @@
             const target = e.target;
 
             // Handle rule action buttons
+            // Buttons act on the rule row or nested group they belong to, within that item's own container
             if (target.classList.contains('and-btn')) {
-                const ruleRow = target.closest('.rule-row');
-                const logicGroup = ruleRow.closest('.logic-group');
-                if (SmartLists.addRuleToGroup) {
-                    SmartLists.addRuleToGroup(page, logicGroup);
+                const ruleItem = target.closest('.rule-row, .rule-subgroup');
+                if (ruleItem && SmartLists.addRuleToGroup) {
+                    SmartLists.addRuleToGroup(page, ruleItem.parentElement);
                 }
             }
             if (target.classList.contains('or-btn')) {
                 if (SmartLists.addNewLogicGroup) {
-                    SmartLists.addNewLogicGroup(page);
+                    SmartLists.addNewLogicGroup(page, target.closest('#rules-container, #exclusion-rules-container'));
+                }
+            }
+            if (target.classList.contains('group-btn')) {
+                const ruleItem = target.closest('.rule-row, .rule-subgroup');
+                if (ruleItem && SmartLists.addNestedGroup) {
+                    SmartLists.addNestedGroup(page, ruleItem.parentElement, 'Or');
                 }
             }
             if (target.classList.contains('delete-btn')) {
-                const ruleRow = target.closest('.rule-row');
-                if (ruleRow && SmartLists.removeRule) {
-                    SmartLists.removeRule(page, ruleRow);
+                const ruleItem = target.closest('.rule-row, .rule-subgroup');
+                if (ruleItem && SmartLists.removeRule) {
+                    SmartLists.removeRule(page, ruleItem);
                 }
             }
 
             // Handle other buttons
+            if (target.closest('#addExclusionBtn')) {
+                if (SmartLists.createInitialLogicGroup) {
+                    SmartLists.createInitialLogicGroup(page, page.querySelector('#exclusion-rules-container'));
+                }
+            }
             if (target.closest('#clearFormBtn')) {
                 if (SmartLists.clearForm) {
-                    SmartLists.clearForm(page);
+                    const clearForm = function () {
+                        if (SmartLists.discardDraft) {
+                            SmartLists.discardDraft(page);
+                        }
+                        SmartLists.clearForm(page);
+                    };
+                    if (SmartLists.isFormDirty && SmartLists.isFormDirty(page)) {
+                        SmartLists.showUnsavedChangesModal(page, clearForm);
+                    } else {
+                        clearForm();
+                    }
                 }
             }
             if (target.closest('#saveSettingsBtn')) {
@@ -771,6 +892,29 @@
                     SmartLists.clonePlaylist(page, button.getAttribute('data-playlist-id'), button.getAttribute('data-playlist-name'));
                 }
             }
+            if (target.closest('.save-template-btn')) {
+                const button = target.closest('.save-template-btn');
+                if (SmartLists.showSaveTemplateModal) {
+                    SmartLists.showSaveTemplateModal(page, button.getAttribute('data-playlist-id'), button.getAttribute('data-playlist-name'));
+                }
+            }
+            if (target.closest('#templatesMenuBtn')) {
+                if (SmartLists.toggleTemplatesMenu) {
+                    SmartLists.toggleTemplatesMenu(page);
+                }
+            } else if (!target.closest('#templatesMenu') && SmartLists.toggleTemplatesMenu) {
+                // Close the templates menu when clicking anywhere else
+                SmartLists.toggleTemplatesMenu(page, false);
+            }
+            if (target.closest('.template-insert-btn')) {
+                const button = target.closest('.template-insert-btn');
+                SmartLists.applyTemplate(page, SmartLists.findTemplate(page, button.getAttribute('data-template-id')));
+                SmartLists.toggleTemplatesMenu(page, false);
+            }
+            if (target.closest('.template-delete-btn')) {
+                const button = target.closest('.template-delete-btn');
+                SmartLists.deleteCustomTemplate(page, button.getAttribute('data-template-id'));
+            }
             if (target.closest('.refresh-playlist-btn')) {
                 const button = target.closest('.refresh-playlist-btn');
                 if (SmartLists.refreshPlaylist) {
@@ -799,7 +943,13 @@
                     SmartLists.toggleAllPlaylists(page);
                 }
             }
-            if (target.closest('.playlist-header')) {
+            if (target.closest('.playlist-failure-badge')) {
+                const badge = target.closest('.playlist-failure-badge');
+                if (SmartLists.showRefreshFailure) {
+                    SmartLists.showRefreshFailure(page, badge.getAttribute('data-playlist-id'));
+                }
+            }
+            if (target.closest('.playlist-header') && !target.closest('.playlist-failure-badge')) {
                 const playlistCard = target.closest('.playlist-card');
                 if (playlistCard && SmartLists.togglePlaylistCard) {
                     SmartLists.togglePlaylistCard(playlistCard);
@@ -1106,6 +1256,11 @@
                 defaultScheduleIntervalElement.value = config.DefaultScheduleInterval;
             }
 
+            // Load notification webhooks
+            if (SmartLists.renderWebhooks) {
+                SmartLists.renderWebhooks(page, config.Webhooks || []);
+            }
+
             // Update preview after loading configuration
             SmartLists.updatePlaylistNamePreview(page);
 
@@ -1229,6 +1384,17 @@
                 config.ProcessingBatchSize = (isNaN(parsedValue) || parsedValue <= 0) ? 300 : parsedValue;
             }
 
+            // Save notification webhooks; a webhook that can't be sent stops the save so it isn't silently broken
+            if (SmartLists.collectWebhooks) {
+                const webhookResult = SmartLists.collectWebhooks(page);
+                if (webhookResult.error) {
+                    Dashboard.hideLoadingMsg();
+                    SmartLists.showNotification(webhookResult.error, 'error');
+                    return;
+                }
+                config.Webhooks = webhookResult.webhooks;
+            }
+
             apiClient.updatePluginConfiguration(SmartLists.getPluginId(), config).then(function () {
                 Dashboard.hideLoadingMsg();
                 SmartLists.showNotification('Configuration saved successfully.', 'success');
@@ -1404,18 +1570,27 @@
             page._mediaTypeUpdateTimer = null;
         }
 
+        // Clean up preview debounce timer
+        if (page._previewUpdateTimer) {
+            clearTimeout(page._previewUpdateTimer);
+            page._previewUpdateTimer = null;
+        }
+
         // Abort media type checkbox listeners
         if (page._mediaTypeAbortController) {
             page._mediaTypeAbortController.abort();
             page._mediaTypeAbortController = null;
         }
 
-        // Stop status polling timers
+        // Stop status polling timers and the status event stream
         if (window.SmartLists && window.SmartLists.Status) {
             window.SmartLists.Status.stopPolling();
             if (window.SmartLists.Status.stopAggressivePolling) {
                 window.SmartLists.Status.stopAggressivePolling();
             }
+            if (window.SmartLists.Status.disconnectStatusEvents) {
+                window.SmartLists.Status.disconnectStatusEvents();
+            }
         }
 
         // Clean up notification timer
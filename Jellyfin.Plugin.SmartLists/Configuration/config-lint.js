@@ -0,0 +1,415 @@
+(function (SmartLists) {
+    'use strict';
+
+    // ===== RULE LINTER =====
+    // Points out logic problems in a list's rules that the server accepts but that are almost certainly mistakes:
+    // groups that can never match, duplicate rule groups, rules another rule makes redundant, a Similarity sort
+    // without a Similar To rule, and rules on fields the selected media types don't have.
+    // Works on list DTOs, so the same checks run on the list in the editor and on every saved list.
+
+    const LINT_DEBOUNCE_MS = 500;
+
+    function describe(expression) {
+        return '"' + SmartLists.formatExpressionText(expression) + '"';
+    }
+
+    function normalizeValue(value) {
+        return String(value === null || value === undefined ? '' : value).trim().toLowerCase();
+    }
+
+    // Rules on the same field only interact when they check the same user's data
+    function getFieldKey(expression) {
+        return expression.MemberName + '|' + (expression.UserId || '');
+    }
+
+    function getExpressionKey(expression) {
+        const sorted = {};
+        Object.keys(expression).sort().forEach(function (key) {
+            sorted[key] = key === 'TargetValue' ? normalizeValue(expression[key]) : expression[key];
+        });
+        return JSON.stringify(sorted);
+    }
+
+    // Order doesn't matter within a group, so the key is built from the sorted keys of its items
+    function getGroupKey(group) {
+        const items = (group.Expressions || []).map(getExpressionKey)
+            .concat((group.Groups || []).map(getGroupKey))
+            .sort();
+        return (group.Logic || 'And') + '[' + items.join(',') + ']';
+    }
+
+    function getValueSet(expression) {
+        return normalizeValue(expression.TargetValue).split(';').map(function (value) {
+            return value.trim();
+        }).filter(function (value) {
+            return value.length > 0;
+        });
+    }
+
+    function isSubset(values, otherValues) {
+        return values.every(function (value) {
+            return otherValues.indexOf(value) !== -1;
+        });
+    }
+
+    // ===== AND CONTEXTS =====
+    // A rule group's rules, plus those of nested AND groups, must all hold at once. Each nested OR group
+    // branches: its AND sub-groups are checked on their own.
+    function collectAndContexts(expressions, groups, label, contexts) {
+        const context = { label: label, expressions: [] };
+        const orGroups = [];
+        const addAnd = function (andExpressions, andGroups) {
+            context.expressions = context.expressions.concat(andExpressions || []);
+            (andGroups || []).forEach(function (group) {
+                if (group.Logic === 'Or') {
+                    orGroups.push(group);
+                } else {
+                    addAnd(group.Expressions, group.Groups);
+                }
+            });
+        };
+        addAnd(expressions, groups);
+        contexts.push(context);
+
+        const addOrBranches = function (orGroup) {
+            (orGroup.Groups || []).forEach(function (group) {
+                if (group.Logic === 'Or') {
+                    addOrBranches(group);
+                } else {
+                    collectAndContexts(group.Expressions, group.Groups, 'A nested group in ' + label.toLowerCase(), contexts);
+                }
+            });
+        };
+        orGroups.forEach(addOrBranches);
+    }
+
+    // Returns a message when the rules can't all be true at once, e.g. PlaybackStatus = Played and = Unplayed
+    function findNeverMatch(expressions) {
+        const equals = {};
+        const notEquals = {};
+        const ranges = {};
+        const fieldTypes = SmartLists.FIELD_TYPES;
+
+        for (let i = 0; i < expressions.length; i++) {
+            const expression = expressions[i];
+            const key = getFieldKey(expression);
+            const isListField = fieldTypes.LIST_FIELDS.indexOf(expression.MemberName) !== -1 || expression.MemberName === 'SimilarTo';
+
+            if (!isListField && expression.Operator === 'Equal') {
+                const value = normalizeValue(expression.TargetValue);
+                if (equals[key] && normalizeValue(equals[key].TargetValue) !== value) {
+                    return describe(equals[key]) + ' and ' + describe(expression) + ' can\'t both be true.';
+                }
+                if (notEquals[key] && normalizeValue(notEquals[key].TargetValue) === value) {
+                    return describe(notEquals[key]) + ' and ' + describe(expression) + ' can\'t both be true.';
+                }
+                equals[key] = equals[key] || expression;
+            }
+            if (!isListField && expression.Operator === 'NotEqual') {
+                if (equals[key] && normalizeValue(equals[key].TargetValue) === normalizeValue(expression.TargetValue)) {
+                    return describe(equals[key]) + ' and ' + describe(expression) + ' can\'t both be true.';
+                }
+                notEquals[key] = notEquals[key] || expression;
+            }
+
+            const bound = SmartLists.getRangeBound(expression.MemberName, expression.Operator, expression.TargetValue);
+            if (bound) {
+                const range = ranges[key] || (ranges[key] = { lower: null, upper: null });
+                const conflict = (bound.lower && SmartLists.isEmptyRange(bound.lower, range.upper) && range.upper) ||
+                    (bound.upper && SmartLists.isEmptyRange(range.lower, bound.upper) && range.lower);
+                if (conflict) {
+                    return describe(conflict.expression) + ' and ' + describe(expression) + ' leave no value that matches both.';
+                }
+                if (bound.lower && (!range.lower || bound.lower.value > range.lower.value)) {
+                    range.lower = Object.assign({ expression: expression }, bound.lower);
+                }
+                if (bound.upper && (!range.upper || bound.upper.value < range.upper.value)) {
+                    range.upper = Object.assign({ expression: expression }, bound.upper);
+                }
+            }
+        }
+        return null;
+    }
+
+    // Whether every value within `bound` is also within `other` (both lower or both upper bounds)
+    function impliesBound(bound, other, side) {
+        if (bound.value === other.value) {
+            return other.inclusive || !bound.inclusive;
+        }
+        return side === 'lower' ? bound.value > other.value : bound.value < other.value;
+    }
+
+    // Returns the rule that makes `expression` redundant, if another rule in the same AND context does
+    function findRedundantBecause(expression, expressions) {
+        const key = getFieldKey(expression);
+        const bound = SmartLists.getRangeBound(expression.MemberName, expression.Operator, expression.TargetValue);
+
+        for (let i = 0; i < expressions.length; i++) {
+            const other = expressions[i];
+            if (other === expression || getFieldKey(other) !== key) {
+                continue;
+            }
+
+            // A range rule is redundant when a stricter bound on the same side, or an Equal rule, implies it.
+            // Equal rules themselves are never reported.
+            if (bound && expression.Operator !== 'Equal') {
+                const otherBound = SmartLists.getRangeBound(other.MemberName, other.Operator, other.TargetValue);
+                const side = bound.lower ? 'lower' : 'upper';
+                if (otherBound && otherBound[side] && impliesBound(otherBound[side], bound[side], side) &&
+                    (other.Operator === 'Equal' || !impliesBound(bound[side], otherBound[side], side))) {
+                    return other;
+                }
+            }
+
+            // Containing "Star Wars" implies containing "Star"
+            if (expression.Operator === 'Contains' && other.Operator === 'Contains') {
+                const value = normalizeValue(expression.TargetValue);
+                const otherValue = normalizeValue(other.TargetValue);
+                if (value !== otherValue && otherValue.indexOf(value) !== -1) {
+                    return other;
+                }
+            }
+
+            // Being in [a, b] implies being in [a, b, c]
+            if (expression.Operator === 'IsIn' && other.Operator === 'IsIn') {
+                const values = getValueSet(expression);
+                const otherValues = getValueSet(other);
+                if (otherValues.length < values.length && isSubset(otherValues, values)) {
+                    return other;
+                }
+            }
+        }
+        return null;
+    }
+
+    function lintAndContext(context, findings) {
+        const neverMatch = findNeverMatch(context.expressions);
+        if (neverMatch) {
+            findings.push({ severity: 'warning', message: context.label + ' can never match: ' + neverMatch });
+            return;
+        }
+
+        const seen = {};
+        context.expressions.forEach(function (expression) {
+            const expressionKey = getExpressionKey(expression);
+            if (seen[expressionKey]) {
+                findings.push({ severity: 'info', message: context.label + ' has ' + describe(expression) + ' more than once.' });
+                return;
+            }
+            seen[expressionKey] = true;
+
+            const because = findRedundantBecause(expression, context.expressions);
+            if (because) {
+                findings.push({
+                    severity: 'info',
+                    message: context.label + ': ' + describe(expression) + ' is redundant, ' + describe(because) + ' already covers it.'
+                });
+            }
+        });
+    }
+
+    function lintSets(sets, label, findings) {
+        const groupKeys = [];
+        (sets || []).forEach(function (set, index) {
+            if (SmartLists.getAllExpressions(set).length === 0) {
+                return;
+            }
+            const setLabel = label + ' ' + (index + 1);
+
+            const groupKey = getGroupKey(set);
+            const duplicateOf = groupKeys.indexOf(groupKey);
+            if (duplicateOf !== -1) {
+                findings.push({ severity: 'info', message: setLabel + ' is the same as ' + label.toLowerCase() + ' ' + (duplicateOf + 1) + '.' });
+            }
+            groupKeys.push(groupKey);
+            if (duplicateOf !== -1) {
+                return;
+            }
+
+            const contexts = [];
+            collectAndContexts(set.Expressions, set.Groups, setLabel, contexts);
+            contexts.forEach(function (context) {
+                lintAndContext(context, findings);
+            });
+        });
+    }
+
+    function getEveryExpression(list) {
+        return (list.ExpressionSets || []).concat(list.ExclusionSets || []).reduce(function (expressions, set) {
+            return expressions.concat(SmartLists.getAllExpressions(set));
+        }, []);
+    }
+
+    /**
+     * Check a list DTO's rules for logic problems. Returns an array of { severity: 'warning' | 'info', message }.
+     * Warnings are rules that don't do what they look like they do; info findings are redundant rules.
+     */
+    SmartLists.lintList = function (list) {
+        const findings = [];
+        lintSets(list.ExpressionSets, 'Rule group', findings);
+        lintSets(list.ExclusionSets, 'Exclusion group', findings);
+
+        const includeExpressions = (list.ExpressionSets || []).reduce(function (expressions, set) {
+            return expressions.concat(SmartLists.getAllExpressions(set));
+        }, []);
+        const sortsBySimilarity = SmartLists.parseSortOptions(list).some(function (sort) {
+            return sort.SortBy === 'Similarity';
+        });
+        const hasSimilarTo = includeExpressions.some(function (expression) {
+            return expression.MemberName === 'SimilarTo';
+        });
+        if (sortsBySimilarity && !hasSimilarTo) {
+            findings.push({
+                severity: 'warning',
+                message: 'Sorting by Similarity needs a Similar To rule. Without one there is nothing to compare items to.'
+            });
+        }
+
+        // Fields the editor hides for these media types (see shouldShowField)
+        const mediaTypes = list.MediaTypes || [];
+        const reportedFields = [];
+        getEveryExpression(list).forEach(function (expression) {
+            const field = expression.MemberName;
+            if (reportedFields.indexOf(field) !== -1 || SmartLists.shouldShowField(field, mediaTypes)) {
+                return;
+            }
+            reportedFields.push(field);
+            findings.push({
+                severity: 'warning',
+                message: describe(expression) + ' uses a field that doesn\'t apply to the selected media types (' +
+                    mediaTypes.join(', ') + ').'
+            });
+        });
+
+        return findings;
+    };
+
+    // ===== RENDERING =====
+    function renderFindings(findings) {
+        let html = '<ul style="list-style: none; margin: 0; padding: 0;">';
+        findings.forEach(function (finding) {
+            const isWarning = finding.severity === 'warning';
+            html += '<li style="display: flex; gap: 0.5em; align-items: flex-start; margin: 0.35em 0;">' +
+                '<span class="material-icons" aria-hidden="true" style="font-size: 1.1em; color: ' + (isWarning ? '#ffb74d' : '#64b5f6') + ';">' +
+                (isWarning ? 'warning' : 'info') + '</span>' +
+                '<span><span class="sr-only" style="position: absolute; width: 1px; height: 1px; overflow: hidden; clip: rect(0 0 0 0);">' +
+                (isWarning ? 'Warning: ' : 'Note: ') + '</span>' + SmartLists.escapeHtml(finding.message) + '</span>' +
+                '</li>';
+        });
+        return html + '</ul>';
+    }
+
+    // ===== EDITOR PANEL =====
+    SmartLists.updateListLint = function (page) {
+        if (page._lintTimer) {
+            clearTimeout(page._lintTimer);
+            page._lintTimer = null;
+        }
+        const container = page.querySelector('#lint-results-container');
+        if (!container) return;
+
+        const findings = SmartLists.lintList(SmartLists.buildListDtoFromForm(page));
+        container.innerHTML = findings.length > 0
+            ? renderFindings(findings)
+            : '<p style="color: #aaa; margin: 0;">No problems found in the rules.</p>';
+    };
+
+    SmartLists.scheduleListLint = function (page) {
+        if (page._lintTimer) {
+            clearTimeout(page._lintTimer);
+        }
+        page._lintTimer = setTimeout(function () {
+            page._lintTimer = null;
+            SmartLists.updateListLint(page);
+        }, LINT_DEBOUNCE_MS);
+    };
+
+    // ===== LINT ALL LISTS =====
+    async function fetchAllLists(page) {
+        if (page._allPlaylists) {
+            return page._allPlaylists;
+        }
+        const apiClient = SmartLists.getApiClient();
+        const response = await apiClient.ajax({
+            type: 'GET',
+            url: apiClient.getUrl(SmartLists.ENDPOINTS.base),
+            contentType: 'application/json'
+        });
+        if (!response.ok) {
+            throw new Error('HTTP ' + response.status + ': ' + response.statusText);
+        }
+        const lists = await response.json();
+        return Array.isArray(lists) ? lists : [];
+    }
+
+    SmartLists.lintAllLists = async function (page) {
+        const container = page.querySelector('#lint-all-results-container');
+        if (!container) return;
+
+        container.classList.remove('hide');
+        container.innerHTML = '<p>Checking lists...</p>';
+
+        let lists;
+        try {
+            lists = await fetchAllLists(page);
+        } catch (err) {
+            console.error('Error loading lists to check:', err);
+            container.innerHTML = '<p style="color: #ff6b6b;">Failed to load lists: ' + SmartLists.escapeHtml(err.message) + '</p>';
+            return;
+        }
+
+        const results = lists.map(function (list) {
+            return { list: list, findings: SmartLists.lintList(list) };
+        }).filter(function (result) {
+            return result.findings.length > 0;
+        });
+
+        if (results.length === 0) {
+            container.innerHTML = '<p style="color: #4caf50;">No problems found in ' + lists.length + ' list' + (lists.length === 1 ? '' : 's') + '.</p>';
+            return;
+        }
+
+        let html = '<p>' + results.length + ' of ' + lists.length + ' list' + (lists.length === 1 ? '' : 's') + ' have rules worth a look.</p>';
+        results.forEach(function (result) {
+            const listId = result.list.Id || '';
+            html += '<div style="margin-top: 1em; padding-top: 0.75em; border-top: 1px solid #333;">' +
+                '<div style="display: flex; gap: 1em; align-items: center; justify-content: space-between;">' +
+                '<strong>' + SmartLists.escapeHtml(result.list.Name || 'Unnamed list') + '</strong>' +
+                '<button is="emby-button" type="button" class="emby-button raised edit-playlist-btn" data-playlist-id="' +
+                SmartLists.escapeHtmlAttribute(listId) + '" data-playlist-name="' + SmartLists.escapeHtmlAttribute(result.list.Name || '') + '">Edit</button>' +
+                '</div>' +
+                renderFindings(result.findings) +
+                '</div>';
+        });
+        container.innerHTML = html;
+    };
+
+    // ===== LINT LISTENERS =====
+    SmartLists.setupLintListeners = function (page, signal) {
+        const playlistForm = page.querySelector('#playlistForm');
+        if (playlistForm) {
+            const onFormEdited = function (e) {
+                if (e.target && e.target.closest && e.target.closest('#previewPanel')) {
+                    return;
+                }
+                SmartLists.scheduleListLint(page);
+            };
+            playlistForm.addEventListener('change', onFormEdited, SmartLists.getEventListenerOptions(signal));
+            playlistForm.addEventListener('input', onFormEdited, SmartLists.getEventListenerOptions(signal));
+            // Rules, groups and sorts are added and removed with buttons
+            playlistForm.addEventListener('click', function (e) {
+                if (e.target && e.target.closest && e.target.closest('button')) {
+                    onFormEdited(e);
+                }
+            }, SmartLists.getEventListenerOptions(signal));
+        }
+
+        const lintAllBtn = page.querySelector('#lintAllListsBtn');
+        if (lintAllBtn) {
+            lintAllBtn.addEventListener('click', function () {
+                SmartLists.lintAllLists(page);
+            }, SmartLists.getEventListenerOptions(signal));
+        }
+    };
+
+})(window.SmartLists = window.SmartLists || {});
@@ -113,6 +113,122 @@
         });
     };
 
+    // ===== FORM DATA COLLECTION =====
+    /**
+     * Get the selected user ID(s) from the form.
+     * Collections use the single user select, playlists use the multi-select.
+     */
+    SmartLists.getListUserIdsFromForm = function (page, isCollection) {
+        if (isCollection) {
+            const userId = SmartLists.getElementValue(page, '#playlistUser');
+            return userId ? [userId] : [];
+        }
+        return SmartLists.getSelectedUserIds ? SmartLists.getSelectedUserIds(page) : [];
+    };
+
+    /**
+     * Build a list DTO from the current state of the Create List form.
+     * Does not validate or show notifications - callers decide what is required.
+     * Used both when saving a list and when previewing matches.
+     * If ruleRowMap is passed, it is filled with the .rule-row elements behind each expression (see collectRulesFromForm).
+     */
+    SmartLists.buildListDtoFromForm = function (page, ruleRowMap) {
+        const listType = SmartLists.getElementValue(page, '#listType', 'Playlist');
+        const isCollection = listType === 'Collection';
+
+        // Collect rules from form using helper function
+        const expressionSets = SmartLists.collectRulesFromForm(page, ruleRowMap);
+        const exclusionSets = SmartLists.collectRulesFromForm(page, null, page.querySelector('#exclusion-rules-container'));
+
+        // Collect sorting options from the new sort boxes
+        const sortOptions = SmartLists.collectSortsFromForm(page);
+
+        const isPublic = SmartLists.getElementChecked(page, '#playlistIsPublic', false);
+        const isEnabled = SmartLists.getElementChecked(page, '#playlistIsEnabled', true); // Default to true
+        const autoRefreshMode = SmartLists.getElementValue(page, '#autoRefreshMode', 'Never');
+
+        // Collect schedules from the new schedule boxes
+        const schedules = SmartLists.collectSchedulesFromForm(page);
+        // Handle maxItems with validation using helper function
+        // Empty string means no limit (0), consistent with UI text "Set to 0 for no limit"
+        const maxItemsInput = SmartLists.getElementValue(page, '#playlistMaxItems');
+        let maxItems;
+        if (maxItemsInput === '') {
+            maxItems = 0; // Empty = no limit
+        } else {
+            const parsedValue = parseInt(maxItemsInput, 10);
+            maxItems = (isNaN(parsedValue) || parsedValue < 0) ? 0 : parsedValue;
+        }
+
+        // Handle maxPlayTimeMinutes with helper function
+        const maxPlayTimeMinutesInput = SmartLists.getElementValue(page, '#playlistMaxPlayTimeMinutes');
+        let maxPlayTimeMinutes;
+        if (maxPlayTimeMinutesInput === '') {
+            maxPlayTimeMinutes = 0;
+        } else {
+            const parsedValue = parseInt(maxPlayTimeMinutesInput, 10);
+            maxPlayTimeMinutes = (isNaN(parsedValue) || parsedValue < 0) ? 0 : parsedValue;
+        }
+
+        // Get selected user ID(s) - collections use single select, playlists use multi-select
+        const userIds = SmartLists.getListUserIdsFromForm(page, isCollection);
+
+        // Collections are server-wide and don't have library assignments
+
+        // Collect similarity comparison fields from SimilarTo rules
+        let similarityComparisonFields = null;
+        const allRules = page.querySelectorAll('.rule-row');
+        for (var i = 0; i < allRules.length; i++) {
+            const ruleRow = allRules[i];
+            const fieldSelect = ruleRow.querySelector('.rule-field-select');
+            if (fieldSelect && fieldSelect.value === 'SimilarTo') {
+                const fields = SmartLists.getSimilarityComparisonFields(ruleRow);
+                if (fields && fields.length > 0) {
+                    similarityComparisonFields = fields;
+                    break; // Use the first SimilarTo rule's settings for the entire playlist
+                }
+            }
+        }
+
+        const playlistDto = {
+            Type: listType,
+            Name: SmartLists.getElementValue(page, '#playlistName'),
+            ExpressionSets: expressionSets,
+            ExclusionSets: exclusionSets.length > 0 ? exclusionSets : null,
+            Order: { SortOptions: sortOptions },
+            Enabled: isEnabled,
+            MediaTypes: SmartLists.getSelectedMediaTypes(page),
+            MaxItems: maxItems,
+            MaxPlayTimeMinutes: maxPlayTimeMinutes,
+            AutoRefresh: autoRefreshMode,
+            Schedules: schedules.length > 0 ? schedules : []
+        };
+
+        // Add type-specific fields
+        if (isCollection) {
+            // Collections: single UserId
+            playlistDto.UserId = userIds.length > 0 ? userIds[0] : null;
+            // Collections are server-wide, no library assignment needed
+        } else {
+            // Playlists: send UserPlaylists array structure
+            playlistDto.UserPlaylists = userIds.map(function (userId) {
+                return {
+                    UserId: userId,
+                    JellyfinPlaylistId: null  // Backend will populate on creation
+                };
+            });
+            // Only set Public for single-user playlists (multi-user playlists are always private)
+            playlistDto.Public = userIds.length === 1 ? isPublic : false;
+        }
+
+        // Add similarity comparison fields if specified
+        if (similarityComparisonFields) {
+            playlistDto.SimilarityComparisonFields = similarityComparisonFields;
+        }
+
+        return playlistDto;
+    };
+
     // ===== PLAYLIST CRUD OPERATIONS =====
     SmartLists.createPlaylist = function (page) {
         // Get edit state to determine if we're creating or updating
@@ -137,113 +253,34 @@
                 return;
             }
 
-            // Get selected media types early to gate series-only flags
-            const selectedMediaTypes = SmartLists.getSelectedMediaTypes(page);
-            if (selectedMediaTypes.length === 0) {
-                SmartLists.showNotification('At least one media type must be selected.');
+            // The rules collected below are the last rule text that parsed
+            if (SmartLists.hasRuleTextError && SmartLists.hasRuleTextError(page)) {
+                SmartLists.showNotification('Fix the error in the rule text before saving.');
                 return;
             }
 
-            // Collect rules from form using helper function
-            const expressionSets = SmartLists.collectRulesFromForm(page);
-
-            // Collect sorting options from the new sort boxes
-            const sortOptions = SmartLists.collectSortsFromForm(page);
-
-            const isPublic = SmartLists.getElementChecked(page, '#playlistIsPublic', false);
-            const isEnabled = SmartLists.getElementChecked(page, '#playlistIsEnabled', true); // Default to true
-            const autoRefreshMode = SmartLists.getElementValue(page, '#autoRefreshMode', 'Never');
-
-            // Collect schedules from the new schedule boxes
-            const schedules = SmartLists.collectSchedulesFromForm(page);
-            // Handle maxItems with validation using helper function
-            // Empty string means no limit (0), consistent with UI text "Set to 0 for no limit"
-            const maxItemsInput = SmartLists.getElementValue(page, '#playlistMaxItems');
-            let maxItems;
-            if (maxItemsInput === '') {
-                maxItems = 0; // Empty = no limit
-            } else {
-                const parsedValue = parseInt(maxItemsInput, 10);
-                maxItems = (isNaN(parsedValue) || parsedValue < 0) ? 0 : parsedValue;
+            if (SmartLists.validateRules && SmartLists.validateRules(page, true) > 0) {
+                SmartLists.showNotification('Fix the rule errors shown above before saving.');
+                SmartLists.focusFirstRuleError(page);
+                return;
             }
 
-            // Handle maxPlayTimeMinutes with helper function
-            const maxPlayTimeMinutesInput = SmartLists.getElementValue(page, '#playlistMaxPlayTimeMinutes');
-            let maxPlayTimeMinutes;
-            if (maxPlayTimeMinutesInput === '') {
-                maxPlayTimeMinutes = 0;
-            } else {
-                const parsedValue = parseInt(maxPlayTimeMinutesInput, 10);
-                maxPlayTimeMinutes = (isNaN(parsedValue) || parsedValue < 0) ? 0 : parsedValue;
+            // Get selected media types early to gate series-only flags
+            const selectedMediaTypes = SmartLists.getSelectedMediaTypes(page);
+            if (selectedMediaTypes.length === 0) {
+                SmartLists.showNotification('At least one media type must be selected.');
+                return;
             }
 
             // Get selected user ID(s) - collections use single select, playlists use multi-select
-            let userIds;
-            if (isCollection) {
-                // Collections: single user
-                const userId = SmartLists.getElementValue(page, '#playlistUser');
-                userIds = userId ? [userId] : [];
-            } else {
-                // Playlists: potentially multiple users
-                userIds = SmartLists.getSelectedUserIds ? SmartLists.getSelectedUserIds(page) : [];
-            }
+            const userIds = SmartLists.getListUserIdsFromForm(page, isCollection);
 
             if (!userIds || userIds.length === 0) {
                 SmartLists.showNotification('Please select at least one ' + (isCollection ? 'collection user' : 'playlist user') + '.');
                 return;
             }
 
-            // Collections are server-wide and don't have library assignments
-
-            // Collect similarity comparison fields from SimilarTo rules
-            let similarityComparisonFields = null;
-            const allRules = page.querySelectorAll('.rule-row');
-            for (var i = 0; i < allRules.length; i++) {
-                const ruleRow = allRules[i];
-                const fieldSelect = ruleRow.querySelector('.rule-field-select');
-                if (fieldSelect && fieldSelect.value === 'SimilarTo') {
-                    const fields = SmartLists.getSimilarityComparisonFields(ruleRow);
-                    if (fields && fields.length > 0) {
-                        similarityComparisonFields = fields;
-                        break; // Use the first SimilarTo rule's settings for the entire playlist
-                    }
-                }
-            }
-
-            const playlistDto = {
-                Type: listType,
-                Name: playlistName,
-                ExpressionSets: expressionSets,
-                Order: { SortOptions: sortOptions },
-                Enabled: isEnabled,
-                MediaTypes: selectedMediaTypes,
-                MaxItems: maxItems,
-                MaxPlayTimeMinutes: maxPlayTimeMinutes,
-                AutoRefresh: autoRefreshMode,
-                Schedules: schedules.length > 0 ? schedules : []
-            };
-
-            // Add type-specific fields
-            if (isCollection) {
-                // Collections: single UserId
-                playlistDto.UserId = userIds[0];
-                // Collections are server-wide, no library assignment needed
-            } else {
-                // Playlists: send UserPlaylists array structure
-                playlistDto.UserPlaylists = userIds.map(function (userId) {
-                    return {
-                        UserId: userId,
-                        JellyfinPlaylistId: null  // Backend will populate on creation
-                    };
-                });
-                // Only set Public for single-user playlists (multi-user playlists are always private)
-                playlistDto.Public = userIds.length === 1 ? isPublic : false;
-            }
-
-            // Add similarity comparison fields if specified
-            if (similarityComparisonFields) {
-                playlistDto.SimilarityComparisonFields = similarityComparisonFields;
-            }
+            const playlistDto = SmartLists.buildListDtoFromForm(page);
 
             // Add ID if in edit mode (reuse editState from top of function)
             if (editState.editMode && editState.editingPlaylistId) {
@@ -292,6 +329,14 @@
                     listTypeName + ' "' + playlistName + '" created. The ' + listTypeName.toLowerCase() + ' will now be generated.';
                 SmartLists.showNotification(message, 'success');
 
+                // The saved list replaces any draft of it
+                if (SmartLists.discardDraft) {
+                    SmartLists.discardDraft(page);
+                }
+                if (SmartLists.markFormClean) {
+                    SmartLists.markFormClean(page);
+                }
+
                 // Then show notification that refresh has started (refresh happens automatically on backend)
                 SmartLists.notifyRefreshQueued(listTypeName, playlistName);
 
@@ -355,16 +400,15 @@
 
         SmartLists.setElementValue(page, '#playlistName', '');
 
-        // Clean up all existing event listeners before clearing rules
-        const rulesContainer = page.querySelector('#rules-container');
-        if (rulesContainer) {
+        // Clean up all existing event listeners before clearing rules and exclusion rules
+        page.querySelectorAll('#rules-container, #exclusion-rules-container').forEach(function (rulesContainer) {
             const allRules = rulesContainer.querySelectorAll('.rule-row');
             allRules.forEach(function (rule) {
                 SmartLists.cleanupRuleEventListeners(rule);
             });
 
             rulesContainer.innerHTML = '';
-        }
+        });
 
         // Clear media type selections
         SmartLists.setSelectedItems(page, 'mediaTypesMultiSelect', [], 'media-type-multi-select-checkbox', 'Select media types...');
@@ -386,6 +430,195 @@
 
         // Update button visibility after initial group is created
         SmartLists.updateRuleButtonVisibility(page);
+
+        if (SmartLists.refreshRuleText) {
+            SmartLists.refreshRuleText(page);
+        }
+        if (SmartLists.resetRuleValidation) {
+            SmartLists.resetRuleValidation(page);
+        }
+        if (SmartLists.scheduleListLint) {
+            SmartLists.scheduleListLint(page);
+        }
+
+        // Previous preview results no longer apply to the cleared form
+        if (SmartLists.clearListPreview) {
+            SmartLists.clearListPreview(page);
+        }
+
+        if (SmartLists.markFormClean) {
+            SmartLists.markFormClean(page);
+        }
+    };
+
+    /**
+     * Fill the Create List form from a list DTO: type, name, settings, users, media types, rules and sorts.
+     * Used when editing a list and when restoring a draft. Edit mode and tab state are left to the caller.
+     */
+    SmartLists.populateFormFromList = function (page, playlist) {
+        // Determine list type
+        const listType = playlist.Type || 'Playlist';
+        const isCollection = listType === 'Collection';
+
+        // Extract userIds BEFORE calling handleListTypeChange (which triggers loadUsers)
+        // This ensures pendingUserIds is set before loadUsers checks for it
+        let userIds = [];
+        if (!isCollection) {
+            // Playlists can have multiple users
+            if (playlist.UserPlaylists && playlist.UserPlaylists.length > 0) {
+                userIds = playlist.UserPlaylists.map(function (up) { return up.UserId; });
+            } else if (playlist.UserId) {
+                userIds = [String(playlist.UserId)];
+            }
+            // Store userIds to set after users are loaded (loadUsers is async)
+            page._pendingUserIds = userIds;
+        }
+
+        // Set list type
+        SmartLists.setElementValue(page, '#listType', listType);
+
+        // Trigger type change handler to show/hide fields
+        SmartLists.handleListTypeChange(page);
+
+        // Populate form with playlist data using helper functions
+        SmartLists.setElementValue(page, '#playlistName', playlist.Name || '');
+
+        // Only set public for playlists
+        if (!isCollection) {
+            SmartLists.setElementChecked(page, '#playlistIsPublic', playlist.Public || false);
+        }
+
+        SmartLists.setElementChecked(page, '#playlistIsEnabled', playlist.Enabled !== false); // Default to true for backward compatibility
+
+        // Handle AutoRefresh with backward compatibility
+        const autoRefreshValue = playlist.AutoRefresh !== undefined ? playlist.AutoRefresh : 'Never';
+        const autoRefreshElement = page.querySelector('#autoRefreshMode');
+        if (autoRefreshElement) {
+            autoRefreshElement.value = autoRefreshValue;
+        }
+
+        // Handle schedule settings with backward compatibility
+        SmartLists.loadSchedulesIntoUI(page, playlist);
+
+        // Handle MaxItems with backward compatibility for existing playlists
+        // Default to 0 (unlimited) for old playlists that didn't have this setting
+        const maxItemsValue = (playlist.MaxItems !== undefined && playlist.MaxItems !== null) ? playlist.MaxItems : 0;
+        const maxItemsElement = page.querySelector('#playlistMaxItems');
+        if (maxItemsElement) {
+            maxItemsElement.value = maxItemsValue;
+        } else {
+            console.warn('Max Items element not found when trying to populate edit form');
+        }
+
+        // Handle MaxPlayTimeMinutes with backward compatibility for existing playlists
+        // Default to 0 (unlimited) for old playlists that didn't have this setting
+        const maxPlayTimeMinutesValue = (playlist.MaxPlayTimeMinutes !== undefined && playlist.MaxPlayTimeMinutes !== null) ? playlist.MaxPlayTimeMinutes : 0;
+        const maxPlayTimeMinutesElement = page.querySelector('#playlistMaxPlayTimeMinutes');
+        if (maxPlayTimeMinutesElement) {
+            maxPlayTimeMinutesElement.value = maxPlayTimeMinutesValue;
+        } else {
+            console.warn('Max Playtime Minutes element not found when trying to populate edit form');
+        }
+
+        // Set media types
+        // Set flag to skip change event handlers while we programmatically set checkbox states
+        page._skipMediaTypeChangeHandlers = true;
+
+        if (playlist.MediaTypes && playlist.MediaTypes.length > 0) {
+            SmartLists.setSelectedItems(page, 'mediaTypesMultiSelect', playlist.MediaTypes, 'media-type-multi-select-checkbox', 'Select media types...');
+        } else {
+            SmartLists.setSelectedItems(page, 'mediaTypesMultiSelect', [], 'media-type-multi-select-checkbox', 'Select media types...');
+        }
+
+        // Clear flag to re-enable change event handlers
+        page._skipMediaTypeChangeHandlers = false;
+
+        // Set the list owner (for both playlists and collections)
+        // isCollection is declared at the top of this function
+        if (isCollection) {
+            // Collections always have single user
+            const userIdString = playlist.UserId ? String(playlist.UserId) : null;
+            if (userIdString) {
+                SmartLists.setUserIdValueWithRetry(page, userIdString);
+            }
+        } else {
+            // Playlists can have multiple users
+            // userIds were already extracted and stored in page._pendingUserIds above
+            // Try to set immediately if users are already loaded, otherwise wait for loadUsers
+            const checkboxes = page.querySelectorAll('#userMultiSelectOptions .user-multi-select-checkbox');
+            if (checkboxes.length > 0 && page._pendingUserIds) {
+                // Users already loaded, set immediately
+                if (SmartLists.setSelectedUserIds) {
+                    SmartLists.setSelectedUserIds(page, page._pendingUserIds);
+                }
+                page._pendingUserIds = null; // Clear since we set it
+            }
+            // If checkboxes don't exist yet, loadUsers will set them when it finishes
+
+            if (SmartLists.updatePublicCheckboxVisibility) {
+                SmartLists.updatePublicCheckboxVisibility(page);
+            }
+        }
+
+        // Clear existing rules (applies to both playlists and collections)
+        const rulesContainer = page.querySelector('#rules-container');
+        rulesContainer.innerHTML = '';
+
+        // Populate logic groups and rules
+        if (playlist.ExpressionSets && playlist.ExpressionSets.length > 0 &&
+            playlist.ExpressionSets.some(function (es) {
+                return (es.Expressions && es.Expressions.length > 0) || (es.Groups && es.Groups.length > 0);
+            })) {
+            // Store similarity comparison fields on page for populateRuleRow to access
+            page._editingPlaylistSimilarityFields = playlist.SimilarityComparisonFields;
+
+            playlist.ExpressionSets.forEach(function (expressionSet, groupIndex) {
+                // Create the first logic group, then add subsequent ones
+                const logicGroup = groupIndex === 0 ? SmartLists.createInitialLogicGroup(page) : SmartLists.addNewLogicGroup(page);
+
+                // populateLogicGroup replaces the placeholder rule and uses populateRuleRow for each rule,
+                // which handles all field population including:
+                // - People sub-fields
+                // - User-specific rules
+                // - Value inputs (including relative date operators)
+                // - Per-field option selects (NextUnwatched, Collections, Tags, Studios, Genres, SimilarTo)
+                // - Regex help updates
+                SmartLists.populateLogicGroup(page, logicGroup, expressionSet.Expressions, expressionSet.Groups);
+            });
+        } else {
+            // No rules exist - create an initial logic group with a placeholder rule
+            // This matches the behavior when creating a new playlist
+            SmartLists.createInitialLogicGroup(page);
+        }
+
+        SmartLists.populateExclusionRules(page, playlist.ExclusionSets);
+
+        // Set sort options AFTER rules are populated so hasSimilarToRuleInForm() can detect them
+        SmartLists.loadSortOptionsIntoUI(page, playlist);
+        // Update sort options visibility based on populated rules
+        SmartLists.updateAllSortOptionsVisibility(page);
+
+        // Update field selects first, then per-field options visibility based on selected media types
+        SmartLists.updateAllFieldSelects(page);
+        SmartLists.updateAllTagsOptionsVisibility(page);
+        SmartLists.updateAllStudiosOptionsVisibility(page);
+        SmartLists.updateAllGenresOptionsVisibility(page);
+        SmartLists.updateAllAudioLanguagesOptionsVisibility(page);
+        SmartLists.updateAllCollectionsOptionsVisibility(page);
+        SmartLists.updateAllNextUnwatchedOptionsVisibility(page);
+
+        // Update button visibility
+        SmartLists.updateRuleButtonVisibility(page);
+
+        if (SmartLists.refreshRuleText) {
+            SmartLists.refreshRuleText(page);
+        }
+        if (SmartLists.resetRuleValidation) {
+            SmartLists.resetRuleValidation(page);
+        }
+        if (SmartLists.scheduleListLint) {
+            SmartLists.scheduleListLint(page);
+        }
     };
 
     SmartLists.editPlaylist = function (page, playlistId) {
@@ -412,183 +645,22 @@
                 return;
             }
 
-            try {
-                // Determine list type
-                const listType = playlist.Type || 'Playlist';
-                const isCollection = listType === 'Collection';
-
-                // Extract userIds BEFORE calling handleListTypeChange (which triggers loadUsers)
-                // This ensures pendingUserIds is set before loadUsers checks for it
-                let userIds = [];
-                if (!isCollection) {
-                    // Playlists can have multiple users
-                    if (playlist.UserPlaylists && playlist.UserPlaylists.length > 0) {
-                        userIds = playlist.UserPlaylists.map(function (up) { return up.UserId; });
-                    } else if (playlist.UserId) {
-                        userIds = [String(playlist.UserId)];
-                    }
-                    // Store userIds to set after users are loaded (loadUsers is async)
-                    page._pendingUserIds = userIds;
-                }
-
-                // Set list type
-                SmartLists.setElementValue(page, '#listType', listType);
-
-                // Trigger type change handler to show/hide fields
-                SmartLists.handleListTypeChange(page);
-
-                // Populate form with playlist data using helper functions
-                SmartLists.setElementValue(page, '#playlistName', playlist.Name || '');
-
-                // Only set public for playlists
-                if (!isCollection) {
-                    SmartLists.setElementChecked(page, '#playlistIsPublic', playlist.Public || false);
-                }
-
-                SmartLists.setElementChecked(page, '#playlistIsEnabled', playlist.Enabled !== false); // Default to true for backward compatibility
-
-                // Handle AutoRefresh with backward compatibility
-                const autoRefreshValue = playlist.AutoRefresh !== undefined ? playlist.AutoRefresh : 'Never';
-                const autoRefreshElement = page.querySelector('#autoRefreshMode');
-                if (autoRefreshElement) {
-                    autoRefreshElement.value = autoRefreshValue;
-                }
-
-                // Handle schedule settings with backward compatibility
-                SmartLists.loadSchedulesIntoUI(page, playlist);
-
-                // Handle MaxItems with backward compatibility for existing playlists
-                // Default to 0 (unlimited) for old playlists that didn't have this setting
-                const maxItemsValue = (playlist.MaxItems !== undefined && playlist.MaxItems !== null) ? playlist.MaxItems : 0;
-                const maxItemsElement = page.querySelector('#playlistMaxItems');
-                if (maxItemsElement) {
-                    maxItemsElement.value = maxItemsValue;
-                } else {
-                    console.warn('Max Items element not found when trying to populate edit form');
-                }
-
-                // Handle MaxPlayTimeMinutes with backward compatibility for existing playlists
-                // Default to 0 (unlimited) for old playlists that didn't have this setting
-                const maxPlayTimeMinutesValue = (playlist.MaxPlayTimeMinutes !== undefined && playlist.MaxPlayTimeMinutes !== null) ? playlist.MaxPlayTimeMinutes : 0;
-                const maxPlayTimeMinutesElement = page.querySelector('#playlistMaxPlayTimeMinutes');
-                if (maxPlayTimeMinutesElement) {
-                    maxPlayTimeMinutesElement.value = maxPlayTimeMinutesValue;
-                } else {
-                    console.warn('Max Playtime Minutes element not found when trying to populate edit form');
-                }
-
-                // Set media types
-                // Set flag to skip change event handlers while we programmatically set checkbox states
-                page._skipMediaTypeChangeHandlers = true;
-
-                if (playlist.MediaTypes && playlist.MediaTypes.length > 0) {
-                    SmartLists.setSelectedItems(page, 'mediaTypesMultiSelect', playlist.MediaTypes, 'media-type-multi-select-checkbox', 'Select media types...');
-                } else {
-                    SmartLists.setSelectedItems(page, 'mediaTypesMultiSelect', [], 'media-type-multi-select-checkbox', 'Select media types...');
-                }
-
-                // Clear flag to re-enable change event handlers
-                page._skipMediaTypeChangeHandlers = false;
+            // Results from a previous preview belong to a different list
+            if (SmartLists.clearListPreview) {
+                SmartLists.clearListPreview(page);
+            }
 
-                // Set the list owner (for both playlists and collections)
-                // isCollection is already declared above on line 425
-                if (isCollection) {
-                    // Collections always have single user
-                    const userIdString = playlist.UserId ? String(playlist.UserId) : null;
-                    if (userIdString) {
-                        SmartLists.setUserIdValueWithRetry(page, userIdString);
-                    }
-                } else {
-                    // Playlists can have multiple users
-                    // userIds were already extracted and stored in page._pendingUserIds above
-                    // Try to set immediately if users are already loaded, otherwise wait for loadUsers
-                    const checkboxes = page.querySelectorAll('#userMultiSelectOptions .user-multi-select-checkbox');
-                    if (checkboxes.length > 0 && page._pendingUserIds) {
-                        // Users already loaded, set immediately
-                        if (SmartLists.setSelectedUserIds) {
-                            SmartLists.setSelectedUserIds(page, page._pendingUserIds);
-                        }
-                        page._pendingUserIds = null; // Clear since we set it
-                    }
-                    // If checkboxes don't exist yet, loadUsers will set them when it finishes
+            try {
+                SmartLists.populateFormFromList(page, playlist);
 
-                    if (SmartLists.updatePublicCheckboxVisibility) {
-                        SmartLists.updatePublicCheckboxVisibility(page);
-                    }
+                // Undo history starts from the loaded list
+                if (SmartLists.resetEditorHistory) {
+                    SmartLists.resetEditorHistory(page);
                 }
-
-                // Clear existing rules (applies to both playlists and collections)
-                const rulesContainer = page.querySelector('#rules-container');
-                rulesContainer.innerHTML = '';
-
-                // Populate logic groups and rules
-                if (playlist.ExpressionSets && playlist.ExpressionSets.length > 0 &&
-                    playlist.ExpressionSets.some(function (es) { return es.Expressions && es.Expressions.length > 0; })) {
-                    playlist.ExpressionSets.forEach(function (expressionSet, groupIndex) {
-                        let logicGroup;
-
-                        if (groupIndex === 0) {
-                            // Create first logic group
-                            logicGroup = SmartLists.createInitialLogicGroup(page);
-                            // Remove only the rules, preserve the label
-                            const rulesToRemove = logicGroup.querySelectorAll('.rule-row, .rule-within-group-separator');
-                            rulesToRemove.forEach(function (rule) {
-                                rule.remove();
-                            });
-                        } else {
-                            // Add subsequent logic groups
-                            logicGroup = SmartLists.addNewLogicGroup(page);
-                            // Remove only the rules, preserve the label
-                            const rulesToRemove = logicGroup.querySelectorAll('.rule-row, .rule-within-group-separator');
-                            rulesToRemove.forEach(function (rule) {
-                                rule.remove();
-                            });
-                        }
-
-                        // Store similarity comparison fields on page for populateRuleRow to access
-                        page._editingPlaylistSimilarityFields = playlist.SimilarityComparisonFields;
-
-                        // Add rules to this logic group
-                        if (expressionSet.Expressions && expressionSet.Expressions.length > 0) {
-                            expressionSet.Expressions.forEach(function (expression) {
-                                SmartLists.addRuleToGroup(page, logicGroup);
-                                const ruleRows = logicGroup.querySelectorAll('.rule-row');
-                                const currentRule = ruleRows[ruleRows.length - 1];
-
-                                // Use populateRuleRow for consistency with clone flow
-                                // populateRuleRow handles all field population including:
-                                // - People sub-fields
-                                // - User-specific rules
-                                // - Value inputs (including relative date operators)
-                                // - Per-field option selects (NextUnwatched, Collections, Tags, Studios, Genres, SimilarTo)
-                                // - Regex help updates
-                                SmartLists.populateRuleRow(currentRule, expression, page);
-                            });
-                        }
-                    });
-                } else {
-                    // No rules exist - create an initial logic group with a placeholder rule
-                    // This matches the behavior when creating a new playlist
-                    SmartLists.createInitialLogicGroup(page);
+                if (SmartLists.markFormClean) {
+                    SmartLists.markFormClean(page);
                 }
 
-                // Set sort options AFTER rules are populated so hasSimilarToRuleInForm() can detect them
-                SmartLists.loadSortOptionsIntoUI(page, playlist);
-                // Update sort options visibility based on populated rules
-                SmartLists.updateAllSortOptionsVisibility(page);
-
-                // Update field selects first, then per-field options visibility based on selected media types
-                SmartLists.updateAllFieldSelects(page);
-                SmartLists.updateAllTagsOptionsVisibility(page);
-                SmartLists.updateAllStudiosOptionsVisibility(page);
-                SmartLists.updateAllGenresOptionsVisibility(page);
-                SmartLists.updateAllAudioLanguagesOptionsVisibility(page);
-                SmartLists.updateAllCollectionsOptionsVisibility(page);
-                SmartLists.updateAllNextUnwatchedOptionsVisibility(page);
-
-                // Update button visibility
-                SmartLists.updateRuleButtonVisibility(page);
-
                 // Set edit mode state
                 SmartLists.setPageEditState(page, true, playlistId);
 
@@ -647,6 +719,11 @@
                 return;
             }
 
+            // Results from a previous preview belong to a different list
+            if (SmartLists.clearListPreview) {
+                SmartLists.clearListPreview(page);
+            }
+
             try {
                 // Determine list type
                 const listType = playlist.Type || 'Playlist';
@@ -759,36 +836,20 @@
 
                 // Populate rules from cloned playlist
                 if (playlist.ExpressionSets && playlist.ExpressionSets.length > 0) {
+                    // Store similarity comparison fields on page for populateRuleRow to access
+                    page._cloningPlaylistSimilarityFields = playlist.SimilarityComparisonFields;
+
                     playlist.ExpressionSets.forEach(function (expressionSet, setIndex) {
                         const logicGroup = setIndex === 0 ? SmartLists.createInitialLogicGroup(page) : SmartLists.addNewLogicGroup(page);
-
-                        // Store similarity comparison fields on page for populateRuleRow to access
-                        page._cloningPlaylistSimilarityFields = playlist.SimilarityComparisonFields;
-
-                        if (expressionSet.Expressions && expressionSet.Expressions.length > 0) {
-                            expressionSet.Expressions.forEach(function (expression, expIndex) {
-                                if (expIndex === 0) {
-                                    // Use the first rule row that's already in the group
-                                    const firstRuleRow = logicGroup.querySelector('.rule-row');
-                                    if (firstRuleRow) {
-                                        SmartLists.populateRuleRow(firstRuleRow, expression, page);
-                                    }
-                                } else {
-                                    // Add additional rule rows
-                                    SmartLists.addRuleToGroup(page, logicGroup);
-                                    const newRuleRow = logicGroup.querySelector('.rule-row:last-child');
-                                    if (newRuleRow) {
-                                        SmartLists.populateRuleRow(newRuleRow, expression, page);
-                                    }
-                                }
-                            });
-                        }
+                        SmartLists.populateLogicGroup(page, logicGroup, expressionSet.Expressions, expressionSet.Groups);
                     });
                 } else {
                     // If no rules, create initial empty group
                     SmartLists.createInitialLogicGroup(page);
                 }
 
+                SmartLists.populateExclusionRules(page, playlist.ExclusionSets);
+
                 // Update button visibility
                 SmartLists.updateRuleButtonVisibility(page);
 
@@ -817,6 +878,14 @@
                     page._mediaTypeUpdateTimer = null;
                 }
 
+                // Undo history starts from the cloned list
+                if (SmartLists.resetEditorHistory) {
+                    SmartLists.resetEditorHistory(page);
+                }
+                if (SmartLists.markFormClean) {
+                    SmartLists.markFormClean(page);
+                }
+
                 // Show success message
                 SmartLists.showNotification('List "' + playlistName + '" cloned successfully! You can now modify and create the new list.', 'success');
 
@@ -831,7 +900,30 @@
         });
     };
 
-    SmartLists.cancelEdit = function (page) {
+    SmartLists.cancelEdit = function (page, skipConfirm) {
+        // Ask before throwing away unsaved changes
+        if (!skipConfirm && SmartLists.isFormDirty && SmartLists.isFormDirty(page)) {
+            SmartLists.showUnsavedChangesModal(page, function () {
+                SmartLists.cancelEdit(page, true);
+            });
+            return;
+        }
+
+        if (SmartLists.discardDraft) {
+            SmartLists.discardDraft(page);
+        }
+
+        SmartLists.exitEditMode(page);
+
+        // Switch to Manage tab after canceling edit
+        SmartLists.switchToTab(page, 'manage');
+        window.scrollTo({ top: 0, behavior: 'auto' });
+
+        SmartLists.showNotification('Edit mode cancelled.', 'success');
+    };
+
+    // Leave edit mode and reset the form for a new list, without switching tabs
+    SmartLists.exitEditMode = function (page) {
         SmartLists.setPageEditState(page, false, null);
 
         // Update UI to show create mode
@@ -852,12 +944,6 @@
 
         // Clear form
         SmartLists.clearForm(page);
-
-        // Switch to Manage tab after canceling edit
-        SmartLists.switchToTab(page, 'manage');
-        window.scrollTo({ top: 0, behavior: 'auto' });
-
-        SmartLists.showNotification('Edit mode cancelled.', 'success');
     };
 
     SmartLists.notifyRefreshQueued = function (listTypeName, playlistName) {
@@ -1017,133 +1103,186 @@
     // Note: getPeopleFieldDisplayName is defined in config-formatters.js to avoid duplication
 
     // ===== GENERATE RULES HTML =====
-    SmartLists.generateRulesHtml = async function (playlist, apiClient) {
-        let rulesHtml = '';
-        if (playlist.ExpressionSets && playlist.ExpressionSets.length > 0) {
-            for (let groupIndex = 0; groupIndex < playlist.ExpressionSets.length; groupIndex++) {
-                const expressionSet = playlist.ExpressionSets[groupIndex];
-                if (groupIndex > 0) {
-                    rulesHtml += '<strong style="color: #888;">OR</strong><br>';
-                }
+    // Formats a single rule for the list card
+    SmartLists.generateRuleHtml = async function (rule, playlist, apiClient) {
+        let fieldName = rule.MemberName;
+        if (fieldName === 'ItemType') fieldName = 'Media Type';
+        if (fieldName === 'SmartList') fieldName = 'Smart List';
+
+        // Map people field names to friendly display names
+        const displayName = SmartLists.getPeopleFieldDisplayName(fieldName);
+        if (displayName !== fieldName) {
+            fieldName = displayName;
+        }
+        let operator = rule.Operator;
+        switch (operator) {
+            case 'Equal': operator = 'equals'; break;
+            case 'NotEqual': operator = 'not equals'; break;
+            case 'Contains': operator = 'contains'; break;
+            case 'NotContains': operator = "not contains"; break;
+            case 'IsIn': operator = 'is in'; break;
+            case 'IsNotIn': operator = 'is not in'; break;
+            case 'GreaterThan': operator = '>'; break;
+            case 'LessThan': operator = '<'; break;
+            case 'After': operator = 'after'; break;
+            case 'Before': operator = 'before'; break;
+            case 'GreaterThanOrEqual': operator = '>='; break;
+            case 'LessThanOrEqual': operator = '<='; break;
+            case 'MatchRegex': operator = 'matches regex'; break;
+        }
+        let value = rule.TargetValue;
+        if (rule.MemberName === 'PlaybackStatus') {
+            if (value === 'Played') { value = 'Played'; }
+            else if (value === 'InProgress') { value = 'In Progress'; }
+            else if (value === 'Unplayed') { value = 'Unplayed'; }
+        }
+        if (rule.MemberName === 'NextUnwatched') { value = value === 'true' ? 'Yes (Next to Watch)' : 'No (Not Next)'; }
+        if (rule.MemberName === 'SmartList') { value = SmartLists.formatSmartListReference(value); }
 
-                if (expressionSet.Expressions && expressionSet.Expressions.length > 0) {
-                    rulesHtml += '<div style="padding: 0.6em; background: rgba(255,255,255,0.02); border-radius: 4px; margin: 0.3em 0;">';
+        // Format weekday operator value to show day name instead of number
+        if (rule.Operator === 'Weekday') {
+            value = SmartLists.getDayNameFromValue(value);
+        }
 
-                    for (let ruleIndex = 0; ruleIndex < expressionSet.Expressions.length; ruleIndex++) {
-                        const rule = expressionSet.Expressions[ruleIndex];
-                        if (ruleIndex > 0) {
-                            rulesHtml += '<br><em style="color: #888; font-size: 0.9em;">AND</em><br>';
-                        }
+        // Check if this rule has a specific user and resolve username
+        let userInfo = '';
+        if (rule.UserId && rule.UserId !== '00000000-0000-0000-0000-000000000000') {
+            try {
+                const userName = await SmartLists.resolveUserIdToName(apiClient, rule.UserId);
+                userInfo = ' for ' + (userName || 'Unknown User');
+            } catch (err) {
+                console.error('Error resolving username for rule:', err);
+                userInfo = ' for specific user';
+            }
+        }
 
-                        let fieldName = rule.MemberName;
-                        if (fieldName === 'ItemType') fieldName = 'Media Type';
+        // Add NextUnwatched configuration info
+        let nextUnwatchedInfo = '';
+        if (rule.MemberName === 'NextUnwatched' && rule.IncludeUnwatchedSeries !== undefined) {
+            nextUnwatchedInfo = rule.IncludeUnwatchedSeries ? ' (including unwatched series)' : ' (excluding unwatched series)';
+        }
 
-                        // Map people field names to friendly display names
-                        const displayName = SmartLists.getPeopleFieldDisplayName(fieldName);
-                        if (displayName !== fieldName) {
-                            fieldName = displayName;
-                        }
-                        let operator = rule.Operator;
-                        switch (operator) {
-                            case 'Equal': operator = 'equals'; break;
-                            case 'NotEqual': operator = 'not equals'; break;
-                            case 'Contains': operator = 'contains'; break;
-                            case 'NotContains': operator = "not contains"; break;
-                            case 'IsIn': operator = 'is in'; break;
-                            case 'IsNotIn': operator = 'is not in'; break;
-                            case 'GreaterThan': operator = '>'; break;
-                            case 'LessThan': operator = '<'; break;
-                            case 'After': operator = 'after'; break;
-                            case 'Before': operator = 'before'; break;
-                            case 'GreaterThanOrEqual': operator = '>='; break;
-                            case 'LessThanOrEqual': operator = '<='; break;
-                            case 'MatchRegex': operator = 'matches regex'; break;
-                        }
-                        let value = rule.TargetValue;
-                        if (rule.MemberName === 'PlaybackStatus') {
-                            if (value === 'Played') { value = 'Played'; }
-                            else if (value === 'InProgress') { value = 'In Progress'; }
-                            else if (value === 'Unplayed') { value = 'Unplayed'; }
-                        }
-                        if (rule.MemberName === 'NextUnwatched') { value = value === 'true' ? 'Yes (Next to Watch)' : 'No (Not Next)'; }
+        // Add Collections configuration info
+        let collectionsInfo = '';
+        if (rule.MemberName === 'Collections') {
+            if (rule.IncludeCollectionOnly === true) {
+                collectionsInfo = ' (collection only)';
+            } else if (rule.IncludeEpisodesWithinSeries === true) {
+                collectionsInfo = ' (including episodes within series)';
+            }
+        }
 
-                        // Format weekday operator value to show day name instead of number
-                        if (rule.Operator === 'Weekday') {
-                            value = SmartLists.getDayNameFromValue(value);
-                        }
+        // Add Tags configuration info
+        let tagsInfo = '';
+        if (rule.MemberName === 'Tags' && rule.IncludeParentSeriesTags === true) {
+            tagsInfo = ' (including parent series tags)';
+        }
 
-                        // Check if this rule has a specific user and resolve username
-                        let userInfo = '';
-                        if (rule.UserId && rule.UserId !== '00000000-0000-0000-0000-000000000000') {
-                            try {
-                                const userName = await SmartLists.resolveUserIdToName(apiClient, rule.UserId);
-                                userInfo = ' for ' + (userName || 'Unknown User');
-                            } catch (err) {
-                                console.error('Error resolving username for rule:', err);
-                                userInfo = ' for specific user';
-                            }
-                        }
+        // Add Studios configuration info
+        let studiosInfo = '';
+        if (rule.MemberName === 'Studios' && rule.IncludeParentSeriesStudios === true) {
+            studiosInfo = ' (including parent series studios)';
+        }
 
-                        // Add NextUnwatched configuration info
-                        let nextUnwatchedInfo = '';
-                        if (rule.MemberName === 'NextUnwatched' && rule.IncludeUnwatchedSeries !== undefined) {
-                            nextUnwatchedInfo = rule.IncludeUnwatchedSeries ? ' (including unwatched series)' : ' (excluding unwatched series)';
-                        }
+        // Add Genres configuration info
+        let genresInfo = '';
+        if (rule.MemberName === 'Genres' && rule.IncludeParentSeriesGenres === true) {
+            genresInfo = ' (including parent series genres)';
+        }
 
-                        // Add Collections configuration info
-                        let collectionsInfo = '';
-                        if (rule.MemberName === 'Collections') {
-                            if (rule.IncludeCollectionOnly === true) {
-                                collectionsInfo = ' (collection only)';
-                            } else if (rule.IncludeEpisodesWithinSeries === true) {
-                                collectionsInfo = ' (including episodes within series)';
-                            }
-                        }
+        // Add AudioLanguages configuration info
+        let audioLanguagesInfo = '';
+        if (rule.MemberName === 'AudioLanguages' && rule.OnlyDefaultAudioLanguage === true) {
+            audioLanguagesInfo = ' (default only)';
+        }
 
-                        // Add Tags configuration info
-                        let tagsInfo = '';
-                        if (rule.MemberName === 'Tags' && rule.IncludeParentSeriesTags === true) {
-                            tagsInfo = ' (including parent series tags)';
-                        }
+        // Add SimilarTo comparison fields info
+        let similarityInfo = '';
+        if (rule.MemberName === 'SimilarTo') {
+            if (playlist.SimilarityComparisonFields && playlist.SimilarityComparisonFields.length > 0) {
+                similarityInfo = ' (comparing: ' + playlist.SimilarityComparisonFields.join(', ') + ')';
+            } else {
+                similarityInfo = ' (comparing: Genre, Tags)'; // Default
+            }
+        }
 
-                        // Add Studios configuration info
-                        let studiosInfo = '';
-                        if (rule.MemberName === 'Studios' && rule.IncludeParentSeriesStudios === true) {
-                            studiosInfo = ' (including parent series studios)';
-                        }
+        let ruleHtml = '<span style="font-family: monospace; background: #232323; padding: 4px 4px; border-radius: 3px;">';
+        ruleHtml += SmartLists.escapeHtml(fieldName) + ' ' + SmartLists.escapeHtml(operator) + ' "' + SmartLists.escapeHtml(value) + '"' + SmartLists.escapeHtml(userInfo) + SmartLists.escapeHtml(nextUnwatchedInfo) + SmartLists.escapeHtml(collectionsInfo) + SmartLists.escapeHtml(tagsInfo) + SmartLists.escapeHtml(studiosInfo) + SmartLists.escapeHtml(genresInfo) + SmartLists.escapeHtml(audioLanguagesInfo) + SmartLists.escapeHtml(similarityInfo);
+        ruleHtml += '</span>';
+        return ruleHtml;
+    };
 
-                        // Add Genres configuration info
-                        let genresInfo = '';
-                        if (rule.MemberName === 'Genres' && rule.IncludeParentSeriesGenres === true) {
-                            genresInfo = ' (including parent series genres)';
-                        }
+    // Formats a nested rule group as a bracketed block, with its rules joined by the group's AND/OR logic
+    SmartLists.generateRuleGroupHtml = async function (group, playlist, apiClient) {
+        const separator = group.Logic === 'And'
+            ? '<br><em style="color: #888; font-size: 0.9em;">AND</em><br>'
+            : '<br><em style="color: #888; font-size: 0.9em;">OR</em><br>';
+        const parts = [];
 
-                        // Add AudioLanguages configuration info
-                        let audioLanguagesInfo = '';
-                        if (rule.MemberName === 'AudioLanguages' && rule.OnlyDefaultAudioLanguage === true) {
-                            audioLanguagesInfo = ' (default only)';
-                        }
+        for (let ruleIndex = 0; ruleIndex < (group.Expressions || []).length; ruleIndex++) {
+            parts.push(await SmartLists.generateRuleHtml(group.Expressions[ruleIndex], playlist, apiClient));
+        }
+        for (let childIndex = 0; childIndex < (group.Groups || []).length; childIndex++) {
+            parts.push(await SmartLists.generateRuleGroupHtml(group.Groups[childIndex], playlist, apiClient));
+        }
 
-                        // Add SimilarTo comparison fields info
-                        let similarityInfo = '';
-                        if (rule.MemberName === 'SimilarTo') {
-                            if (playlist.SimilarityComparisonFields && playlist.SimilarityComparisonFields.length > 0) {
-                                similarityInfo = ' (comparing: ' + playlist.SimilarityComparisonFields.join(', ') + ')';
-                            } else {
-                                similarityInfo = ' (comparing: Genre, Tags)'; // Default
-                            }
-                        }
+        return '<div style="display: inline-block; padding: 0.4em 0.6em; border-left: 2px solid #666; margin: 0.2em 0;">' +
+            '<span style="color: #888; font-size: 0.85em;">' + (group.Logic === 'And' ? 'All of:' : 'Any of:') + '</span><br>' +
+            parts.join(separator) +
+            '</div>';
+    };
 
-                        rulesHtml += '<span style="font-family: monospace; background: #232323; padding: 4px 4px; border-radius: 3px;">';
-                        rulesHtml += SmartLists.escapeHtml(fieldName) + ' ' + SmartLists.escapeHtml(operator) + ' "' + SmartLists.escapeHtml(value) + '"' + SmartLists.escapeHtml(userInfo) + SmartLists.escapeHtml(nextUnwatchedInfo) + SmartLists.escapeHtml(collectionsInfo) + SmartLists.escapeHtml(tagsInfo) + SmartLists.escapeHtml(studiosInfo) + SmartLists.escapeHtml(genresInfo) + SmartLists.escapeHtml(audioLanguagesInfo) + SmartLists.escapeHtml(similarityInfo);
-                        rulesHtml += '</span>';
-                    }
-                    rulesHtml += '</div>';
+    // Formats one logic group (or exclusion group) as a block, with its rules and nested groups joined by AND
+    async function generateExpressionSetHtml(expressionSet, playlist, apiClient) {
+        const expressions = expressionSet.Expressions || [];
+        const nestedGroups = expressionSet.Groups || [];
+        if (expressions.length === 0 && nestedGroups.length === 0) {
+            return '';
+        }
+
+        let setHtml = '<div style="padding: 0.6em; background: rgba(255,255,255,0.02); border-radius: 4px; margin: 0.3em 0;">';
+
+        for (let ruleIndex = 0; ruleIndex < expressions.length; ruleIndex++) {
+            if (ruleIndex > 0) {
+                setHtml += '<br><em style="color: #888; font-size: 0.9em;">AND</em><br>';
+            }
+            setHtml += await SmartLists.generateRuleHtml(expressions[ruleIndex], playlist, apiClient);
+        }
+
+        // Nested groups are ANDed with the rest of the logic group
+        for (let nestedIndex = 0; nestedIndex < nestedGroups.length; nestedIndex++) {
+            if (expressions.length > 0 || nestedIndex > 0) {
+                setHtml += '<br><em style="color: #888; font-size: 0.9em;">AND</em><br>';
+            }
+            setHtml += await SmartLists.generateRuleGroupHtml(nestedGroups[nestedIndex], playlist, apiClient);
+        }
+        setHtml += '</div>';
+        return setHtml;
+    }
+
+    SmartLists.generateRulesHtml = async function (playlist, apiClient) {
+        let rulesHtml = '';
+        if (playlist.ExpressionSets && playlist.ExpressionSets.length > 0) {
+            for (let groupIndex = 0; groupIndex < playlist.ExpressionSets.length; groupIndex++) {
+                if (groupIndex > 0) {
+                    rulesHtml += '<strong style="color: #888;">OR</strong><br>';
                 }
+                rulesHtml += await generateExpressionSetHtml(playlist.ExpressionSets[groupIndex], playlist, apiClient);
             }
         } else {
             rulesHtml = 'No rules defined';
         }
+
+        const exclusionSets = playlist.ExclusionSets || [];
+        if (exclusionSets.length > 0) {
+            rulesHtml += '<br><strong style="color: #888;">Exclude items matching:</strong><br>';
+            for (let exclusionIndex = 0; exclusionIndex < exclusionSets.length; exclusionIndex++) {
+                if (exclusionIndex > 0) {
+                    rulesHtml += '<strong style="color: #888;">OR</strong><br>';
+                }
+                rulesHtml += await generateExpressionSetHtml(exclusionSets[exclusionIndex], playlist, apiClient);
+            }
+        }
         return rulesHtml;
     };
 
@@ -1209,6 +1348,10 @@
         }
         const statsDisplay = statsElements.length > 0 ? statsElements.join(' | ') : '';
 
+        // Item count sparkline for the header and full charts for the Statistics section
+        const sparklineHtml = typeof SmartLists.generateStatisticsSparklineHtml === 'function' ? SmartLists.generateStatisticsSparklineHtml(playlist) : '';
+        const statisticsChartHtml = typeof SmartLists.generateStatisticsChartHtml === 'function' ? SmartLists.generateStatisticsChartHtml(playlist) : '';
+
         // Escape all dynamic content to prevent XSS
         const eName = SmartLists.escapeHtml(playlist.Name || '');
         const eFileName = SmartLists.escapeHtml(playlist.FileName || '');
@@ -1329,7 +1472,9 @@
             '</label>' +
             '<span class="playlist-expand-icon" style="margin-right: 0.5em; font-family: monospace; font-size: 1.2em; color: #999; flex-shrink: 0;">▶</span>' +
             '<h3 style="margin: 0; flex: 1.5; min-width: 0; word-wrap: break-word; padding-right: 0.5em;">' + eName + '</h3>' +
+            (typeof SmartLists.generateRefreshFailureBadgeHtml === 'function' ? SmartLists.generateRefreshFailureBadgeHtml(playlistId) : '') +
             (enabledStatus ? '<span class="playlist-status" style="color: ' + enabledStatusColor + '; font-weight: bold; margin-right: 0.75em; flex-shrink: 0; line-height: 1.5; align-self: center;">' + enabledStatus + '</span>' : '') +
+            sparklineHtml +
             (eStatsDisplay ? '<span class="playlist-stats" style="color: #888; font-size: 0.85em; margin-right: 0.5em; flex-shrink: 0; font-weight: normal; line-height: 1.5; align-self: center;">' + eStatsDisplay + '</span>' : '') +
             '</div>' +
             '<div class="playlist-header-right" style="display: flex; align-items: center; margin-left: 1em; margin-right: 0.5em;">' +
@@ -1428,12 +1573,14 @@
             '<td style="padding: 0.5em 0.75em; color: #fff;">' + eLastRefreshDisplay + '</td>' +
             '</tr>' +
             '</table>' +
+            statisticsChartHtml +
             '</div>' +
 
             // Action buttons
             '<div class="playlist-actions" style="margin-top: 1em; margin-left: 0.5em;">' +
             '<button is="emby-button" type="button" class="emby-button raised edit-playlist-btn" data-playlist-id="' + SmartLists.escapeHtmlAttribute(playlistId) + '" data-playlist-name="' + SmartLists.escapeHtmlAttribute(playlist.Name || '') + '">Edit</button>' +
             '<button is="emby-button" type="button" class="emby-button raised clone-playlist-btn" data-playlist-id="' + SmartLists.escapeHtmlAttribute(playlistId) + '" data-playlist-name="' + SmartLists.escapeHtmlAttribute(playlist.Name || '') + '">Clone</button>' +
+            '<button is="emby-button" type="button" class="emby-button raised save-template-btn" data-playlist-id="' + SmartLists.escapeHtmlAttribute(playlistId) + '" data-playlist-name="' + SmartLists.escapeHtmlAttribute(playlist.Name || '') + '">Save as Template</button>' +
             '<button is="emby-button" type="button" class="emby-button raised refresh-playlist-btn" data-playlist-id="' + SmartLists.escapeHtmlAttribute(playlistId) + '" data-playlist-name="' + SmartLists.escapeHtmlAttribute(playlist.Name || '') + '">Refresh</button>' +
             (isEnabled ?
                 '<button is="emby-button" type="button" class="emby-button raised disable-playlist-btn" data-playlist-id="' + SmartLists.escapeHtmlAttribute(playlistId) + '" data-playlist-name="' + SmartLists.escapeHtmlAttribute(playlist.Name || '') + '">Disable</button>' :
@@ -1446,6 +1593,90 @@
     };
 
     // ===== LOAD PLAYLIST LIST =====
+    // Re-render one list's card from its latest data, e.g. to show the new item count and last refresh time
+    // once its refresh completes. Does nothing if the card isn't shown or the lists are being reloaded.
+    SmartLists.refreshPlaylistCard = async function (page, playlistId) {
+        if (!page || page._loadingPlaylists) {
+            return;
+        }
+        const findCard = function () {
+            const cards = page.querySelectorAll('.playlist-card');
+            for (var i = 0; i < cards.length; i++) {
+                if (cards[i].getAttribute('data-playlist-id') === playlistId) {
+                    return cards[i];
+                }
+            }
+            return null;
+        };
+        if (!findCard()) {
+            return;
+        }
+
+        const apiClient = SmartLists.getApiClient();
+        try {
+            const response = await apiClient.ajax({
+                type: 'GET',
+                url: apiClient.getUrl(SmartLists.ENDPOINTS.base + '/' + playlistId),
+                contentType: 'application/json'
+            });
+            if (!response.ok) {
+                throw new Error('HTTP ' + response.status + ': ' + response.statusText);
+            }
+            const playlist = await response.json();
+
+            // Keep the stored data in sync so filtering and sorting use the new values
+            if (Array.isArray(page._allPlaylists)) {
+                const index = page._allPlaylists.findIndex(function (p) { return p.Id === playlist.Id; });
+                if (index !== -1) {
+                    page._allPlaylists[index] = playlist;
+                }
+            }
+
+            const resolvedUserName = await SmartLists.resolveUsername(apiClient, playlist);
+            const rulesHtml = await SmartLists.generateRulesHtml(playlist, apiClient);
+
+            // The list may have been reloaded while the card was being built
+            const card = findCard();
+            if (!card || page._loadingPlaylists) {
+                return;
+            }
+            const wrapper = document.createElement('div');
+            wrapper.innerHTML = SmartLists.generatePlaylistCardHtml(playlist, rulesHtml, resolvedUserName);
+            const newCard = wrapper.firstElementChild;
+            if (!newCard) {
+                return;
+            }
+
+            // Keep the card expanded and selected as the user left it
+            if (card.getAttribute('data-expanded') === 'true') {
+                const details = newCard.querySelector('.playlist-details');
+                const actions = newCard.querySelector('.playlist-actions');
+                const icon = newCard.querySelector('.playlist-expand-icon');
+                if (details) {
+                    details.style.display = 'block';
+                }
+                if (actions) {
+                    actions.style.display = 'block';
+                }
+                if (icon) {
+                    icon.textContent = '▼';
+                }
+                newCard.setAttribute('data-expanded', 'true');
+            } else {
+                newCard.setAttribute('data-expanded', 'false');
+            }
+            const oldCheckbox = card.querySelector('.playlist-checkbox');
+            const newCheckbox = newCard.querySelector('.playlist-checkbox');
+            if (oldCheckbox && newCheckbox) {
+                newCheckbox.checked = oldCheckbox.checked;
+            }
+
+            card.parentNode.replaceChild(newCard, card);
+        } catch (err) {
+            console.warn('SmartLists: Failed to update the card of list ' + playlistId + ':', err);
+        }
+    };
+
     SmartLists.loadPlaylistList = async function (page) {
         const apiClient = SmartLists.getApiClient();
         const container = page.querySelector('#playlist-list-container');
@@ -1493,6 +1724,7 @@
 
             // Store playlists data for filtering
             page._allPlaylists = processedPlaylists;
+            SmartLists.rememberSmartListNames(processedPlaylists);
 
             // Preload all users to populate cache for user name resolution
             try {
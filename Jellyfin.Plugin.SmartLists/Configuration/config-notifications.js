@@ -0,0 +1,245 @@
+(function (SmartLists) {
+    'use strict';
+
+    // ===== NOTIFICATION WEBHOOKS =====
+    // Webhooks are edited on the Settings tab and saved with the other settings in the plugin configuration.
+    // The server posts them when list refreshes complete (see WebhookNotificationService).
+
+    SmartLists.WEBHOOK_EVENTS = [
+        { value: 'RefreshSucceeded', label: 'Refresh succeeded' },
+        { value: 'RefreshFailed', label: 'Refresh failed' },
+        { value: 'ItemsAdded', label: 'Items added' },
+        { value: 'ItemsRemoved', label: 'Items removed' },
+        { value: 'ListBecameEmpty', label: 'List became empty' }
+    ];
+
+    // Same as WebhookNotificationService.DefaultPayloadTemplate, which is used when the template is left empty
+    const DEFAULT_PAYLOAD_TEMPLATE = '{\n' +
+        '  "event": "{{event}}",\n' +
+        '  "message": "{{message}}",\n' +
+        '  "listId": "{{listId}}",\n' +
+        '  "listName": "{{listName}}",\n' +
+        '  "listType": "{{listType}}",\n' +
+        '  "triggerType": "{{triggerType}}",\n' +
+        '  "success": {{success}},\n' +
+        '  "errorMessage": "{{errorMessage}}",\n' +
+        '  "addedCount": {{addedCount}},\n' +
+        '  "removedCount": {{removedCount}},\n' +
+        '  "itemCount": {{itemCount}},\n' +
+        '  "durationSeconds": {{durationSeconds}},\n' +
+        '  "timestamp": "{{timestamp}}"\n' +
+        '}';
+
+    const PLACEHOLDER_PATTERN = /\{\{\s*\w+\s*\}\}/g;
+
+    function generateWebhookId() {
+        return 'webhook-' + Date.now() + '-' + Math.random().toString(36).slice(2, 11);
+    }
+
+    function createCheckboxHtml(className, value, label, checked) {
+        return '<label class="emby-checkbox-label" style="width: auto; margin-right: 1.5em;">' +
+            '<input type="checkbox" is="emby-checkbox" data-embycheckbox="true" class="emby-checkbox ' + className + '"' +
+            (value ? ' value="' + SmartLists.escapeHtmlAttribute(value) + '"' : '') + (checked ? ' checked' : '') + '>' +
+            '<span class="checkboxLabel">' + SmartLists.escapeHtml(label) + '</span>' +
+            '<span class="checkboxOutline">' +
+            '<span class="material-icons checkboxIcon checkboxIcon-checked check" aria-hidden="true"></span>' +
+            '<span class="material-icons checkboxIcon checkboxIcon-unchecked" aria-hidden="true"></span>' +
+            '</span>' +
+            '</label>';
+    }
+
+    function createWebhookCardHtml(webhook) {
+        const events = webhook.Events || [];
+        let html = '<div class="webhook-card" data-webhook-id="' + SmartLists.escapeHtmlAttribute(webhook.Id) + '"' +
+            ' style="padding: 1em; margin-bottom: 1em; border: 1px solid #444; border-radius: 2px; background: rgba(255,255,255,0.03);">';
+
+        html += '<div class="inputContainer" style="margin-bottom: 1em;">' +
+            '<label class="inputLabel">Name</label>' +
+            '<input type="text" class="emby-input webhook-name" value="' + SmartLists.escapeHtmlAttribute(webhook.Name || '') + '" placeholder="Home Assistant">' +
+            '</div>';
+
+        html += '<div class="inputContainer" style="margin-bottom: 1em;">' +
+            '<label class="inputLabel">URL</label>' +
+            '<input type="url" class="emby-input webhook-url" value="' + SmartLists.escapeHtmlAttribute(webhook.Url || '') + '" placeholder="http://homeassistant.local:8123/api/webhook/smartlists">' +
+            '<div class="fieldDescription">The JSON payload is sent to this URL with a POST request.</div>' +
+            '</div>';
+
+        html += '<div class="checkboxList paperList" style="padding: 0.5em 1em; margin-bottom: 1em;">' +
+            createCheckboxHtml('webhook-enabled', '', 'Enabled', webhook.Enabled !== false) +
+            '</div>';
+
+        html += '<div style="margin-bottom: 1em;">' +
+            '<div class="inputLabel" style="margin-bottom: 0.5em;">Send when</div>' +
+            '<div style="display: flex; flex-wrap: wrap; gap: 0.5em 0;">';
+        SmartLists.WEBHOOK_EVENTS.forEach(function (event) {
+            html += createCheckboxHtml('webhook-event', event.value, event.label, events.indexOf(event.value) !== -1);
+        });
+        html += '</div></div>';
+
+        html += '<div class="inputContainer" style="margin-bottom: 1em;">' +
+            '<label class="inputLabel">Payload template</label>' +
+            '<textarea class="emby-textarea webhook-template" rows="10" spellcheck="false"' +
+            ' style="width: 100%; box-sizing: border-box; font-family: monospace; resize: vertical;">' +
+            SmartLists.escapeHtml(webhook.PayloadTemplate || DEFAULT_PAYLOAD_TEMPLATE) + '</textarea>' +
+            '<div class="fieldDescription">JSON with placeholders that are filled in for each event: ' +
+            '<code>{{event}}</code>, <code>{{message}}</code>, <code>{{listId}}</code>, <code>{{listName}}</code>, ' +
+            '<code>{{listType}}</code>, <code>{{triggerType}}</code>, <code>{{success}}</code>, <code>{{errorMessage}}</code>, ' +
+            '<code>{{errorType}}</code>, <code>{{addedCount}}</code>, <code>{{removedCount}}</code>, <code>{{itemCount}}</code>, ' +
+            '<code>{{durationSeconds}}</code> and <code>{{timestamp}}</code>. Put text placeholders inside quotes. ' +
+            'Counts are <code>null</code> when a refresh failed. Leave empty for the default payload.</div>' +
+            '</div>';
+
+        html += '<div style="display: flex; flex-wrap: wrap; align-items: center; gap: 0.5em;">' +
+            '<select is="emby-select" class="emby-select-withcolor emby-select webhook-test-event" aria-label="Test event" style="width: auto;">';
+        SmartLists.WEBHOOK_EVENTS.forEach(function (event) {
+            html += '<option value="' + SmartLists.escapeHtmlAttribute(event.value) + '">' + SmartLists.escapeHtml(event.label) + '</option>';
+        });
+        html += '</select>' +
+            '<button type="button" is="emby-button" class="emby-button raised webhook-test-btn">Send test</button>' +
+            '<button type="button" is="emby-button" class="emby-button raised webhook-remove-btn" style="margin-left: auto;">Remove</button>' +
+            '</div>' +
+            '<div class="webhook-test-result" style="display: none; margin-top: 0.75em;"></div>';
+
+        html += '</div>';
+        return html;
+    }
+
+    /**
+     * Show the webhooks from the plugin configuration on the Settings tab
+     */
+    SmartLists.renderWebhooks = function (page, webhooks) {
+        const container = page.querySelector('#webhooksContainer');
+        if (!container) {
+            return;
+        }
+        container.innerHTML = (webhooks || []).map(createWebhookCardHtml).join('');
+    };
+
+    function readWebhookCard(card) {
+        const events = [];
+        card.querySelectorAll('.webhook-event').forEach(function (checkbox) {
+            if (checkbox.checked) {
+                events.push(checkbox.value);
+            }
+        });
+
+        // An unchanged default template is stored empty, so webhooks pick up changes to the default
+        const template = card.querySelector('.webhook-template').value.trim();
+        return {
+            Id: card.getAttribute('data-webhook-id') || generateWebhookId(),
+            Name: card.querySelector('.webhook-name').value.trim(),
+            Url: card.querySelector('.webhook-url').value.trim(),
+            Enabled: card.querySelector('.webhook-enabled').checked,
+            Events: events,
+            PayloadTemplate: template === DEFAULT_PAYLOAD_TEMPLATE ? '' : template
+        };
+    }
+
+    function isHttpUrl(url) {
+        return /^https?:\/\/[^\s/]+/i.test(url);
+    }
+
+    // The server fills the placeholders in with JSON-escaped values, so any value will do for checking the JSON
+    function isValidTemplate(template) {
+        if (!template) {
+            return true;
+        }
+        try {
+            JSON.parse(template.replace(PLACEHOLDER_PATTERN, '0'));
+            return true;
+        } catch (err) {
+            return false;
+        }
+    }
+
+    /**
+     * Read the webhooks from the Settings tab for saving
+     * @returns {{webhooks: Array, error: string|null}} The webhooks, or the first problem that stops them being saved
+     */
+    SmartLists.collectWebhooks = function (page) {
+        const webhooks = [];
+        let error = null;
+        page.querySelectorAll('#webhooksContainer .webhook-card').forEach(function (card, index) {
+            const webhook = readWebhookCard(card);
+            const label = webhook.Name ? 'Webhook "' + webhook.Name + '"' : 'Webhook ' + (index + 1);
+            if (!error && !isHttpUrl(webhook.Url)) {
+                error = label + ' needs an http or https URL.';
+            } else if (!error && !isValidTemplate(webhook.PayloadTemplate)) {
+                error = label + ' has a payload template that is not valid JSON.';
+            }
+            webhooks.push(webhook);
+        });
+        return { webhooks: webhooks, error: error };
+    };
+
+    function showTestResult(card, success, message, payload) {
+        const resultEl = card.querySelector('.webhook-test-result');
+        let html = '<div style="padding: 0.5em 0.75em; border-left: 4px solid ' + (success ? '#4caf50' : '#f44336') + '; background: ' +
+            (success ? 'rgba(76, 175, 80, 0.12)' : 'rgba(244, 67, 54, 0.12)') + '; border-radius: 2px;">' +
+            SmartLists.escapeHtml(message);
+        if (payload) {
+            html += '<details style="margin-top: 0.5em;"><summary style="cursor: pointer;">Payload sent</summary>' +
+                '<pre style="margin: 0.5em 0 0 0; white-space: pre-wrap; word-break: break-word; font-size: 0.85em;">' + SmartLists.escapeHtml(payload) + '</pre>' +
+                '</details>';
+        }
+        html += '</div>';
+        resultEl.innerHTML = html;
+        resultEl.style.display = 'block';
+    }
+
+    function sendTestWebhook(card) {
+        const webhook = readWebhookCard(card);
+        if (!isHttpUrl(webhook.Url)) {
+            showTestResult(card, false, 'Enter an http or https URL to send a test to.');
+            return Promise.resolve();
+        }
+
+        const button = card.querySelector('.webhook-test-btn');
+        button.disabled = true;
+        return SmartLists.postPreviewRequest(SmartLists.ENDPOINTS.webhookTest, '', {
+            Url: webhook.Url,
+            PayloadTemplate: webhook.PayloadTemplate,
+            EventType: card.querySelector('.webhook-test-event').value
+        }).then(function (result) {
+            showTestResult(card, result.success, (result.success ? 'Test sent. ' : 'Test failed. ') + result.message + '.', result.payload);
+        }).catch(function (err) {
+            console.error('Error sending test webhook:', err);
+            showTestResult(card, false, 'Failed to send the test: ' + ((err && err.message) ? err.message : 'Unknown error'));
+        }).then(function () {
+            button.disabled = false;
+        });
+    }
+
+    SmartLists.initNotifications = function (page) {
+        const container = page.querySelector('#webhooksContainer');
+        const addButton = page.querySelector('#addWebhookBtn');
+        if (!container || !addButton || container._webhookListenersAttached) {
+            return;
+        }
+
+        addButton.addEventListener('click', function () {
+            container.insertAdjacentHTML('beforeend', createWebhookCardHtml({
+                Id: generateWebhookId(),
+                Enabled: true,
+                Events: ['RefreshFailed']
+            }));
+            const cards = container.querySelectorAll('.webhook-card');
+            cards[cards.length - 1].querySelector('.webhook-name').focus();
+        });
+
+        container.addEventListener('click', function (e) {
+            const card = e.target.closest('.webhook-card');
+            if (!card) {
+                return;
+            }
+            if (e.target.closest('.webhook-test-btn')) {
+                sendTestWebhook(card);
+            } else if (e.target.closest('.webhook-remove-btn')) {
+                card.remove();
+            }
+        });
+
+        container._webhookListenersAttached = true;
+    };
+
+})(window.SmartLists = window.SmartLists || {});
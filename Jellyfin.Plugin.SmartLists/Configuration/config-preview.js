@@ -0,0 +1,651 @@
+(function (SmartLists) {
+    'use strict';
+
+    // Initialize namespace if it doesn't exist
+    if (!window.SmartLists) {
+        window.SmartLists = {};
+        SmartLists = window.SmartLists;
+    }
+
+    // Debounce delay before re-running the preview when auto-update is enabled (milliseconds)
+    SmartLists.PREVIEW_UPDATE_DEBOUNCE_MS = 1000;
+
+    // ===== PREVIEW REQUESTS =====
+    /**
+     * Build the list DTO sent to the preview endpoints from the in-progress form.
+     * Returns null when no media type is selected, since nothing can be evaluated.
+     */
+    SmartLists.buildPreviewDto = function (page, ruleRowMap) {
+        const listDto = SmartLists.buildListDtoFromForm(page, ruleRowMap);
+        if (!listDto.MediaTypes || listDto.MediaTypes.length === 0) {
+            return null;
+        }
+
+        // The server requires a name, but previews don't need one
+        if (!listDto.Name) {
+            listDto.Name = 'Preview';
+        }
+
+        // Include the ID while editing so the preview reflects the list being edited
+        const editState = SmartLists.getPageEditState(page);
+        if (editState.editMode && editState.editingPlaylistId) {
+            listDto.Id = editState.editingPlaylistId;
+        }
+
+        return listDto;
+    };
+
+    /**
+     * POST a list DTO to one of the preview endpoints and resolve with the parsed JSON.
+     * Rejects with an Error carrying the server's message.
+     */
+    SmartLists.postPreviewRequest = function (endpoint, query, listDto) {
+        const apiClient = SmartLists.getApiClient();
+        return apiClient.ajax({
+            type: 'POST',
+            url: apiClient.getUrl(endpoint) + (query || ''),
+            data: JSON.stringify(listDto),
+            contentType: 'application/json'
+        }).then(function (response) {
+            if (!response.ok) {
+                // 400 responses are either ProblemDetails or a JSON-encoded string
+                return response.text().then(function (errorText) {
+                    var errorMessage;
+                    try {
+                        var parsed = JSON.parse(errorText);
+                        if (parsed && typeof parsed === 'object') {
+                            errorMessage = parsed.detail || parsed.title || parsed.message || JSON.stringify(parsed);
+                        } else {
+                            errorMessage = String(parsed);
+                        }
+                    } catch (e) {
+                        errorMessage = errorText || 'HTTP ' + response.status;
+                    }
+                    throw new Error(errorMessage);
+                });
+            }
+            return response.json();
+        });
+    };
+
+    // ===== RULE PREVIEW =====
+    /**
+     * Run a dry-run of the in-progress form against the server and render the matches.
+     * Nothing is saved - the server only evaluates the rules, sorting and limits.
+     */
+    SmartLists.runListPreview = function (page) {
+        const container = page.querySelector('#preview-results-container');
+        if (!container) {
+            return Promise.resolve();
+        }
+
+        const listDto = SmartLists.buildPreviewDto(page);
+        if (!listDto) {
+            container.innerHTML = '<p style="color: #aaa;">Select at least one media type to preview matches.</p>';
+            return Promise.resolve();
+        }
+
+        const limit = SmartLists.getElementValue(page, '#previewLimit', '20');
+
+        // Track the request so a slow, stale response never overwrites a newer one
+        const requestId = (page._previewRequestId || 0) + 1;
+        page._previewRequestId = requestId;
+
+        const previewBtn = page.querySelector('#previewMatchesBtn');
+        if (previewBtn) {
+            previewBtn.disabled = true;
+        }
+        container.innerHTML = '<p style="color: #aaa;">Evaluating rules...</p>';
+
+        return SmartLists.postPreviewRequest(SmartLists.ENDPOINTS.preview, '?limit=' + encodeURIComponent(limit), listDto).then(function (result) {
+            if (page._previewRequestId !== requestId) {
+                return;
+            }
+            SmartLists.renderListPreview(page, result);
+        }).catch(function (err) {
+            if (page._previewRequestId !== requestId) {
+                return;
+            }
+            console.error('Error previewing list:', err);
+            const message = (err && err.message) ? err.message : 'Unknown error';
+            container.innerHTML = '<p style="color: #ff6b6b;">Failed to preview matches: ' + SmartLists.escapeHtml(message) + '</p>';
+        }).finally(function () {
+            if (page._previewRequestId === requestId && previewBtn) {
+                previewBtn.disabled = false;
+            }
+        });
+    };
+
+    /**
+     * Display name for a preview item. Episodes include the series and episode number.
+     */
+    SmartLists.formatPreviewItemName = function (item) {
+        if (!item.seriesName) {
+            return item.name || '';
+        }
+
+        let episodeNumber = '';
+        if (item.seasonNumber !== null && item.seasonNumber !== undefined &&
+            item.episodeNumber !== null && item.episodeNumber !== undefined) {
+            episodeNumber = 'S' + String(item.seasonNumber).padStart(2, '0') + 'E' + String(item.episodeNumber).padStart(2, '0') + ' - ';
+        }
+        return item.seriesName + ' - ' + episodeNumber + (item.name || '');
+    };
+
+    /**
+     * Render the preview result returned by the server.
+     */
+    SmartLists.renderListPreview = function (page, result) {
+        const container = page.querySelector('#preview-results-container');
+        if (!container) {
+            return;
+        }
+
+        const totalCount = result.totalCount || 0;
+        const items = result.items || [];
+        const totalRuntime = result.totalRuntimeMinutes ? SmartLists.formatRuntimeLong(result.totalRuntimeMinutes) : 'N/A';
+
+        let html = '<div style="display: flex; flex-wrap: wrap; gap: 1.5em; margin-bottom: 1em; color: #ccc;">' +
+            '<span><strong style="color: #fff;">' + totalCount + '</strong> matching item' + (totalCount === 1 ? '' : 's') + '</span>' +
+            '<span>Total runtime: <strong style="color: #fff;">' + SmartLists.escapeHtml(totalRuntime) + '</strong></span>' +
+            '<span style="color: #888;">' + (result.scannedCount || 0) + ' items scanned in ' + (result.elapsedMilliseconds || 0) + ' ms</span>' +
+            '</div>';
+
+        if (items.length === 0) {
+            html += '<p style="color: #aaa;">No items match the current rules.</p>';
+            container.innerHTML = html;
+            return;
+        }
+
+        html += '<table style="width: 100%; border-collapse: collapse;">' +
+            '<thead><tr style="text-align: left; color: #aaa; border-bottom: 1px solid #444;">' +
+            '<th style="padding: 0.4em 0.75em;">#</th>' +
+            '<th style="padding: 0.4em 0.75em;">Name</th>' +
+            '<th style="padding: 0.4em 0.75em;">Type</th>' +
+            '<th style="padding: 0.4em 0.75em;">Year</th>' +
+            '<th style="padding: 0.4em 0.75em;">Runtime</th>' +
+            '<th style="padding: 0.4em 0.75em;"></th>' +
+            '</tr></thead><tbody>';
+
+        items.forEach(function (item, index) {
+            const name = SmartLists.formatPreviewItemName(item);
+            const runtime = item.runtimeMinutes ? SmartLists.formatRuntime(item.runtimeMinutes) : '';
+            html += '<tr style="border-bottom: 1px solid #333;">' +
+                '<td style="padding: 0.4em 0.75em; color: #888;">' + (index + 1) + '</td>' +
+                '<td style="padding: 0.4em 0.75em; color: #fff;">' + SmartLists.escapeHtml(name) + '</td>' +
+                '<td style="padding: 0.4em 0.75em; color: #ccc;">' + SmartLists.escapeHtml(item.type) + '</td>' +
+                '<td style="padding: 0.4em 0.75em; color: #ccc;">' + (item.productionYear || '') + '</td>' +
+                '<td style="padding: 0.4em 0.75em; color: #ccc;">' + SmartLists.escapeHtml(runtime) + '</td>' +
+                '<td style="padding: 0.4em 0.75em; text-align: right;">' +
+                '<button type="button" class="emby-button explain-item-btn" data-item-id="' + SmartLists.escapeHtml(item.id) + '"' +
+                ' style="padding: 0.2em 0.6em; font-size: 0.85em; margin: 0;">Explain</button>' +
+                '</td>' +
+                '</tr>';
+        });
+        html += '</tbody></table>';
+
+        if (totalCount > items.length) {
+            html += '<div class="fieldDescription" style="margin-top: 0.5em;">Showing the first ' + items.length +
+                ' of ' + totalCount + ' matching items.</div>';
+        }
+
+        container.innerHTML = html;
+    };
+
+    /**
+     * Clear the preview results, e.g. when the form is cleared or a different list is loaded.
+     */
+    SmartLists.clearListPreview = function (page) {
+        if (page._previewUpdateTimer) {
+            clearTimeout(page._previewUpdateTimer);
+            page._previewUpdateTimer = null;
+        }
+        // Invalidate any request that is still in flight
+        page._previewRequestId = (page._previewRequestId || 0) + 1;
+
+        const previewBtn = page.querySelector('#previewMatchesBtn');
+        if (previewBtn) {
+            previewBtn.disabled = false;
+        }
+
+        const container = page.querySelector('#preview-results-container');
+        if (container) {
+            container.innerHTML = '<p style="color: #aaa;">Click "Preview Matches" to see which items the current rules match.</p>';
+        }
+
+        SmartLists.clearRuleStatistics(page);
+        SmartLists.setElementValue(page, '#explainSearch', '');
+        const explainContainer = page.querySelector('#explain-results-container');
+        if (explainContainer) {
+            explainContainer.innerHTML = '';
+        }
+    };
+
+    /**
+     * Schedule a debounced preview when auto-update is enabled.
+     */
+    SmartLists.schedulePreviewUpdate = function (page) {
+        if (!SmartLists.getElementChecked(page, '#previewAutoUpdate', false)) {
+            return;
+        }
+
+        if (page._previewUpdateTimer) {
+            clearTimeout(page._previewUpdateTimer);
+        }
+        page._previewUpdateTimer = setTimeout(function () {
+            page._previewUpdateTimer = null;
+            SmartLists.runListPreview(page);
+        }, SmartLists.PREVIEW_UPDATE_DEBOUNCE_MS);
+    };
+
+    // ===== RULE MATCH COUNTS =====
+    /**
+     * Ask the server how many items each rule matches and show the counts under each rule row.
+     */
+    SmartLists.runRuleStatistics = function (page) {
+        const ruleRowMap = [];
+        const listDto = SmartLists.buildPreviewDto(page, ruleRowMap);
+        if (!listDto) {
+            SmartLists.showNotification('Select at least one media type to count rule matches.', 'warning');
+            return Promise.resolve();
+        }
+        if (ruleRowMap.length === 0) {
+            SmartLists.showNotification('Add at least one complete rule to count matches.', 'warning');
+            return Promise.resolve();
+        }
+
+        const requestId = (page._ruleStatsRequestId || 0) + 1;
+        page._ruleStatsRequestId = requestId;
+
+        const statsBtn = page.querySelector('#ruleStatsBtn');
+        if (statsBtn) {
+            statsBtn.disabled = true;
+            statsBtn.textContent = 'Counting...';
+        }
+
+        return SmartLists.postPreviewRequest(SmartLists.ENDPOINTS.previewRules, '', listDto).then(function (result) {
+            if (page._ruleStatsRequestId !== requestId) {
+                return;
+            }
+            SmartLists.renderRuleStatistics(page, result, ruleRowMap);
+        }).catch(function (err) {
+            if (page._ruleStatsRequestId !== requestId) {
+                return;
+            }
+            console.error('Error counting rule matches:', err);
+            SmartLists.showNotification('Failed to count rule matches: ' + ((err && err.message) ? err.message : 'Unknown error'), 'error');
+        }).finally(function () {
+            if (statsBtn) {
+                statsBtn.disabled = false;
+                statsBtn.textContent = 'Count Rule Matches';
+            }
+        });
+    };
+
+    /**
+     * Show the per-rule counts under each rule row. The first rule of a group shows its own count;
+     * later rules also show how many items are left after ANDing them with the rules above.
+     */
+    SmartLists.renderRuleStatistics = function (page, result, ruleRowMap) {
+        SmartLists.clearRuleStatistics(page);
+
+        const formatCount = function (count) {
+            return Number(count || 0).toLocaleString();
+        };
+
+        (result.sets || []).forEach(function (set, setIndex) {
+            const rows = ruleRowMap[setIndex] || [];
+            (set.rules || []).forEach(function (rule, ruleIndex) {
+                const row = rows[ruleIndex];
+                if (!row) {
+                    return;
+                }
+
+                let html;
+                if (rule.error) {
+                    html = '<span style="color: #ff6b6b;">Rule could not be evaluated: ' + SmartLists.escapeHtml(rule.error) + '</span>';
+                } else if (!rule.evaluated) {
+                    html = 'Matches collections directly, so items are not counted';
+                } else {
+                    html = '<strong style="color: #fff;">' + formatCount(rule.matchCount) + '</strong> of ' +
+                        formatCount(result.scannedCount) + ' items match this rule';
+                    if (ruleIndex > 0) {
+                        const remainingColor = rule.remainingCount === 0 ? '#ff6b6b' : '#fff';
+                        html += ' &middot; <strong style="color: ' + remainingColor + ';">' + formatCount(rule.remainingCount) +
+                            '</strong> left after this AND step';
+                    }
+                }
+
+                const statsDiv = document.createElement('div');
+                statsDiv.className = 'rule-match-stats';
+                statsDiv.style.cssText = 'margin: -0.5em 0 0.75em 0; font-size: 0.85em; color: #aaa;';
+                statsDiv.innerHTML = html;
+
+                const inputGroup = row.querySelector('.input-group');
+                row.insertBefore(statsDiv, inputGroup ? inputGroup.nextSibling : row.firstChild);
+            });
+        });
+    };
+
+    /**
+     * Remove the per-rule counts, e.g. once the rules have changed and the counts are stale.
+     */
+    SmartLists.clearRuleStatistics = function (page) {
+        // Invalidate any request that is still in flight
+        page._ruleStatsRequestId = (page._ruleStatsRequestId || 0) + 1;
+        page.querySelectorAll('.rule-match-stats').forEach(function (statsDiv) {
+            statsDiv.remove();
+        });
+    };
+
+    // ===== EXPLAIN ITEM =====
+    /**
+     * Search the media the list is built from, so the user can pick an item to explain.
+     */
+    SmartLists.searchExplainItems = function (page) {
+        const container = page.querySelector('#explain-results-container');
+        const searchTerm = SmartLists.getElementValue(page, '#explainSearch', '').trim();
+        if (!container || !searchTerm) {
+            return Promise.resolve();
+        }
+
+        const listDto = SmartLists.buildPreviewDto(page);
+        if (!listDto) {
+            container.innerHTML = '<p style="color: #aaa;">Select at least one media type to search for items.</p>';
+            return Promise.resolve();
+        }
+
+        const requestId = (page._explainRequestId || 0) + 1;
+        page._explainRequestId = requestId;
+        container.innerHTML = '<p style="color: #aaa;">Searching...</p>';
+
+        return SmartLists.postPreviewRequest(SmartLists.ENDPOINTS.previewSearch, '?searchTerm=' + encodeURIComponent(searchTerm), listDto).then(function (items) {
+            if (page._explainRequestId !== requestId) {
+                return;
+            }
+            if (!items || items.length === 0) {
+                container.innerHTML = '<p style="color: #aaa;">No items found for "' + SmartLists.escapeHtml(searchTerm) + '".</p>';
+                return;
+            }
+
+            let html = '<div style="display: flex; flex-direction: column; gap: 0.25em;">';
+            items.forEach(function (item) {
+                html += '<button type="button" class="emby-button explain-item-btn" data-item-id="' + SmartLists.escapeHtml(item.id) + '"' +
+                    ' style="text-align: left; margin: 0; padding: 0.4em 0.75em;">' +
+                    SmartLists.escapeHtml(SmartLists.formatPreviewItemName(item)) +
+                    ' <span style="color: #888;">(' + SmartLists.escapeHtml(item.type) + (item.productionYear ? ', ' + item.productionYear : '') + ')</span>' +
+                    '</button>';
+            });
+            html += '</div>';
+            container.innerHTML = html;
+        }).catch(function (err) {
+            if (page._explainRequestId !== requestId) {
+                return;
+            }
+            console.error('Error searching items:', err);
+            container.innerHTML = '<p style="color: #ff6b6b;">Failed to search items: ' + SmartLists.escapeHtml((err && err.message) ? err.message : 'Unknown error') + '</p>';
+        });
+    };
+
+    /**
+     * Evaluate every rule against one item and show which passed or failed, with the value each rule saw.
+     */
+    SmartLists.runItemExplanation = function (page, itemId) {
+        const container = page.querySelector('#explain-results-container');
+        if (!container || !itemId) {
+            return Promise.resolve();
+        }
+
+        const listDto = SmartLists.buildPreviewDto(page);
+        if (!listDto) {
+            container.innerHTML = '<p style="color: #aaa;">Select at least one media type to explain an item.</p>';
+            return Promise.resolve();
+        }
+
+        const requestId = (page._explainRequestId || 0) + 1;
+        page._explainRequestId = requestId;
+        container.innerHTML = '<p style="color: #aaa;">Evaluating rules for this item...</p>';
+        const explainSection = page.querySelector('#explainItemSection');
+        if (explainSection && explainSection.scrollIntoView) {
+            explainSection.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+        }
+
+        return SmartLists.postPreviewRequest(SmartLists.ENDPOINTS.previewExplain, '?itemId=' + encodeURIComponent(itemId), listDto).then(function (result) {
+            if (page._explainRequestId !== requestId) {
+                return;
+            }
+            SmartLists.renderItemExplanation(page, result);
+        }).catch(function (err) {
+            if (page._explainRequestId !== requestId) {
+                return;
+            }
+            console.error('Error explaining item:', err);
+            container.innerHTML = '<p style="color: #ff6b6b;">Failed to explain item: ' + SmartLists.escapeHtml((err && err.message) ? err.message : 'Unknown error') + '</p>';
+        });
+    };
+
+    /**
+     * Render the explanation returned by the server: a verdict, then one table per logic group.
+     */
+    function renderExplanationRow(expr, depth) {
+        let fieldName = expr.memberName === 'ItemType' ? 'Media Type' : SmartLists.getPeopleFieldDisplayName(expr.memberName);
+        let targetValue = expr.targetValue;
+        let actualText = expr.actualValue;
+        if (expr.memberName === 'SmartList') {
+            // Referenced lists are stored by ID, show their names instead
+            fieldName = 'Smart List';
+            targetValue = SmartLists.formatSmartListReference(targetValue);
+            actualText = actualText ? SmartLists.formatSmartListReference(actualText.split(', ').join(';')) : actualText;
+        }
+        let resultHtml;
+        if (!expr.evaluated) {
+            resultHtml = '<span style="color: #888;">Not checked per item</span>';
+        } else if (expr.passed) {
+            resultHtml = '<span style="color: #4caf50;">&#10003; Pass</span>';
+        } else {
+            resultHtml = '<span style="color: #ff6b6b;">&#10007; Fail</span>';
+        }
+        if (expr.error) {
+            resultHtml += '<div style="color: #ff6b6b; font-size: 0.85em;">' + SmartLists.escapeHtml(expr.error) + '</div>';
+        }
+
+        const actualValue = (actualText === null || actualText === undefined || actualText === '')
+            ? '<span style="color: #888;">(empty)</span>'
+            : SmartLists.escapeHtml(actualText);
+
+        return '<tr style="border-bottom: 1px solid #333;">' +
+            '<td style="padding: 0.3em 0.5em 0.3em ' + (0.5 + depth * 1.25) + 'em; color: #fff;">' + SmartLists.escapeHtml(fieldName + ' ' + expr.operator + ' ' + targetValue) + '</td>' +
+            '<td style="padding: 0.3em 0.5em; color: #ccc; word-break: break-word;">' + actualValue + '</td>' +
+            '<td style="padding: 0.3em 0.5em;">' + resultHtml + '</td>' +
+            '</tr>';
+    }
+
+    // Renders rules and nested groups as table rows, indenting the contents of each nested group
+    function renderExplanationRows(expressions, groups, depth) {
+        let html = '';
+        (expressions || []).forEach(function (expr) {
+            html += renderExplanationRow(expr, depth);
+        });
+        (groups || []).forEach(function (group) {
+            let groupResult;
+            if (!group.evaluated) {
+                groupResult = '<span style="color: #888;">Not checked per item</span>';
+            } else if (group.passed) {
+                groupResult = '<span style="color: #4caf50;">&#10003; Pass</span>';
+            } else {
+                groupResult = '<span style="color: #ff6b6b;">&#10007; Fail</span>';
+            }
+
+            html += '<tr style="border-bottom: 1px solid #333;">' +
+                '<td colspan="2" style="padding: 0.3em 0.5em 0.3em ' + (0.5 + depth * 1.25) + 'em; color: #aaa; font-style: italic;">' +
+                (group.logic === 'And' ? 'All of the following (AND)' : 'Any of the following (OR)') + '</td>' +
+                '<td style="padding: 0.3em 0.5em;">' + groupResult + '</td>' +
+                '</tr>';
+            html += renderExplanationRows(group.expressions, group.groups, depth + 1);
+        });
+        return html;
+    }
+
+    function renderExplanationTable(title, expressions, groups) {
+        return '<div style="padding: 0.5em 0.75em; background: rgba(255,255,255,0.03); border-radius: 4px;">' +
+            '<div style="margin-bottom: 0.4em; color: #ccc;">' + title + '</div>' +
+            '<table style="width: 100%; border-collapse: collapse;">' +
+            '<thead><tr style="text-align: left; color: #aaa; border-bottom: 1px solid #444;">' +
+            '<th style="padding: 0.3em 0.5em;">Rule</th>' +
+            '<th style="padding: 0.3em 0.5em;">Actual value</th>' +
+            '<th style="padding: 0.3em 0.5em;">Result</th>' +
+            '</tr></thead><tbody>' +
+            renderExplanationRows(expressions, groups, 0) +
+            '</tbody></table></div>';
+    }
+
+    SmartLists.renderItemExplanation = function (page, result) {
+        const container = page.querySelector('#explain-results-container');
+        if (!container) {
+            return;
+        }
+
+        const item = result.item || {};
+        const exclusions = result.exclusions || [];
+        const isExcluded = exclusions.some(function (exclusion) {
+            return exclusion.evaluated && exclusion.passed;
+        });
+        let verdict;
+        if (!result.inScope) {
+            verdict = '<span style="color: #ff6b6b;">Not included</span> - this item is not part of the media this list is built from. ' +
+                'Check the selected media types and the list user\'s library access.';
+        } else if (result.matches) {
+            verdict = '<span style="color: #4caf50;">Matches the rules</span> - sorting and limits can still leave it out of the list.';
+        } else if (isExcluded) {
+            verdict = '<span style="color: #ff6b6b;">Excluded</span> - the item matches an exclusion group.';
+        } else {
+            verdict = '<span style="color: #ff6b6b;">Does not match</span> - no rule group passed.';
+        }
+
+        let html = '<div style="margin-bottom: 0.75em;">' +
+            '<div style="color: #fff; font-weight: 500;">' + SmartLists.escapeHtml(SmartLists.formatPreviewItemName(item)) +
+            ' <span style="color: #888; font-weight: normal;">(' + SmartLists.escapeHtml(item.type) + ')</span></div>' +
+            '<div style="color: #ccc; margin-top: 0.25em;">' + verdict + '</div>' +
+            '</div>';
+
+        const sets = result.sets || [];
+        if (sets.length === 0) {
+            html += '<p style="color: #aaa;">The list has no rules, so every item in scope matches.</p>';
+        }
+
+        sets.forEach(function (set, setIndex) {
+            if (setIndex > 0) {
+                html += '<div style="color: #888; font-weight: bold; margin: 0.5em 0;">OR</div>';
+            }
+
+            html += renderExplanationTable('Group ' + (setIndex + 1) + ': ' +
+                (set.passed ? '<span style="color: #4caf50;">passed</span>' : '<span style="color: #ff6b6b;">failed</span>'),
+                set.expressions, set.groups);
+        });
+
+        if (exclusions.length > 0) {
+            html += '<div style="color: #888; font-weight: bold; margin: 0.75em 0 0.5em;">Exclude items matching</div>';
+        }
+
+        exclusions.forEach(function (exclusion, exclusionIndex) {
+            if (exclusionIndex > 0) {
+                html += '<div style="color: #888; font-weight: bold; margin: 0.5em 0;">OR</div>';
+            }
+
+            html += renderExplanationTable('Exclusion group ' + (exclusionIndex + 1) + ': ' +
+                (exclusion.evaluated && exclusion.passed
+                    ? '<span style="color: #ff6b6b;">matched, item excluded</span>'
+                    : '<span style="color: #4caf50;">not matched</span>'),
+                exclusion.expressions, exclusion.groups);
+        });
+
+        container.innerHTML = html;
+    };
+
+    /**
+     * Wire up the preview panel. Form edits re-run the preview when auto-update is enabled.
+     */
+    SmartLists.setupPreviewListeners = function (page, signal) {
+        const previewBtn = page.querySelector('#previewMatchesBtn');
+        if (previewBtn) {
+            previewBtn.addEventListener('click', function () {
+                SmartLists.runListPreview(page);
+            }, SmartLists.getEventListenerOptions(signal));
+        }
+
+        const autoUpdateCheckbox = page.querySelector('#previewAutoUpdate');
+        if (autoUpdateCheckbox) {
+            autoUpdateCheckbox.addEventListener('change', function () {
+                if (autoUpdateCheckbox.checked) {
+                    SmartLists.runListPreview(page);
+                }
+            }, SmartLists.getEventListenerOptions(signal));
+        }
+
+        const ruleStatsBtn = page.querySelector('#ruleStatsBtn');
+        if (ruleStatsBtn) {
+            ruleStatsBtn.addEventListener('click', function () {
+                SmartLists.runRuleStatistics(page);
+            }, SmartLists.getEventListenerOptions(signal));
+        }
+
+        const explainSearchBtn = page.querySelector('#explainSearchBtn');
+        if (explainSearchBtn) {
+            explainSearchBtn.addEventListener('click', function () {
+                SmartLists.searchExplainItems(page);
+            }, SmartLists.getEventListenerOptions(signal));
+        }
+
+        const explainSearchInput = page.querySelector('#explainSearch');
+        if (explainSearchInput) {
+            explainSearchInput.addEventListener('keydown', function (e) {
+                // Enter would otherwise submit the list form
+                if (e.key === 'Enter') {
+                    e.preventDefault();
+                    SmartLists.searchExplainItems(page);
+                }
+            }, SmartLists.getEventListenerOptions(signal));
+        }
+
+        // Explain buttons live in both the preview table and the search results, which are re-rendered
+        const previewPanel = page.querySelector('#previewPanel');
+        if (previewPanel) {
+            previewPanel.addEventListener('click', function (e) {
+                const explainBtn = e.target && e.target.closest ? e.target.closest('.explain-item-btn') : null;
+                if (explainBtn) {
+                    SmartLists.runItemExplanation(page, explainBtn.getAttribute('data-item-id'));
+                }
+            }, SmartLists.getEventListenerOptions(signal));
+        }
+
+        const limitSelect = page.querySelector('#previewLimit');
+        if (limitSelect) {
+            limitSelect.addEventListener('change', function () {
+                SmartLists.runListPreview(page);
+            }, SmartLists.getEventListenerOptions(signal));
+        }
+
+        const playlistForm = page.querySelector('#playlistForm');
+        if (playlistForm) {
+            const onFormEdited = function (e) {
+                // Ignore the preview panel's own controls
+                if (e.target && e.target.closest && e.target.closest('#previewPanel')) {
+                    return;
+                }
+                // Rule counts no longer describe the edited rules
+                SmartLists.clearRuleStatistics(page);
+                SmartLists.schedulePreviewUpdate(page);
+            };
+            playlistForm.addEventListener('change', onFormEdited, SmartLists.getEventListenerOptions(signal));
+            playlistForm.addEventListener('input', onFormEdited, SmartLists.getEventListenerOptions(signal));
+            // Adding or removing rules, groups and sort boxes happens via buttons, not input events
+            playlistForm.addEventListener('click', function (e) {
+                if (e.target && e.target.closest && e.target.closest('button') && !e.target.closest('#previewPanel')) {
+                    SmartLists.clearRuleStatistics(page);
+                    SmartLists.schedulePreviewUpdate(page);
+                }
+            }, SmartLists.getEventListenerOptions(signal));
+        }
+    };
+
+})(window.SmartLists = window.SmartLists || {});
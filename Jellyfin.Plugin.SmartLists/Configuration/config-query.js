@@ -0,0 +1,712 @@
+(function (SmartLists) {
+    'use strict';
+
+    // ===== RULE TEXT =====
+    // Text mode lets the rules be typed instead of built, e.g.
+    //   Genres contains "Horror" and ProductionYear >= 1980 or Tags is in [cult, midnight]
+    // "or" separates rule groups (ExpressionSets) and "and" joins the rules in a group, so "and" binds tighter.
+    // Parentheses make a nested group. Rule options go in braces after the value: Tags contains "x" {IncludeParentSeriesTags = true}.
+    // The text is parsed into the same ExpressionSets that collectRulesFromForm returns, and the visual editor
+    // (which stays the source of truth for saving, preview and history) is rebuilt from it.
+
+    const TEXT_APPLY_DEBOUNCE_MS = 400;
+
+    const RELATIVE_DATE_UNITS = ['hours', 'days', 'weeks', 'months', 'years'];
+
+    // Expression properties that can be set in braces after a rule's value
+    const EXPRESSION_OPTIONS = [
+        'UserId',
+        'IncludeUnwatchedSeries',
+        'IncludeEpisodesWithinSeries',
+        'IncludeCollectionOnly',
+        'IncludeParentSeriesTags',
+        'IncludeParentSeriesStudios',
+        'IncludeParentSeriesGenres',
+        'OnlyDefaultAudioLanguage',
+        'ReferenceItemId'
+    ];
+
+    // Options whose values are text rather than true/false
+    const TEXT_OPTIONS = ['UserId', 'ReferenceItemId'];
+
+    // How each operator is written when rules are turned into text
+    const OPERATOR_TEXT = {
+        Equal: '=',
+        NotEqual: '!=',
+        Contains: 'contains',
+        NotContains: 'not contains',
+        IsIn: 'is in',
+        IsNotIn: 'is not in',
+        GreaterThan: '>',
+        LessThan: '<',
+        GreaterThanOrEqual: '>=',
+        LessThanOrEqual: '<=',
+        MatchRegex: 'matches',
+        After: 'after',
+        Before: 'before',
+        NewerThan: 'newer than',
+        OlderThan: 'older than',
+        Weekday: 'weekday'
+    };
+
+    // Other accepted spellings. Operator names themselves (e.g. GreaterThan) are accepted too.
+    const OPERATOR_ALIASES = [
+        { words: ['=='], operator: 'Equal' },
+        { words: ['equals'], operator: 'Equal' },
+        { words: ['is'], operator: 'Equal' },
+        { words: ['not', 'equals'], operator: 'NotEqual' },
+        { words: ['is', 'not'], operator: 'NotEqual' },
+        { words: ['does', 'not', 'contain'], operator: 'NotContains' },
+        { words: ['in'], operator: 'IsIn' },
+        { words: ['not', 'in'], operator: 'IsNotIn' },
+        { words: ['~'], operator: 'MatchRegex' },
+        { words: ['matches', 'regex'], operator: 'MatchRegex' }
+    ];
+
+    // All spellings, longest first so "is not in" wins over "is not" and "is"
+    const OPERATOR_SPELLINGS = Object.keys(OPERATOR_TEXT).map(function (operator) {
+        return { words: OPERATOR_TEXT[operator].split(' '), operator: operator };
+    }).concat(OPERATOR_ALIASES).sort(function (a, b) {
+        return b.words.length - a.words.length;
+    });
+
+    // Words that can't be written as a bare value because they would be read as part of the rule
+    const RESERVED_WORDS = OPERATOR_SPELLINGS.reduce(function (words, spelling) {
+        return words.concat(spelling.words);
+    }, ['and', 'or']);
+
+    const PUNCTUATION = '()[]{},';
+    const SYMBOL_CHARS = '=!<>~';
+    const BARE_VALUE_PATTERN = /^[^\s()[\]{},"'=!<>~]+$/;
+
+    function ruleTextError(message, start, end) {
+        const error = new Error(message);
+        error.start = start;
+        error.end = Math.max(end, start + 1);
+        return error;
+    }
+
+    // ===== TOKENIZER =====
+    function isWordChar(ch) {
+        return !/\s/.test(ch) && PUNCTUATION.indexOf(ch) === -1 && SYMBOL_CHARS.indexOf(ch) === -1 && ch !== '"' && ch !== '\'';
+    }
+
+    function readQuoted(text, start) {
+        const quote = text[start];
+        let value = '';
+        let i = start + 1;
+        while (i < text.length) {
+            const ch = text[i];
+            if (ch === '\\' && i + 1 < text.length) {
+                value += text[i + 1];
+                i += 2;
+                continue;
+            }
+            if (ch === quote) {
+                return { type: 'string', value: value, start: start, end: i + 1 };
+            }
+            value += ch;
+            i++;
+        }
+        throw ruleTextError('Missing closing ' + quote + ' for this value.', start, text.length);
+    }
+
+    function tokenize(text) {
+        const tokens = [];
+        let i = 0;
+        while (i < text.length) {
+            const ch = text[i];
+            if (/\s/.test(ch)) {
+                i++;
+            } else if (PUNCTUATION.indexOf(ch) !== -1) {
+                tokens.push({ type: ch, value: ch, start: i, end: i + 1 });
+                i++;
+            } else if (ch === '"' || ch === '\'') {
+                const token = readQuoted(text, i);
+                tokens.push(token);
+                i = token.end;
+            } else {
+                const isSymbol = SYMBOL_CHARS.indexOf(ch) !== -1;
+                let end = i;
+                while (end < text.length && (isSymbol ? SYMBOL_CHARS.indexOf(text[end]) !== -1 : isWordChar(text[end]))) {
+                    end++;
+                }
+                tokens.push({ type: isSymbol ? 'symbol' : 'word', value: text.substring(i, end), start: i, end: end });
+                i = end;
+            }
+        }
+        tokens.push({ type: 'end', value: '', start: text.length, end: text.length });
+        return tokens;
+    }
+
+    function describeToken(token) {
+        if (token.type === 'end') {
+            return 'the end of the rules';
+        }
+        return '"' + token.value + '"';
+    }
+
+    // ===== PARSER =====
+    function createParser(tokens) {
+        let position = 0;
+        return {
+            peek: function (offset) {
+                return tokens[Math.min(position + (offset || 0), tokens.length - 1)];
+            },
+            next: function () {
+                const token = tokens[position];
+                if (position < tokens.length - 1) {
+                    position++;
+                }
+                return token;
+            },
+            isWord: function (word, offset) {
+                const token = this.peek(offset);
+                return (token.type === 'word' || token.type === 'symbol') && token.value.toLowerCase() === word;
+            },
+            expect: function (type, what) {
+                const token = this.peek();
+                if (token.type !== type) {
+                    throw ruleTextError('Expected ' + what + ', found ' + describeToken(token) + '.', token.start, token.end);
+                }
+                return this.next();
+            }
+        };
+    }
+
+    function findKey(keys, name) {
+        const lower = name.toLowerCase();
+        for (let i = 0; i < keys.length; i++) {
+            if (keys[i].toLowerCase() === lower) {
+                return keys[i];
+            }
+        }
+        return null;
+    }
+
+    function getFieldOperators() {
+        return (SmartLists.availableFields && SmartLists.availableFields.FieldOperators) || null;
+    }
+
+    function parseField(parser) {
+        const token = parser.peek();
+        if (token.type !== 'word' || token.value.toLowerCase() === 'and' || token.value.toLowerCase() === 'or') {
+            throw ruleTextError('Expected a field name, found ' + describeToken(token) + '.', token.start, token.end);
+        }
+        parser.next();
+
+        // Without the field list (not loaded yet) names are taken as written and checked by the server on save
+        const fieldOperators = getFieldOperators();
+        if (!fieldOperators) {
+            return { name: token.value, token: token };
+        }
+        const name = findKey(Object.keys(fieldOperators), token.value);
+        if (!name) {
+            throw ruleTextError('Unknown field "' + token.value + '".', token.start, token.end);
+        }
+        return { name: name, token: token };
+    }
+
+    function parseOperator(parser, field) {
+        const first = parser.peek();
+        for (let i = 0; i < OPERATOR_SPELLINGS.length; i++) {
+            const spelling = OPERATOR_SPELLINGS[i];
+            const matches = spelling.words.every(function (word, offset) {
+                return parser.isWord(word, offset);
+            });
+            if (matches) {
+                let last = first;
+                spelling.words.forEach(function () {
+                    last = parser.next();
+                });
+                return { name: spelling.operator, start: first.start, end: last.end };
+            }
+        }
+
+        if (first.type === 'word') {
+            const name = findKey(Object.keys(OPERATOR_TEXT), first.value);
+            if (name) {
+                parser.next();
+                return { name: name, start: first.start, end: first.end };
+            }
+        }
+
+        throw ruleTextError('Expected an operator after ' + field.name + ', found ' + describeToken(first) + '.', first.start, first.end);
+    }
+
+    function checkFieldOperator(field, operator) {
+        const fieldOperators = getFieldOperators();
+        const allowed = fieldOperators ? fieldOperators[field.name] : null;
+        if (!allowed || allowed.indexOf(operator.name) !== -1) {
+            return;
+        }
+        const spelled = allowed.map(function (name) {
+            return OPERATOR_TEXT[name] || name;
+        });
+        throw ruleTextError(field.name + ' can\'t use "' + (OPERATOR_TEXT[operator.name] || operator.name) +
+            '". Use one of: ' + spelled.join(', ') + '.', operator.start, operator.end);
+    }
+
+    function parseSingleValue(parser, what) {
+        const token = parser.peek();
+        const isReserved = token.type === 'word' && (token.value.toLowerCase() === 'and' || token.value.toLowerCase() === 'or');
+        if ((token.type !== 'word' && token.type !== 'string') || isReserved) {
+            throw ruleTextError('Expected ' + what + ', found ' + describeToken(token) + '.', token.start, token.end);
+        }
+        return parser.next();
+    }
+
+    function parseValue(parser, operator) {
+        const isMultiValue = operator.name === 'IsIn' || operator.name === 'IsNotIn';
+
+        if (parser.peek().type === '[') {
+            const open = parser.next();
+            if (!isMultiValue) {
+                throw ruleTextError('A list of values only works with "is in" and "is not in".', open.start, open.end);
+            }
+            const values = [];
+            while (parser.peek().type !== ']') {
+                if (values.length > 0) {
+                    parser.expect(',', '"," or "]"');
+                }
+                values.push(parseSingleValue(parser, 'a value').value);
+            }
+            const close = parser.next();
+            if (values.length === 0) {
+                throw ruleTextError('The list of values is empty.', open.start, close.end);
+            }
+            return values.join(';');
+        }
+
+        const token = parseSingleValue(parser, 'a value after "' + OPERATOR_TEXT[operator.name] + '"');
+        if (operator.name !== 'NewerThan' && operator.name !== 'OlderThan') {
+            return token.value;
+        }
+
+        // Relative dates are stored as number:unit; "30 days" and "30:days" are both accepted
+        let value = token.value;
+        let end = token.end;
+        const unitToken = parser.peek();
+        if (token.type === 'word' && /^\d+$/.test(value) && unitToken.type === 'word') {
+            const unit = unitToken.value.toLowerCase();
+            const plural = unit.charAt(unit.length - 1) === 's' ? unit : unit + 's';
+            if (RELATIVE_DATE_UNITS.indexOf(plural) !== -1) {
+                parser.next();
+                value = value + ':' + plural;
+                end = unitToken.end;
+            }
+        }
+        if (!/^\d+:(hours|days|weeks|months|years)$/.test(value)) {
+            throw ruleTextError('Expected a number of hours, days, weeks, months or years, e.g. 30 days.', token.start, end);
+        }
+        return value;
+    }
+
+    function parseOptions(parser, expression) {
+        parser.expect('{', '"{"');
+        let first = true;
+        while (parser.peek().type !== '}') {
+            if (!first) {
+                parser.expect(',', '"," or "}"');
+            }
+            first = false;
+
+            const keyToken = parser.expect('word', 'an option name');
+            const key = findKey(EXPRESSION_OPTIONS, keyToken.value);
+            if (!key) {
+                throw ruleTextError('Unknown option "' + keyToken.value + '". Options are: ' + EXPRESSION_OPTIONS.join(', ') + '.',
+                    keyToken.start, keyToken.end);
+            }
+            if (!parser.isWord('=')) {
+                const token = parser.peek();
+                throw ruleTextError('Expected "=" after ' + key + ', found ' + describeToken(token) + '.', token.start, token.end);
+            }
+            parser.next();
+
+            const valueToken = parseSingleValue(parser, 'a value for ' + key);
+            if (TEXT_OPTIONS.indexOf(key) !== -1) {
+                expression[key] = valueToken.value;
+            } else if (valueToken.value.toLowerCase() === 'true' || valueToken.value.toLowerCase() === 'false') {
+                expression[key] = valueToken.value.toLowerCase() === 'true';
+            } else {
+                throw ruleTextError(key + ' must be true or false.', valueToken.start, valueToken.end);
+            }
+        }
+        parser.next();
+    }
+
+    function parseCondition(parser) {
+        const field = parseField(parser);
+        const operator = parseOperator(parser, field);
+        checkFieldOperator(field, operator);
+
+        const expression = {
+            MemberName: field.name,
+            Operator: operator.name,
+            TargetValue: parseValue(parser, operator)
+        };
+        if (parser.peek().type === '{') {
+            parseOptions(parser, expression);
+        }
+        return { expression: expression };
+    }
+
+    function parseTerm(parser) {
+        if (parser.peek().type !== '(') {
+            return parseCondition(parser);
+        }
+        const open = parser.next();
+        if (parser.peek().type === ')') {
+            throw ruleTextError('Empty parentheses.', open.start, parser.peek().end);
+        }
+        const branches = parseOr(parser);
+        parser.expect(')', '"and", "or" or ")"');
+        return { group: branchesToGroup(branches) };
+    }
+
+    function parseAnd(parser) {
+        const terms = [parseTerm(parser)];
+        while (parser.isWord('and')) {
+            parser.next();
+            terms.push(parseTerm(parser));
+        }
+        return terms;
+    }
+
+    // Returns the "or" branches, each an array of the terms joined by "and"
+    function parseOr(parser) {
+        const branches = [parseAnd(parser)];
+        while (parser.isWord('or')) {
+            parser.next();
+            branches.push(parseAnd(parser));
+        }
+        return branches;
+    }
+
+    // ===== TEXT TO EXPRESSION SETS =====
+    // Same shape as collectRulesFromForm: Groups is only set when there are nested groups
+    function termsToItems(terms, target) {
+        const expressions = [];
+        const groups = [];
+        terms.forEach(function (term) {
+            if (term.expression) {
+                expressions.push(term.expression);
+            } else {
+                groups.push(term.group);
+            }
+        });
+        target.Expressions = expressions;
+        if (groups.length > 0) {
+            target.Groups = groups;
+        }
+        return target;
+    }
+
+    function branchesToGroup(branches) {
+        if (branches.length === 1) {
+            return termsToItems(branches[0], { Logic: 'And' });
+        }
+        // (a or b and c): each branch is an item of an OR group, and a branch of several rules becomes an AND group
+        const terms = branches.map(function (branch) {
+            return branch.length === 1 ? branch[0] : { group: termsToItems(branch, { Logic: 'And' }) };
+        });
+        return termsToItems(terms, { Logic: 'Or' });
+    }
+
+    /**
+     * Parse rule text into ExpressionSets. Field and operator names are checked against
+     * SmartLists.availableFields.FieldOperators. Throws an Error with start/end character offsets on invalid text.
+     * Empty text gives no expression sets.
+     */
+    SmartLists.parseRuleText = function (text) {
+        const parser = createParser(tokenize(text || ''));
+        if (parser.peek().type === 'end') {
+            return [];
+        }
+        const branches = parseOr(parser);
+        const token = parser.peek();
+        if (token.type !== 'end') {
+            throw ruleTextError('Expected "and", "or" or the end of the rules, found ' + describeToken(token) + '.', token.start, token.end);
+        }
+        return branches.map(function (branch) {
+            return termsToItems(branch, {});
+        });
+    };
+
+    // ===== EXPRESSION SETS TO TEXT =====
+    function formatValue(value) {
+        const text = String(value);
+        if (/^-?\d+(\.\d+)?$/.test(text) || text === 'true' || text === 'false') {
+            return text;
+        }
+        return '"' + text.replace(/\\/g, '\\\\').replace(/"/g, '\\"') + '"';
+    }
+
+    function formatListValue(value) {
+        const text = String(value);
+        if (BARE_VALUE_PATTERN.test(text) && RESERVED_WORDS.indexOf(text.toLowerCase()) === -1) {
+            return text;
+        }
+        return formatValue(text);
+    }
+
+    function formatTargetValue(expression) {
+        const value = expression.TargetValue === null || expression.TargetValue === undefined ? '' : String(expression.TargetValue);
+        if (expression.Operator === 'IsIn' || expression.Operator === 'IsNotIn') {
+            const values = value.split(';').map(function (part) {
+                return part.trim();
+            }).filter(function (part) {
+                return part.length > 0;
+            });
+            return '[' + values.map(formatListValue).join(', ') + ']';
+        }
+        const relative = /^(\d+):(\w+)$/.exec(value);
+        if ((expression.Operator === 'NewerThan' || expression.Operator === 'OlderThan') && relative) {
+            return relative[1] + ' ' + relative[2];
+        }
+        return formatValue(value);
+    }
+
+    function expressionToText(expression) {
+        let text = expression.MemberName + ' ' + (OPERATOR_TEXT[expression.Operator] || expression.Operator) + ' ' +
+            formatTargetValue(expression);
+
+        const options = EXPRESSION_OPTIONS.filter(function (key) {
+            return expression[key] !== undefined && expression[key] !== null;
+        }).map(function (key) {
+            return key + ' = ' + (TEXT_OPTIONS.indexOf(key) !== -1 ? formatValue(expression[key]) : String(expression[key]));
+        });
+        if (options.length > 0) {
+            text += ' {' + options.join(', ') + '}';
+        }
+        return text;
+    }
+
+    /**
+     * A single rule as rule text, e.g. ProductionYear >= 1980. Used to name rules in messages.
+     */
+    SmartLists.formatExpressionText = function (expression) {
+        return expressionToText(expression);
+    };
+
+    function itemsToText(expressions, groups, joiner) {
+        return (expressions || []).map(expressionToText).concat((groups || []).map(function (group) {
+            return '(' + itemsToText(group.Expressions, group.Groups, group.Logic === 'Or' ? ' or ' : ' and ') + ')';
+        })).join(joiner);
+    }
+
+    /**
+     * Turn ExpressionSets (as returned by collectRulesFromForm) into rule text, one rule group per line.
+     */
+    SmartLists.serializeRuleText = function (expressionSets) {
+        return (expressionSets || []).map(function (expressionSet) {
+            return itemsToText(expressionSet.Expressions, expressionSet.Groups, ' and ');
+        }).filter(function (text) {
+            return text.length > 0;
+        }).join('\nor\n');
+    };
+
+    // ===== TEXT MODE =====
+    function isTextMode(page) {
+        const editor = page.querySelector('#rulesTextEditor');
+        return !!editor && !editor.classList.contains('hide');
+    }
+
+    function getLineAndColumn(text, index) {
+        const before = text.substring(0, index);
+        const lines = before.split('\n');
+        return { line: lines.length, column: lines[lines.length - 1].length + 1 };
+    }
+
+    function showRuleTextError(page, text, error) {
+        const errorBox = page.querySelector('#rulesTextError');
+        if (!errorBox) return;
+
+        if (!error) {
+            errorBox.classList.add('hide');
+            errorBox.innerHTML = '';
+            return;
+        }
+
+        const position = getLineAndColumn(text, error.start);
+        const lineText = text.split('\n')[position.line - 1] || '';
+        // Underline up to the end of the error or of its line, whichever comes first
+        const width = Math.max(1, Math.min(error.end, error.start + lineText.length - position.column + 1) - error.start);
+
+        errorBox.innerHTML = '';
+        const message = document.createElement('div');
+        message.textContent = 'Line ' + position.line + ', column ' + position.column + ': ' + error.message;
+        errorBox.appendChild(message);
+
+        // The offending line with the error underlined
+        const excerpt = SmartLists.createStyledElement('pre', '', {
+            margin: '0.25em 0 0 0',
+            fontFamily: 'monospace',
+            whiteSpace: 'pre',
+            overflowX: 'auto'
+        });
+        excerpt.textContent = lineText + '\n' + new Array(position.column).join(' ') + '^' + new Array(width).join('~');
+        errorBox.appendChild(excerpt);
+        errorBox.classList.remove('hide');
+    }
+
+    /**
+     * List rule validation errors (see config-validation.js) under the rule text. A parse error takes precedence,
+     * as the rules it would apply to haven't been built yet.
+     */
+    SmartLists.showRuleTextValidationErrors = function (page, messages) {
+        const textarea = page.querySelector('#rulesTextInput');
+        const errorBox = page.querySelector('#rulesTextError');
+        if (!textarea || !errorBox || !isTextMode(page) || page._ruleTextError) {
+            return;
+        }
+
+        errorBox.innerHTML = '';
+        messages.forEach(function (message) {
+            const line = document.createElement('div');
+            line.textContent = message;
+            errorBox.appendChild(line);
+        });
+        errorBox.classList.toggle('hide', messages.length === 0);
+    };
+
+    function selectErrorInText(page, error) {
+        const textarea = page.querySelector('#rulesTextInput');
+        if (textarea && error) {
+            textarea.focus();
+            textarea.setSelectionRange(error.start, Math.min(error.end, textarea.value.length));
+        }
+    }
+
+    /**
+     * Parse the rule text and, when valid, rebuild the visual rules from it.
+     * Returns the parse error, or null when the text was applied.
+     */
+    SmartLists.applyRuleText = function (page) {
+        const textarea = page.querySelector('#rulesTextInput');
+        if (!textarea) {
+            return null;
+        }
+        if (page._ruleTextTimer) {
+            clearTimeout(page._ruleTextTimer);
+            page._ruleTextTimer = null;
+        }
+
+        const text = textarea.value;
+        let expressionSets;
+        try {
+            expressionSets = SmartLists.parseRuleText(text);
+        } catch (err) {
+            if (err.start === undefined) {
+                throw err;
+            }
+            page._ruleTextError = err;
+            showRuleTextError(page, text, err);
+            return err;
+        }
+
+        page._ruleTextError = null;
+        showRuleTextError(page, text, null);
+
+        // Skip rebuilding when the text only changed in layout
+        const applied = JSON.stringify(expressionSets);
+        if (applied === JSON.stringify(SmartLists.collectRulesFromForm(page))) {
+            return null;
+        }
+        SmartLists.populateRules(page, expressionSets);
+        SmartLists.updateAllSortOptionsVisibility(page);
+
+        // Let preview, undo history and drafts pick up the new rules
+        textarea.dispatchEvent(new Event('change', { bubbles: true }));
+        return null;
+    };
+
+    /**
+     * Whether text mode is on with rule text that doesn't parse. Saving is blocked until it's fixed,
+     * as the visual rules (which are what gets saved) still hold the last valid text.
+     */
+    SmartLists.hasRuleTextError = function (page) {
+        return isTextMode(page) && !!page._ruleTextError;
+    };
+
+    /**
+     * Rewrite the rule text from the visual rules, when text mode is on. Called after rules are loaded into the
+     * form some other way (editing a list, templates, undo/redo, drafts, clearing the form).
+     */
+    SmartLists.refreshRuleText = function (page) {
+        if (!isTextMode(page)) {
+            return;
+        }
+        // Some rule values (people sub-fields) are set on the next tick
+        setTimeout(function () {
+            const textarea = page.querySelector('#rulesTextInput');
+            if (!textarea || !isTextMode(page)) {
+                return;
+            }
+            textarea.value = SmartLists.serializeRuleText(SmartLists.collectRulesFromForm(page));
+            page._ruleTextError = null;
+            showRuleTextError(page, textarea.value, null);
+        }, 0);
+    };
+
+    SmartLists.setRuleTextMode = function (page, enabled) {
+        const editor = page.querySelector('#rulesTextEditor');
+        const rulesContainer = page.querySelector('#rules-container');
+        const toggleBtn = page.querySelector('#rulesTextModeBtn');
+        if (!editor || !rulesContainer) return;
+
+        if (enabled) {
+            const textarea = page.querySelector('#rulesTextInput');
+            textarea.value = SmartLists.serializeRuleText(SmartLists.collectRulesFromForm(page));
+            page._ruleTextError = null;
+            showRuleTextError(page, textarea.value, null);
+        } else if (isTextMode(page)) {
+            const error = SmartLists.applyRuleText(page);
+            if (error) {
+                selectErrorInText(page, error);
+                SmartLists.showNotification('Fix the error in the rule text before switching back to the visual editor.');
+                return;
+            }
+        }
+
+        editor.classList.toggle('hide', !enabled);
+        rulesContainer.classList.toggle('hide', enabled);
+        if (toggleBtn) {
+            toggleBtn.setAttribute('aria-pressed', enabled ? 'true' : 'false');
+        }
+        if (enabled) {
+            page.querySelector('#rulesTextInput').focus();
+        }
+    };
+
+    // ===== TEXT MODE LISTENERS =====
+    SmartLists.setupRuleTextListeners = function (page, signal) {
+        const toggleBtn = page.querySelector('#rulesTextModeBtn');
+        if (toggleBtn) {
+            toggleBtn.addEventListener('click', function () {
+                SmartLists.setRuleTextMode(page, !isTextMode(page));
+            }, SmartLists.getEventListenerOptions(signal));
+        }
+
+        const textarea = page.querySelector('#rulesTextInput');
+        if (textarea) {
+            textarea.addEventListener('input', function () {
+                if (page._ruleTextTimer) {
+                    clearTimeout(page._ruleTextTimer);
+                }
+                page._ruleTextTimer = setTimeout(function () {
+                    page._ruleTextTimer = null;
+                    SmartLists.applyRuleText(page);
+                }, TEXT_APPLY_DEBOUNCE_MS);
+            }, SmartLists.getEventListenerOptions(signal));
+
+            // Apply right away when leaving the text, so a save click straight after typing sees the new rules
+            textarea.addEventListener('blur', function () {
+                if (page._ruleTextTimer) {
+                    SmartLists.applyRuleText(page);
+                }
+            }, SmartLists.getEventListenerOptions(signal));
+        }
+    };
+
+})(window.SmartLists = window.SmartLists || {});
@@ -0,0 +1,287 @@
+(function (SmartLists) {
+    'use strict';
+
+    // ===== REGEX TESTER =====
+    // Shown in the regex help of every MatchRegex rule. Patterns are sent to the server, which evaluates them with
+    // the same .NET options as the rule itself, so what matches here matches in the list.
+    // Library values are read once on request and then re-tested as plain samples, which keeps typing cheap.
+
+    const REGEX_TEST_DEBOUNCE_MS = 300;
+    const LIBRARY_VALUE_LIMIT = 50;
+    // The server tests up to 200 values, which leaves room for the library values next to the typed samples
+    const MAX_SAMPLES = 100;
+
+    /**
+     * Build the (collapsed) tester for a MatchRegex rule. Its listeners are delegated from setupRegexTesterListeners.
+     */
+    SmartLists.createRegexTester = function () {
+        const tester = document.createElement('details');
+        tester.className = 'regex-tester';
+        tester.style.cssText = 'margin-top: 0.75em;';
+
+        const summary = document.createElement('summary');
+        summary.textContent = 'Test this pattern';
+        summary.style.cssText = 'cursor: pointer; color: #ddd;';
+        tester.appendChild(summary);
+
+        const samples = document.createElement('textarea');
+        samples.className = 'regex-tester-samples emby-textarea';
+        samples.rows = 3;
+        samples.placeholder = 'Sample text, one per line';
+        samples.setAttribute('aria-label', 'Sample text to test the pattern against, one per line');
+        samples.style.cssText = 'width: 100%; box-sizing: border-box; margin-top: 0.5em; font-family: monospace; background-color: #2A2A2A; color: inherit; border: 1px solid #555; border-radius: 2px; padding: 0.4em;';
+        tester.appendChild(samples);
+
+        const loadBtn = document.createElement('button');
+        loadBtn.type = 'button';
+        loadBtn.className = 'regex-tester-load emby-button';
+        loadBtn.textContent = 'Load Values from Library';
+        loadBtn.title = 'Test the pattern against the values this field has in the selected media';
+        loadBtn.style.cssText = 'margin: 0.5em 0 0 0; font-size: 1em;';
+        tester.appendChild(loadBtn);
+
+        const results = document.createElement('div');
+        results.className = 'regex-tester-results';
+        results.setAttribute('aria-live', 'polite');
+        results.style.cssText = 'margin-top: 0.5em;';
+        tester.appendChild(results);
+
+        return tester;
+    };
+
+    function getSamples(tester) {
+        const samples = tester.querySelector('.regex-tester-samples');
+        return (samples ? samples.value : '').split('\n').filter(function (sample) {
+            return sample.length > 0;
+        }).slice(0, MAX_SAMPLES);
+    }
+
+    function getPattern(ruleRow) {
+        const input = ruleRow.querySelector('.rule-value-input');
+        return input ? input.value : '';
+    }
+
+    function renderValue(result) {
+        const value = result.value || '';
+        if (!result.matched || result.index === null || result.index === undefined || !result.length) {
+            return SmartLists.escapeHtml(value);
+        }
+        const end = result.index + result.length;
+        return SmartLists.escapeHtml(value.substring(0, result.index)) +
+            '<mark style="background: rgba(0, 164, 220, 0.35); color: inherit;">' + SmartLists.escapeHtml(value.substring(result.index, end)) + '</mark>' +
+            SmartLists.escapeHtml(value.substring(end));
+    }
+
+    function renderResultList(title, items) {
+        const matchCount = items.filter(function (item) {
+            return item.matched;
+        }).length;
+        let html = '<div style="margin-top: 0.5em;"><strong>' + SmartLists.escapeHtml(title) + '</strong> ' +
+            '<span>(' + matchCount + ' of ' + items.length + ' match)</span></div>' +
+            '<ul style="list-style: none; margin: 0.25em 0 0 0; padding: 0; max-height: 15em; overflow-y: auto;">';
+        items.forEach(function (item) {
+            const icon = item.error ? 'error_outline' : (item.matched ? 'check' : 'close');
+            const color = item.error ? '#ffb74d' : (item.matched ? '#4caf50' : '#888');
+            const status = item.error ? item.error : (item.matched ? 'Matches' : 'No match');
+            html += '<li style="display: flex; gap: 0.5em; align-items: baseline; margin: 0.15em 0;">' +
+                '<span class="material-icons" aria-hidden="true" title="' + SmartLists.escapeHtmlAttribute(status) + '" style="font-size: 1.1em; color: ' + color + ';">' + icon + '</span>' +
+                '<span style="position: absolute; width: 1px; height: 1px; overflow: hidden; clip: rect(0 0 0 0);">' + SmartLists.escapeHtml(status) + ': </span>' +
+                '<code style="white-space: pre-wrap; word-break: break-word;">' + renderValue(item) + '</code>' +
+                (item.itemCount ? '<span style="color: #888; white-space: nowrap;">' + item.itemCount + ' item' + (item.itemCount === 1 ? '' : 's') + '</span>' : '') +
+                '</li>';
+        });
+        return html + '</ul>';
+    }
+
+    function renderResults(tester, result, libraryValues) {
+        const container = tester.querySelector('.regex-tester-results');
+        if (!result.valid) {
+            container.innerHTML = '<p style="color: #ff6b6b; margin: 0;">Invalid pattern: ' + SmartLists.escapeHtml(result.error || 'unknown error') + '</p>';
+            return;
+        }
+
+        // Library values were sent along as samples, after the typed ones
+        const samples = result.samples || [];
+        const typedCount = samples.length - (libraryValues ? libraryValues.length : 0);
+        let html = '';
+        if (typedCount > 0) {
+            html += renderResultList('Samples', samples.slice(0, typedCount));
+        }
+        if (libraryValues) {
+            const libraryResults = samples.slice(typedCount).map(function (item, index) {
+                return Object.assign({}, item, { itemCount: libraryValues[index].itemCount });
+            });
+            html += libraryResults.length > 0
+                ? renderResultList('Library values', libraryResults)
+                : '<p style="margin: 0.5em 0 0 0;">No items in the selected media have a value for this field.</p>';
+        }
+        container.innerHTML = html || '<p style="margin: 0;">Type some sample text or load values from the library.</p>';
+    }
+
+    function showTesterError(tester, message) {
+        tester.querySelector('.regex-tester-results').innerHTML = '<p style="color: #ff6b6b; margin: 0;">' + SmartLists.escapeHtml(message) + '</p>';
+    }
+
+    /**
+     * Test the rule's current pattern against the tester's samples and any library values already loaded.
+     */
+    SmartLists.runRegexTest = function (page, ruleRow) {
+        const tester = ruleRow.querySelector('.regex-tester');
+        if (!tester) {
+            return Promise.resolve();
+        }
+        if (tester._regexTestTimer) {
+            clearTimeout(tester._regexTestTimer);
+            tester._regexTestTimer = null;
+        }
+
+        const pattern = getPattern(ruleRow);
+        if (!pattern) {
+            tester.querySelector('.regex-tester-results').innerHTML = '<p style="margin: 0;">Enter a pattern to test it.</p>';
+            return Promise.resolve();
+        }
+
+        const libraryValues = tester._libraryValues || null;
+        const samples = getSamples(tester);
+        if (samples.length === 0 && !libraryValues) {
+            tester.querySelector('.regex-tester-results').innerHTML = '<p style="margin: 0;">Type some sample text or load values from the library.</p>';
+            return Promise.resolve();
+        }
+
+        // Track the request so a slow, stale response never overwrites a newer one
+        const requestId = (tester._regexRequestId || 0) + 1;
+        tester._regexRequestId = requestId;
+
+        const request = {
+            Pattern: pattern,
+            Samples: samples.concat((libraryValues || []).map(function (item) {
+                return item.value;
+            }))
+        };
+        return SmartLists.postPreviewRequest(SmartLists.ENDPOINTS.previewRegex, '', request).then(function (result) {
+            if (tester._regexRequestId === requestId) {
+                renderResults(tester, result, libraryValues);
+            }
+        }).catch(function (err) {
+            if (tester._regexRequestId !== requestId) {
+                return;
+            }
+            console.error('Error testing regex pattern:', err);
+            showTesterError(tester, 'Failed to test the pattern: ' + ((err && err.message) ? err.message : 'Unknown error'));
+        });
+    };
+
+    function scheduleRegexTest(page, ruleRow) {
+        const tester = ruleRow.querySelector('.regex-tester');
+        if (!tester || !tester.open) {
+            return;
+        }
+        if (tester._regexTestTimer) {
+            clearTimeout(tester._regexTestTimer);
+        }
+        tester._regexTestTimer = setTimeout(function () {
+            tester._regexTestTimer = null;
+            SmartLists.runRegexTest(page, ruleRow);
+        }, REGEX_TEST_DEBOUNCE_MS);
+    }
+
+    /**
+     * Read the distinct values the rule's field has in the media the in-progress list is built from,
+     * and test the pattern against them.
+     */
+    SmartLists.loadRegexLibraryValues = function (page, ruleRow) {
+        const tester = ruleRow.querySelector('.regex-tester');
+        if (!tester) {
+            return Promise.resolve();
+        }
+
+        const listDto = SmartLists.buildPreviewDto(page);
+        if (!listDto) {
+            showTesterError(tester, 'Select at least one media type to load values from the library.');
+            return Promise.resolve();
+        }
+        const expression = SmartLists.collectExpressionFromRuleRow(page, ruleRow);
+        if (!expression) {
+            showTesterError(tester, 'Enter a pattern to test it.');
+            return Promise.resolve();
+        }
+
+        const requestId = (tester._regexRequestId || 0) + 1;
+        tester._regexRequestId = requestId;
+
+        const loadBtn = tester.querySelector('.regex-tester-load');
+        loadBtn.disabled = true;
+        tester.querySelector('.regex-tester-results').innerHTML = '<p style="margin: 0;">Reading values from the library...</p>';
+
+        const request = {
+            Pattern: expression.TargetValue,
+            Samples: getSamples(tester),
+            List: listDto,
+            Expression: expression,
+            Limit: LIBRARY_VALUE_LIMIT
+        };
+        return SmartLists.postPreviewRequest(SmartLists.ENDPOINTS.previewRegex, '', request).then(function (result) {
+            if (tester._regexRequestId !== requestId) {
+                return;
+            }
+            if (!result.valid) {
+                renderResults(tester, result, null);
+                return;
+            }
+
+            // Keep the values, so later pattern changes only need to re-test them
+            tester._libraryValues = (result.libraryValues || []).map(function (item) {
+                return { value: item.value, itemCount: item.itemCount };
+            });
+            loadBtn.textContent = 'Reload Values from Library';
+            renderResults(tester, {
+                valid: true,
+                samples: (result.samples || []).concat(result.libraryValues || [])
+            }, tester._libraryValues);
+        }).catch(function (err) {
+            if (tester._regexRequestId !== requestId) {
+                return;
+            }
+            console.error('Error loading library values for regex test:', err);
+            showTesterError(tester, 'Failed to load values: ' + ((err && err.message) ? err.message : 'Unknown error'));
+        }).then(function () {
+            loadBtn.disabled = false;
+        });
+    };
+
+    // ===== REGEX TESTER LISTENERS =====
+    SmartLists.setupRegexTesterListeners = function (page, signal) {
+        const listenerOptions = SmartLists.getEventListenerOptions(signal);
+
+        page.addEventListener('input', function (e) {
+            const target = e.target;
+            if (!target || !target.closest) return;
+            if (target.classList.contains('regex-tester-samples') || target.classList.contains('rule-value-input')) {
+                const ruleRow = target.closest('.rule-row');
+                if (ruleRow) {
+                    scheduleRegexTest(page, ruleRow);
+                }
+            }
+        }, listenerOptions);
+
+        page.addEventListener('click', function (e) {
+            const loadBtn = e.target && e.target.closest ? e.target.closest('.regex-tester-load') : null;
+            if (!loadBtn) return;
+            const ruleRow = loadBtn.closest('.rule-row');
+            if (ruleRow) {
+                SmartLists.loadRegexLibraryValues(page, ruleRow);
+            }
+        }, listenerOptions);
+
+        // Opening the tester runs it right away; 'toggle' doesn't bubble, so listen in the capture phase
+        page.addEventListener('toggle', function (e) {
+            const tester = e.target;
+            if (!tester || !tester.classList || !tester.classList.contains('regex-tester') || !tester.open) return;
+            const ruleRow = tester.closest('.rule-row');
+            if (ruleRow) {
+                SmartLists.runRegexTest(page, ruleRow);
+            }
+        }, Object.assign({ capture: true }, listenerOptions));
+    };
+
+})(window.SmartLists = window.SmartLists || {});
@@ -0,0 +1,320 @@
+(function (SmartLists) {
+    'use strict';
+
+    // ===== REORDERING =====
+    // Rules, nested groups, rule groups and sort boxes each have a drag handle (SmartLists.createDragHandle).
+    // Drag the handle with the mouse, or focus it and press the up/down arrow keys.
+    // collectRulesFromForm and collectSortsFromForm read the DOM in order, so moving the element is all it takes;
+    // the AND/OR/AND THEN separators are rebuilt after every move.
+
+    function getDraggedElement(handle) {
+        const kind = handle.getAttribute('data-drag-kind');
+        if (kind === 'group') {
+            return handle.closest('.logic-group');
+        }
+        if (kind === 'sort') {
+            return handle.closest('.sort-box');
+        }
+        return handle.closest('.rule-row, .rule-subgroup');
+    }
+
+    function getLogicGroups(rulesContainer) {
+        return Array.prototype.slice.call(rulesContainer.querySelectorAll(':scope > .logic-group'));
+    }
+
+    function getSortBoxes(sortsContainer) {
+        return Array.prototype.slice.call(sortsContainer.querySelectorAll(':scope > .sort-box'));
+    }
+
+    // ===== SEPARATORS =====
+    function rebuildRuleSeparators(container) {
+        container.querySelectorAll(':scope > .rule-within-group-separator').forEach(function (separator) {
+            separator.remove();
+        });
+        const label = SmartLists.getContainerLogic(container).toUpperCase();
+        SmartLists.getGroupItems(container).forEach(function (item, index) {
+            if (index > 0) {
+                container.insertBefore(SmartLists.createAndSeparator(label), item);
+            }
+        });
+    }
+
+    function rebuildGroupSeparators(rulesContainer) {
+        rulesContainer.querySelectorAll(':scope > .logic-group-separator').forEach(function (separator) {
+            separator.remove();
+        });
+        getLogicGroups(rulesContainer).forEach(function (group, index) {
+            if (index > 0) {
+                rulesContainer.insertBefore(SmartLists.createOrSeparator(), group);
+            }
+        });
+    }
+
+    function rebuildSortSeparators(sortsContainer) {
+        sortsContainer.querySelectorAll(':scope > .sort-separator').forEach(function (separator) {
+            separator.remove();
+        });
+        getSortBoxes(sortsContainer).forEach(function (box, index) {
+            if (index > 0) {
+                sortsContainer.insertBefore(SmartLists.createSortSeparator(), box);
+            }
+            // The first sort can't be removed
+            const removeBtn = box.querySelector('.sort-remove-btn');
+            if (removeBtn) {
+                removeBtn.style.display = index === 0 ? 'none' : '';
+            }
+        });
+    }
+
+    // A rule group or nested group left empty by a move is removed, like removing its last rule would
+    function tidyRuleContainer(container) {
+        if (SmartLists.getGroupItems(container).length > 0) {
+            rebuildRuleSeparators(container);
+            return;
+        }
+
+        if (container.classList.contains('logic-group')) {
+            const rulesContainer = container.parentElement;
+            container.remove();
+            rebuildGroupSeparators(rulesContainer);
+            return;
+        }
+
+        const subgroup = container.closest('.rule-subgroup');
+        const parentContainer = subgroup.parentElement;
+        SmartLists.cleanupRuleEventListeners(subgroup);
+        subgroup.remove();
+        tidyRuleContainer(parentContainer);
+    }
+
+    /**
+     * Move a rule row, nested group, rule group or sort box in front of `before` in `container` (null appends),
+     * then rebuild separators and let the form's change listeners (preview, undo history, drafts) know.
+     */
+    SmartLists.moveReorderable = function (page, kind, element, container, before) {
+        const source = element.parentElement;
+        container.insertBefore(element, before || null);
+
+        if (kind === 'sort') {
+            rebuildSortSeparators(container);
+        } else if (kind === 'group') {
+            rebuildGroupSeparators(container);
+        } else {
+            if (source !== container) {
+                tidyRuleContainer(source);
+            }
+            rebuildRuleSeparators(container);
+        }
+        if (kind !== 'sort') {
+            SmartLists.updateRuleButtonVisibility(page);
+        }
+
+        element.dispatchEvent(new Event('change', { bubbles: true }));
+    };
+
+    // ===== KEYBOARD =====
+    // Returns where the element goes when moved one step up (direction -1) or down (1), or null at either end.
+    // Rules and nested groups move past their neighbours, and across into the previous/next rule group at
+    // either end of a top-level group.
+    function getKeyboardTarget(kind, element, direction) {
+        const container = element.parentElement;
+        let siblings;
+        if (kind === 'sort') {
+            siblings = getSortBoxes(container);
+        } else if (kind === 'group') {
+            siblings = getLogicGroups(container);
+        } else {
+            siblings = SmartLists.getGroupItems(container);
+        }
+
+        const neighbour = siblings[siblings.indexOf(element) + direction];
+        if (neighbour) {
+            return { container: container, before: direction < 0 ? neighbour : neighbour.nextSibling };
+        }
+
+        if (kind !== 'rule' || !container.classList.contains('logic-group')) {
+            return null;
+        }
+        const groups = getLogicGroups(container.parentElement);
+        const nextGroup = groups[groups.indexOf(container) + direction];
+        if (!nextGroup) {
+            return null;
+        }
+        return {
+            container: nextGroup,
+            before: direction < 0 ? null : (SmartLists.getGroupItems(nextGroup)[0] || null)
+        };
+    }
+
+    function describePosition(kind, element) {
+        if (kind === 'sort') {
+            const boxes = getSortBoxes(element.parentElement);
+            return 'Sort moved to level ' + (boxes.indexOf(element) + 1) + ' of ' + boxes.length + '.';
+        }
+        if (kind === 'group') {
+            const groups = getLogicGroups(element.parentElement);
+            return 'Rule group moved to position ' + (groups.indexOf(element) + 1) + ' of ' + groups.length + '.';
+        }
+        const items = SmartLists.getGroupItems(element.parentElement);
+        const logicGroup = element.closest('.logic-group');
+        const groups = getLogicGroups(logicGroup.parentElement);
+        return 'Moved to position ' + (items.indexOf(element) + 1) + ' of ' + items.length +
+            ' in rule group ' + (groups.indexOf(logicGroup) + 1) + '.';
+    }
+
+    function announce(page, message) {
+        const status = page.querySelector('#reorderStatus');
+        if (status) {
+            status.textContent = message;
+        }
+    }
+
+    SmartLists.moveWithKeyboard = function (page, handle, direction) {
+        const kind = handle.getAttribute('data-drag-kind');
+        const element = getDraggedElement(handle);
+        if (!element) return;
+
+        const target = getKeyboardTarget(kind, element, direction);
+        if (!target) {
+            announce(page, direction < 0 ? 'Already at the top.' : 'Already at the bottom.');
+            return;
+        }
+
+        SmartLists.moveReorderable(page, kind, element, target.container, target.before);
+        // Moving an element takes the focus out of it
+        handle.focus();
+        announce(page, describePosition(kind, element));
+    };
+
+    // ===== MOUSE DRAG AND DROP =====
+    // Returns the container and following element for a drop at clientY over `over`, or null if it can't go there
+    function getDropTarget(drag, over, clientY) {
+        let container;
+        let candidates;
+        if (drag.kind === 'sort') {
+            container = over.closest('#sorts-container');
+            candidates = container ? getSortBoxes(container) : [];
+        } else if (drag.kind === 'group') {
+            container = drag.element.parentElement.contains(over) ? drag.element.parentElement : null;
+            candidates = container ? getLogicGroups(container) : [];
+        } else {
+            container = over.closest('.rule-subgroup-body, .logic-group');
+            // Rules stay in their own rule list (include or exclude), and a group can't go inside itself
+            const root = drag.element.closest('#rules-container, #exclusion-rules-container');
+            if (container && (!root.contains(container) || drag.element.contains(container))) {
+                container = null;
+            }
+            candidates = container ? SmartLists.getGroupItems(container) : [];
+        }
+        if (!container) {
+            return null;
+        }
+
+        const before = candidates.find(function (candidate) {
+            if (candidate === drag.element) return false;
+            const rect = candidate.getBoundingClientRect();
+            return clientY < rect.top + rect.height / 2;
+        });
+        if (before) {
+            return { container: container, before: before };
+        }
+        // Sort boxes go in front of the add button at the end of the container
+        return { container: container, before: drag.kind === 'sort' ? container.querySelector(':scope > .add-sort-btn') : null };
+    }
+
+    function showDropIndicator(page, target) {
+        let indicator = page._reorderIndicator;
+        if (!indicator) {
+            indicator = SmartLists.createStyledElement('div', 'drop-indicator', SmartLists.STYLES.dropIndicator);
+            page._reorderIndicator = indicator;
+        }
+        if (indicator.parentElement !== target.container || indicator.nextSibling !== target.before) {
+            target.container.insertBefore(indicator, target.before);
+        }
+    }
+
+    function endDrag(page) {
+        const drag = page._reorderDrag;
+        if (drag) {
+            drag.element.removeAttribute('draggable');
+            drag.element.style.opacity = '';
+        }
+        if (page._reorderIndicator) {
+            page._reorderIndicator.remove();
+        }
+        page._reorderDrag = null;
+    }
+
+    SmartLists.setupReorderListeners = function (page, signal) {
+        const listenerOptions = SmartLists.getEventListenerOptions(signal);
+
+        // Only the handle makes an element draggable, so text in its inputs can still be selected
+        page.addEventListener('pointerdown', function (e) {
+            const handle = e.target && e.target.closest ? e.target.closest('.drag-handle') : null;
+            if (!handle) return;
+            const element = getDraggedElement(handle);
+            if (!element) return;
+
+            endDrag(page);
+            element.setAttribute('draggable', 'true');
+            page._reorderDrag = { kind: handle.getAttribute('data-drag-kind'), element: element, active: false, target: null };
+        }, listenerOptions);
+
+        // A press on the handle that didn't turn into a drag
+        page.addEventListener('pointerup', function () {
+            if (page._reorderDrag && !page._reorderDrag.active) {
+                endDrag(page);
+            }
+        }, listenerOptions);
+
+        page.addEventListener('dragstart', function (e) {
+            const drag = page._reorderDrag;
+            if (!drag || e.target !== drag.element) return;
+
+            drag.active = true;
+            e.dataTransfer.effectAllowed = 'move';
+            // Firefox won't start a drag without data
+            e.dataTransfer.setData('text/plain', '');
+            drag.element.style.opacity = '0.5';
+        }, listenerOptions);
+
+        page.addEventListener('dragover', function (e) {
+            const drag = page._reorderDrag;
+            if (!drag || !drag.active || !e.target || !e.target.closest) return;
+
+            const target = getDropTarget(drag, e.target, e.clientY);
+            if (!target) return;
+
+            e.preventDefault();
+            e.dataTransfer.dropEffect = 'move';
+            drag.target = target;
+            showDropIndicator(page, target);
+        }, listenerOptions);
+
+        page.addEventListener('drop', function (e) {
+            const drag = page._reorderDrag;
+            if (!drag || !drag.active || !drag.target) return;
+
+            e.preventDefault();
+            if (page._reorderIndicator) {
+                page._reorderIndicator.remove();
+            }
+            SmartLists.moveReorderable(page, drag.kind, drag.element, drag.target.container, drag.target.before);
+            endDrag(page);
+        }, listenerOptions);
+
+        page.addEventListener('dragend', function () {
+            endDrag(page);
+        }, listenerOptions);
+
+        page.addEventListener('keydown', function (e) {
+            if (e.key !== 'ArrowUp' && e.key !== 'ArrowDown') return;
+            const handle = e.target && e.target.closest ? e.target.closest('.drag-handle') : null;
+            if (!handle) return;
+
+            e.preventDefault();
+            SmartLists.moveWithKeyboard(page, handle, e.key === 'ArrowUp' ? -1 : 1);
+        }, listenerOptions);
+    };
+
+})(window.SmartLists = window.SmartLists || {});
@@ -89,7 +89,8 @@
             // Check if this is a multi-value operator
             if (SmartLists.MULTI_VALUE_OPERATORS.indexOf(operatorValue) !== -1) {
                 // For multi-value fields, get the value from the hidden input directly
-                const hiddenInput = valueContainer.querySelector('input[type="hidden"].rule-value-input');
+                // (or the list picker, for Smart List rules)
+                const hiddenInput = valueContainer.querySelector('input[type="hidden"].rule-value-input, select.rule-value-input');
                 if (hiddenInput) {
                     currentValue = hiddenInput.value;
                 }
@@ -117,7 +118,10 @@
         const currentOperator = operatorValue || (operatorSelect ? operatorSelect.value : '');
         const isMultiValueOperator = SmartLists.MULTI_VALUE_OPERATORS.indexOf(currentOperator) !== -1;
 
-        if (isMultiValueOperator) {
+        if (fieldValue === 'SmartList') {
+            // Smart List rules always pick a list, even though they use IsIn/IsNotIn
+            SmartLists.handleSmartListFieldInput(valueContainer, currentValue);
+        } else if (isMultiValueOperator) {
             // Create tag-based input for IsIn/IsNotIn operators
             SmartLists.createTagBasedInput(valueContainer, currentValue);
         } else if (SmartLists.FIELD_TYPES.SIMPLE_FIELDS.indexOf(fieldValue) !== -1) {
@@ -203,6 +207,105 @@
         valueContainer.appendChild(select);
     };
 
+    // ===== SMART LIST REFERENCES =====
+    // Names of all smart lists by ID, used to show referenced lists by name
+    SmartLists.smartListNames = {};
+
+    SmartLists.rememberSmartListNames = function (lists) {
+        (lists || []).forEach(function (list) {
+            if (list && list.Id) {
+                SmartLists.smartListNames[list.Id] = list.Name;
+            }
+        });
+    };
+
+    SmartLists.formatSmartListReference = function (value) {
+        return (value || '').split(';').map(function (id) {
+            return id.trim();
+        }).filter(function (id) {
+            return id.length > 0;
+        }).map(function (id) {
+            return SmartLists.smartListNames[id] || 'Unknown list (' + id + ')';
+        }).join(', ');
+    };
+
+    SmartLists.loadSmartListOptions = function () {
+        const apiClient = SmartLists.getApiClient();
+        return apiClient.ajax({
+            type: 'GET',
+            url: apiClient.getUrl(SmartLists.ENDPOINTS.base),
+            contentType: 'application/json'
+        }).then(function (response) {
+            if (!response.ok) {
+                throw new Error('HTTP ' + response.status + ': ' + response.statusText);
+            }
+            return response.json();
+        }).then(function (lists) {
+            const validLists = Array.isArray(lists) ? lists : [];
+            SmartLists.rememberSmartListNames(validLists);
+            return validLists.slice().sort(function (a, b) {
+                return (a.Name || '').localeCompare(b.Name || '');
+            });
+        });
+    };
+
+    SmartLists.handleSmartListFieldInput = function (valueContainer, currentValue) {
+        const select = document.createElement('select');
+        select.className = 'emby-select rule-value-input';
+        select.setAttribute('is', 'emby-select');
+        select.style.width = '100%';
+
+        // Keep the current value while the lists load, so saving early doesn't drop it
+        const loadingOption = document.createElement('option');
+        loadingOption.value = currentValue || '';
+        loadingOption.textContent = 'Loading smart lists...';
+        select.appendChild(loadingOption);
+        valueContainer.appendChild(select);
+
+        const page = valueContainer.closest('.SmartListsConfigurationPage');
+        const editingListId = page ? SmartLists.getPageEditState(page).editingPlaylistId : null;
+
+        SmartLists.loadSmartListOptions().then(function (lists) {
+            select.innerHTML = '';
+
+            const placeholderOption = document.createElement('option');
+            placeholderOption.value = '';
+            placeholderOption.textContent = '-- Select Smart List --';
+            placeholderOption.disabled = true;
+            select.appendChild(placeholderOption);
+
+            lists.forEach(function (list) {
+                // A list can't reference itself
+                if (!list.Id || list.Id === editingListId) {
+                    return;
+                }
+                const option = document.createElement('option');
+                option.value = list.Id;
+                option.textContent = list.Name + ' (' + (list.Type === 'Collection' ? 'Collection' : 'Playlist') + ')';
+                select.appendChild(option);
+            });
+
+            if (currentValue) {
+                const hasOption = Array.from(select.options).some(function (opt) {
+                    return opt.value === currentValue;
+                });
+                if (!hasOption) {
+                    // Keep references to deleted lists visible instead of silently dropping them
+                    const missingOption = document.createElement('option');
+                    missingOption.value = currentValue;
+                    missingOption.textContent = SmartLists.formatSmartListReference(currentValue);
+                    select.appendChild(missingOption);
+                }
+                select.value = currentValue;
+            } else {
+                placeholderOption.selected = true;
+            }
+        }).catch(function (err) {
+            console.error('Error loading smart lists for rule:', err);
+            loadingOption.textContent = 'Failed to load smart lists';
+        });
+    };
+
     SmartLists.handleNumericFieldInput = function (valueContainer, fieldValue, currentValue) {
         const input = document.createElement('input');
         input.type = 'number';
@@ -370,7 +473,10 @@
             newValueInput.setAttribute('data-original-value', currentValue);
 
             // Try to restore the value if it's appropriate for the new field type
-            if (SmartLists.FIELD_TYPES.SIMPLE_FIELDS.indexOf(fieldValue) !== -1 ||
+            if (fieldValue === 'SmartList') {
+                // The list picker selects its value once the lists have loaded
+                return;
+            } else if (SmartLists.FIELD_TYPES.SIMPLE_FIELDS.indexOf(fieldValue) !== -1 ||
                 SmartLists.FIELD_TYPES.BOOLEAN_FIELDS.indexOf(fieldValue) !== -1) {
                 SmartLists.restoreSelectValue(newValueInput, currentValue);
             } else if (SmartLists.FIELD_TYPES.DATE_FIELDS.indexOf(fieldValue) !== -1) {
@@ -687,17 +793,23 @@
             regexLink.style.color = '#00a4dc';
             regexLink.textContent = 'Regex101.com (.NET flavor)';
             helpDiv.appendChild(regexLink);
+
+            if (SmartLists.createRegexTester) {
+                helpDiv.appendChild(SmartLists.createRegexTester());
+            }
             ruleGroup.appendChild(helpDiv);
         }
     };
 
     // ===== LOGIC GROUP MANAGEMENT =====
-    SmartLists.createInitialLogicGroup = function (page) {
-        const rulesContainer = page.querySelector('#rules-container');
+    // Logic groups live in #rules-container, or in #exclusion-rules-container for the exclusion rules
+    SmartLists.createInitialLogicGroup = function (page, rulesContainer) {
+        rulesContainer = rulesContainer || page.querySelector('#rules-container');
         const logicGroupId = 'logic-group-' + Date.now();
 
         const logicGroupDiv = SmartLists.createStyledElement('div', 'logic-group', SmartLists.STYLES.logicGroup);
         logicGroupDiv.setAttribute('data-group-id', logicGroupId);
+        logicGroupDiv.appendChild(SmartLists.createLogicGroupHandle());
 
         rulesContainer.appendChild(logicGroupDiv);
 
@@ -707,12 +819,19 @@
         return logicGroupDiv;
     };
 
+    SmartLists.createLogicGroupHandle = function () {
+        const handle = SmartLists.createDragHandle('group', 'Move rule group');
+        SmartLists.applyStyles(handle, SmartLists.STYLES.logicGroupHandle);
+        return handle;
+    };
+
+    // logicGroup can be a top-level .logic-group or the .rule-subgroup-body of a nested group
     SmartLists.addRuleToGroup = function (page, logicGroup) {
-        const existingRules = logicGroup.querySelectorAll('.rule-row');
+        const existingItems = SmartLists.getGroupItems(logicGroup);
 
-        // Add AND separator if this isn't the first rule in the group
-        if (existingRules.length > 0) {
-            const andSeparator = SmartLists.createAndSeparator();
+        // Add a separator if this isn't the first rule in the group
+        if (existingItems.length > 0) {
+            const andSeparator = SmartLists.createAndSeparator(SmartLists.getContainerLogic(logicGroup).toUpperCase());
             logicGroup.appendChild(andSeparator);
         }
 
@@ -741,6 +860,7 @@
             '<div class="rule-actions">' +
             '<button type="button" class="rule-action-btn and-btn" title="Add AND rule">And</button>' +
             '<button type="button" class="rule-action-btn or-btn" title="Add OR group">Or</button>' +
+            '<button type="button" class="rule-action-btn group-btn" title="Add nested group">( )</button>' +
             '<button type="button" class="rule-action-btn delete-btn" title="Remove rule">×</button>' +
             '</div>' +
             '</div>' +
@@ -818,6 +938,10 @@
             '</select>' +
             '</div>' +
             '<div class="rule-similarity-options" style="display: none; margin-bottom: 0.75em; padding: 0.5em; background: rgba(255,255,255,0.05); border-radius: 4px;">' +
+            '<div class="similarity-reference" style="display: flex; flex-wrap: wrap; gap: 0.75em; align-items: center; margin-bottom: 0.75em;">' +
+            '<button type="button" is="emby-button" class="emby-button similar-to-pick-btn" title="Search the selected media and link the rule to an item, so it survives title changes" style="margin: 0; font-size: 0.9em;">Pick from Library</button>' +
+            '<div class="similarity-reference-status" style="font-size: 0.85em; color: #aaa;"></div>' +
+            '</div>' +
             '<label style="display: block; margin-bottom: 0.5em; font-size: 0.85em; color: #ccc; font-weight: 500;">' +
             'Compare using these metadata fields (default: Genre + Tags):' +
             '</label>' +
@@ -835,6 +959,8 @@
             '</div>';
 
         ruleDiv.innerHTML = fieldsHtml;
+        const inputGroup = ruleDiv.querySelector('.input-group');
+        inputGroup.insertBefore(SmartLists.createDragHandle('rule', 'Move rule'), inputGroup.firstChild);
         logicGroup.appendChild(ruleDiv);
 
         const newRuleRow = logicGroup.lastElementChild;
@@ -924,6 +1050,7 @@
             let buttonType;
             if (button.classList.contains('and-btn')) buttonType = 'and';
             else if (button.classList.contains('or-btn')) buttonType = 'or';
+            else if (button.classList.contains('group-btn')) buttonType = 'group';
             else if (button.classList.contains('delete-btn')) buttonType = 'delete';
 
             if (buttonType) {
@@ -941,15 +1068,15 @@
             }
         });
 
-        // All action buttons (And/Or/Delete) are handled by delegated listeners in config-init.js
+        // All action buttons (And/Or/Group/Delete) are handled by delegated listeners in config-init.js
         // No need to attach direct listeners here
 
         // Update button visibility for all rules in all groups
         SmartLists.updateRuleButtonVisibility(page);
     };
 
-    SmartLists.addNewLogicGroup = function (page) {
-        const rulesContainer = page.querySelector('#rules-container');
+    SmartLists.addNewLogicGroup = function (page, rulesContainer) {
+        rulesContainer = rulesContainer || page.querySelector('#rules-container');
 
         // Add OR separator between groups
         const orSeparator = SmartLists.createOrSeparator();
@@ -959,6 +1086,7 @@
         const logicGroupId = 'logic-group-' + Date.now();
         const logicGroupDiv = SmartLists.createStyledElement('div', 'logic-group', SmartLists.STYLES.logicGroup);
         logicGroupDiv.setAttribute('data-group-id', logicGroupId);
+        logicGroupDiv.appendChild(SmartLists.createLogicGroupHandle());
 
         rulesContainer.appendChild(logicGroupDiv);
 
@@ -968,16 +1096,26 @@
         return logicGroupDiv;
     };
 
+    // ruleElement can be a rule row or a nested group; both are removed from their own container
     SmartLists.removeRule = function (page, ruleElement) {
-        const logicGroup = ruleElement.closest('.logic-group');
-        const rulesInGroup = logicGroup.querySelectorAll('.rule-row');
+        const container = ruleElement.parentElement;
+        const itemsInContainer = SmartLists.getGroupItems(container);
 
-        // Clean up event listeners before removing
+        // Clean up event listeners before removing, including any rules inside a nested group
         SmartLists.cleanupRuleEventListeners(ruleElement);
+        ruleElement.querySelectorAll('.rule-row, .rule-subgroup').forEach(function (element) {
+            SmartLists.cleanupRuleEventListeners(element);
+        });
 
-        if (rulesInGroup.length === 1) {
-            // This is the last rule in the group, remove the entire group
-            SmartLists.removeLogicGroup(page, logicGroup);
+        if (itemsInContainer.length === 1) {
+            if (container.classList.contains('logic-group')) {
+                // This is the last rule in the group, remove the entire group
+                SmartLists.removeLogicGroup(page, container);
+            } else {
+                // This is the last rule in a nested group, remove the nested group
+                SmartLists.removeRule(page, container.closest('.rule-subgroup'));
+                return;
+            }
         } else {
             // Remove the rule and any adjacent separator
             const nextSibling = ruleElement.nextElementSibling;
@@ -1006,18 +1144,25 @@
     };
 
     SmartLists.removeLogicGroup = function (page, logicGroup) {
-        const rulesContainer = page.querySelector('#rules-container');
+        const rulesContainer = logicGroup.parentElement;
         const allGroups = rulesContainer.querySelectorAll('.logic-group');
+        const isExclusion = rulesContainer.id === 'exclusion-rules-container';
 
         // Clean up all event listeners in this group
-        const rulesInGroup = logicGroup.querySelectorAll('.rule-row');
+        const rulesInGroup = logicGroup.querySelectorAll('.rule-row, .rule-subgroup');
         rulesInGroup.forEach(function (rule) {
             SmartLists.cleanupRuleEventListeners(rule);
         });
 
-        if (allGroups.length === 1) {
-            // This is the last group, clear it and add a new rule
-            logicGroup.innerHTML = '';
+        if (allGroups.length === 1 && isExclusion) {
+            // Exclusion rules are optional, so the last group is removed entirely
+            rulesContainer.innerHTML = '';
+            SmartLists.updateRuleButtonVisibility(page);
+        } else if (allGroups.length === 1) {
+            // This is the last group, clear it and add a new rule (the group's drag handle stays)
+            logicGroup.querySelectorAll(':scope > .rule-row, :scope > .rule-subgroup, :scope > .rule-within-group-separator').forEach(function (element) {
+                element.remove();
+            });
             SmartLists.addRuleToGroup(page, logicGroup);
         } else {
             // Remove the group and any adjacent separator
@@ -1039,25 +1184,48 @@
     };
 
     SmartLists.updateRuleButtonVisibility = function (page) {
-        const rulesContainer = page.querySelector('#rules-container');
-        const allLogicGroups = rulesContainer.querySelectorAll('.logic-group');
-
-        allLogicGroups.forEach(function (group) {
-            const rulesInGroup = group.querySelectorAll('.rule-row');
+        const allContainers = page.querySelectorAll(
+            '#rules-container .logic-group, #rules-container .rule-subgroup-body, ' +
+            '#exclusion-rules-container .logic-group, #exclusion-rules-container .rule-subgroup-body');
+
+        // The add button is only needed until the first exclusion group exists
+        const exclusionContainer = page.querySelector('#exclusion-rules-container');
+        const addExclusionBtn = page.querySelector('#addExclusionBtn');
+        if (exclusionContainer && addExclusionBtn) {
+            addExclusionBtn.style.display = exclusionContainer.children.length === 0 ? '' : 'none';
+        }
 
-            rulesInGroup.forEach(function (rule, index) {
-                const andBtn = rule.querySelector('.and-btn');
-                const orBtn = rule.querySelector('.or-btn');
-                const deleteBtn = rule.querySelector('.delete-btn');
+        allContainers.forEach(function (container) {
+            const isTopLevel = container.classList.contains('logic-group');
+            const logic = SmartLists.getContainerLogic(container);
+            const items = SmartLists.getGroupItems(container);
 
-                // Hide AND and OR buttons if this is not the last rule in the group
-                if (index < rulesInGroup.length - 1) {
-                    andBtn.style.display = 'none';
-                    orBtn.style.display = 'none';
-                } else {
-                    andBtn.style.display = 'inline-flex';
-                    orBtn.style.display = 'inline-flex';
+            // Keep separators in sync with the group's logic
+            Array.prototype.forEach.call(container.children, function (child) {
+                if (child.classList.contains('rule-within-group-separator') && child.firstChild) {
+                    child.firstChild.nodeValue = logic.toUpperCase();
                 }
+            });
+
+            items.forEach(function (item, index) {
+                const actions = SmartLists.getItemActions(item);
+                if (!actions) return;
+
+                const andBtn = actions.querySelector('.and-btn');
+                const orBtn = actions.querySelector('.or-btn');
+                const groupBtn = actions.querySelector('.group-btn');
+                const deleteBtn = actions.querySelector('.delete-btn');
+                const isLast = index === items.length - 1;
+
+                // The "and" button adds a rule to the item's own group, so it follows that group's logic
+                andBtn.textContent = logic === 'Or' ? 'Or' : 'And';
+                andBtn.title = logic === 'Or' ? 'Add OR rule to this group' : 'Add AND rule';
+
+                // Hide AND, OR and Group buttons if this is not the last rule in the group
+                // OR starts a new top-level group, so it is only offered outside nested groups
+                andBtn.style.display = isLast ? 'inline-flex' : 'none';
+                groupBtn.style.display = isLast ? 'inline-flex' : 'none';
+                orBtn.style.display = isLast && isTopLevel ? 'inline-flex' : 'none';
 
                 // Always show DELETE button
                 deleteBtn.style.display = 'inline-flex';
@@ -1065,6 +1233,227 @@
         });
     };
 
+    // ===== NESTED RULE GROUPS =====
+    // A nested group (.rule-subgroup) sits in a logic group like a rule row. Its rules and child groups live in
+    // .rule-subgroup-body and are combined with the group's own AND/OR select.
+    SmartLists.getGroupItems = function (container) {
+        return Array.prototype.filter.call(container.children, function (child) {
+            return child.classList.contains('rule-row') || child.classList.contains('rule-subgroup');
+        });
+    };
+
+    SmartLists.getContainerLogic = function (container) {
+        if (container.classList.contains('rule-subgroup-body')) {
+            return container.parentElement.getAttribute('data-logic') === 'And' ? 'And' : 'Or';
+        }
+        // Rules directly in a logic group are always combined with AND
+        return 'And';
+    };
+
+    SmartLists.getItemActions = function (item) {
+        if (item.classList.contains('rule-subgroup')) {
+            return item.querySelector('.rule-subgroup-header .rule-actions');
+        }
+        return item.querySelector('.rule-actions');
+    };
+
+    // Returns every expression in an expression set or nested group, including those in nested groups
+    SmartLists.getAllExpressions = function (expressionSet) {
+        let expressions = (expressionSet && expressionSet.Expressions) || [];
+        ((expressionSet && expressionSet.Groups) || []).forEach(function (group) {
+            expressions = expressions.concat(SmartLists.getAllExpressions(group));
+        });
+        return expressions;
+    };
+
+    SmartLists.addNestedGroup = function (page, container, logic, skipInitialRule) {
+        if (SmartLists.getGroupItems(container).length > 0) {
+            container.appendChild(SmartLists.createAndSeparator(SmartLists.getContainerLogic(container).toUpperCase()));
+        }
+
+        const subgroup = SmartLists.createStyledElement('div', 'rule-subgroup', SmartLists.STYLES.ruleSubgroup);
+        subgroup.setAttribute('data-logic', logic === 'And' ? 'And' : 'Or');
+
+        const header = SmartLists.createStyledElement('div', 'rule-subgroup-header', SmartLists.STYLES.ruleSubgroupHeader);
+        header.innerHTML =
+            '<span style="font-size: 0.85em; color: #ccc; font-weight: 500;">Group:</span>' +
+            '<select is="emby-select" class="emby-select rule-subgroup-logic" style="flex: 0 0 auto;">' +
+            '<option value="Or">Match any rule (OR)</option>' +
+            '<option value="And">Match all rules (AND)</option>' +
+            '</select>' +
+            '<div class="rule-actions" style="margin-left: auto;">' +
+            '<button type="button" class="rule-action-btn and-btn" title="Add AND rule">And</button>' +
+            '<button type="button" class="rule-action-btn or-btn" title="Add OR group">Or</button>' +
+            '<button type="button" class="rule-action-btn group-btn" title="Add nested group">( )</button>' +
+            '<button type="button" class="rule-action-btn delete-btn" title="Remove group">×</button>' +
+            '</div>';
+
+        header.insertBefore(SmartLists.createDragHandle('rule', 'Move nested group'), header.firstChild);
+
+        const body = document.createElement('div');
+        body.className = 'rule-subgroup-body';
+
+        subgroup.appendChild(header);
+        subgroup.appendChild(body);
+        container.appendChild(subgroup);
+
+        SmartLists.initializeNestedGroup(page, subgroup);
+
+        if (skipInitialRule) {
+            SmartLists.updateRuleButtonVisibility(page);
+        } else {
+            // addRuleToGroup updates button visibility
+            SmartLists.addRuleToGroup(page, body);
+        }
+
+        return subgroup;
+    };
+
+    SmartLists.initializeNestedGroup = function (page, subgroup) {
+        SmartLists.cleanupRuleEventListeners(subgroup);
+
+        const abortController = SmartLists.createAbortController();
+        subgroup._abortController = abortController;
+        const listenerOptions = SmartLists.getEventListenerOptions(abortController ? abortController.signal : null);
+
+        const logicSelect = subgroup.querySelector('.rule-subgroup-logic');
+        logicSelect.value = subgroup.getAttribute('data-logic') === 'And' ? 'And' : 'Or';
+        logicSelect.addEventListener('change', function () {
+            subgroup.setAttribute('data-logic', logicSelect.value);
+            SmartLists.updateRuleButtonVisibility(page);
+        }, listenerOptions);
+
+        const header = subgroup.querySelector('.rule-subgroup-header');
+        header.querySelectorAll('.rule-action-btn').forEach(function (button) {
+            let buttonType;
+            if (button.classList.contains('and-btn')) buttonType = 'and';
+            else if (button.classList.contains('or-btn')) buttonType = 'or';
+            else if (button.classList.contains('group-btn')) buttonType = 'group';
+            else if (button.classList.contains('delete-btn')) buttonType = 'delete';
+
+            if (buttonType) {
+                SmartLists.styleRuleActionButton(button, buttonType);
+            }
+        });
+    };
+
+    /**
+     * Replaces the rules in a logic group (or nested group body) with the given expressions and nested groups.
+     * Used by the edit and clone flows. An empty group gets a single blank rule, like a new group.
+     */
+    SmartLists.populateLogicGroup = function (page, container, expressions, groups) {
+        SmartLists.getGroupItems(container).forEach(function (item) {
+            SmartLists.cleanupRuleEventListeners(item);
+            item.querySelectorAll('.rule-row, .rule-subgroup').forEach(function (element) {
+                SmartLists.cleanupRuleEventListeners(element);
+            });
+        });
+        container.querySelectorAll(':scope > .rule-row, :scope > .rule-subgroup, :scope > .rule-within-group-separator').forEach(function (element) {
+            element.remove();
+        });
+
+        (expressions || []).forEach(function (expression) {
+            SmartLists.addRuleToGroup(page, container);
+            const items = SmartLists.getGroupItems(container);
+            SmartLists.populateRuleRow(items[items.length - 1], expression, page);
+        });
+
+        (groups || []).forEach(function (group) {
+            const subgroup = SmartLists.addNestedGroup(page, container, group.Logic, true);
+            SmartLists.populateLogicGroup(page, subgroup.querySelector('.rule-subgroup-body'), group.Expressions, group.Groups);
+        });
+
+        if (SmartLists.getGroupItems(container).length === 0) {
+            SmartLists.addRuleToGroup(page, container);
+        }
+    };
+
+    // Replaces the exclusion rules with the given exclusion sets (each one becomes an exclusion group)
+    SmartLists.populateExclusionRules = function (page, exclusionSets) {
+        const exclusionContainer = page.querySelector('#exclusion-rules-container');
+        if (!exclusionContainer) {
+            return;
+        }
+
+        exclusionContainer.querySelectorAll('.rule-row, .rule-subgroup').forEach(function (element) {
+            SmartLists.cleanupRuleEventListeners(element);
+        });
+        exclusionContainer.innerHTML = '';
+
+        (exclusionSets || []).forEach(function (exclusionSet) {
+            if (SmartLists.getAllExpressions(exclusionSet).length === 0) {
+                return;
+            }
+
+            const logicGroup = exclusionContainer.children.length === 0
+                ? SmartLists.createInitialLogicGroup(page, exclusionContainer)
+                : SmartLists.addNewLogicGroup(page, exclusionContainer);
+            SmartLists.populateLogicGroup(page, logicGroup, exclusionSet.Expressions, exclusionSet.Groups);
+        });
+
+        SmartLists.updateRuleButtonVisibility(page);
+    };
+
+    function updateRuleOptionsVisibility(page) {
+        SmartLists.updateAllFieldSelects(page);
+        SmartLists.updateAllTagsOptionsVisibility(page);
+        SmartLists.updateAllStudiosOptionsVisibility(page);
+        SmartLists.updateAllGenresOptionsVisibility(page);
+        SmartLists.updateAllAudioLanguagesOptionsVisibility(page);
+        SmartLists.updateAllCollectionsOptionsVisibility(page);
+        SmartLists.updateAllNextUnwatchedOptionsVisibility(page);
+        SmartLists.updateRuleButtonVisibility(page);
+    }
+
+    // Replaces the rules (not the exclusion rules) in the form with the given expression sets.
+    // Used by populateRulesAndSorts and when applying rule text.
+    SmartLists.populateRules = function (page, expressionSets) {
+        const rulesContainer = page.querySelector('#rules-container');
+        rulesContainer.querySelectorAll('.rule-row, .rule-subgroup').forEach(function (element) {
+            SmartLists.cleanupRuleEventListeners(element);
+        });
+        rulesContainer.innerHTML = '';
+
+        const nonEmptySets = (expressionSets || []).filter(function (set) {
+            return SmartLists.getAllExpressions(set).length > 0;
+        });
+        if (nonEmptySets.length > 0) {
+            nonEmptySets.forEach(function (expressionSet, groupIndex) {
+                const logicGroup = groupIndex === 0 ? SmartLists.createInitialLogicGroup(page) : SmartLists.addNewLogicGroup(page);
+                SmartLists.populateLogicGroup(page, logicGroup, expressionSet.Expressions, expressionSet.Groups);
+            });
+        } else {
+            SmartLists.createInitialLogicGroup(page);
+        }
+
+        updateRuleOptionsVisibility(page);
+
+        if (SmartLists.scheduleRuleValidation) {
+            SmartLists.scheduleRuleValidation(page);
+        }
+        if (SmartLists.scheduleListLint) {
+            SmartLists.scheduleListLint(page);
+        }
+    };
+
+    // Replaces the rules, exclusion rules and sorts in the form with the given list's.
+    // Used when inserting a template and when restoring an undo/redo snapshot.
+    SmartLists.populateRulesAndSorts = function (page, list) {
+        page._editingPlaylistSimilarityFields = list.SimilarityComparisonFields;
+        SmartLists.populateRules(page, list.ExpressionSets);
+        SmartLists.populateExclusionRules(page, list.ExclusionSets);
+
+        // Sorts go in after the rules so hasSimilarToRuleInForm() can detect them
+        SmartLists.loadSortOptionsIntoUI(page, list);
+        SmartLists.updateAllSortOptionsVisibility(page);
+
+        updateRuleOptionsVisibility(page);
+
+        if (SmartLists.refreshRuleText) {
+            SmartLists.refreshRuleText(page);
+        }
+    };
+
     SmartLists.reinitializeExistingRules = function (page) {
         // Clean up existing event listeners for all rules
         const allRules = page.querySelectorAll('.rule-row');
@@ -1155,6 +1544,7 @@
                     let buttonType;
                     if (button.classList.contains('and-btn')) buttonType = 'and';
                     else if (button.classList.contains('or-btn')) buttonType = 'or';
+            else if (button.classList.contains('group-btn')) buttonType = 'group';
                     else if (button.classList.contains('delete-btn')) buttonType = 'delete';
 
                     if (buttonType) {
@@ -1183,6 +1573,10 @@
             }
         });
 
+        page.querySelectorAll('.rule-subgroup').forEach(function (subgroup) {
+            SmartLists.initializeNestedGroup(page, subgroup);
+        });
+
         // Update button visibility
         SmartLists.updateRuleButtonVisibility(page);
     };
@@ -1704,139 +2098,223 @@
     // are defined in config-sorts.js and config-core.js to avoid duplication
 
     // ===== RULE COLLECTION =====
-    SmartLists.collectRulesFromForm = function (page) {
-        const expressionSets = [];
-        const selectedMediaTypes = SmartLists.getSelectedMediaTypes(page);
-        const hasEpisode = selectedMediaTypes.indexOf('Episode') !== -1;
-        const hasAudioCapable = selectedMediaTypes.some(function (type) {
-            return SmartLists.AUDIO_CAPABLE_TYPES.indexOf(type) !== -1;
-        });
+    // Builds the expression for a single rule row, or returns null if the rule is incomplete
+    function collectExpressionFromRow(rule, hasEpisode, hasAudioCapable) {
+        let memberName = rule.querySelector('.rule-field-select').value;
+
+        // If People field is selected, use the value from the people submenu
+        if (memberName === 'People') {
+            const peopleSelect = rule.querySelector('.rule-people-select');
+            if (peopleSelect && peopleSelect.value) {
+                memberName = peopleSelect.value;
+            }
+            // If no value in submenu, default to 'People' (All)
+        }
+        const operator = rule.querySelector('.rule-operator-select').value;
+        let targetValue;
+        if ((operator === 'NewerThan' || operator === 'OlderThan') && rule.querySelector('.rule-value-unit')) {
+            // Serialize as number:unit
+            const num = rule.querySelector('.rule-value-input').value;
+            const unit = rule.querySelector('.rule-value-unit').value;
+            targetValue = num && unit ? num + ':' + unit : '';
+        } else {
+            targetValue = rule.querySelector('.rule-value-input').value;
+        }
 
-        page.querySelectorAll('.logic-group').forEach(function (logicGroup) {
-            const expressions = [];
-            logicGroup.querySelectorAll('.rule-row').forEach(function (rule) {
-                let memberName = rule.querySelector('.rule-field-select').value;
-
-                // If People field is selected, use the value from the people submenu
-                if (memberName === 'People') {
-                    const peopleSelect = rule.querySelector('.rule-people-select');
-                    if (peopleSelect && peopleSelect.value) {
-                        memberName = peopleSelect.value;
-                    }
-                    // If no value in submenu, default to 'People' (All)
+        if (!memberName || !operator || !targetValue) {
+            return null;
+        }
+
+        const expression = { MemberName: memberName, Operator: operator, TargetValue: targetValue };
+
+        // Check if a specific user is selected for user data fields
+        const userSelect = rule.querySelector('.rule-user-select');
+        if (userSelect && userSelect.value) {
+            // Only add UserId if a specific user is selected (not default)
+            expression.UserId = userSelect.value;
+        }
+        // If no user is selected or default is selected, the expression works as before
+        // (for the playlist user - backwards compatibility)
+
+        // A Similar To item picked from the library is stored by ID, as long as the name wasn't edited since
+        if (memberName === 'SimilarTo' && operator === 'Equal' && rule.getAttribute('data-reference-item-id') &&
+            rule.getAttribute('data-reference-item-name') === targetValue) {
+            expression.ReferenceItemId = rule.getAttribute('data-reference-item-id');
+        }
+
+        // Check for NextUnwatched specific options (only if Episode is selected)
+        const nextUnwatchedSelect = rule.querySelector('.rule-nextunwatched-select');
+        if (nextUnwatchedSelect && memberName === 'NextUnwatched' && hasEpisode) {
+            // Convert string to boolean and only include if it's explicitly false
+            const includeUnwatchedSeries = nextUnwatchedSelect.value === 'true';
+            if (!includeUnwatchedSeries) {
+                expression.IncludeUnwatchedSeries = false;
+            }
+            // If true (default), don't include the parameter to save space
+        }
+
+        // Check for Collections specific options
+        if (memberName === 'Collections') {
+            // Check for collection-only option (only for Collections type)
+            const collectionOnlySelect = rule.querySelector('.rule-collections-collection-only-select');
+            if (collectionOnlySelect) {
+                const includeCollectionOnly = collectionOnlySelect.value === 'true';
+                if (includeCollectionOnly) {
+                    expression.IncludeCollectionOnly = true;
                 }
-                const operator = rule.querySelector('.rule-operator-select').value;
-                let targetValue;
-                if ((operator === 'NewerThan' || operator === 'OlderThan') && rule.querySelector('.rule-value-unit')) {
-                    // Serialize as number:unit
-                    const num = rule.querySelector('.rule-value-input').value;
-                    const unit = rule.querySelector('.rule-value-unit').value;
-                    targetValue = num && unit ? num + ':' + unit : '';
-                } else {
-                    targetValue = rule.querySelector('.rule-value-input').value;
+                // If false (default), don't include the parameter to save space
+            }
+
+            // Check for episodes option (only if Episode is selected and collection-only is not enabled)
+            const collectionsSelect = rule.querySelector('.rule-collections-select');
+            if (collectionsSelect && hasEpisode) {
+                // Only process if collection-only is not enabled
+                const collectionOnlySelect2 = rule.querySelector('.rule-collections-collection-only-select');
+                const isCollectionOnly = collectionOnlySelect2 && collectionOnlySelect2.value === 'true';
+                if (!isCollectionOnly) {
+                    // Convert string to boolean and only include if it's explicitly true
+                    const includeEpisodesWithinSeries = collectionsSelect.value === 'true';
+                    if (includeEpisodesWithinSeries) {
+                        expression.IncludeEpisodesWithinSeries = true;
+                    }
+                    // If false (default), don't include the parameter to save space
                 }
+            }
+        }
 
-                if (memberName && operator && targetValue) {
-                    const expression = { MemberName: memberName, Operator: operator, TargetValue: targetValue };
+        // Handle Tags-specific options (only if Episode is selected)
+        const tagsSelect = rule.querySelector('.rule-tags-select');
+        if (tagsSelect && memberName === 'Tags' && hasEpisode) {
+            // Convert string to boolean and only include if it's explicitly true
+            const includeParentSeriesTags = tagsSelect.value === 'true';
+            if (includeParentSeriesTags) {
+                expression.IncludeParentSeriesTags = true;
+            }
+            // If false (default), don't include the parameter to save space
+        }
 
-                    // Check if a specific user is selected for user data fields
-                    const userSelect = rule.querySelector('.rule-user-select');
-                    if (userSelect && userSelect.value) {
-                        // Only add UserId if a specific user is selected (not default)
-                        expression.UserId = userSelect.value;
-                    }
-                    // If no user is selected or default is selected, the expression works as before
-                    // (for the playlist user - backwards compatibility)
-
-                    // Check for NextUnwatched specific options (only if Episode is selected)
-                    const nextUnwatchedSelect = rule.querySelector('.rule-nextunwatched-select');
-                    if (nextUnwatchedSelect && memberName === 'NextUnwatched' && hasEpisode) {
-                        // Convert string to boolean and only include if it's explicitly false
-                        const includeUnwatchedSeries = nextUnwatchedSelect.value === 'true';
-                        if (!includeUnwatchedSeries) {
-                            expression.IncludeUnwatchedSeries = false;
-                        }
-                        // If true (default), don't include the parameter to save space
-                    }
+        // Handle Studios-specific options (only if Episode is selected)
+        const studiosSelect = rule.querySelector('.rule-studios-select');
+        if (studiosSelect && memberName === 'Studios' && hasEpisode) {
+            // Convert string to boolean and only include if it's explicitly true
+            const includeParentSeriesStudios = studiosSelect.value === 'true';
+            if (includeParentSeriesStudios) {
+                expression.IncludeParentSeriesStudios = true;
+            }
+            // If false (default), don't include the parameter to save space
+        }
 
-                    // Check for Collections specific options
-                    if (memberName === 'Collections') {
-                        // Check for collection-only option (only for Collections type)
-                        const collectionOnlySelect = rule.querySelector('.rule-collections-collection-only-select');
-                        if (collectionOnlySelect) {
-                            const includeCollectionOnly = collectionOnlySelect.value === 'true';
-                            if (includeCollectionOnly) {
-                                expression.IncludeCollectionOnly = true;
-                            }
-                            // If false (default), don't include the parameter to save space
-                        }
-
-                        // Check for episodes option (only if Episode is selected and collection-only is not enabled)
-                        const collectionsSelect = rule.querySelector('.rule-collections-select');
-                        if (collectionsSelect && hasEpisode) {
-                            // Only process if collection-only is not enabled
-                            const collectionOnlySelect2 = rule.querySelector('.rule-collections-collection-only-select');
-                            const isCollectionOnly = collectionOnlySelect2 && collectionOnlySelect2.value === 'true';
-                            if (!isCollectionOnly) {
-                                // Convert string to boolean and only include if it's explicitly true
-                                const includeEpisodesWithinSeries = collectionsSelect.value === 'true';
-                                if (includeEpisodesWithinSeries) {
-                                    expression.IncludeEpisodesWithinSeries = true;
-                                }
-                                // If false (default), don't include the parameter to save space
-                            }
-                        }
-                    }
+        // Handle Genres-specific options (only if Episode is selected)
+        const genresSelect = rule.querySelector('.rule-genres-select');
+        if (genresSelect && memberName === 'Genres' && hasEpisode) {
+            // Convert string to boolean and only include if it's explicitly true
+            const includeParentSeriesGenres = genresSelect.value === 'true';
+            if (includeParentSeriesGenres) {
+                expression.IncludeParentSeriesGenres = true;
+            }
+            // If false (default), don't include the parameter to save space
+        }
 
-                    // Handle Tags-specific options (only if Episode is selected)
-                    const tagsSelect = rule.querySelector('.rule-tags-select');
-                    if (tagsSelect && memberName === 'Tags' && hasEpisode) {
-                        // Convert string to boolean and only include if it's explicitly true
-                        const includeParentSeriesTags = tagsSelect.value === 'true';
-                        if (includeParentSeriesTags) {
-                            expression.IncludeParentSeriesTags = true;
-                        }
-                        // If false (default), don't include the parameter to save space
-                    }
+        // Handle AudioLanguages-specific options (only if audio-capable media type is selected)
+        const audioLanguagesSelect = rule.querySelector('.rule-audiolanguages-select');
+        if (audioLanguagesSelect && memberName === 'AudioLanguages' && hasAudioCapable) {
+            // Convert string to boolean and only include if it's explicitly true
+            const onlyDefaultAudioLanguage = audioLanguagesSelect.value === 'true';
+            if (onlyDefaultAudioLanguage) {
+                expression.OnlyDefaultAudioLanguage = true;
+            }
+            // If false (default), don't include the parameter to save space
+        }
 
-                    // Handle Studios-specific options (only if Episode is selected)
-                    const studiosSelect = rule.querySelector('.rule-studios-select');
-                    if (studiosSelect && memberName === 'Studios' && hasEpisode) {
-                        // Convert string to boolean and only include if it's explicitly true
-                        const includeParentSeriesStudios = studiosSelect.value === 'true';
-                        if (includeParentSeriesStudios) {
-                            expression.IncludeParentSeriesStudios = true;
-                        }
-                        // If false (default), don't include the parameter to save space
-                    }
+        return expression;
+    }
 
-                    // Handle Genres-specific options (only if Episode is selected)
-                    const genresSelect = rule.querySelector('.rule-genres-select');
-                    if (genresSelect && memberName === 'Genres' && hasEpisode) {
-                        // Convert string to boolean and only include if it's explicitly true
-                        const includeParentSeriesGenres = genresSelect.value === 'true';
-                        if (includeParentSeriesGenres) {
-                            expression.IncludeParentSeriesGenres = true;
-                        }
-                        // If false (default), don't include the parameter to save space
-                    }
+    // Collects a nested group, or returns null if it has no complete rules
+    function collectNestedGroup(subgroup, hasEpisode, hasAudioCapable) {
+        const body = subgroup.querySelector('.rule-subgroup-body');
+        const expressions = [];
+        const groups = [];
 
-                    // Handle AudioLanguages-specific options (only if audio-capable media type is selected)
-                    const audioLanguagesSelect = rule.querySelector('.rule-audiolanguages-select');
-                    if (audioLanguagesSelect && memberName === 'AudioLanguages' && hasAudioCapable) {
-                        // Convert string to boolean and only include if it's explicitly true
-                        const onlyDefaultAudioLanguage = audioLanguagesSelect.value === 'true';
-                        if (onlyDefaultAudioLanguage) {
-                            expression.OnlyDefaultAudioLanguage = true;
-                        }
-                        // If false (default), don't include the parameter to save space
+        SmartLists.getGroupItems(body).forEach(function (item) {
+            if (item.classList.contains('rule-subgroup')) {
+                const group = collectNestedGroup(item, hasEpisode, hasAudioCapable);
+                if (group) {
+                    groups.push(group);
+                }
+            } else {
+                const expression = collectExpressionFromRow(item, hasEpisode, hasAudioCapable);
+                if (expression) {
+                    expressions.push(expression);
+                }
+            }
+        });
+
+        if (expressions.length === 0 && groups.length === 0) {
+            return null;
+        }
+
+        const group = { Logic: SmartLists.getContainerLogic(body), Expressions: expressions };
+        if (groups.length > 0) {
+            group.Groups = groups;
+        }
+        return group;
+    }
+
+    /**
+     * Collect the expression for a single rule row, with the options the selected media types allow.
+     * Returns null while the rule is incomplete.
+     */
+    SmartLists.collectExpressionFromRuleRow = function (page, ruleRow) {
+        const selectedMediaTypes = SmartLists.getSelectedMediaTypes(page);
+        const hasAudioCapable = selectedMediaTypes.some(function (type) {
+            return SmartLists.AUDIO_CAPABLE_TYPES.indexOf(type) !== -1;
+        });
+        return collectExpressionFromRow(ruleRow, selectedMediaTypes.indexOf('Episode') !== -1, hasAudioCapable);
+    };
+
+    /**
+     * Collect the expression sets from the rule builder. Incomplete rules and empty groups are skipped,
+     * so if ruleRowMap (an array) is passed, it is filled with the .rule-row elements behind each
+     * expression: ruleRowMap[setIndex][expressionIndex]. Rules inside nested groups are not mapped.
+     * rulesContainer defaults to #rules-container; pass #exclusion-rules-container to collect the exclusions.
+     */
+    SmartLists.collectRulesFromForm = function (page, ruleRowMap, rulesContainer) {
+        const expressionSets = [];
+        const selectedMediaTypes = SmartLists.getSelectedMediaTypes(page);
+        const hasEpisode = selectedMediaTypes.indexOf('Episode') !== -1;
+        const hasAudioCapable = selectedMediaTypes.some(function (type) {
+            return SmartLists.AUDIO_CAPABLE_TYPES.indexOf(type) !== -1;
+        });
+
+        rulesContainer = rulesContainer || page.querySelector('#rules-container');
+        rulesContainer.querySelectorAll('.logic-group').forEach(function (logicGroup) {
+            const expressions = [];
+            const groups = [];
+            const ruleRows = [];
+            SmartLists.getGroupItems(logicGroup).forEach(function (item) {
+                if (item.classList.contains('rule-subgroup')) {
+                    const group = collectNestedGroup(item, hasEpisode, hasAudioCapable);
+                    if (group) {
+                        groups.push(group);
                     }
+                    return;
+                }
 
+                const expression = collectExpressionFromRow(item, hasEpisode, hasAudioCapable);
+                if (expression) {
                     expressions.push(expression);
+                    ruleRows.push(item);
                 }
             });
-            if (expressions.length > 0) {
-                expressionSets.push({ Expressions: expressions });
+            if (expressions.length > 0 || groups.length > 0) {
+                const expressionSet = { Expressions: expressions };
+                if (groups.length > 0) {
+                    expressionSet.Groups = groups;
+                }
+                expressionSets.push(expressionSet);
+                if (ruleRowMap) {
+                    ruleRowMap.push(ruleRows);
+                }
             }
         });
 
@@ -1969,6 +2447,9 @@
                 if (similarityFields && Array.isArray(similarityFields) && similarityFields.length > 0) {
                     SmartLists.updateSimilarityOptionsVisibility(ruleRow, expression.MemberName, similarityFields);
                 }
+                if (SmartLists.setSimilarToReference) {
+                    SmartLists.setSimilarToReference(ruleRow, expression.ReferenceItemId ? { id: expression.ReferenceItemId, name: expression.TargetValue } : null);
+                }
             }
 
             // Update regex help if needed
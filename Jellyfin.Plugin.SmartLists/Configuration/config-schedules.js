@@ -7,6 +7,9 @@
         SmartLists = window.SmartLists;
     }
     
+    // Delay before a cron expression being typed is previewed
+    const SCHEDULE_PREVIEW_DEBOUNCE_MS = 400;
+    
     // Toggle schedule containers based on trigger value (DRY helper)
     SmartLists.toggleScheduleContainers = function(page, prefix, triggerValue) {
         // ES5 compatible template string replacement
@@ -75,7 +78,7 @@
         
         // Trigger field
         const triggerField = SmartLists.createScheduleField('Trigger', 'schedule-trigger-' + scheduleId, 'select');
-        SmartLists.populateSelectElement(triggerField.input, SmartLists.generateScheduleTriggerOptions(scheduleData ? scheduleData.Trigger : '', false));
+        SmartLists.populateSelectElement(triggerField.input, SmartLists.generateScheduleTriggerOptions(scheduleData ? scheduleData.Trigger : '', false, true));
         fieldsContainer.appendChild(triggerField.container);
         
         // Month field (for Yearly)
@@ -109,6 +112,30 @@
         intervalField.container.style.display = 'none';
         fieldsContainer.appendChild(intervalField.container);
         
+        // Active window fields (for Interval) - runs only between these times of day
+        const windowStart = scheduleData && scheduleData.WindowStart ? scheduleData.WindowStart.substring(0, 5) : '';
+        const windowEnd = scheduleData && scheduleData.WindowEnd ? scheduleData.WindowEnd.substring(0, 5) : '23:45';
+        const windowStartField = SmartLists.createScheduleField('Active From', 'schedule-windowstart-' + scheduleId, 'select');
+        SmartLists.populateSelectElement(windowStartField.input, [{ value: '', label: 'All day', selected: !windowStart }].concat(SmartLists.generateTimeOptions(windowStart)));
+        windowStartField.container.style.display = 'none';
+        fieldsContainer.appendChild(windowStartField.container);
+        
+        const windowEndField = SmartLists.createScheduleField('Until', 'schedule-windowend-' + scheduleId, 'select');
+        SmartLists.populateSelectElement(windowEndField.input, SmartLists.generateTimeOptions(windowEnd));
+        windowEndField.container.style.display = 'none';
+        fieldsContainer.appendChild(windowEndField.container);
+        
+        // Cron expression field (for Cron)
+        const cronField = SmartLists.createScheduleField('Cron Expression', 'schedule-cron-' + scheduleId, 'text');
+        cronField.input.value = scheduleData && scheduleData.CronExpression ? scheduleData.CronExpression : '';
+        cronField.input.placeholder = '0 6 * * 1-5';
+        cronField.input.title = 'minute hour day-of-month month day-of-week, in the server\'s time zone';
+        cronField.input.setAttribute('autocomplete', 'off');
+        cronField.input.setAttribute('spellcheck', 'false');
+        cronField.input.style.fontFamily = 'monospace';
+        cronField.container.style.display = 'none';
+        fieldsContainer.appendChild(cronField.container);
+        
         // Create remove button (X icon at end of fields row)
         const removeBtn = SmartLists.createStyledElement('button', 'schedule-remove-btn', SmartLists.STYLES.scheduleRemoveBtn);
         removeBtn.type = 'button';
@@ -121,16 +148,35 @@
         
         box.appendChild(fieldsContainer);
         
+        // Next run times, worked out by the server the same way the schedule timer does
+        const preview = document.createElement('div');
+        preview.className = 'schedule-preview';
+        preview.setAttribute('aria-live', 'polite');
+        preview.style.cssText = 'font-size: 0.85em; color: #aaa;';
+        box.appendChild(preview);
+        
         // Add change listener to trigger to update field visibility
         triggerField.input.addEventListener('change', function() {
             SmartLists.updateScheduleFieldsVisibility(box, this.value);
         });
+        windowStartField.input.addEventListener('change', function() {
+            SmartLists.updateScheduleFieldsVisibility(box, triggerField.input.value);
+        });
+        
+        // Any change to the schedule refreshes its preview; typing a cron expression waits for a pause
+        box.addEventListener('change', function() {
+            scheduleSchedulePreview(box, 0);
+        });
+        cronField.input.addEventListener('input', function() {
+            scheduleSchedulePreview(box, SCHEDULE_PREVIEW_DEBOUNCE_MS);
+        });
         
         // Set initial visibility based on actual selected value in dropdown
         var initialTrigger = triggerField.input.value;
         if (initialTrigger) {
             SmartLists.updateScheduleFieldsVisibility(box, initialTrigger);
         }
+        SmartLists.updateSchedulePreview(box);
         
         return box;
     };
@@ -175,6 +221,15 @@
         const intervalField = Array.prototype.find.call(fields, function(f) {
             return f.querySelector('[id^="schedule-interval-"]');
         });
+        const windowStartField = Array.prototype.find.call(fields, function(f) {
+            return f.querySelector('[id^="schedule-windowstart-"]');
+        });
+        const windowEndField = Array.prototype.find.call(fields, function(f) {
+            return f.querySelector('[id^="schedule-windowend-"]');
+        });
+        const cronField = Array.prototype.find.call(fields, function(f) {
+            return f.querySelector('[id^="schedule-cron-"]');
+        });
         
         // Hide all optional fields
         if (monthField) monthField.style.display = 'none';
@@ -182,6 +237,9 @@
         if (dayOfWeekField) dayOfWeekField.style.display = 'none';
         if (timeField) timeField.style.display = 'none';
         if (intervalField) intervalField.style.display = 'none';
+        if (windowStartField) windowStartField.style.display = 'none';
+        if (windowEndField) windowEndField.style.display = 'none';
+        if (cronField) cronField.style.display = 'none';
         
         // Show relevant fields based on trigger
         if (triggerValue === 'Daily') {
@@ -198,6 +256,12 @@
             if (timeField) timeField.style.display = '';
         } else if (triggerValue === 'Interval') {
             if (intervalField) intervalField.style.display = '';
+            if (windowStartField) windowStartField.style.display = '';
+            // The end of the window only matters once a start is picked
+            const windowStartSelect = windowStartField ? windowStartField.querySelector('select') : null;
+            if (windowEndField && windowStartSelect && windowStartSelect.value) windowEndField.style.display = '';
+        } else if (triggerValue === 'Cron') {
+            if (cronField) cronField.style.display = '';
         }
     };
     
@@ -241,64 +305,142 @@
         const schedules = [];
         
         boxes.forEach(function(box) {
-            const triggerSelect = box.querySelector('[id^="schedule-trigger-"]');
-            if (!triggerSelect) return;
-            
-            const trigger = triggerSelect.value;
-            if (!trigger) return; // Skip empty triggers
-            
-            const schedule = { Trigger: trigger };
-            
-            // Collect fields based on trigger type
-            if (trigger === 'Daily') {
-                const timeSelect = box.querySelector('[id^="schedule-time-"]');
-                if (timeSelect && timeSelect.value) {
-                    schedule.Time = timeSelect.value + ':00';
-                }
-            } else if (trigger === 'Weekly') {
-                const dayOfWeekSelect = box.querySelector('[id^="schedule-dayofweek-"]');
-                const timeSelect = box.querySelector('[id^="schedule-time-"]');
-                if (dayOfWeekSelect && dayOfWeekSelect.value !== '') {
-                    schedule.DayOfWeek = parseInt(dayOfWeekSelect.value, 10);
-                }
-                if (timeSelect && timeSelect.value) {
-                    schedule.Time = timeSelect.value + ':00';
-                }
-            } else if (trigger === 'Monthly') {
-                const dayOfMonthSelect = box.querySelector('[id^="schedule-dayofmonth-"]');
-                const timeSelect = box.querySelector('[id^="schedule-time-"]');
-                if (dayOfMonthSelect && dayOfMonthSelect.value) {
-                    schedule.DayOfMonth = parseInt(dayOfMonthSelect.value, 10);
-                }
-                if (timeSelect && timeSelect.value) {
-                    schedule.Time = timeSelect.value + ':00';
-                }
-            } else if (trigger === 'Yearly') {
-                const monthSelect = box.querySelector('[id^="schedule-month-"]');
-                const dayOfMonthSelect = box.querySelector('[id^="schedule-dayofmonth-"]');
-                const timeSelect = box.querySelector('[id^="schedule-time-"]');
-                if (monthSelect && monthSelect.value) {
-                    schedule.Month = parseInt(monthSelect.value, 10);
-                }
-                if (dayOfMonthSelect && dayOfMonthSelect.value) {
-                    schedule.DayOfMonth = parseInt(dayOfMonthSelect.value, 10);
-                }
-                if (timeSelect && timeSelect.value) {
-                    schedule.Time = timeSelect.value + ':00';
-                }
-            } else if (trigger === 'Interval') {
-                const intervalSelect = box.querySelector('[id^="schedule-interval-"]');
-                if (intervalSelect && intervalSelect.value) {
-                    schedule.Interval = intervalSelect.value;
-                }
+            const schedule = SmartLists.collectScheduleFromBox(box);
+            if (schedule) {
+                schedules.push(schedule);
             }
-            
-            schedules.push(schedule);
         });
         
         return schedules;
     };
     
+    // Read one schedule box into a Schedule object, or null when no trigger is picked
+    SmartLists.collectScheduleFromBox = function(box) {
+        const triggerSelect = box.querySelector('[id^="schedule-trigger-"]');
+        if (!triggerSelect) return null;
+        
+        const trigger = triggerSelect.value;
+        if (!trigger) return null; // Skip empty triggers
+        
+        const schedule = { Trigger: trigger };
+        
+        // Collect fields based on trigger type
+        if (trigger === 'Daily') {
+            const timeSelect = box.querySelector('[id^="schedule-time-"]');
+            if (timeSelect && timeSelect.value) {
+                schedule.Time = timeSelect.value + ':00';
+            }
+        } else if (trigger === 'Weekly') {
+            const dayOfWeekSelect = box.querySelector('[id^="schedule-dayofweek-"]');
+            const timeSelect = box.querySelector('[id^="schedule-time-"]');
+            if (dayOfWeekSelect && dayOfWeekSelect.value !== '') {
+                schedule.DayOfWeek = parseInt(dayOfWeekSelect.value, 10);
+            }
+            if (timeSelect && timeSelect.value) {
+                schedule.Time = timeSelect.value + ':00';
+            }
+        } else if (trigger === 'Monthly') {
+            const dayOfMonthSelect = box.querySelector('[id^="schedule-dayofmonth-"]');
+            const timeSelect = box.querySelector('[id^="schedule-time-"]');
+            if (dayOfMonthSelect && dayOfMonthSelect.value) {
+                schedule.DayOfMonth = parseInt(dayOfMonthSelect.value, 10);
+            }
+            if (timeSelect && timeSelect.value) {
+                schedule.Time = timeSelect.value + ':00';
+            }
+        } else if (trigger === 'Yearly') {
+            const monthSelect = box.querySelector('[id^="schedule-month-"]');
+            const dayOfMonthSelect = box.querySelector('[id^="schedule-dayofmonth-"]');
+            const timeSelect = box.querySelector('[id^="schedule-time-"]');
+            if (monthSelect && monthSelect.value) {
+                schedule.Month = parseInt(monthSelect.value, 10);
+            }
+            if (dayOfMonthSelect && dayOfMonthSelect.value) {
+                schedule.DayOfMonth = parseInt(dayOfMonthSelect.value, 10);
+            }
+            if (timeSelect && timeSelect.value) {
+                schedule.Time = timeSelect.value + ':00';
+            }
+        } else if (trigger === 'Interval') {
+            const intervalSelect = box.querySelector('[id^="schedule-interval-"]');
+            const windowStartSelect = box.querySelector('[id^="schedule-windowstart-"]');
+            const windowEndSelect = box.querySelector('[id^="schedule-windowend-"]');
+            if (intervalSelect && intervalSelect.value) {
+                schedule.Interval = intervalSelect.value;
+            }
+            if (windowStartSelect && windowStartSelect.value && windowEndSelect && windowEndSelect.value) {
+                schedule.WindowStart = windowStartSelect.value + ':00';
+                schedule.WindowEnd = windowEndSelect.value + ':00';
+            }
+        } else if (trigger === 'Cron') {
+            const cronInput = box.querySelector('[id^="schedule-cron-"]');
+            if (cronInput && cronInput.value.trim()) {
+                schedule.CronExpression = cronInput.value.trim();
+            }
+        }
+        
+        return schedule;
+    };
+    
+    // ===== SCHEDULE PREVIEW =====
+    function scheduleSchedulePreview(box, delay) {
+        if (box._schedulePreviewTimer) {
+            clearTimeout(box._schedulePreviewTimer);
+        }
+        box._schedulePreviewTimer = setTimeout(function() {
+            box._schedulePreviewTimer = null;
+            SmartLists.updateSchedulePreview(box);
+        }, delay);
+    }
+    
+    function formatRunTime(isoString) {
+        const date = new Date(isoString);
+        try {
+            return date.toLocaleString(undefined, { weekday: 'short', month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit' });
+        } catch (e) {
+            return date.toLocaleString();
+        }
+    }
+    
+    /**
+     * Show the next five times the schedule in a box will refresh the list, or why the schedule is invalid.
+     */
+    SmartLists.updateSchedulePreview = function(box) {
+        const preview = box.querySelector('.schedule-preview');
+        if (!preview) return Promise.resolve();
+        
+        const schedule = SmartLists.collectScheduleFromBox(box);
+        if (!schedule) {
+            preview.innerHTML = '';
+            return Promise.resolve();
+        }
+        if (schedule.Trigger === 'Cron' && !schedule.CronExpression) {
+            preview.textContent = 'Enter a cron expression: minute, hour, day of month, month and day of week. For example, 0 6 * * 1-5 runs at 06:00 on weekdays.';
+            return Promise.resolve();
+        }
+        
+        // Track the request so a slow, stale response never overwrites a newer one
+        const requestId = (box._schedulePreviewRequestId || 0) + 1;
+        box._schedulePreviewRequestId = requestId;
+        
+        return SmartLists.postPreviewRequest(SmartLists.ENDPOINTS.schedulePreview, '', schedule).then(function(result) {
+            if (box._schedulePreviewRequestId !== requestId) return;
+            if (!result.valid) {
+                preview.innerHTML = '<span style="color: #ff6b6b;">' + SmartLists.escapeHtml(result.error || 'Invalid schedule') + '</span>';
+            } else if (!result.nextRuns || result.nextRuns.length === 0) {
+                preview.textContent = 'This schedule doesn\'t run in the next year.';
+            } else {
+                preview.textContent = 'Next runs: ' + result.nextRuns.map(formatRunTime).join(' · ');
+                preview.title = 'Shown in your browser\'s time zone';
+            }
+        }).catch(function(err) {
+            if (box._schedulePreviewRequestId !== requestId) return;
+            // The preview is informational; the schedule can still be saved without it
+            console.warn('Could not preview schedule:', err);
+            preview.textContent = '';
+        });
+    };
+    
     // Helper function to show/hide schedule containers based on selected trigger (LEGACY - kept for backward compat)
     SmartLists.updateScheduleContainers = function(page, triggerValue) {
         SmartLists.toggleScheduleContainers(page, '', triggerValue);
@@ -0,0 +1,303 @@
+(function (SmartLists) {
+    'use strict';
+
+    // ===== SIMILAR TO ITEM PICKER =====
+    // Similar To rules name their reference item by title, which is ambiguous for remakes and same-named items.
+    // Picking the item from the library stores its ID on the rule as well, so the list keeps pointing at the
+    // same item when its title changes. The name stays in the value for display and as the fallback.
+
+    const PICKER_SEARCH_DEBOUNCE_MS = 300;
+    const POSTER_HEIGHT = 150;
+
+    function getPosterUrl(itemId) {
+        const apiClient = SmartLists.getApiClient();
+        return apiClient.getUrl('Items/' + itemId + '/Images/Primary', { maxHeight: POSTER_HEIGHT, quality: 90 });
+    }
+
+    // Items without a poster show a placeholder icon instead of a broken image
+    function createPoster(itemId, width, height) {
+        const poster = document.createElement('div');
+        poster.style.cssText = 'flex: 0 0 auto; width: ' + width + '; height: ' + height + '; display: flex; align-items: center; justify-content: center; background: #1c1c1c; border-radius: 2px; overflow: hidden;';
+        poster.innerHTML = '<span class="material-icons" aria-hidden="true" style="color: #555;">movie</span>';
+
+        const img = document.createElement('img');
+        img.alt = '';
+        img.loading = 'lazy';
+        img.style.cssText = 'width: 100%; height: 100%; object-fit: cover;';
+        img.addEventListener('load', function () {
+            poster.innerHTML = '';
+            poster.appendChild(img);
+        });
+        img.src = getPosterUrl(itemId);
+        return poster;
+    }
+
+    function getItemDetails(item) {
+        const details = [item.type];
+        if (item.productionYear) {
+            details.push(String(item.productionYear));
+        }
+        return details.join(' · ');
+    }
+
+    // ===== REFERENCE STATUS =====
+    /**
+     * Link a Similar To rule to a library item, or unlink it when reference is null.
+     * @param {HTMLElement} ruleRow - The rule row
+     * @param {{id: string, name: string}|null} reference - The picked item's ID and the name it was picked with
+     */
+    SmartLists.setSimilarToReference = function (ruleRow, reference) {
+        const status = ruleRow.querySelector('.similarity-reference-status');
+        if (!reference || !reference.id) {
+            ruleRow.removeAttribute('data-reference-item-id');
+            ruleRow.removeAttribute('data-reference-item-name');
+            if (status) {
+                status.innerHTML = '';
+            }
+            return;
+        }
+
+        ruleRow.setAttribute('data-reference-item-id', reference.id);
+        ruleRow.setAttribute('data-reference-item-name', reference.name || '');
+        if (!status) return;
+
+        status.innerHTML = '';
+        const linked = document.createElement('div');
+        linked.style.cssText = 'display: flex; gap: 0.5em; align-items: center;';
+        linked.appendChild(createPoster(reference.id, '2em', '3em'));
+
+        const text = document.createElement('div');
+        text.innerHTML = '<div style="color: #ddd;">Linked to a library item</div>' +
+            '<div style="font-family: monospace; word-break: break-all;">' + SmartLists.escapeHtml(reference.id) + '</div>';
+        linked.appendChild(text);
+
+        const unlinkBtn = document.createElement('button');
+        unlinkBtn.type = 'button';
+        unlinkBtn.className = 'emby-button similar-to-unlink-btn';
+        unlinkBtn.textContent = 'Unlink';
+        unlinkBtn.title = 'Match the reference item by name again';
+        unlinkBtn.style.cssText = 'margin: 0; font-size: 0.9em;';
+        linked.appendChild(unlinkBtn);
+
+        status.appendChild(linked);
+    };
+
+    function clearSimilarToReference(ruleRow) {
+        if (ruleRow.hasAttribute('data-reference-item-id')) {
+            SmartLists.setSimilarToReference(ruleRow, null);
+        }
+    }
+
+    // Fill in the rule the way a user would, so undo history, drafts and validation see the change
+    function applyPickedItem(ruleRow, item) {
+        const operatorSelect = ruleRow.querySelector('.rule-operator-select');
+        if (operatorSelect && operatorSelect.value !== 'Equal') {
+            operatorSelect.value = 'Equal';
+            operatorSelect.dispatchEvent(new Event('change', { bubbles: true }));
+        }
+
+        // The value input can be rebuilt by the operator change, so look it up afterwards
+        const valueInput = ruleRow.querySelector('.rule-value-input');
+        if (valueInput) {
+            valueInput.value = item.name;
+            valueInput.dispatchEvent(new Event('input', { bubbles: true }));
+        }
+        SmartLists.setSimilarToReference(ruleRow, { id: item.id, name: item.name });
+        if (valueInput) {
+            valueInput.dispatchEvent(new Event('change', { bubbles: true }));
+        }
+    }
+
+    // ===== PICKER MODAL =====
+    function renderPickerResults(modal, items, onPick) {
+        const results = modal.querySelector('#similarToPickerResults');
+        results.innerHTML = '';
+        if (items.length === 0) {
+            results.innerHTML = '<p style="margin: 0;">No items in the selected media match this search.</p>';
+            return;
+        }
+
+        items.forEach(function (item) {
+            const card = document.createElement('button');
+            card.type = 'button';
+            card.className = 'similar-to-picker-item';
+            card.setAttribute('aria-label', SmartLists.formatPreviewItemName(item) + (item.productionYear ? ' (' + item.productionYear + ')' : ''));
+            card.style.cssText = 'display: flex; gap: 0.75em; align-items: flex-start; width: 100%; padding: 0.5em; text-align: left; background: rgba(255,255,255,0.05); border: 1px solid transparent; border-radius: 4px; color: inherit; cursor: pointer; font: inherit;';
+            card.appendChild(createPoster(item.id, '4em', '6em'));
+
+            const text = document.createElement('div');
+            text.style.cssText = 'min-width: 0;';
+            text.innerHTML = '<div style="font-weight: bold;">' + SmartLists.escapeHtml(SmartLists.formatPreviewItemName(item)) + '</div>' +
+                '<div style="color: #aaa; font-size: 0.9em;">' + SmartLists.escapeHtml(getItemDetails(item)) + '</div>' +
+                '<div style="color: #888; font-size: 0.8em; font-family: monospace; word-break: break-all;">' + SmartLists.escapeHtml(item.id) + '</div>';
+            card.appendChild(text);
+
+            card.addEventListener('click', function () {
+                onPick(item);
+            });
+            results.appendChild(card);
+        });
+    }
+
+    function searchLibraryItems(page, modal, searchTerm) {
+        const results = modal.querySelector('#similarToPickerResults');
+        const term = searchTerm.trim();
+        if (!term) {
+            results.innerHTML = '<p style="margin: 0;">Type a title to search the selected media.</p>';
+            return Promise.resolve(null);
+        }
+        const listDto = SmartLists.buildPreviewDto(page);
+        if (!listDto) {
+            results.innerHTML = '<p style="margin: 0;">Select at least one media type to search the library.</p>';
+            return Promise.resolve(null);
+        }
+
+        // Track the request so a slow, stale response never overwrites a newer one
+        const requestId = (modal._pickerRequestId || 0) + 1;
+        modal._pickerRequestId = requestId;
+        results.innerHTML = '<p style="margin: 0;">Searching...</p>';
+
+        return SmartLists.postPreviewRequest(SmartLists.ENDPOINTS.previewSearch, '?searchTerm=' + encodeURIComponent(term), listDto).then(function (items) {
+            return modal._pickerRequestId === requestId ? (items || []) : null;
+        }).catch(function (err) {
+            if (modal._pickerRequestId === requestId) {
+                console.error('Error searching library items:', err);
+                results.innerHTML = '<p style="color: #ff6b6b; margin: 0;">Failed to search the library: ' +
+                    SmartLists.escapeHtml((err && err.message) ? err.message : 'Unknown error') + '</p>';
+            }
+            return null;
+        });
+    }
+
+    /**
+     * Open the item picker for a Similar To rule. The search starts with the rule's current value.
+     */
+    SmartLists.showSimilarToPicker = function (page, ruleRow) {
+        const modal = page.querySelector('#similar-to-picker-modal');
+        if (!modal) return;
+
+        SmartLists.cleanupModalListeners(modal);
+
+        const modalContainer = modal.querySelector('.custom-modal-container');
+        SmartLists.applyStyles(modalContainer, SmartLists.STYLES.modal.container);
+        SmartLists.applyStyles(modal, SmartLists.STYLES.modal.backdrop);
+
+        const searchInput = modal.querySelector('#similarToPickerSearch');
+        const valueInput = ruleRow.querySelector('.rule-value-input');
+        searchInput.value = valueInput ? valueInput.value : '';
+
+        modal.classList.remove('hide');
+        searchInput.focus();
+        searchInput.select();
+
+        const modalAbortController = SmartLists.createAbortController();
+        const modalSignal = modalAbortController ? modalAbortController.signal : null;
+        let searchTimer = null;
+
+        const cleanupAndClose = function () {
+            if (searchTimer) {
+                clearTimeout(searchTimer);
+                searchTimer = null;
+            }
+            modal._pickerRequestId = (modal._pickerRequestId || 0) + 1;
+            modal.classList.add('hide');
+            SmartLists.cleanupModalListeners(modal);
+            const pickBtn = ruleRow.querySelector('.similar-to-pick-btn');
+            if (pickBtn) {
+                pickBtn.focus();
+            }
+        };
+
+        const pick = function (item) {
+            cleanupAndClose();
+            applyPickedItem(ruleRow, item);
+        };
+
+        const search = function () {
+            searchLibraryItems(page, modal, searchInput.value).then(function (items) {
+                if (items && !modal.classList.contains('hide')) {
+                    renderPickerResults(modal, items, pick);
+                }
+            });
+        };
+
+        searchInput.addEventListener('input', function () {
+            if (searchTimer) {
+                clearTimeout(searchTimer);
+            }
+            searchTimer = setTimeout(function () {
+                searchTimer = null;
+                search();
+            }, PICKER_SEARCH_DEBOUNCE_MS);
+        }, SmartLists.getEventListenerOptions(modalSignal));
+
+        modal.addEventListener('keydown', function (e) {
+            if (e.key === 'Escape') {
+                e.preventDefault();
+                cleanupAndClose();
+            }
+        }, SmartLists.getEventListenerOptions(modalSignal));
+
+        modal.querySelector('.modal-cancel-btn').addEventListener('click', function () {
+            cleanupAndClose();
+        }, SmartLists.getEventListenerOptions(modalSignal));
+
+        modal.addEventListener('click', function (e) {
+            if (e.target === modal) {
+                cleanupAndClose();
+            }
+        }, SmartLists.getEventListenerOptions(modalSignal));
+
+        modal._modalAbortController = modalAbortController;
+        search();
+    };
+
+    // ===== SIMILAR TO PICKER LISTENERS =====
+    SmartLists.setupSimilarToPickerListeners = function (page, signal) {
+        const listenerOptions = SmartLists.getEventListenerOptions(signal);
+
+        page.addEventListener('click', function (e) {
+            if (!e.target || !e.target.closest) return;
+            const pickBtn = e.target.closest('.similar-to-pick-btn');
+            const unlinkBtn = pickBtn ? null : e.target.closest('.similar-to-unlink-btn');
+            const ruleRow = (pickBtn || unlinkBtn) ? (pickBtn || unlinkBtn).closest('.rule-row') : null;
+            if (!ruleRow) return;
+
+            if (pickBtn) {
+                SmartLists.showSimilarToPicker(page, ruleRow);
+            } else {
+                SmartLists.setSimilarToReference(ruleRow, null);
+                const valueInput = ruleRow.querySelector('.rule-value-input');
+                if (valueInput) {
+                    valueInput.dispatchEvent(new Event('change', { bubbles: true }));
+                }
+            }
+        }, listenerOptions);
+
+        // Editing the name, or leaving Equal or Similar To, means the rule no longer refers to the picked item
+        page.addEventListener('input', function (e) {
+            const input = e.target;
+            if (!input || !input.classList || !input.classList.contains('rule-value-input')) return;
+            const ruleRow = input.closest('.rule-row');
+            if (ruleRow && ruleRow.hasAttribute('data-reference-item-id') &&
+                input.value !== ruleRow.getAttribute('data-reference-item-name')) {
+                clearSimilarToReference(ruleRow);
+            }
+        }, listenerOptions);
+
+        page.addEventListener('change', function (e) {
+            const select = e.target;
+            if (!select || !select.classList) return;
+            if (select.classList.contains('rule-field-select') || select.classList.contains('rule-operator-select')) {
+                const ruleRow = select.closest('.rule-row');
+                if (!ruleRow) return;
+                const fieldSelect = ruleRow.querySelector('.rule-field-select');
+                const operatorSelect = ruleRow.querySelector('.rule-operator-select');
+                if (!fieldSelect || fieldSelect.value !== 'SimilarTo' || !operatorSelect || operatorSelect.value !== 'Equal') {
+                    clearSimilarToReference(ruleRow);
+                }
+            }
+        }, listenerOptions);
+    };
+
+})(window.SmartLists = window.SmartLists || {});
@@ -210,6 +210,7 @@
         
         // Create fields container
         const fieldsContainer = SmartLists.createStyledElement('div', 'sort-fields', SmartLists.STYLES.sortFields);
+        fieldsContainer.appendChild(SmartLists.createDragHandle('sort', 'Move sort'));
         
         // Sort By field
         const sortByField = SmartLists.createSortField('Sort By', 'sort-by-' + sortId, 'select');
@@ -5,6 +5,43 @@
     let aggressivePollingInterval = null;
     let aggressivePollingTimeout = null;
 
+    // Server push of refresh status (Server-Sent Events); polling is only the fallback while it's disconnected
+    const STATUS_EVENTS_MIN_RETRY_MS = 5000;
+    const STATUS_EVENTS_MAX_RETRY_MS = 60000;
+    const STATUS_REFETCH_DELAY_MS = 1000;
+    let statusEventsAbortController = null;
+    let statusEventsConnected = false;
+    let statusEventsReconnectTimeout = null;
+    let statusEventsRetryDelay = STATUS_EVENTS_MIN_RETRY_MS;
+    let statusRefetchTimeout = null;
+    let lastStatusData = null;
+
+    const REFRESH_QUEUE_FETCH_DELAY_MS = 300;
+    let refreshQueueRequestId = 0;
+    let refreshQueueFetchTimeout = null;
+    let refreshQueuePaused = false;
+
+    const REFRESH_HISTORY_PAGE_SIZE = 25;
+    const REFRESH_HISTORY_SEARCH_DEBOUNCE_MS = 300;
+    const REFRESH_HISTORY_COLUMNS = [
+        { label: 'List Name', sortBy: 'ListName' },
+        { label: 'Type', sortBy: 'ListType' },
+        { label: 'Trigger', sortBy: 'TriggerType' },
+        { label: 'Status', sortBy: 'Status' },
+        { label: 'Changes', sortBy: 'Changes' },
+        { label: 'Duration', sortBy: 'Duration' },
+        { label: 'End Time', sortBy: 'EndTime' }
+    ];
+
+    // Sort order and page of the refresh history table; the filters are read from their controls
+    const refreshHistoryState = { sortBy: 'EndTime', sortDescending: true, page: 1 };
+    let refreshHistoryRequestId = 0;
+    let refreshHistorySearchTimeout = null;
+
+    // Refresh history rows the user has expanded (keyed by list ID and start time) and the loaded details of their lists
+    const expandedRefreshKeys = new Set();
+    const historyDetails = {};
+
     /**
      * Escape HTML to prevent XSS (using safe DOM-based approach)
      */
@@ -81,9 +118,17 @@
      * Render the status page with data
      */
     function renderStatusPage(data) {
+        lastStatusData = data;
         renderOngoingOperations(data.ongoingOperations || []);
         renderStatistics(data.statistics || {}, data.ongoingOperations || []);
-        renderRefreshHistory(data.history || []);
+        fetchRefreshQueue();
+        fetchRefreshHistory();
+
+        // Changes are pushed while the event stream is connected
+        if (statusEventsConnected) {
+            stopPolling();
+            return;
+        }
 
         // Auto-refresh polling: Poll every 2 seconds when operations are active, every 30 seconds when idle
         const hasOngoing = (data.ongoingOperations || []).length > 0;
@@ -136,8 +181,9 @@
                                 (${escapeHtml(String(op.listType))}) - ${escapeHtml(String(op.triggerType))}
                             </span>
                         </div>
-                        <div style="font-size: 0.9em; color: #aaa;">
-                            Started: ${formatDateTime(op.startTime)}
+                        <div style="display: flex; align-items: center; gap: 1em; font-size: 0.9em; color: #aaa;">
+                            <span>Started: ${formatDateTime(op.startTime)}</span>
+                            <button type="button" is="emby-button" class="emby-button raised danger cancel-operation-btn" data-list-id="${escapeHtml(op.listId)}" title="Stops the refresh before it updates the list">Cancel</button>
                         </div>
                     </div>
                     <div style="margin-bottom: 0.5em;">
@@ -198,7 +244,7 @@
                 <div style="display: grid; grid-template-columns: repeat(3, 1fr); gap: 1em;">
                     <div style="padding: 1em; background: rgba(255,255,255,0.05); border-radius: 4px;">
                         <div style="font-size: 0.9em; color: #aaa; margin-bottom: 0.25em;">In Queue</div>
-                        <div style="font-size: 1.5em; font-weight: bold;">${queuedCount}</div>
+                        <div style="font-size: 1.5em; font-weight: bold;">${queuedCount}${stats.queuePaused ? ' <span style="font-size: 0.6em; color: #ff9800;">(paused)</span>' : ''}</div>
                     </div>
                     <div style="padding: 1em; background: rgba(255,255,255,0.05); border-radius: 4px;">
                         <div style="font-size: 0.9em; color: #aaa; margin-bottom: 0.25em;">Avg Duration</div>
@@ -229,56 +275,585 @@
         container.innerHTML = newHTML;
     }
 
+    /**
+     * Build the refresh history query string from the filter controls and the current sort order
+     */
+    function getRefreshHistoryQuery(page) {
+        const params = [];
+        const addParam = (name, value) => {
+            if (value !== '' && value !== null && value !== undefined) {
+                params.push(name + '=' + encodeURIComponent(value));
+            }
+        };
+        const getValue = selector => {
+            const element = page.querySelector(selector);
+            return element ? element.value.trim() : '';
+        };
+
+        addParam('search', getValue('#refreshHistorySearchInput'));
+        addParam('listType', getValue('#refreshHistoryTypeFilter'));
+        addParam('triggerType', getValue('#refreshHistoryTriggerFilter'));
+        addParam('status', getValue('#refreshHistoryStatusFilter'));
+
+        // Date inputs are whole days in the browser's time zone; "to" includes the whole day
+        const from = getValue('#refreshHistoryFromFilter');
+        const to = getValue('#refreshHistoryToFilter');
+        if (from) {
+            addParam('from', new Date(from + 'T00:00:00').toISOString());
+        }
+        if (to) {
+            const toDate = new Date(to + 'T00:00:00');
+            toDate.setDate(toDate.getDate() + 1);
+            addParam('to', toDate.toISOString());
+        }
+
+        const latestOnly = page.querySelector('#refreshHistoryLatestOnly');
+        addParam('latestPerList', latestOnly && latestOnly.checked ? 'true' : 'false');
+        addParam('sortBy', refreshHistoryState.sortBy);
+        addParam('sortDescending', refreshHistoryState.sortDescending ? 'true' : 'false');
+        return params.join('&');
+    }
+
+    function hasRefreshHistoryFilters(page) {
+        return ['#refreshHistorySearchInput', '#refreshHistoryTypeFilter', '#refreshHistoryTriggerFilter',
+            '#refreshHistoryStatusFilter', '#refreshHistoryFromFilter', '#refreshHistoryToFilter'].some(selector => {
+            const element = page.querySelector(selector);
+            return element && element.value.trim() !== '';
+        });
+    }
+
+    /**
+     * Fetch the current page of the refresh history with the selected filters
+     */
+    function fetchRefreshHistory() {
+        const page = getActiveConfigPage();
+        const container = page ? page.querySelector('#refresh-history-container') : null;
+        const apiClient = SmartLists.getApiClient();
+        if (!container || !apiClient) return;
+
+        // Track the request so a slow, stale response never overwrites a newer one
+        const requestId = ++refreshHistoryRequestId;
+        const url = apiClient.getUrl('Plugins/SmartLists/Status/History') + '?' + getRefreshHistoryQuery(page) +
+            '&page=' + refreshHistoryState.page + '&pageSize=' + REFRESH_HISTORY_PAGE_SIZE;
+
+        apiClient.ajax({
+            type: 'GET',
+            url: url,
+            contentType: 'application/json'
+        }).then(function (response) {
+            if (!response.ok) {
+                throw new Error('HTTP ' + response.status + ': ' + response.statusText);
+            }
+            return response.json();
+        }).then(function (result) {
+            if (requestId !== refreshHistoryRequestId) return;
+
+            // Filters or new refreshes can leave the current page past the end
+            const pageCount = Math.max(1, Math.ceil((result.totalCount || 0) / REFRESH_HISTORY_PAGE_SIZE));
+            if (refreshHistoryState.page > pageCount) {
+                refreshHistoryState.page = pageCount;
+                fetchRefreshHistory();
+                return;
+            }
+            renderRefreshHistory(result || {}, hasRefreshHistoryFilters(page));
+        }).catch(function (error) {
+            if (requestId !== refreshHistoryRequestId) return;
+            console.error('Error fetching refresh history:', error);
+            container.innerHTML = '<p style="color: #ff6b6b;">Error loading refresh history: ' + escapeHtml(error.message || 'Unknown error') + '</p>';
+        });
+    }
+
     /**
      * Render refresh history
      */
-    function renderRefreshHistory(history) {
-        // Query within the visible page to avoid duplicate container issues
+    function renderRefreshHistory(result, isFiltered) {
         // Query within the visible page to avoid duplicate container issues
         const page = getActiveConfigPage();
         const container = page ? page.querySelector('#refresh-history-container') : null;
         if (!container) return;
 
-        if (!history || history.length === 0) {
-            container.innerHTML = '<p style="color: #aaa;">No refresh history available. History will appear after refreshing lists.</p>';
+        const history = result.items || [];
+        const totalCount = result.totalCount || 0;
+        if (history.length === 0) {
+            container.innerHTML = isFiltered
+                ? '<p style="color: #aaa;">No refreshes match the selected filters.</p>'
+                : '<p style="color: #aaa;">No refresh history available. History will appear after refreshing lists.</p>';
             return;
         }
 
-        // Sort by end time (most recent first)
-        const sortedHistory = [...history].sort((a, b) => {
-            const timeA = a.endTime ? new Date(a.endTime).getTime() : new Date(a.startTime).getTime();
-            const timeB = b.endTime ? new Date(b.endTime).getTime() : new Date(b.startTime).getTime();
-            return timeB - timeA;
-        });
-
         let html = '<div style="overflow-x: auto;"><table style="width: 100%; border-collapse: collapse;">';
         html += '<thead><tr style="border-bottom: 1px solid rgba(255,255,255,0.1);">';
-        html += '<th style="text-align: left; padding: 0.75em;">List Name</th>';
-        html += '<th style="text-align: left; padding: 0.75em;">Type</th>';
-        html += '<th style="text-align: left; padding: 0.75em;">Trigger</th>';
-        html += '<th style="text-align: left; padding: 0.75em;">Status</th>';
-        html += '<th style="text-align: left; padding: 0.75em;">Duration</th>';
-        html += '<th style="text-align: left; padding: 0.75em;">End Time</th>';
+        REFRESH_HISTORY_COLUMNS.forEach(column => {
+            const isSorted = refreshHistoryState.sortBy === column.sortBy;
+            const arrow = isSorted ? (refreshHistoryState.sortDescending ? ' ▼' : ' ▲') : '';
+            html += '<th class="refresh-history-sort" data-sort-by="' + column.sortBy + '" style="text-align: left; padding: 0.75em; cursor: pointer; white-space: nowrap;' +
+                (isSorted ? ' color: #00a4dc;' : '') + '">' + column.label + arrow + '</th>';
+        });
         html += '</tr></thead><tbody>';
 
-        sortedHistory.forEach(entry => {
+        const staleListIds = [];
+        history.forEach(entry => {
             const statusColor = entry.success ? '#4caf50' : '#ff6b6b';
             const statusText = entry.success ? 'Success' : 'Failed';
+            const ruleErrorCount = (entry.ruleErrors || []).length;
             const duration = formatDuration(entry.duration);
             const endTime = entry.endTime ? formatDateTime(entry.endTime) : 'N/A';
+            const refreshKey = entry.listId + '|' + entry.startTime;
+            const isExpanded = expandedRefreshKeys.has(refreshKey);
 
-            html += '<tr style="border-bottom: 1px solid rgba(255,255,255,0.05);">';
-            html += `<td style="padding: 0.75em;">${escapeHtml(entry.listName)}</td>`;
+            const rowTitle = entry.success ? 'Show the items this refresh added and removed' : 'Show the error';
+            html += '<tr class="refresh-history-row" data-refresh-key="' + escapeHtml(refreshKey) + '" style="border-bottom: 1px solid rgba(255,255,255,0.05); cursor: pointer;" title="' + rowTitle + '">';
+            html += '<td style="padding: 0.75em;"><span style="display: inline-block; width: 1em; color: #999; font-family: monospace;">' +
+                (isExpanded ? '▼' : '▶') + '</span>' + escapeHtml(entry.listName) + '</td>';
             html += `<td style="padding: 0.75em;">${escapeHtml(String(entry.listType))}</td>`;
             html += `<td style="padding: 0.75em;">${escapeHtml(String(entry.triggerType))}</td>`;
-            html += `<td style="padding: 0.75em; color: ${statusColor};">${statusText}</td>`;
+            html += '<td style="padding: 0.75em; color: ' + statusColor + ';">' + statusText +
+                (ruleErrorCount > 0
+                    ? ' <span style="color: #ffb74d;" title="Rules that were skipped or failed on some items">(' + ruleErrorCount + (ruleErrorCount === 1 ? ' rule error' : ' rule errors') + ')</span>'
+                    : '') + '</td>';
+            html += '<td style="padding: 0.75em;">' + formatChangeCounts(entry) + '</td>';
             html += `<td style="padding: 0.75em;">${duration}</td>`;
             html += `<td style="padding: 0.75em;">${endTime}</td>`;
             html += '</tr>';
+
+            if (isExpanded) {
+                // Load the list's details, or reload them if this refresh is newer than the loaded ones
+                const details = historyDetails[entry.listId];
+                if (!details || (details.data && !findRefresh(details.data, entry.startTime) && !details.pending)) {
+                    if (staleListIds.indexOf(entry.listId) === -1) {
+                        staleListIds.push(entry.listId);
+                    }
+                }
+                html += '<tr class="refresh-history-detail" data-refresh-key="' + escapeHtml(refreshKey) + '"><td colspan="' + REFRESH_HISTORY_COLUMNS.length + '" style="padding: 0 0.75em 1em 1.75em;">' +
+                    renderRefreshHistoryDetails(entry.listId, entry.startTime) + '</td></tr>';
+            }
         });
 
         html += '</tbody></table></div>';
+        html += renderRefreshHistoryPagination(totalCount);
         container.innerHTML = html;
+
+        staleListIds.forEach(fetchRefreshHistoryDetails);
+    }
+
+    function renderRefreshHistoryPagination(totalCount) {
+        const pageCount = Math.max(1, Math.ceil(totalCount / REFRESH_HISTORY_PAGE_SIZE));
+        const first = (refreshHistoryState.page - 1) * REFRESH_HISTORY_PAGE_SIZE + 1;
+        const last = Math.min(totalCount, refreshHistoryState.page * REFRESH_HISTORY_PAGE_SIZE);
+        let html = '<div style="display: flex; justify-content: space-between; align-items: center; margin-top: 1em; color: #aaa;">';
+        html += '<span>Showing ' + first + '-' + last + ' of ' + totalCount + ' refresh' + (totalCount === 1 ? '' : 'es') + '</span>';
+        if (pageCount > 1) {
+            html += '<div style="display: flex; gap: 0.5em; align-items: center;">' +
+                '<button type="button" is="emby-button" class="emby-button raised refresh-history-page" data-page="' + (refreshHistoryState.page - 1) + '"' +
+                (refreshHistoryState.page <= 1 ? ' disabled' : '') + '>Previous</button>' +
+                '<span>Page ' + refreshHistoryState.page + ' of ' + pageCount + '</span>' +
+                '<button type="button" is="emby-button" class="emby-button raised refresh-history-page" data-page="' + (refreshHistoryState.page + 1) + '"' +
+                (refreshHistoryState.page >= pageCount ? ' disabled' : '') + '>Next</button>' +
+                '</div>';
+        }
+        return html + '</div>';
+    }
+
+    /**
+     * Format the added/removed item counts of a refresh, e.g. "+3 / −1"
+     */
+    function formatChangeCounts(entry) {
+        if (entry.addedCount == null || entry.removedCount == null) {
+            return '<span style="color: #aaa;">N/A</span>';
+        }
+        if (entry.addedCount === 0 && entry.removedCount === 0) {
+            return '<span style="color: #aaa;">No changes</span>';
+        }
+        return '<span style="color: #4caf50;">+' + entry.addedCount + '</span> / <span style="color: #ff6b6b;">−' + entry.removedCount + '</span>';
+    }
+
+    /**
+     * Setup the refresh history filters, sorting, paging, row expansion and downloads - can be called multiple times safely
+     */
+    function setupRefreshHistoryControls() {
+        const page = getActiveConfigPage();
+        const filters = page ? page.querySelector('#refresh-history-filters') : null;
+        const container = page ? page.querySelector('#refresh-history-container') : null;
+        if (!filters || !container || filters._historyListenersAttached) {
+            return;
+        }
+
+        const applyFilters = () => {
+            refreshHistoryState.page = 1;
+            fetchRefreshHistory();
+        };
+
+        ['#refreshHistoryTypeFilter', '#refreshHistoryTriggerFilter', '#refreshHistoryStatusFilter',
+            '#refreshHistoryFromFilter', '#refreshHistoryToFilter', '#refreshHistoryLatestOnly'].forEach(selector => {
+            const element = page.querySelector(selector);
+            if (element) {
+                element.addEventListener('change', applyFilters);
+            }
+        });
+
+        const searchInput = page.querySelector('#refreshHistorySearchInput');
+        if (searchInput) {
+            searchInput.addEventListener('input', function () {
+                clearTimeout(refreshHistorySearchTimeout);
+                refreshHistorySearchTimeout = setTimeout(applyFilters, REFRESH_HISTORY_SEARCH_DEBOUNCE_MS);
+            });
+        }
+
+        const clearBtn = page.querySelector('#clearRefreshHistoryFiltersBtn');
+        if (clearBtn) {
+            clearBtn.addEventListener('click', function () {
+                ['#refreshHistorySearchInput', '#refreshHistoryTypeFilter', '#refreshHistoryTriggerFilter',
+                    '#refreshHistoryStatusFilter', '#refreshHistoryFromFilter', '#refreshHistoryToFilter'].forEach(selector => {
+                    const element = page.querySelector(selector);
+                    if (element) element.value = '';
+                });
+                applyFilters();
+            });
+        }
+
+        const csvBtn = page.querySelector('#exportRefreshHistoryCsvBtn');
+        if (csvBtn) {
+            csvBtn.addEventListener('click', () => exportRefreshHistory('csv'));
+        }
+        const jsonBtn = page.querySelector('#exportRefreshHistoryJsonBtn');
+        if (jsonBtn) {
+            jsonBtn.addEventListener('click', () => exportRefreshHistory('json'));
+        }
+
+        // The table is re-rendered on every poll, so its clicks are handled on the container
+        container.addEventListener('click', function (e) {
+            const header = e.target.closest('.refresh-history-sort');
+            if (header) {
+                const sortBy = header.getAttribute('data-sort-by');
+                if (refreshHistoryState.sortBy === sortBy) {
+                    refreshHistoryState.sortDescending = !refreshHistoryState.sortDescending;
+                } else {
+                    // Text columns start A-Z, the rest start with the highest/newest
+                    refreshHistoryState.sortBy = sortBy;
+                    refreshHistoryState.sortDescending = ['ListName', 'ListType', 'TriggerType'].indexOf(sortBy) === -1;
+                }
+                applyFilters();
+                return;
+            }
+
+            const pageButton = e.target.closest('.refresh-history-page');
+            if (pageButton) {
+                refreshHistoryState.page = parseInt(pageButton.getAttribute('data-page'), 10) || 1;
+                fetchRefreshHistory();
+                return;
+            }
+
+            const row = e.target.closest('.refresh-history-row');
+            if (row) {
+                const refreshKey = row.getAttribute('data-refresh-key');
+                if (expandedRefreshKeys.has(refreshKey)) {
+                    expandedRefreshKeys.delete(refreshKey);
+                } else {
+                    expandedRefreshKeys.add(refreshKey);
+                    // Retry details that failed to load
+                    const listId = refreshKey.split('|')[0];
+                    if (historyDetails[listId] && historyDetails[listId].error) {
+                        delete historyDetails[listId];
+                    }
+                }
+                fetchRefreshHistory();
+            }
+        });
+
+        filters._historyListenersAttached = true;
+    }
+
+    /**
+     * Filter the refresh history to failed refreshes and expand the given one, e.g. from a failure badge or alert.
+     * Call after switching to the Status tab, which loads the history with the new filters.
+     */
+    function showFailedRefreshes(refresh) {
+        const page = getActiveConfigPage();
+        if (!page) return;
+
+        const filterValues = {
+            '#refreshHistorySearchInput': refresh ? refresh.listName : '',
+            '#refreshHistoryTypeFilter': '',
+            '#refreshHistoryTriggerFilter': '',
+            '#refreshHistoryStatusFilter': 'Failed',
+            '#refreshHistoryFromFilter': '',
+            '#refreshHistoryToFilter': ''
+        };
+        Object.keys(filterValues).forEach(selector => {
+            const element = page.querySelector(selector);
+            if (element) element.value = filterValues[selector];
+        });
+        refreshHistoryState.page = 1;
+
+        if (refresh) {
+            expandedRefreshKeys.add(refresh.listId + '|' + refresh.startTime);
+        }
+
+        const container = page.querySelector('#refresh-history-container');
+        if (container) {
+            container.scrollIntoView({ behavior: 'smooth', block: 'start' });
+        }
+    }
+
+    /**
+     * Download the filtered refresh history (all pages) as CSV or JSON
+     */
+    function exportRefreshHistory(format) {
+        const page = getActiveConfigPage();
+        const apiClient = SmartLists.getApiClient();
+        if (!page || !apiClient) return;
+
+        const url = apiClient.getUrl('Plugins/SmartLists/Status/History/Export') + '?format=' + format + '&' + getRefreshHistoryQuery(page);
+        apiClient.ajax({
+            type: 'GET',
+            url: url
+        }).then(function (response) {
+            if (!response.ok) {
+                throw new Error('HTTP ' + response.status + ': ' + response.statusText);
+            }
+            return response.blob();
+        }).then(function (blob) {
+            const timestamp = new Date().toISOString().slice(0, 19).replace(/[-:]/g, '').replace('T', '_');
+            const blobUrl = window.URL.createObjectURL(blob);
+            const a = document.createElement('a');
+            a.href = blobUrl;
+            a.download = 'smartlists_refresh_history_' + timestamp + '.' + format;
+            document.body.appendChild(a);
+            a.click();
+            window.URL.revokeObjectURL(blobUrl);
+            document.body.removeChild(a);
+        }).catch(function (error) {
+            console.error('Error exporting refresh history:', error);
+            SmartLists.showNotification('Failed to download refresh history: ' + (error.message || 'Unknown error'), 'error');
+        });
+    }
+
+    function findRefresh(data, startTime) {
+        return (data.refreshes || []).find(refresh => refresh.startTime === startTime) || null;
+    }
+
+    /**
+     * Load the recent refreshes of a list with their added and removed items
+     */
+    function fetchRefreshHistoryDetails(listId) {
+        const apiClient = SmartLists.getApiClient();
+        if (!apiClient) {
+            return;
+        }
+
+        // Track the request so a slow, stale response never overwrites a newer one
+        const requestId = (historyDetails[listId]?.requestId || 0) + 1;
+        historyDetails[listId] = Object.assign({}, historyDetails[listId], { requestId: requestId, pending: true });
+
+        apiClient.ajax({
+            type: 'GET',
+            url: apiClient.getUrl('Plugins/SmartLists/Status/History/' + encodeURIComponent(listId)),
+            contentType: 'application/json'
+        }).then(function (response) {
+            if (!response.ok) {
+                throw new Error('HTTP ' + response.status + ': ' + response.statusText);
+            }
+            return response.json();
+        }).then(function (data) {
+            if (historyDetails[listId].requestId !== requestId) return;
+            historyDetails[listId] = { requestId: requestId, data: data };
+            updateRefreshHistoryDetailRows(listId);
+        }).catch(function (error) {
+            if (historyDetails[listId].requestId !== requestId) return;
+            console.error('Error fetching refresh details:', error);
+            historyDetails[listId] = { requestId: requestId, error: error.message || 'Unknown error' };
+            updateRefreshHistoryDetailRows(listId);
+        });
+    }
+
+    function updateRefreshHistoryDetailRows(listId) {
+        const page = getActiveConfigPage();
+        if (!page) return;
+        page.querySelectorAll('.refresh-history-detail').forEach(row => {
+            const refreshKey = row.getAttribute('data-refresh-key');
+            const separator = refreshKey.indexOf('|');
+            if (refreshKey.slice(0, separator) === listId && row.firstElementChild) {
+                row.firstElementChild.innerHTML = renderRefreshHistoryDetails(listId, refreshKey.slice(separator + 1));
+            }
+        });
+    }
+
+    /**
+     * Render the details of one refresh of a list: its error or item changes, and the rules it had trouble with
+     */
+    function renderRefreshHistoryDetails(listId, startTime) {
+        const details = historyDetails[listId];
+        if (details && details.error) {
+            return '<p style="color: #ff6b6b; margin: 0.5em 0;">Error loading refresh details: ' + escapeHtml(details.error) + '</p>';
+        }
+        if (!details || !details.data) {
+            return '<p style="color: #aaa; margin: 0.5em 0;">Loading refresh details...</p>';
+        }
+
+        const refresh = findRefresh(details.data, startTime);
+        if (!refresh) {
+            return details.pending
+                ? '<p style="color: #aaa; margin: 0.5em 0;">Loading refresh details...</p>'
+                : '<p style="color: #aaa; margin: 0.5em 0;">The details of this refresh are no longer kept.</p>';
+        }
+        return renderRefreshOutcome(refresh) + renderRuleErrors(refresh.ruleErrors || []) + renderRefreshProfile(refresh.profile);
+    }
+
+    /**
+     * Render the error of a failed refresh, or the items a successful one added and removed
+     */
+    function renderRefreshOutcome(refresh) {
+        if (!refresh.success) {
+            return renderRefreshError(refresh);
+        }
+        if (refresh.addedCount == null || refresh.removedCount == null) {
+            return '<p style="color: #aaa; margin: 0.5em 0;">Item changes weren\'t recorded for this refresh.</p>';
+        }
+        if (refresh.addedCount === 0 && refresh.removedCount === 0) {
+            return '<p style="color: #aaa; margin: 0.5em 0;">The refresh didn\'t add or remove any items.</p>';
+        }
+        return '<div style="display: grid; grid-template-columns: 1fr 1fr; gap: 1em; margin-top: 0.5em;">' +
+            renderChangedItems('Added', '#4caf50', refresh.added || [], refresh.addedCount) +
+            renderChangedItems('Removed', '#ff6b6b', refresh.removed || [], refresh.removedCount) +
+            '</div>';
+    }
+
+    const REFRESH_PHASES = {
+        FetchItems: { label: 'Fetching items', color: '#00a4dc' },
+        LoadItemData: { label: 'Loading item data', color: '#ff9800' },
+        EvaluateRules: { label: 'Checking rules', color: '#9c27b0' },
+        Sort: { label: 'Sorting and limits', color: '#4caf50' },
+        WriteList: { label: 'Writing the list', color: '#e91e63' },
+        Other: { label: 'Other', color: '#666' }
+    };
+
+    function formatMilliseconds(ms) {
+        if (ms >= 1000) {
+            return (ms / 1000).toFixed(1) + ' s';
+        }
+        return ms >= 10 ? Math.round(ms) + ' ms' : ms.toFixed(1) + ' ms';
+    }
+
+    function formatMicroseconds(us) {
+        return us >= 1000 ? formatMilliseconds(us / 1000) : us.toFixed(1) + ' µs';
+    }
+
+    /**
+     * Render where the time of a refresh went: a bar per phase, the cost of each rule and suggestions to speed it up.
+     * Refreshes without a profile render nothing.
+     */
+    function renderRefreshProfile(profile) {
+        if (!profile) {
+            return '';
+        }
+
+        const total = profile.totalMilliseconds || 0;
+        const phases = (profile.phases || []).filter(p => p.milliseconds > 0);
+        const suggestions = profile.suggestions || [];
+
+        let html = '<details' + (suggestions.length > 0 ? ' open' : '') + ' style="margin-top: 0.75em;">' +
+            '<summary style="cursor: pointer; color: #aaa;">Performance: ' + formatMilliseconds(total) + ', ' +
+            profile.itemsEvaluated.toLocaleString() + ' items checked, ' + profile.itemsMatched.toLocaleString() + ' matched</summary>';
+
+        if (total > 0 && phases.length > 0) {
+            html += '<div style="display: flex; height: 0.75em; margin: 0.5em 0; border-radius: 2px; overflow: hidden; background: rgba(255,255,255,0.05);">';
+            phases.forEach(p => {
+                const phase = REFRESH_PHASES[p.phase] || REFRESH_PHASES.Other;
+                html += '<div title="' + escapeHtml(phase.label) + '" style="width: ' + (p.milliseconds * 100 / total).toFixed(2) + '%; background: ' + phase.color + ';"></div>';
+            });
+            html += '</div><div style="display: flex; flex-wrap: wrap; gap: 0.25em 1.5em; font-size: 0.9em;">';
+            phases.forEach(p => {
+                const phase = REFRESH_PHASES[p.phase] || REFRESH_PHASES.Other;
+                html += '<span><span style="display: inline-block; width: 0.75em; height: 0.75em; margin-right: 0.35em; border-radius: 2px; background: ' + phase.color + ';"></span>' +
+                    escapeHtml(phase.label) + ' <span style="color: #aaa;">' + formatMilliseconds(p.milliseconds) + ' (' + Math.round(p.milliseconds * 100 / total) + '%)</span></span>';
+            });
+            html += '</div>';
+        }
+
+        const rules = (profile.rules || []).filter(r => r.evaluations > 0);
+        if (rules.length > 0) {
+            html += '<table style="width: 100%; margin-top: 0.75em; border-collapse: collapse; font-size: 0.9em;">' +
+                '<thead><tr style="color: #aaa; text-align: left;">' +
+                '<th style="padding: 0.25em 0.5em 0.25em 0;">Where</th><th style="padding: 0.25em 0.5em;">Rule</th>' +
+                '<th style="padding: 0.25em 0.5em; text-align: right;">Checked</th><th style="padding: 0.25em 0.5em; text-align: right;">Matched</th>' +
+                '<th style="padding: 0.25em 0.5em; text-align: right;">Total</th><th style="padding: 0.25em 0 0.25em 0.5em; text-align: right;">Per item</th>' +
+                '</tr></thead><tbody>';
+            rules.forEach(r => {
+                html += '<tr style="border-top: 1px solid rgba(255,255,255,0.08);">' +
+                    '<td style="padding: 0.25em 0.5em 0.25em 0; white-space: nowrap;">' + escapeHtml(r.location) + '</td>' +
+                    '<td style="padding: 0.25em 0.5em; word-break: break-word;">' + escapeHtml(r.rule) +
+                    (r.needsItemData ? ' <span style="color: #ff9800;" title="Needs extra data for every item it checks">(item data)</span>' : '') + '</td>' +
+                    '<td style="padding: 0.25em 0.5em; text-align: right;">' + r.evaluations.toLocaleString() + '</td>' +
+                    '<td style="padding: 0.25em 0.5em; text-align: right;">' + r.matches.toLocaleString() + '</td>' +
+                    '<td style="padding: 0.25em 0.5em; text-align: right; white-space: nowrap;">' + formatMilliseconds(r.totalMilliseconds) + '</td>' +
+                    '<td style="padding: 0.25em 0 0.25em 0.5em; text-align: right; white-space: nowrap;">' + formatMicroseconds(r.averageMicroseconds) + '</td>' +
+                    '</tr>';
+            });
+            html += '</tbody></table>';
+        }
+
+        if (suggestions.length > 0) {
+            html += '<div style="margin-top: 0.75em; padding: 0.5em 0.75em; border-left: 4px solid #ff9800; background: rgba(255, 152, 0, 0.1); border-radius: 2px;">' +
+                '<div style="margin-bottom: 0.25em;">Suggestions</div><ul style="margin: 0; padding-left: 1.25em;">' +
+                suggestions.map(s => '<li style="margin-bottom: 0.25em;">' + escapeHtml(s) + '</li>').join('') +
+                '</ul></div>';
+        }
+
+        return html + '</details>';
+    }
+
+    /**
+     * Render the rules a refresh skipped or that failed on some items, with where they are in the list
+     */
+    function renderRuleErrors(ruleErrors) {
+        if (ruleErrors.length === 0) {
+            return '';
+        }
+        let html = '<div style="margin: 0.5em 0;"><div style="color: #ffb74d; margin-bottom: 0.25em;">Rule errors (' + ruleErrors.length + ')</div>' +
+            '<div style="color: #aaa; margin-bottom: 0.25em;">These rules were skipped, or failed on some items. Edit the list to fix or remove them.</div>' +
+            '<ul style="margin: 0; padding-left: 1.25em;">';
+        ruleErrors.forEach(ruleError => {
+            html += '<li>' + escapeHtml(ruleError) + '</li>';
+        });
+        return html + '</ul></div>';
+    }
+
+    /**
+     * Render the error of a failed refresh: its message, exception type and the full exception
+     */
+    function renderRefreshError(refresh) {
+        let html = '<div style="margin: 0.5em 0;">';
+        html += '<div style="color: #ff6b6b; margin-bottom: 0.25em;">' + escapeHtml(refresh.errorMessage || 'The refresh failed without an error message.') + '</div>';
+        if (refresh.errorType) {
+            html += '<div><span style="color: #aaa;">Error type:</span> ' + escapeHtml(refresh.errorType) + '</div>';
+        }
+        if (refresh.errorDetails) {
+            html += '<details style="margin-top: 0.5em;"><summary style="cursor: pointer; color: #aaa;">Full error</summary>' +
+                '<pre style="margin: 0.5em 0 0 0; padding: 0.5em; max-height: 20em; overflow: auto; background: rgba(0,0,0,0.3); font-size: 0.85em; white-space: pre-wrap;">' +
+                escapeHtml(refresh.errorDetails) + '</pre></details>';
+        }
+        return html + '</div>';
+    }
+
+    function renderChangedItems(label, color, items, totalCount) {
+        let html = '<div><div style="color: ' + color + '; margin-bottom: 0.25em;">' + label + ' (' + totalCount + ')</div>';
+        if (items.length === 0) {
+            return html + '<div style="color: #aaa;">None</div></div>';
+        }
+        html += '<ul style="margin: 0; padding-left: 1.25em; max-height: 20em; overflow-y: auto;">';
+        items.forEach(item => {
+            const name = item.name !== undefined && typeof SmartLists.formatPreviewItemName === 'function'
+                ? SmartLists.formatPreviewItemName(item)
+                : item.name;
+            html += name
+                ? '<li>' + escapeHtml(name) + (item.productionYear ? ' <span style="color: #aaa;">(' + item.productionYear + ')</span>' : '') + '</li>'
+                : '<li style="color: #aaa;">No longer in the library (' + escapeHtml(item.id) + ')</li>';
+        });
+        html += '</ul>';
+        if (totalCount > items.length) {
+            html += '<div style="color: #aaa; margin-top: 0.25em;">and ' + (totalCount - items.length) + ' more not kept</div>';
+        }
+        return html + '</div>';
     }
 
     /**
@@ -357,6 +932,11 @@
      * This helps catch operations that just began
      */
     function startAggressivePolling() {
+        // The event stream reports new operations as soon as they start
+        if (statusEventsConnected) {
+            return;
+        }
+
         // Stop any existing polling before starting aggressive mode
         stopPolling();
         stopAggressivePolling();
@@ -390,11 +970,396 @@
         }
     }
 
+    /**
+     * Whether the Status tab is the one being shown
+     */
+    function isStatusTabVisible() {
+        const page = getActiveConfigPage();
+        const statusTab = page ? page.querySelector('[data-tab-content="status"]') : null;
+        return !!statusTab && !statusTab.classList.contains('hide');
+    }
+
+    /**
+     * Open the status event stream. While it's connected, changes are pushed by the server and polling is
+     * stopped; if it drops, polling resumes and the stream is reopened with a growing delay.
+     * Can be called multiple times safely.
+     */
+    function connectStatusEvents() {
+        if (statusEventsAbortController) {
+            return;
+        }
+
+        const apiClient = SmartLists.getApiClient();
+        if (!apiClient || typeof AbortController === 'undefined' || typeof TextDecoder === 'undefined') {
+            return;
+        }
+
+        clearTimeout(statusEventsReconnectTimeout);
+        statusEventsReconnectTimeout = null;
+
+        // EventSource can't send the authorization header, so the stream is read through fetch
+        const controller = new AbortController();
+        statusEventsAbortController = controller;
+        fetch(apiClient.getUrl('Plugins/SmartLists/Status/Events'), {
+            headers: {
+                'Authorization': 'MediaBrowser Token="' + apiClient.accessToken() + '"',
+                'Accept': 'text/event-stream'
+            },
+            signal: controller.signal
+        }).then(function (response) {
+            if (!response.ok || !response.body) {
+                throw new Error('HTTP ' + response.status + ': ' + response.statusText);
+            }
+            onStatusEventsConnected();
+            return readStatusEvents(response.body.getReader());
+        }).then(function () {
+            // The server ended the stream, e.g. because it is shutting down
+            onStatusEventsDisconnected(controller, null);
+        }).catch(function (error) {
+            onStatusEventsDisconnected(controller, error);
+        });
+    }
+
+    /**
+     * Close the status event stream and stop reconnecting
+     */
+    function disconnectStatusEvents() {
+        clearTimeout(statusEventsReconnectTimeout);
+        statusEventsReconnectTimeout = null;
+        clearTimeout(statusRefetchTimeout);
+        statusRefetchTimeout = null;
+        clearTimeout(refreshQueueFetchTimeout);
+        refreshQueueFetchTimeout = null;
+
+        const controller = statusEventsAbortController;
+        statusEventsAbortController = null;
+        statusEventsConnected = false;
+        statusEventsRetryDelay = STATUS_EVENTS_MIN_RETRY_MS;
+        if (controller) {
+            controller.abort();
+        }
+    }
+
+    function onStatusEventsConnected() {
+        statusEventsConnected = true;
+        statusEventsRetryDelay = STATUS_EVENTS_MIN_RETRY_MS;
+        stopAggressivePolling();
+        stopPolling();
+
+        // Catch up on anything that changed before the stream opened
+        if (isStatusTabVisible()) {
+            fetchStatusData();
+        }
+    }
+
+    function onStatusEventsDisconnected(controller, error) {
+        // Ignore streams that were closed on purpose or replaced by a newer one
+        if (controller !== statusEventsAbortController) {
+            return;
+        }
+        statusEventsAbortController = null;
+        statusEventsConnected = false;
+
+        if (error) {
+            console.warn('SmartLists: Status event stream unavailable, falling back to polling:', error);
+        }
+
+        // Fetching the status restarts polling, since the stream is no longer connected
+        if (isStatusTabVisible()) {
+            fetchStatusData();
+        }
+
+        statusEventsReconnectTimeout = setTimeout(connectStatusEvents, statusEventsRetryDelay);
+        statusEventsRetryDelay = Math.min(statusEventsRetryDelay * 2, STATUS_EVENTS_MAX_RETRY_MS);
+    }
+
+    /**
+     * Read Server-Sent Events from the stream until it ends. Events are separated by a blank line.
+     */
+    function readStatusEvents(reader) {
+        const decoder = new TextDecoder();
+        let buffer = '';
+
+        function read() {
+            return reader.read().then(function (result) {
+                if (result.done) {
+                    return;
+                }
+
+                buffer += decoder.decode(result.value, { stream: true }).replace(/\r\n/g, '\n');
+                let boundary = buffer.indexOf('\n\n');
+                while (boundary !== -1) {
+                    dispatchStatusEvent(buffer.slice(0, boundary));
+                    buffer = buffer.slice(boundary + 2);
+                    boundary = buffer.indexOf('\n\n');
+                }
+                return read();
+            });
+        }
+
+        return read();
+    }
+
+    function dispatchStatusEvent(block) {
+        let type = 'message';
+        const dataLines = [];
+        block.split('\n').forEach(line => {
+            // Lines starting with a colon are keep-alive comments
+            if (line.startsWith('event:')) {
+                type = line.slice(6).trim();
+            } else if (line.startsWith('data:')) {
+                dataLines.push(line.slice(5).trim());
+            }
+        });
+        if (dataLines.length === 0) {
+            return;
+        }
+
+        let data;
+        try {
+            data = JSON.parse(dataLines.join('\n'));
+        } catch (e) {
+            console.warn('SmartLists: Ignoring malformed status event:', e);
+            return;
+        }
+        applyStatusEvent(type, data);
+    }
+
+    /**
+     * Apply a pushed status change to the Status tab and, once a refresh completes, to the list's card
+     */
+    function applyStatusEvent(type, data) {
+        if (type === 'completed' && typeof SmartLists.updateRefreshFailure === 'function') {
+            SmartLists.updateRefreshFailure(getActiveConfigPage(), data.refresh);
+        }
+        if (type === 'completed' && typeof SmartLists.refreshPlaylistCard === 'function') {
+            SmartLists.refreshPlaylistCard(getActiveConfigPage(), data.listId);
+        }
+
+        if (!lastStatusData || !isStatusTabVisible()) {
+            return;
+        }
+
+        // Keep operations in the order they started, replacing the one this event is about
+        let operations = lastStatusData.ongoingOperations || [];
+        if (type === 'completed') {
+            operations = operations.filter(op => op.listId !== data.listId);
+        } else if (data.operation) {
+            const index = operations.findIndex(op => op.listId === data.listId);
+            operations = index === -1
+                ? operations.concat([data.operation])
+                : operations.map((op, i) => i === index ? data.operation : op);
+        }
+        lastStatusData.ongoingOperations = operations;
+
+        const statistics = lastStatusData.statistics = lastStatusData.statistics || {};
+        statistics.queuedOperationsCount = data.queuedCount;
+        statistics.ongoingOperationsCount = operations.length;
+        renderOngoingOperations(operations);
+        renderStatistics(statistics, operations);
+
+        if (type !== 'progress') {
+            scheduleRefreshQueueFetch();
+        }
+
+        // Totals, averages and the history only change on completion and are recalculated by the server
+        if (type === 'completed') {
+            clearTimeout(statusRefetchTimeout);
+            statusRefetchTimeout = setTimeout(function () {
+                statusRefetchTimeout = null;
+                fetchStatusData();
+            }, STATUS_REFETCH_DELAY_MS);
+        }
+    }
+
+    /**
+     * Fetch the refresh queue, debounced so a burst of queue events (e.g. refreshing all lists) loads it once
+     */
+    function scheduleRefreshQueueFetch() {
+        clearTimeout(refreshQueueFetchTimeout);
+        refreshQueueFetchTimeout = setTimeout(function () {
+            refreshQueueFetchTimeout = null;
+            fetchRefreshQueue();
+        }, REFRESH_QUEUE_FETCH_DELAY_MS);
+    }
+
+    /**
+     * Fetch the operations waiting in the refresh queue
+     */
+    function fetchRefreshQueue() {
+        const page = getActiveConfigPage();
+        const container = page ? page.querySelector('#refresh-queue-container') : null;
+        const apiClient = SmartLists.getApiClient();
+        if (!container || !apiClient) return;
+
+        // Track the request so a slow, stale response never overwrites a newer one
+        const requestId = ++refreshQueueRequestId;
+        apiClient.ajax({
+            type: 'GET',
+            url: apiClient.getUrl('Plugins/SmartLists/Status/Queue'),
+            contentType: 'application/json'
+        }).then(function (response) {
+            if (!response.ok) {
+                throw new Error('HTTP ' + response.status + ': ' + response.statusText);
+            }
+            return response.json();
+        }).then(function (data) {
+            if (requestId !== refreshQueueRequestId) return;
+            renderRefreshQueue(data || {});
+        }).catch(function (error) {
+            if (requestId !== refreshQueueRequestId) return;
+            console.error('Error fetching refresh queue:', error);
+            container.innerHTML = '<p style="color: #ff6b6b;">Error loading refresh queue: ' + escapeHtml(error.message || 'Unknown error') + '</p>';
+        });
+    }
+
+    /**
+     * Render the refresh queue table and the pause/resume button
+     */
+    function renderRefreshQueue(data) {
+        const page = getActiveConfigPage();
+        const container = page ? page.querySelector('#refresh-queue-container') : null;
+        if (!container) return;
+
+        refreshQueuePaused = !!data.paused;
+        const pauseBtn = page.querySelector('#toggle-queue-pause-btn');
+        if (pauseBtn) {
+            pauseBtn.textContent = refreshQueuePaused ? 'Resume Queue' : 'Pause Queue';
+        }
+
+        // Keep the In Queue statistic in step with the pause state
+        if (lastStatusData && lastStatusData.statistics && lastStatusData.statistics.queuePaused !== refreshQueuePaused) {
+            lastStatusData.statistics.queuePaused = refreshQueuePaused;
+            renderStatistics(lastStatusData.statistics, lastStatusData.ongoingOperations || []);
+        }
+
+        const items = data.items || [];
+        let html = '';
+        if (refreshQueuePaused) {
+            html += '<p style="color: #ff9800; margin: 0 0 1em 0;">The queue is paused. ' +
+                (data.current ? '"' + escapeHtml(data.current.listName) + '" will finish, but no other refreshes start until it is resumed.' : 'No refreshes start until it is resumed.') +
+                '</p>';
+        }
+        if (items.length === 0) {
+            container.innerHTML = html + '<p style="color: #aaa;">No lists are waiting to be refreshed.</p>';
+            return;
+        }
+
+        html += '<div style="overflow-x: auto;"><table style="width: 100%; border-collapse: collapse;">';
+        html += '<thead><tr style="border-bottom: 1px solid rgba(255,255,255,0.1);">';
+        html += '<th style="text-align: left; padding: 0.75em;">#</th>';
+        html += '<th style="text-align: left; padding: 0.75em;">List Name</th>';
+        html += '<th style="text-align: left; padding: 0.75em;">Type</th>';
+        html += '<th style="text-align: left; padding: 0.75em;">Trigger</th>';
+        html += '<th style="text-align: left; padding: 0.75em;">Queued</th>';
+        html += '<th style="text-align: right; padding: 0.75em;">Actions</th>';
+        html += '</tr></thead><tbody>';
+
+        items.forEach(item => {
+            const listId = escapeHtml(item.listId);
+            html += '<tr style="border-bottom: 1px solid rgba(255,255,255,0.05);">';
+            html += '<td style="padding: 0.75em; color: #aaa;">' + item.position + '</td>';
+            html += '<td style="padding: 0.75em;">' + escapeHtml(item.listName) + '</td>';
+            html += '<td style="padding: 0.75em;">' + escapeHtml(String(item.listType)) + '</td>';
+            html += '<td style="padding: 0.75em;">' + escapeHtml(String(item.triggerType)) + '</td>';
+            html += '<td style="padding: 0.75em;">' + formatDateTime(item.queuedAt) + '</td>';
+            html += '<td style="padding: 0.75em; text-align: right; white-space: nowrap;">' +
+                '<button type="button" is="emby-button" class="emby-button raised queue-move-front-btn" data-list-id="' + listId + '"' +
+                (item.position === 1 ? ' disabled' : '') + '>Move to Front</button> ' +
+                '<button type="button" is="emby-button" class="emby-button raised danger queue-cancel-btn" data-list-id="' + listId + '">Cancel</button>' +
+                '</td>';
+            html += '</tr>';
+        });
+
+        html += '</tbody></table></div>';
+        container.innerHTML = html;
+    }
+
+    /**
+     * Send a queue command (cancel, move to front, pause, resume) and reload the queue
+     */
+    function postRefreshQueueAction(path, failureMessage) {
+        const apiClient = SmartLists.getApiClient();
+        if (!apiClient) return;
+
+        apiClient.ajax({
+            type: 'POST',
+            url: apiClient.getUrl('Plugins/SmartLists/Status/Queue/' + path),
+            contentType: 'application/json'
+        }).then(function (response) {
+            if (!response.ok) {
+                return response.text().then(function (errorText) {
+                    throw new Error(errorText || ('HTTP ' + response.status + ': ' + response.statusText));
+                });
+            }
+        }).catch(function (error) {
+            console.error(failureMessage, error);
+            SmartLists.showNotification(failureMessage + ': ' + (error.message || 'Unknown error'), 'error');
+        }).then(function () {
+            // Queue changes are pushed while the event stream is connected
+            fetchRefreshQueue();
+            if (!statusEventsConnected) {
+                fetchStatusData();
+            }
+        });
+    }
+
+    /**
+     * Setup the refresh queue buttons and the cancel buttons of running operations - can be called multiple times safely
+     */
+    function setupRefreshQueueControls() {
+        const page = getActiveConfigPage();
+        const queueContainer = page ? page.querySelector('#refresh-queue-container') : null;
+        const ongoingContainer = page ? page.querySelector('#ongoing-operations-container') : null;
+        if (!queueContainer || !ongoingContainer || queueContainer._queueListenersAttached) {
+            return;
+        }
+
+        const pauseBtn = page.querySelector('#toggle-queue-pause-btn');
+        if (pauseBtn) {
+            pauseBtn.addEventListener('click', function () {
+                if (refreshQueuePaused) {
+                    postRefreshQueueAction('Resume', 'Failed to resume the refresh queue');
+                } else {
+                    postRefreshQueueAction('Pause', 'Failed to pause the refresh queue');
+                }
+            });
+        }
+
+        // Both containers are re-rendered on every update, so their clicks are handled on the container
+        queueContainer.addEventListener('click', function (e) {
+            const moveBtn = e.target.closest('.queue-move-front-btn');
+            if (moveBtn) {
+                moveBtn.disabled = true;
+                postRefreshQueueAction(encodeURIComponent(moveBtn.getAttribute('data-list-id')) + '/MoveToFront', 'Failed to move the list to the front of the queue');
+                return;
+            }
+            const cancelBtn = e.target.closest('.queue-cancel-btn');
+            if (cancelBtn) {
+                cancelBtn.disabled = true;
+                postRefreshQueueAction(encodeURIComponent(cancelBtn.getAttribute('data-list-id')) + '/Cancel', 'Failed to cancel the refresh');
+            }
+        });
+
+        ongoingContainer.addEventListener('click', function (e) {
+            const cancelBtn = e.target.closest('.cancel-operation-btn');
+            if (cancelBtn) {
+                cancelBtn.disabled = true;
+                cancelBtn.textContent = 'Cancelling...';
+                postRefreshQueueAction(encodeURIComponent(cancelBtn.getAttribute('data-list-id')) + '/Cancel', 'Failed to cancel the refresh');
+            }
+        });
+
+        queueContainer._queueListenersAttached = true;
+    }
+
     /**
      * Initialize status page event handlers
      */
     function initializeStatusPage() {
         setupRefreshButton();
+        setupRefreshQueueControls();
+        setupRefreshHistoryControls();
     }
 
     /**
@@ -421,7 +1386,10 @@
         setupRefreshButton: setupRefreshButton,
         stopPolling: stopPolling,
         startAggressivePolling: startAggressivePolling,
-        stopAggressivePolling: stopAggressivePolling
+        stopAggressivePolling: stopAggressivePolling,
+        connectStatusEvents: connectStatusEvents,
+        disconnectStatusEvents: disconnectStatusEvents,
+        showFailedRefreshes: showFailedRefreshes
     };
 
     // Auto-setup refresh button when DOM is ready (if script loads after DOM)
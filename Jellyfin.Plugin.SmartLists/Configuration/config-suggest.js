@@ -0,0 +1,310 @@
+(function (SmartLists) {
+    'use strict';
+
+    // ===== VALUE SUGGESTIONS =====
+    // Type-ahead for rule values on fields with a limited set of values (genres, studios, tags, people,
+    // collections, ratings, codecs...). Suggestions are the values that actually occur in the library for the
+    // selected media types, most common first, so a typo no longer quietly produces an empty list.
+
+    const SUGGESTION_DEBOUNCE_MS = 200;
+    const SUGGESTION_LIMIT = 15;
+    const SUGGESTION_FIELDS = ['OfficialRating', 'AudioCodec', 'AudioProfile', 'VideoCodec', 'VideoProfile', 'VideoRange', 'VideoRangeType'];
+    // Regex patterns aren't values, so they get no suggestions
+    const SUGGESTION_OPERATORS = ['Equal', 'NotEqual', 'Contains', 'NotContains', 'IsIn', 'IsNotIn'];
+
+    // Value inputs are created without IDs; the suggestion list needs one to point aria-controls at
+    let suggestionInputCount = 0;
+
+    function getRuleField(ruleRow) {
+        const fieldSelect = ruleRow.querySelector('.rule-field-select');
+        const field = fieldSelect ? fieldSelect.value : '';
+        if (field === 'People') {
+            const peopleSelect = ruleRow.querySelector('.rule-people-select');
+            return (peopleSelect && peopleSelect.value) || field;
+        }
+        return field;
+    }
+
+    function isSuggestionField(field) {
+        if (!field || field === 'SmartList') {
+            return false;
+        }
+        return SmartLists.FIELD_TYPES.LIST_FIELDS.indexOf(field) !== -1 ||
+            SUGGESTION_FIELDS.indexOf(field) !== -1 ||
+            SmartLists.isPeopleSubField(field);
+    }
+
+    // Returns the rule row behind a value input that gets suggestions, or null
+    function getSuggestionRow(input) {
+        if (!input || !input.closest || input.tagName !== 'INPUT') {
+            return null;
+        }
+        const isTagInput = input.classList.contains('tag-input-field');
+        if (!isTagInput && !(input.type === 'text' && input.classList.contains('rule-value-input'))) {
+            return null;
+        }
+        const ruleRow = input.closest('.rule-row');
+        if (!ruleRow) {
+            return null;
+        }
+        const operatorSelect = ruleRow.querySelector('.rule-operator-select');
+        if (!operatorSelect || SUGGESTION_OPERATORS.indexOf(operatorSelect.value) === -1) {
+            return null;
+        }
+        return isSuggestionField(getRuleField(ruleRow)) ? ruleRow : null;
+    }
+
+    // ===== SUGGESTION LIST =====
+    function getSuggestionList(input) {
+        const valueContainer = input.closest('.rule-value-container');
+        return valueContainer ? valueContainer.querySelector('.value-suggestions') : null;
+    }
+
+    function createSuggestionList(input) {
+        const valueContainer = input.closest('.rule-value-container');
+        if (!input.id) {
+            suggestionInputCount += 1;
+            input.id = 'valueSuggestionInput' + suggestionInputCount;
+        }
+
+        const list = document.createElement('div');
+        list.className = 'value-suggestions';
+        list.id = input.id + 'List';
+        list.setAttribute('role', 'listbox');
+        list.style.cssText = 'position: absolute; left: 0; right: 0; top: 100%; z-index: 10; max-height: 18em; overflow-y: auto; background: #252525; border: 1px solid #444; border-radius: 2px; box-shadow: 0 4px 12px rgba(0, 0, 0, 0.5);';
+        valueContainer.style.position = 'relative';
+        valueContainer.appendChild(list);
+
+        input.setAttribute('role', 'combobox');
+        input.setAttribute('aria-autocomplete', 'list');
+        input.setAttribute('aria-controls', list.id);
+        return list;
+    }
+
+    function hideSuggestions(input) {
+        const list = getSuggestionList(input);
+        if (list) {
+            list.remove();
+        }
+        input.removeAttribute('aria-activedescendant');
+        input.setAttribute('aria-expanded', 'false');
+    }
+
+    // Values already added as tags aren't suggested again
+    function getExistingTags(input) {
+        const valueContainer = input.closest('.rule-value-container');
+        return Array.prototype.map.call(valueContainer.querySelectorAll('.tag-item span'), function (span) {
+            return span.textContent.toLowerCase();
+        });
+    }
+
+    function renderSuggestions(input, suggestions, prefix) {
+        const existing = input.classList.contains('tag-input-field') ? getExistingTags(input) : [];
+        const visible = suggestions.filter(function (suggestion) {
+            return existing.indexOf(suggestion.value.toLowerCase()) === -1 && suggestion.value !== input.value;
+        });
+        if (visible.length === 0) {
+            hideSuggestions(input);
+            return;
+        }
+
+        const list = getSuggestionList(input) || createSuggestionList(input);
+        let html = '';
+        visible.forEach(function (suggestion, index) {
+            const value = suggestion.value;
+            html += '<div class="value-suggestion" role="option" aria-selected="false" id="' + list.id + 'Option' + index + '" data-value="' +
+                SmartLists.escapeHtmlAttribute(value) + '" style="display: flex; justify-content: space-between; gap: 1em; padding: 0.4em 0.75em; cursor: pointer;">' +
+                '<span><strong>' + SmartLists.escapeHtml(value.substring(0, prefix.length)) + '</strong>' + SmartLists.escapeHtml(value.substring(prefix.length)) + '</span>' +
+                '<span style="color: #888; white-space: nowrap;">' + suggestion.itemCount + ' item' + (suggestion.itemCount === 1 ? '' : 's') + '</span>' +
+                '</div>';
+        });
+        list.innerHTML = html;
+        input.removeAttribute('aria-activedescendant');
+        input.setAttribute('aria-expanded', 'true');
+    }
+
+    function setActiveSuggestion(input, option) {
+        const list = getSuggestionList(input);
+        if (!list) return;
+        list.querySelectorAll('.value-suggestion').forEach(function (item) {
+            const isActive = item === option;
+            item.setAttribute('aria-selected', isActive ? 'true' : 'false');
+            item.style.background = isActive ? 'rgba(0, 164, 220, 0.3)' : '';
+        });
+        if (option) {
+            input.setAttribute('aria-activedescendant', option.id);
+            option.scrollIntoView({ block: 'nearest' });
+        } else {
+            input.removeAttribute('aria-activedescendant');
+        }
+    }
+
+    function moveActiveSuggestion(input, direction) {
+        const list = getSuggestionList(input);
+        if (!list) return;
+        const options = Array.prototype.slice.call(list.querySelectorAll('.value-suggestion'));
+        const current = options.indexOf(list.querySelector('.value-suggestion[aria-selected="true"]'));
+        let next = current + direction;
+        if (next < 0) {
+            next = options.length - 1;
+        } else if (next >= options.length) {
+            next = 0;
+        }
+        setActiveSuggestion(input, options[next]);
+    }
+
+    /**
+     * Put a suggested value in the rule: as a new tag for is in / is not in, or as the input's value.
+     * Fires change so undo history, drafts and validation see it like a typed value.
+     */
+    SmartLists.applyValueSuggestion = function (input, value) {
+        const valueContainer = input.closest('.rule-value-container');
+        hideSuggestions(input);
+
+        if (input.classList.contains('tag-input-field')) {
+            SmartLists.addTagToContainer(valueContainer, value);
+            input.value = '';
+            const hiddenInput = valueContainer.querySelector('input[type="hidden"].rule-value-input');
+            (hiddenInput || input).dispatchEvent(new Event('change', { bubbles: true }));
+        } else {
+            input.value = value;
+            input.dispatchEvent(new Event('input', { bubbles: true }));
+            input.dispatchEvent(new Event('change', { bubbles: true }));
+        }
+        input.focus();
+    };
+
+    // ===== SUGGESTION REQUESTS =====
+    function fetchSuggestions(page, field, prefix) {
+        const mediaTypes = SmartLists.getSelectedMediaTypes(page);
+        const query = '?field=' + encodeURIComponent(field) +
+            '&mediaTypes=' + encodeURIComponent(mediaTypes.join(',')) +
+            '&prefix=' + encodeURIComponent(prefix) +
+            '&limit=' + SUGGESTION_LIMIT;
+
+        // Going back to an earlier prefix (Backspace) reuses the earlier answer
+        const cache = page._valueSuggestionCache || (page._valueSuggestionCache = {});
+        if (cache[query]) {
+            return Promise.resolve(cache[query]);
+        }
+
+        const apiClient = SmartLists.getApiClient();
+        return apiClient.ajax({
+            type: 'GET',
+            url: apiClient.getUrl(SmartLists.ENDPOINTS.values) + query,
+            contentType: 'application/json'
+        }).then(function (response) {
+            if (!response.ok) {
+                throw new Error('HTTP ' + response.status + ': ' + response.statusText);
+            }
+            return response.json();
+        }).then(function (suggestions) {
+            cache[query] = Array.isArray(suggestions) ? suggestions : [];
+            return cache[query];
+        });
+    }
+
+    SmartLists.updateValueSuggestions = function (page, input) {
+        const ruleRow = getSuggestionRow(input);
+        if (!ruleRow) {
+            hideSuggestions(input);
+            return Promise.resolve();
+        }
+
+        const prefix = input.value.trim();
+        // Track the request so a slow, stale response never overwrites a newer one
+        const requestId = (input._suggestionRequestId || 0) + 1;
+        input._suggestionRequestId = requestId;
+
+        return fetchSuggestions(page, getRuleField(ruleRow), prefix).then(function (suggestions) {
+            if (input._suggestionRequestId === requestId && document.activeElement === input) {
+                renderSuggestions(input, suggestions, prefix);
+            }
+        }).catch(function (err) {
+            // Suggestions are a convenience; typing keeps working without them
+            console.warn('Could not load value suggestions:', err);
+            hideSuggestions(input);
+        });
+    };
+
+    function scheduleValueSuggestions(page, input) {
+        if (input._suggestionTimer) {
+            clearTimeout(input._suggestionTimer);
+        }
+        input._suggestionTimer = setTimeout(function () {
+            input._suggestionTimer = null;
+            SmartLists.updateValueSuggestions(page, input);
+        }, SUGGESTION_DEBOUNCE_MS);
+    }
+
+    // ===== VALUE SUGGESTION LISTENERS =====
+    SmartLists.setupValueSuggestionListeners = function (page, signal) {
+        const listenerOptions = SmartLists.getEventListenerOptions(signal);
+
+        page.addEventListener('input', function (e) {
+            if (getSuggestionRow(e.target)) {
+                scheduleValueSuggestions(page, e.target);
+            }
+        }, listenerOptions);
+
+        // The most common values are offered as soon as the input gets focus
+        page.addEventListener('focusin', function (e) {
+            if (getSuggestionRow(e.target)) {
+                scheduleValueSuggestions(page, e.target);
+            }
+        }, listenerOptions);
+
+        page.addEventListener('focusout', function (e) {
+            const input = e.target;
+            if (input && input.closest && getSuggestionList(input)) {
+                if (input._suggestionTimer) {
+                    clearTimeout(input._suggestionTimer);
+                    input._suggestionTimer = null;
+                }
+                hideSuggestions(input);
+            }
+        }, listenerOptions);
+
+        // Capture phase, so Enter picks the highlighted suggestion before the tag input adds the typed text
+        page.addEventListener('keydown', function (e) {
+            const input = e.target;
+            if (!input || !input.closest) return;
+            const list = getSuggestionList(input);
+            if (!list || input.getAttribute('aria-expanded') !== 'true') return;
+
+            if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+                e.preventDefault();
+                moveActiveSuggestion(input, e.key === 'ArrowDown' ? 1 : -1);
+            } else if (e.key === 'Escape') {
+                e.preventDefault();
+                e.stopPropagation();
+                hideSuggestions(input);
+            } else if (e.key === 'Enter') {
+                const active = list.querySelector('.value-suggestion[aria-selected="true"]');
+                if (active) {
+                    e.preventDefault();
+                    e.stopPropagation();
+                    SmartLists.applyValueSuggestion(input, active.getAttribute('data-value'));
+                }
+            }
+        }, Object.assign({ capture: true }, listenerOptions));
+
+        // Keep the focus in the input, so picking a suggestion doesn't close the list first
+        page.addEventListener('mousedown', function (e) {
+            if (e.target && e.target.closest && e.target.closest('.value-suggestion')) {
+                e.preventDefault();
+            }
+        }, listenerOptions);
+
+        page.addEventListener('click', function (e) {
+            const option = e.target && e.target.closest ? e.target.closest('.value-suggestion') : null;
+            if (!option) return;
+            const valueContainer = option.closest('.rule-value-container');
+            const input = valueContainer ? valueContainer.querySelector('.tag-input-field, input[type="text"].rule-value-input') : null;
+            if (input) {
+                SmartLists.applyValueSuggestion(input, option.getAttribute('data-value'));
+            }
+        }, listenerOptions);
+    };
+
+})(window.SmartLists = window.SmartLists || {});
@@ -0,0 +1,389 @@
+(function (SmartLists) {
+    'use strict';
+
+    // ===== BUILT-IN TEMPLATES =====
+    // Each template uses the same shape as a smart list: MediaTypes, ExpressionSets, ExclusionSets and Order
+    SmartLists.BUILT_IN_TEMPLATES = [
+        {
+            Id: 'builtin-recent-unwatched-movies',
+            Name: 'Recently added unwatched movies',
+            Description: 'Movies added in the last 30 days that nobody has started yet, newest first.',
+            MediaTypes: ['Movie'],
+            ExpressionSets: [{
+                Expressions: [
+                    { MemberName: 'DateCreated', Operator: 'NewerThan', TargetValue: '30:days' },
+                    { MemberName: 'PlaybackStatus', Operator: 'Equal', TargetValue: 'Unplayed' }
+                ]
+            }],
+            Order: { SortOptions: [{ SortBy: 'DateCreated', SortOrder: 'Descending' }] }
+        },
+        {
+            Id: 'builtin-continue-watching-episodes',
+            Name: 'Continue watching episodes',
+            Description: 'Episodes that are partly watched, or next up in a series you are watching.',
+            MediaTypes: ['Episode'],
+            ExpressionSets: [
+                { Expressions: [{ MemberName: 'PlaybackStatus', Operator: 'Equal', TargetValue: 'InProgress' }] },
+                { Expressions: [{ MemberName: 'NextUnwatched', Operator: 'Equal', TargetValue: 'true', IncludeUnwatchedSeries: false }] }
+            ],
+            Order: { SortOptions: [{ SortBy: 'LastPlayed (owner)', SortOrder: 'Descending' }] }
+        },
+        {
+            Id: 'builtin-top-rated-unplayed-albums',
+            Name: 'Top-rated albums never played',
+            Description: 'Tracks rated 8 or higher that have never been played, grouped by album in track order.',
+            MediaTypes: ['Audio'],
+            ExpressionSets: [{
+                Expressions: [
+                    { MemberName: 'CommunityRating', Operator: 'GreaterThanOrEqual', TargetValue: '8' },
+                    { MemberName: 'PlayCount', Operator: 'Equal', TargetValue: '0' }
+                ]
+            }],
+            Order: {
+                SortOptions: [
+                    { SortBy: 'AlbumName', SortOrder: 'Ascending' },
+                    { SortBy: 'TrackNumber', SortOrder: 'Ascending' }
+                ]
+            }
+        },
+        {
+            Id: 'builtin-4k-hdr-showcase',
+            Name: '4K HDR showcase',
+            Description: '4K movies with HDR video, best rated first.',
+            MediaTypes: ['Movie'],
+            ExpressionSets: [{
+                Expressions: [
+                    { MemberName: 'Resolution', Operator: 'GreaterThanOrEqual', TargetValue: '4K' },
+                    { MemberName: 'VideoRange', Operator: 'Equal', TargetValue: 'HDR' }
+                ]
+            }],
+            Order: { SortOptions: [{ SortBy: 'CommunityRating', SortOrder: 'Descending' }] }
+        },
+        {
+            Id: 'builtin-favorite-songs-shuffle',
+            Name: 'Favorite songs shuffle',
+            Description: 'All favorite tracks in random order.',
+            MediaTypes: ['Audio'],
+            ExpressionSets: [{
+                Expressions: [{ MemberName: 'IsFavorite', Operator: 'Equal', TargetValue: 'true' }]
+            }],
+            Order: { SortOptions: [{ SortBy: 'Random', SortOrder: 'Ascending' }] }
+        }
+    ];
+
+    // ===== CUSTOM TEMPLATES =====
+    // Custom templates are stored in the plugin configuration, with the rules as a JSON definition
+    function parseCustomTemplate(stored) {
+        try {
+            const definition = JSON.parse(stored.Definition || '{}');
+            definition.Id = stored.Id;
+            definition.Name = stored.Name;
+            return definition;
+        } catch (err) {
+            console.warn('Skipping custom template with invalid definition:', stored.Name, err);
+            return null;
+        }
+    }
+
+    SmartLists.loadCustomTemplates = function () {
+        const apiClient = SmartLists.getApiClient();
+        return apiClient.getPluginConfiguration(SmartLists.getPluginId()).then(function (config) {
+            return (config.RuleTemplates || []).map(parseCustomTemplate).filter(function (template) {
+                return template !== null;
+            });
+        });
+    };
+
+    function buildTemplateDefinition(list) {
+        const definition = {
+            MediaTypes: list.MediaTypes || [],
+            ExpressionSets: list.ExpressionSets || [],
+            Order: list.Order || null
+        };
+        if (list.ExclusionSets && list.ExclusionSets.length > 0) {
+            definition.ExclusionSets = list.ExclusionSets;
+        }
+        if (list.SimilarityComparisonFields && list.SimilarityComparisonFields.length > 0) {
+            definition.SimilarityComparisonFields = list.SimilarityComparisonFields;
+        }
+        return JSON.stringify(definition);
+    }
+
+    SmartLists.saveListAsTemplate = function (page, listId, templateName) {
+        const apiClient = SmartLists.getApiClient();
+        const name = (templateName || '').trim();
+        if (!name) {
+            SmartLists.showNotification('Template name is required.', 'error');
+            return Promise.resolve();
+        }
+
+        Dashboard.showLoadingMsg();
+        return apiClient.ajax({
+            type: 'GET',
+            url: apiClient.getUrl(SmartLists.ENDPOINTS.base + '/' + listId),
+            contentType: 'application/json'
+        }).then(function (response) {
+            if (!response.ok) {
+                throw new Error('HTTP ' + response.status + ': ' + response.statusText);
+            }
+            return response.json();
+        }).then(function (list) {
+            return apiClient.getPluginConfiguration(SmartLists.getPluginId()).then(function (config) {
+                const templates = config.RuleTemplates || [];
+
+                // Saving under an existing name replaces that template
+                const existing = templates.find(function (template) {
+                    return (template.Name || '').toLowerCase() === name.toLowerCase();
+                });
+                if (existing) {
+                    existing.Definition = buildTemplateDefinition(list);
+                } else {
+                    templates.push({
+                        Id: 'custom-' + Date.now() + '-' + Math.random().toString(36).slice(2, 11),
+                        Name: name,
+                        Definition: buildTemplateDefinition(list)
+                    });
+                }
+                config.RuleTemplates = templates;
+
+                return apiClient.updatePluginConfiguration(SmartLists.getPluginId(), config).then(function () {
+                    Dashboard.hideLoadingMsg();
+                    SmartLists.showNotification((existing ? 'Updated' : 'Saved') + ' template "' + name + '".', 'success');
+                });
+            });
+        }).catch(function (err) {
+            console.error('Error saving template:', err);
+            Dashboard.hideLoadingMsg();
+            SmartLists.showNotification('Failed to save template: ' + err.message, 'error');
+        });
+    };
+
+    SmartLists.deleteCustomTemplate = function (page, templateId) {
+        const apiClient = SmartLists.getApiClient();
+        return apiClient.getPluginConfiguration(SmartLists.getPluginId()).then(function (config) {
+            const templates = config.RuleTemplates || [];
+            const template = templates.find(function (t) { return t.Id === templateId; });
+            if (!template) {
+                return;
+            }
+            config.RuleTemplates = templates.filter(function (t) { return t.Id !== templateId; });
+            return apiClient.updatePluginConfiguration(SmartLists.getPluginId(), config).then(function () {
+                SmartLists.showNotification('Deleted template "' + template.Name + '".', 'success');
+                return SmartLists.renderTemplatesMenu(page);
+            });
+        }).catch(function (err) {
+            console.error('Error deleting template:', err);
+            SmartLists.showNotification('Failed to delete template: ' + err.message, 'error');
+        });
+    };
+
+    // ===== TEMPLATES MENU =====
+    function createTemplateMenuItem(template, isCustom) {
+        const item = SmartLists.createStyledElement('div', 'template-menu-item', {
+            display: 'flex',
+            alignItems: 'flex-start',
+            gap: '0.5em',
+            padding: '0.5em 0.75em',
+            borderBottom: '1px solid #333'
+        });
+
+        const insertBtn = document.createElement('button');
+        insertBtn.type = 'button';
+        insertBtn.className = 'template-insert-btn';
+        insertBtn.setAttribute('role', 'menuitem');
+        insertBtn.setAttribute('data-template-id', template.Id);
+        insertBtn.style.cssText = 'flex: 1; text-align: left; background: none; border: none; color: inherit; cursor: pointer; padding: 0; font: inherit;';
+
+        const title = document.createElement('div');
+        title.style.fontWeight = '500';
+        title.textContent = template.Name;
+        insertBtn.appendChild(title);
+
+        if (template.Description) {
+            const description = document.createElement('div');
+            description.style.cssText = 'font-size: 0.85em; color: #aaa; margin-top: 0.15em;';
+            description.textContent = template.Description;
+            insertBtn.appendChild(description);
+        }
+        item.appendChild(insertBtn);
+
+        if (isCustom) {
+            const deleteBtn = document.createElement('button');
+            deleteBtn.type = 'button';
+            deleteBtn.className = 'template-delete-btn';
+            deleteBtn.setAttribute('data-template-id', template.Id);
+            deleteBtn.setAttribute('title', 'Delete template');
+            deleteBtn.setAttribute('aria-label', 'Delete template ' + template.Name);
+            deleteBtn.style.cssText = 'background: none; border: none; color: #aaa; cursor: pointer; padding: 0;';
+            deleteBtn.innerHTML = '<span class="material-icons" aria-hidden="true" style="font-size: 1.1em;">delete</span>';
+            item.appendChild(deleteBtn);
+        }
+
+        return item;
+    }
+
+    function createTemplateMenuHeading(text) {
+        const heading = SmartLists.createStyledElement('div', '', {
+            padding: '0.5em 0.75em 0.25em',
+            fontSize: '0.8em',
+            textTransform: 'uppercase',
+            color: '#888'
+        });
+        heading.textContent = text;
+        return heading;
+    }
+
+    SmartLists.renderTemplatesMenu = function (page) {
+        const menu = page.querySelector('#templatesMenu');
+        if (!menu) {
+            return Promise.resolve();
+        }
+
+        return SmartLists.loadCustomTemplates().catch(function (err) {
+            console.error('Error loading custom templates:', err);
+            return [];
+        }).then(function (customTemplates) {
+            page._customTemplates = customTemplates;
+            menu.innerHTML = '';
+
+            menu.appendChild(createTemplateMenuHeading('Built-in'));
+            SmartLists.BUILT_IN_TEMPLATES.forEach(function (template) {
+                menu.appendChild(createTemplateMenuItem(template, false));
+            });
+
+            menu.appendChild(createTemplateMenuHeading('Custom'));
+            if (customTemplates.length === 0) {
+                const empty = SmartLists.createStyledElement('div', '', {
+                    padding: '0.5em 0.75em',
+                    fontSize: '0.9em',
+                    color: '#aaa'
+                });
+                empty.textContent = 'Use "Save as Template" on a list in Manage Lists to add your own.';
+                menu.appendChild(empty);
+            } else {
+                customTemplates.forEach(function (template) {
+                    menu.appendChild(createTemplateMenuItem(template, true));
+                });
+            }
+        });
+    };
+
+    SmartLists.toggleTemplatesMenu = function (page, forceOpen) {
+        const menu = page.querySelector('#templatesMenu');
+        const menuBtn = page.querySelector('#templatesMenuBtn');
+        if (!menu) {
+            return;
+        }
+
+        const open = forceOpen !== undefined ? forceOpen : menu.classList.contains('hide');
+        if (open) {
+            SmartLists.renderTemplatesMenu(page);
+            menu.classList.remove('hide');
+        } else {
+            menu.classList.add('hide');
+        }
+        if (menuBtn) {
+            menuBtn.setAttribute('aria-expanded', open ? 'true' : 'false');
+        }
+    };
+
+    SmartLists.findTemplate = function (page, templateId) {
+        const builtIn = SmartLists.BUILT_IN_TEMPLATES.find(function (template) {
+            return template.Id === templateId;
+        });
+        if (builtIn) {
+            return builtIn;
+        }
+        return (page._customTemplates || []).find(function (template) {
+            return template.Id === templateId;
+        }) || null;
+    };
+
+    // ===== APPLY TEMPLATE =====
+    // Replaces the form's media types, rules and sorts with the template's. Everything else is left as is.
+    SmartLists.applyTemplate = function (page, template) {
+        if (!template) {
+            return;
+        }
+
+        // Deep copy so editing the inserted rules can't change the template
+        const content = JSON.parse(JSON.stringify(template));
+
+        if (!SmartLists.getElementValue(page, '#playlistName', '')) {
+            SmartLists.setElementValue(page, '#playlistName', content.Name || '');
+        }
+
+        page._skipMediaTypeChangeHandlers = true;
+        SmartLists.setSelectedItems(page, 'mediaTypesMultiSelect', content.MediaTypes || [], 'media-type-multi-select-checkbox', 'Select media types...');
+        page._skipMediaTypeChangeHandlers = false;
+
+        SmartLists.populateRulesAndSorts(page, content);
+
+        if (SmartLists.clearListPreview) {
+            SmartLists.clearListPreview(page);
+        }
+
+        SmartLists.showNotification('Inserted template "' + content.Name + '". Review the rules before saving.', 'success');
+    };
+
+    // ===== SAVE AS TEMPLATE MODAL =====
+    SmartLists.showSaveTemplateModal = function (page, listId, listName) {
+        const modal = page.querySelector('#save-template-modal');
+        if (!modal) return;
+
+        SmartLists.cleanupModalListeners(modal);
+
+        const modalContainer = modal.querySelector('.custom-modal-container');
+        SmartLists.applyStyles(modalContainer, SmartLists.STYLES.modal.container);
+        SmartLists.applyStyles(modal, SmartLists.STYLES.modal.backdrop);
+
+        const nameInput = modal.querySelector('#templateNameInput');
+        nameInput.value = listName || '';
+
+        modal.classList.remove('hide');
+        nameInput.focus();
+        nameInput.select();
+
+        const modalAbortController = SmartLists.createAbortController();
+        const modalSignal = modalAbortController ? modalAbortController.signal : null;
+
+        const cleanupAndClose = function () {
+            modal.classList.add('hide');
+            SmartLists.cleanupModalListeners(modal);
+        };
+
+        const confirm = function () {
+            const name = nameInput.value.trim();
+            if (!name) {
+                nameInput.focus();
+                return;
+            }
+            cleanupAndClose();
+            SmartLists.saveListAsTemplate(page, listId, name);
+        };
+
+        modal.querySelector('.modal-confirm-btn').addEventListener('click', confirm, SmartLists.getEventListenerOptions(modalSignal));
+
+        nameInput.addEventListener('keydown', function (e) {
+            if (e.key === 'Enter') {
+                e.preventDefault();
+                confirm();
+            } else if (e.key === 'Escape') {
+                cleanupAndClose();
+            }
+        }, SmartLists.getEventListenerOptions(modalSignal));
+
+        modal.querySelector('.modal-cancel-btn').addEventListener('click', function () {
+            cleanupAndClose();
+        }, SmartLists.getEventListenerOptions(modalSignal));
+
+        modal.addEventListener('click', function (e) {
+            if (e.target === modal) {
+                cleanupAndClose();
+            }
+        }, SmartLists.getEventListenerOptions(modalSignal));
+
+        modal._modalAbortController = modalAbortController;
+    };
+
+})(window.SmartLists = window.SmartLists || {});
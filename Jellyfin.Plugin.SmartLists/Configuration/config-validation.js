@@ -0,0 +1,457 @@
+(function (SmartLists) {
+    'use strict';
+
+    // ===== RULE VALIDATION =====
+    // Checks each rule row before the list goes to the server, so mistakes show on the rule itself instead of
+    // in one toast after the save is rejected. Rows with no field, operator or value are incomplete rather than
+    // invalid (collectRulesFromForm skips them), except an "is in" / "is not in" rule left with an empty list,
+    // which is flagged once the user tries to save.
+
+    const VALIDATION_DEBOUNCE_MS = 250;
+
+    const RANGE_OPERATORS = ['Equal', 'GreaterThan', 'GreaterThanOrEqual', 'LessThan', 'LessThanOrEqual', 'After', 'Before'];
+
+    function getSelectedText(select) {
+        const option = select && select.options[select.selectedIndex];
+        return option ? option.textContent : '';
+    }
+
+    function readRuleRow(ruleRow) {
+        const fieldSelect = ruleRow.querySelector('.rule-field-select');
+        const operatorSelect = ruleRow.querySelector('.rule-operator-select');
+        let field = fieldSelect ? fieldSelect.value : '';
+        let fieldLabel = getSelectedText(fieldSelect);
+        if (field === 'People') {
+            const peopleSelect = ruleRow.querySelector('.rule-people-select');
+            if (peopleSelect && peopleSelect.value) {
+                field = peopleSelect.value;
+                fieldLabel = getSelectedText(peopleSelect);
+            }
+        }
+
+        const userSelect = ruleRow.querySelector('.rule-user-select');
+        return {
+            row: ruleRow,
+            field: field,
+            fieldLabel: fieldLabel,
+            operator: operatorSelect ? operatorSelect.value : '',
+            operatorLabel: getSelectedText(operatorSelect),
+            valueInput: ruleRow.querySelector('.rule-value-input'),
+            unitSelect: ruleRow.querySelector('.rule-value-unit'),
+            tagInput: ruleRow.querySelector('.tag-input-field'),
+            userId: userSelect ? userSelect.value : ''
+        };
+    }
+
+    function hasBadInput(input) {
+        return !!(input && input.validity && input.validity.badInput);
+    }
+
+    // ===== .NET REGEX =====
+    // The server uses .NET regular expressions. They are checked here by translating the .NET-only syntax that
+    // JavaScript would reject (inline options, atomic groups, \A, \Z...) and compiling the result.
+    // Returns null for patterns that can't be translated faithfully; those are left to the server.
+    function toJavaScriptPattern(pattern) {
+        // Conditionals, balancing groups and the ignore-whitespace option change how the whole pattern reads
+        if (/\(\?\(|\(\?<[^>=!]*-|\(\?'[^']*-|\(\?[imns]*x/.test(pattern)) {
+            return null;
+        }
+
+        let result = '';
+        let inClass = false;
+        let i = 0;
+        while (i < pattern.length) {
+            const ch = pattern[i];
+            if (ch === '\\') {
+                const next = pattern.charAt(i + 1);
+                if (!inClass && next === 'A') {
+                    result += '^';
+                } else if (!inClass && (next === 'Z' || next === 'z')) {
+                    result += '$';
+                } else if (!inClass && next === 'G') {
+                    // No JavaScript equivalent; it only matters for repeated matching
+                } else {
+                    result += ch + next;
+                }
+                i += 2;
+                continue;
+            }
+            if (inClass) {
+                if (ch === ']') {
+                    inClass = false;
+                }
+                result += ch;
+                i++;
+                continue;
+            }
+            if (ch === '[') {
+                inClass = true;
+                result += ch;
+                // A ] right after [ or [^ is a literal
+                const literalStart = pattern.substring(i + 1, i + 3) === '^]' ? 3 : (pattern.charAt(i + 1) === ']' ? 2 : 1);
+                result += pattern.substring(i + 1, i + literalStart);
+                i += literalStart;
+                continue;
+            }
+            if (ch === '(' && pattern.charAt(i + 1) === '?') {
+                const rest = pattern.substring(i);
+                const options = /^\(\?[imns]*(?:-[imns]*)?([):])/.exec(rest);
+                if (options && options[0].length > 3) {
+                    // (?i) is dropped, (?i:...) becomes a plain non-capturing group
+                    result += options[1] === ':' ? '(?:' : '';
+                    i += options[0].length;
+                    continue;
+                }
+                if (rest.indexOf('(?>') === 0) {
+                    result += '(?:';
+                    i += 3;
+                    continue;
+                }
+                if (rest.indexOf('(?#') === 0) {
+                    const end = pattern.indexOf(')', i);
+                    i = end === -1 ? pattern.length : end + 1;
+                    continue;
+                }
+                const quotedName = /^\(\?'([^']+)'/.exec(rest);
+                if (quotedName) {
+                    result += '(?<' + quotedName[1] + '>';
+                    i += quotedName[0].length;
+                    continue;
+                }
+            }
+            result += ch;
+            i++;
+        }
+        return result;
+    }
+
+    function validateRegex(pattern) {
+        if (/^\/.+\/[gimsuy]*$/.test(pattern)) {
+            return 'Use .NET syntax without the surrounding slashes, e.g. (?i)pattern instead of /pattern/i.';
+        }
+        const translated = toJavaScriptPattern(pattern);
+        if (translated === null) {
+            return null;
+        }
+        try {
+            new RegExp(translated);
+            return null;
+        } catch (err) {
+            const reason = err.message.replace(/^Invalid regular expression: \/.*\/[a-z]*: /, '');
+            return 'Invalid regular expression: ' + reason + '.';
+        }
+    }
+
+    // ===== SINGLE RULE CHECKS =====
+    function validateRule(rule, includeIncomplete) {
+        const value = rule.valueInput ? rule.valueInput.value : '';
+        const fieldTypes = SmartLists.FIELD_TYPES;
+
+        if (SmartLists.MULTI_VALUE_OPERATORS.indexOf(rule.operator) !== -1) {
+            if (value) {
+                return null;
+            }
+            // Typed a value but didn't press Enter, so it isn't in the list
+            const pending = rule.tagInput ? rule.tagInput.value.trim() : '';
+            if (pending && document.activeElement !== rule.tagInput) {
+                return 'Press Enter to add "' + pending + '" to the list.';
+            }
+            return includeIncomplete ? 'Add at least one value to the list.' : null;
+        }
+
+        if (rule.operator === 'MatchRegex') {
+            return value ? validateRegex(value) : null;
+        }
+
+        if (fieldTypes.NUMERIC_FIELDS.indexOf(rule.field) !== -1) {
+            if (hasBadInput(rule.valueInput) || (value && !isFinite(Number(value)))) {
+                return rule.fieldLabel + ' needs a number.';
+            }
+            return null;
+        }
+
+        if (fieldTypes.DATE_FIELDS.indexOf(rule.field) !== -1) {
+            if (SmartLists.RELATIVE_DATE_OPERATORS.indexOf(rule.operator) !== -1) {
+                if (hasBadInput(rule.valueInput) || (value && !/^\d+$/.test(value))) {
+                    return 'Enter a whole number of hours, days, weeks, months or years.';
+                }
+                if (value && rule.unitSelect && !rule.unitSelect.value) {
+                    return 'Choose a unit for ' + value + '.';
+                }
+                return null;
+            }
+            if (rule.operator === 'Weekday') {
+                return null;
+            }
+            if (hasBadInput(rule.valueInput) || (value && isNaN(Date.parse(value)))) {
+                return 'Enter a valid date.';
+            }
+        }
+
+        return null;
+    }
+
+    // ===== CONTRADICTIONS =====
+    // Within an AND group, range rules on the same field (and user) must leave some value that can match,
+    // e.g. "Production Year greater than 2020" and "Production Year less than 2010" never both hold.
+
+    /**
+     * The range of values a numeric or absolute date rule allows, as { lower, upper } bounds of
+     * { value, inclusive } (dates as timestamps), or null for rules that aren't a range.
+     * Also used by the rule linter (config-lint.js).
+     */
+    SmartLists.getRangeBound = function (field, operator, value) {
+        if (RANGE_OPERATORS.indexOf(operator) === -1 || !value) {
+            return null;
+        }
+        let number;
+        if (SmartLists.FIELD_TYPES.NUMERIC_FIELDS.indexOf(field) !== -1) {
+            if (operator === 'After' || operator === 'Before') return null;
+            number = Number(value);
+        } else if (SmartLists.FIELD_TYPES.DATE_FIELDS.indexOf(field) !== -1) {
+            if (operator !== 'Equal' && operator !== 'After' && operator !== 'Before') return null;
+            number = Date.parse(value);
+        } else {
+            return null;
+        }
+        if (!isFinite(number)) {
+            return null;
+        }
+
+        switch (operator) {
+            case 'Equal':
+                return { lower: { value: number, inclusive: true }, upper: { value: number, inclusive: true } };
+            case 'GreaterThan':
+            case 'After':
+                return { lower: { value: number, inclusive: false } };
+            case 'GreaterThanOrEqual':
+                return { lower: { value: number, inclusive: true } };
+            case 'LessThan':
+            case 'Before':
+                return { upper: { value: number, inclusive: false } };
+            case 'LessThanOrEqual':
+                return { upper: { value: number, inclusive: true } };
+        }
+        return null;
+    };
+
+    /**
+     * Whether no value lies between a lower and an upper bound from getRangeBound.
+     */
+    SmartLists.isEmptyRange = function (lower, upper) {
+        if (!lower || !upper) {
+            return false;
+        }
+        return lower.value > upper.value || (lower.value === upper.value && !(lower.inclusive && upper.inclusive));
+    };
+
+    function describeRule(rule) {
+        return '"' + rule.fieldLabel + ' ' + rule.operatorLabel + ' ' + rule.valueInput.value + '"';
+    }
+
+    function findContradictions(rules, errors) {
+        const ranges = {};
+        rules.forEach(function (rule) {
+            if (errors.has(rule.row)) {
+                return;
+            }
+            const bound = SmartLists.getRangeBound(rule.field, rule.operator, rule.valueInput ? rule.valueInput.value : '');
+            if (!bound) {
+                return;
+            }
+
+            const key = rule.field + '|' + rule.userId;
+            const range = ranges[key] || (ranges[key] = { lower: null, upper: null });
+            const conflict = (bound.lower && SmartLists.isEmptyRange(bound.lower, range.upper) && range.upper) ||
+                (bound.upper && SmartLists.isEmptyRange(range.lower, bound.upper) && range.lower);
+            if (conflict) {
+                errors.set(rule.row, 'Contradicts ' + describeRule(conflict.rule) + ' in the same group, so the group can never match.');
+                return;
+            }
+
+            // Keep the tightest bounds seen so far
+            if (bound.lower && (!range.lower || bound.lower.value > range.lower.value ||
+                (bound.lower.value === range.lower.value && !bound.lower.inclusive))) {
+                range.lower = Object.assign({ rule: rule }, bound.lower);
+            }
+            if (bound.upper && (!range.upper || bound.upper.value < range.upper.value ||
+                (bound.upper.value === range.upper.value && !bound.upper.inclusive))) {
+                range.upper = Object.assign({ rule: rule }, bound.upper);
+            }
+        });
+    }
+
+    // ===== RENDERING =====
+    function showRuleError(ruleRow, message) {
+        const inputGroup = ruleRow.querySelector('.input-group');
+        let errorDiv = ruleRow.querySelector(':scope > .rule-validation-error');
+        const valueInputs = ruleRow.querySelectorAll('.rule-value-container .rule-value-input, .rule-value-container .tag-input-field');
+
+        if (!message) {
+            if (errorDiv) {
+                errorDiv.remove();
+            }
+            valueInputs.forEach(function (input) {
+                input.removeAttribute('aria-invalid');
+            });
+            return;
+        }
+
+        if (!errorDiv) {
+            errorDiv = SmartLists.createStyledElement('div', 'rule-validation-error', SmartLists.STYLES.ruleValidationError);
+            errorDiv.setAttribute('role', 'alert');
+            inputGroup.insertAdjacentElement('afterend', errorDiv);
+        }
+        if (errorDiv.textContent !== message) {
+            errorDiv.textContent = message;
+        }
+        valueInputs.forEach(function (input) {
+            input.setAttribute('aria-invalid', 'true');
+        });
+    }
+
+    // The submit button is disabled while rules have errors. Only re-enable it if it was disabled here,
+    // so the loading state set during page initialization isn't overridden.
+    function setSubmitBlocked(page, blocked) {
+        const submitBtn = page.querySelector('#submitBtn');
+        if (!submitBtn) return;
+
+        if (blocked) {
+            submitBtn.disabled = true;
+            submitBtn.setAttribute('data-blocked-by-rules', 'true');
+            submitBtn.title = 'Fix the rule errors above before saving';
+        } else if (submitBtn.getAttribute('data-blocked-by-rules') === 'true') {
+            submitBtn.disabled = false;
+            submitBtn.removeAttribute('data-blocked-by-rules');
+            submitBtn.removeAttribute('title');
+        }
+    }
+
+    function validateContainer(container, includeIncomplete, errors) {
+        const rules = [];
+        SmartLists.getGroupItems(container).forEach(function (item) {
+            if (item.classList.contains('rule-subgroup')) {
+                validateContainer(item.querySelector('.rule-subgroup-body'), includeIncomplete, errors);
+                return;
+            }
+            const rule = readRuleRow(item);
+            if (!rule.field || !rule.operator) {
+                return;
+            }
+            const message = validateRule(rule, includeIncomplete);
+            if (message) {
+                errors.set(item, message);
+            }
+            rules.push(rule);
+        });
+
+        if (SmartLists.getContainerLogic(container) === 'And') {
+            findContradictions(rules, errors);
+        }
+    }
+
+    /**
+     * Check every rule and exclusion rule, show the errors on their rows and block the submit button while
+     * there are any. Empty "is in" lists are only reported when includeIncomplete is set (on save), and from
+     * then on until the errors are fixed. Returns the number of rules with errors.
+     */
+    SmartLists.validateRules = function (page, includeIncomplete) {
+        if (page._ruleValidationTimer) {
+            clearTimeout(page._ruleValidationTimer);
+            page._ruleValidationTimer = null;
+        }
+        if (includeIncomplete) {
+            page._ruleValidationOnSave = true;
+        }
+
+        const errors = new Map();
+        page.querySelectorAll('#rules-container, #exclusion-rules-container').forEach(function (rulesContainer) {
+            rulesContainer.querySelectorAll(':scope > .logic-group').forEach(function (logicGroup) {
+                validateContainer(logicGroup, !!page._ruleValidationOnSave, errors);
+            });
+        });
+
+        page.querySelectorAll('#rules-container .rule-row, #exclusion-rules-container .rule-row').forEach(function (ruleRow) {
+            showRuleError(ruleRow, errors.get(ruleRow) || null);
+        });
+
+        // In text mode the rule rows are hidden, so their errors are listed under the rule text instead
+        if (SmartLists.showRuleTextValidationErrors) {
+            const textErrors = [];
+            errors.forEach(function (message, ruleRow) {
+                if (ruleRow.closest('#rules-container')) {
+                    const rule = readRuleRow(ruleRow);
+                    textErrors.push(rule.fieldLabel + ' ' + rule.operatorLabel + ': ' + message);
+                }
+            });
+            SmartLists.showRuleTextValidationErrors(page, textErrors);
+        }
+
+        if (errors.size === 0) {
+            page._ruleValidationOnSave = false;
+        }
+        setSubmitBlocked(page, errors.size > 0);
+        return errors.size;
+    };
+
+    SmartLists.scheduleRuleValidation = function (page) {
+        if (page._ruleValidationTimer) {
+            clearTimeout(page._ruleValidationTimer);
+        }
+        page._ruleValidationTimer = setTimeout(function () {
+            page._ruleValidationTimer = null;
+            SmartLists.validateRules(page);
+        }, VALIDATION_DEBOUNCE_MS);
+    };
+
+    /**
+     * Start validation over for a list that was just loaded into the form (or a cleared form).
+     */
+    SmartLists.resetRuleValidation = function (page) {
+        page._ruleValidationOnSave = false;
+        SmartLists.scheduleRuleValidation(page);
+    };
+
+    /**
+     * Scroll to the first rule with an error and focus its value.
+     */
+    SmartLists.focusFirstRuleError = function (page) {
+        const errorDiv = page.querySelector('#rules-container .rule-validation-error, #exclusion-rules-container .rule-validation-error');
+        if (!errorDiv) return;
+
+        const ruleRow = errorDiv.closest('.rule-row');
+        // Rule rows are hidden in text mode, where the errors are listed under the text
+        if (ruleRow.closest('#rules-container.hide')) {
+            const textInput = page.querySelector('#rulesTextInput');
+            if (textInput) {
+                textInput.focus();
+            }
+            return;
+        }
+        ruleRow.scrollIntoView({ behavior: 'smooth', block: 'center' });
+        const input = ruleRow.querySelector('.rule-value-container [aria-invalid="true"]:not([type="hidden"])');
+        if (input) {
+            input.focus({ preventScroll: true });
+        }
+    };
+
+    // ===== VALIDATION LISTENERS =====
+    SmartLists.setupRuleValidationListeners = function (page, signal) {
+        page.querySelectorAll('#rules-container, #exclusion-rules-container').forEach(function (rulesContainer) {
+            const onRulesEdited = function () {
+                SmartLists.scheduleRuleValidation(page);
+            };
+            // focusout catches a tag list value that was typed but never added with Enter
+            ['change', 'input', 'focusout'].forEach(function (eventName) {
+                rulesContainer.addEventListener(eventName, onRulesEdited, SmartLists.getEventListenerOptions(signal));
+            });
+            // Adding and removing rules and tags happens with buttons
+            rulesContainer.addEventListener('click', function (e) {
+                if (e.target && e.target.closest && e.target.closest('button')) {
+                    onRulesEdited();
+                }
+            }, SmartLists.getEventListenerOptions(signal));
+        });
+    };
+
+})(window.SmartLists = window.SmartLists || {});
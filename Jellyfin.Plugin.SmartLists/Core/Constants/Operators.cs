@@ -60,6 +60,11 @@ namespace Jellyfin.Plugin.SmartLists.Core.Constants
         /// </summary>
         public static readonly string[] LimitedMultiValuedFieldOperators = ["Equal", "Contains", "IsIn", "MatchRegex"];
 
+        /// <summary>
+        /// Operators for the Smart List field, which matches items currently in other smart lists.
+        /// </summary>
+        public static readonly string[] SmartListFieldOperators = ["IsIn", "IsNotIn"];
+
         /// <summary>
         /// Operators for simple single-choice fields.
         /// </summary>
@@ -108,6 +113,10 @@ namespace Jellyfin.Plugin.SmartLists.Core.Constants
                 "Collections"
                     => LimitedMultiValuedFieldOperators,
 
+                // Smart List field (membership in other smart lists)
+                "SmartList"
+                    => SmartListFieldOperators,
+
                 // Simple fields
                 "ItemType"
                     => SimpleFieldOperators,
@@ -158,6 +167,7 @@ namespace Jellyfin.Plugin.SmartLists.Core.Constants
                 // List fields - multi-valued fields
                 // Note: IsNotIn and NotContains excluded from Collections to avoid confusion with series expansion logic
                 ["Collections"] = LimitedMultiValuedFieldOperators,
+                ["SmartList"] = SmartListFieldOperators,
                 ["Genres"] = MultiValuedFieldOperators,
                 ["Studios"] = MultiValuedFieldOperators,
                 ["Tags"] = MultiValuedFieldOperators,
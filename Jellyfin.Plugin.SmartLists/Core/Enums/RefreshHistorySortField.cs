@@ -0,0 +1,19 @@
+using System.Text.Json.Serialization;
+
+namespace Jellyfin.Plugin.SmartLists.Core.Enums
+{
+    /// <summary>
+    /// Column the refresh history is sorted by
+    /// </summary>
+    [JsonConverter(typeof(JsonStringEnumConverter))]
+    public enum RefreshHistorySortField
+    {
+        EndTime,
+        ListName,
+        ListType,
+        TriggerType,
+        Status,
+        Changes,
+        Duration
+    }
+}
@@ -0,0 +1,41 @@
+using System.Text.Json.Serialization;
+
+namespace Jellyfin.Plugin.SmartLists.Core.Enums
+{
+    /// <summary>
+    /// Part of a list refresh whose time is measured by the refresh profiler
+    /// </summary>
+    [JsonConverter(typeof(JsonStringEnumConverter))]
+    public enum RefreshPhase
+    {
+        /// <summary>
+        /// Querying the library for the items to check
+        /// </summary>
+        FetchItems,
+
+        /// <summary>
+        /// Loading the per-item data some rules need, such as people, streams and collections
+        /// </summary>
+        LoadItemData,
+
+        /// <summary>
+        /// Checking the items against the rules
+        /// </summary>
+        EvaluateRules,
+
+        /// <summary>
+        /// Sorting the matched items and applying the item and time limits
+        /// </summary>
+        Sort,
+
+        /// <summary>
+        /// Writing the items to the Jellyfin playlist or collection
+        /// </summary>
+        WriteList,
+
+        /// <summary>
+        /// Time not spent in any of the measured phases
+        /// </summary>
+        Other
+    }
+}
@@ -0,0 +1,17 @@
+using System.Text.Json.Serialization;
+
+namespace Jellyfin.Plugin.SmartLists.Core.Enums
+{
+    /// <summary>
+    /// Kind of change pushed to clients watching refresh status
+    /// </summary>
+    [JsonConverter(typeof(JsonStringEnumConverter))]
+    public enum RefreshStatusEventType
+    {
+        Queued,
+        QueueChanged,
+        Started,
+        Progress,
+        Completed
+    }
+}
@@ -10,7 +10,8 @@ namespace Jellyfin.Plugin.SmartLists.Core.Enums
         Weekly = 2,   // Once per week on specified day/time
         Monthly = 3,  // Once per month on specified day and time
         Interval = 4, // Every X hours/minutes
-        Yearly = 5    // Once per year on specified month, day, and time,
+        Yearly = 5,   // Once per year on specified month, day, and time
+        Cron = 6      // Whenever a cron expression matches
     }
 }
 
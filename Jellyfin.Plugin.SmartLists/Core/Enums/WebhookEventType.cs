@@ -0,0 +1,36 @@
+using System.Text.Json.Serialization;
+
+namespace Jellyfin.Plugin.SmartLists.Core.Enums
+{
+    /// <summary>
+    /// List refresh events a notification webhook can be sent for
+    /// </summary>
+    [JsonConverter(typeof(JsonStringEnumConverter))]
+    public enum WebhookEventType
+    {
+        /// <summary>
+        /// The refresh completed without errors
+        /// </summary>
+        RefreshSucceeded,
+
+        /// <summary>
+        /// The refresh failed with an error
+        /// </summary>
+        RefreshFailed,
+
+        /// <summary>
+        /// The refresh added at least one item to the list
+        /// </summary>
+        ItemsAdded,
+
+        /// <summary>
+        /// The refresh removed at least one item from the list
+        /// </summary>
+        ItemsRemoved,
+
+        /// <summary>
+        /// The refresh removed the last items of the list
+        /// </summary>
+        ListBecameEmpty
+    }
+}
@@ -0,0 +1,56 @@
+using System.Collections.Generic;
+using System.Linq;
+using System.Text.Json.Serialization;
+using Jellyfin.Plugin.SmartLists.Core.Enums;
+using Jellyfin.Plugin.SmartLists.Core.QueryEngine;
+
+namespace Jellyfin.Plugin.SmartLists.Core.Models
+{
+    /// <summary>
+    /// A nested group of rules inside an ExpressionSet, e.g. (Genre = Comedy OR Genre = Animation).
+    /// Its expressions and child groups are combined with the group's own Logic, and the group as a whole
+    /// counts as a single rule of the parent.
+    /// </summary>
+    public class ExpressionGroup
+    {
+        /// <summary>
+        /// Gets how the expressions and child groups are combined. Defaults to Or, since a nested
+        /// And group inside an And set is the same as adding the rules to the set directly.
+        /// </summary>
+        public RuleLogic Logic { get; init; } = RuleLogic.Or;
+
+        /// <summary>
+        /// Gets the rules in this group.
+        /// </summary>
+        public List<Expression>? Expressions { get; init; } = [];
+
+        /// <summary>
+        /// Gets the child groups, evaluated after the expressions.
+        /// </summary>
+        [JsonIgnore(Condition = JsonIgnoreCondition.WhenWritingNull)]
+        public List<ExpressionGroup>? Groups { get; init; }
+
+        /// <summary>
+        /// Returns whether a rule can be used inside a nested group. SimilarTo and collection-only
+        /// Collections rules are resolved per list rather than per item, so they stay at the top level.
+        /// </summary>
+        public static bool IsSupportedInGroup(Expression expression)
+        {
+            if (expression.MemberName == "SimilarTo")
+            {
+                return false;
+            }
+
+            return !(expression.MemberName == "Collections"
+                && (expression.IncludeCollectionOnly == true || expression.IncludeEpisodesWithinSeries == true));
+        }
+
+        /// <summary>
+        /// Returns every expression in this group and all of its child groups.
+        /// </summary>
+        public IEnumerable<Expression> GetAllExpressions()
+        {
+            return (Expressions ?? []).Concat((Groups ?? []).Where(g => g != null).SelectMany(g => g.GetAllExpressions()));
+        }
+    }
+}
@@ -1,4 +1,6 @@
 using System.Collections.Generic;
+using System.Linq;
+using System.Text.Json.Serialization;
 using Jellyfin.Plugin.SmartLists.Core.QueryEngine;
 
 namespace Jellyfin.Plugin.SmartLists.Core.Models
@@ -13,6 +15,22 @@ namespace Jellyfin.Plugin.SmartLists.Core.Models
         /// May be null during JSON deserialization of legacy data.
         /// </summary>
         public List<Expression>? Expressions { get; init; } = [];
+
+        /// <summary>
+        /// Gets the nested rule groups in this set. Each group must pass, in addition to every expression.
+        /// Null for lists without nested groups, so existing list files are unchanged.
+        /// </summary>
+        [JsonIgnore(Condition = JsonIgnoreCondition.WhenWritingNull)]
+        public List<ExpressionGroup>? Groups { get; init; }
+
+        /// <summary>
+        /// Returns every expression in this set, including the ones inside nested groups.
+        /// Use this instead of Expressions when looking for fields a list uses.
+        /// </summary>
+        public IEnumerable<Expression> GetAllExpressions()
+        {
+            return (Expressions ?? []).Concat((Groups ?? []).Where(g => g != null).SelectMany(g => g.GetAllExpressions()));
+        }
     }
 }
 
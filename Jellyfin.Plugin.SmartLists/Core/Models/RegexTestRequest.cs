@@ -0,0 +1,37 @@
+using System.Collections.Generic;
+using Jellyfin.Plugin.SmartLists.Core.QueryEngine;
+
+namespace Jellyfin.Plugin.SmartLists.Core.Models
+{
+    /// <summary>
+    /// A MatchRegex pattern to try out against sample text and, optionally, real field values from the library.
+    /// </summary>
+    public class RegexTestRequest
+    {
+        /// <summary>
+        /// Gets or sets the pattern to test.
+        /// </summary>
+        public string? Pattern { get; set; }
+
+        /// <summary>
+        /// Gets or sets sample strings to match the pattern against.
+        /// </summary>
+        public List<string>? Samples { get; set; }
+
+        /// <summary>
+        /// Gets or sets the in-progress list whose media the library values are read from.
+        /// Library values are only returned when both List and Expression are set.
+        /// </summary>
+        public SmartListDto? List { get; set; }
+
+        /// <summary>
+        /// Gets or sets the rule being tested. Its field, user and parent series options decide which values are read.
+        /// </summary>
+        public Expression? Expression { get; set; }
+
+        /// <summary>
+        /// Gets or sets the maximum number of distinct library values to return.
+        /// </summary>
+        public int Limit { get; set; } = 50;
+    }
+}
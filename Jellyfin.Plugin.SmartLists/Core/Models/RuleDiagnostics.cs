@@ -0,0 +1,180 @@
+using System.Collections.Generic;
+using Jellyfin.Plugin.SmartLists.Core.Enums;
+
+namespace Jellyfin.Plugin.SmartLists.Core.Models
+{
+    /// <summary>
+    /// Match counts for one logic group (ExpressionSet), aligned with the list's ExpressionSets by index.
+    /// </summary>
+    public class RuleSetStatistics
+    {
+        /// <summary>
+        /// Gets or sets the number of items that pass every rule in the group.
+        /// </summary>
+        public int MatchCount { get; set; }
+
+        /// <summary>
+        /// Gets the per-rule counts, aligned with the group's Expressions by index.
+        /// </summary>
+        public List<RuleStatistics> Rules { get; init; } = [];
+    }
+
+    /// <summary>
+    /// Match counts for a single rule within a logic group.
+    /// </summary>
+    public class RuleStatistics
+    {
+        /// <summary>
+        /// Gets or sets the number of items this rule matches on its own.
+        /// </summary>
+        public int MatchCount { get; set; }
+
+        /// <summary>
+        /// Gets or sets the number of items that pass this rule and every rule before it in the group (the AND step).
+        /// </summary>
+        public int RemainingCount { get; set; }
+
+        /// <summary>
+        /// Gets or sets a value indicating whether the rule is evaluated per item.
+        /// Collection-only rules match collections directly and are not counted.
+        /// </summary>
+        public bool Evaluated { get; set; }
+
+        /// <summary>
+        /// Gets or sets the compilation error, if the rule could not be compiled.
+        /// </summary>
+        public string? Error { get; set; }
+    }
+
+    /// <summary>
+    /// Explains why a single item does or does not match a smart list.
+    /// </summary>
+    public class ItemExplanation
+    {
+        /// <summary>
+        /// Gets or sets a value indicating whether the item passes the rules.
+        /// Sorting and limits are not applied, so a matching item can still be cut from the final list.
+        /// </summary>
+        public bool Matches { get; set; }
+
+        /// <summary>
+        /// Gets the per-group results, aligned with the list's ExpressionSets by index.
+        /// </summary>
+        public List<ExpressionSetExplanation> Sets { get; init; } = [];
+
+        /// <summary>
+        /// Gets the per-block results for the exclusion blocks, aligned with the list's ExclusionSets by index.
+        /// The item is excluded if any block passed.
+        /// </summary>
+        public List<ExpressionGroupExplanation> Exclusions { get; init; } = [];
+    }
+
+    /// <summary>
+    /// Evaluation results for one logic group (ExpressionSet).
+    /// </summary>
+    public class ExpressionSetExplanation
+    {
+        /// <summary>
+        /// Gets or sets a value indicating whether every evaluated rule in the group passed.
+        /// </summary>
+        public bool Passed { get; set; }
+
+        /// <summary>
+        /// Gets the per-rule results, aligned with the group's Expressions by index.
+        /// </summary>
+        public List<ExpressionExplanation> Expressions { get; init; } = [];
+
+        /// <summary>
+        /// Gets the results for the group's nested groups, aligned with its Groups by index.
+        /// </summary>
+        public List<ExpressionGroupExplanation> Groups { get; init; } = [];
+    }
+
+    /// <summary>
+    /// Evaluation results for a nested rule group (ExpressionGroup).
+    /// </summary>
+    public class ExpressionGroupExplanation
+    {
+        /// <summary>
+        /// Gets or sets how the group combines its rules and nested groups.
+        /// </summary>
+        public RuleLogic Logic { get; set; }
+
+        /// <summary>
+        /// Gets or sets a value indicating whether the group passed, using its own AND/OR logic.
+        /// </summary>
+        public bool Passed { get; set; }
+
+        /// <summary>
+        /// Gets or sets a value indicating whether any rule in the group could be evaluated.
+        /// </summary>
+        public bool Evaluated { get; set; }
+
+        /// <summary>
+        /// Gets the per-rule results, aligned with the group's Expressions by index.
+        /// </summary>
+        public List<ExpressionExplanation> Expressions { get; init; } = [];
+
+        /// <summary>
+        /// Gets the results for the group's nested groups, aligned with its Groups by index.
+        /// </summary>
+        public List<ExpressionGroupExplanation> Groups { get; init; } = [];
+    }
+
+    /// <summary>
+    /// Evaluation result for a single rule, including the field value the rule was evaluated against.
+    /// </summary>
+    public class ExpressionExplanation
+    {
+        /// <summary>
+        /// Gets or sets the field the rule checks.
+        /// </summary>
+        public string MemberName { get; set; } = string.Empty;
+
+        /// <summary>
+        /// Gets or sets the rule's operator.
+        /// </summary>
+        public string Operator { get; set; } = string.Empty;
+
+        /// <summary>
+        /// Gets or sets the value the rule compares the field against.
+        /// </summary>
+        public string TargetValue { get; set; } = string.Empty;
+
+        /// <summary>
+        /// Gets or sets a value indicating whether the rule passed for the item.
+        /// </summary>
+        public bool Passed { get; set; }
+
+        /// <summary>
+        /// Gets or sets a value indicating whether the rule is evaluated per item.
+        /// </summary>
+        public bool Evaluated { get; set; }
+
+        /// <summary>
+        /// Gets or sets the field value the rule was evaluated against, formatted for display.
+        /// </summary>
+        public string? ActualValue { get; set; }
+
+        /// <summary>
+        /// Gets or sets the compilation or evaluation error, if any.
+        /// </summary>
+        public string? Error { get; set; }
+    }
+
+    /// <summary>
+    /// A distinct field value and the number of items that have it.
+    /// </summary>
+    public class FieldValueCount
+    {
+        /// <summary>
+        /// Gets or sets the field value.
+        /// </summary>
+        public string Value { get; set; } = string.Empty;
+
+        /// <summary>
+        /// Gets or sets the number of items that have the value.
+        /// </summary>
+        public int ItemCount { get; set; }
+    }
+}
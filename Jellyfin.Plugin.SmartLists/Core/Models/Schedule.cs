@@ -12,7 +12,7 @@ namespace Jellyfin.Plugin.SmartLists.Core.Models
     public class Schedule
     {
         /// <summary>
-        /// The type of schedule trigger (Daily, Weekly, Monthly, Yearly, Interval)
+        /// The type of schedule trigger (Daily, Weekly, Monthly, Yearly, Interval, Cron)
         /// </summary>
         public ScheduleTrigger Trigger { get; set; }
 
@@ -47,6 +47,25 @@ namespace Jellyfin.Plugin.SmartLists.Core.Models
         /// </summary>
         [JsonIgnore(Condition = JsonIgnoreCondition.WhenWritingNull)]
         public TimeSpan? Interval { get; set; }
+
+        /// <summary>
+        /// Start of the active window for Interval schedules (local time, e.g., 18:00).
+        /// Set together with WindowEnd; a window that ends before it starts runs past midnight.
+        /// </summary>
+        [JsonIgnore(Condition = JsonIgnoreCondition.WhenWritingNull)]
+        public TimeSpan? WindowStart { get; set; }
+
+        /// <summary>
+        /// End of the active window for Interval schedules (local time, inclusive, e.g., 23:00)
+        /// </summary>
+        [JsonIgnore(Condition = JsonIgnoreCondition.WhenWritingNull)]
+        public TimeSpan? WindowEnd { get; set; }
+
+        /// <summary>
+        /// Cron expression for Cron schedules (minute hour day-of-month month day-of-week, local time, e.g., "0 6 * * 1-5")
+        /// </summary>
+        [JsonIgnore(Condition = JsonIgnoreCondition.WhenWritingNull)]
+        public string? CronExpression { get; set; }
     }
 }
 
@@ -0,0 +1,38 @@
+using System;
+using System.Collections.Generic;
+using Jellyfin.Plugin.SmartLists.Core.Enums;
+
+namespace Jellyfin.Plugin.SmartLists.Core.Models
+{
+    /// <summary>
+    /// An upcoming refresh the schedule timer will start for a list.
+    /// </summary>
+    public class ScheduledRun
+    {
+        /// <summary>
+        /// Gets or sets the list ID.
+        /// </summary>
+        public string ListId { get; set; } = string.Empty;
+
+        /// <summary>
+        /// Gets or sets the list name.
+        /// </summary>
+        public string ListName { get; set; } = string.Empty;
+
+        /// <summary>
+        /// Gets or sets the list type.
+        /// </summary>
+        public SmartListType ListType { get; set; }
+
+        /// <summary>
+        /// Gets or sets the schedule check (UTC) that starts the refresh.
+        /// </summary>
+        public DateTime Time { get; set; }
+
+        /// <summary>
+        /// Gets the triggers of the list's schedules that are due at this check.
+        /// A list due on several schedules at once is still refreshed only once.
+        /// </summary>
+        public List<ScheduleTrigger> Triggers { get; init; } = [];
+    }
+}
@@ -17,6 +17,11 @@ namespace Jellyfin.Plugin.SmartLists.Core.Models
     [JsonDerivedType(typeof(SmartCollectionDto), typeDiscriminator: "Collection")]
     public abstract class SmartListDto
     {
+        /// <summary>
+        /// Maximum number of refreshes kept in StatisticsHistory. Older entries are dropped first.
+        /// </summary>
+        public const int MaxStatisticsHistoryEntries = 100;
+
         /// <summary>
         /// Type discriminator - determines if this is a Playlist or Collection
         /// </summary>
@@ -39,6 +44,14 @@ namespace Jellyfin.Plugin.SmartLists.Core.Models
 
         // Query and filtering
         public List<ExpressionSet> ExpressionSets { get; set; } = [];
+
+        /// <summary>
+        /// Exclusion rule blocks. An item that matches any of these sets is removed from the result,
+        /// even if it matches ExpressionSets.
+        /// </summary>
+        [JsonIgnore(Condition = JsonIgnoreCondition.WhenWritingNull)]
+        public List<ExpressionSet>? ExclusionSets { get; set; }
+
         // Order is optional for creation (initialized if not provided)
         [JsonIgnore(Condition = JsonIgnoreCondition.WhenWritingNull)]
         public OrderDto? Order { get; set; }
@@ -87,6 +100,12 @@ namespace Jellyfin.Plugin.SmartLists.Core.Models
         [JsonIgnore(Condition = JsonIgnoreCondition.WhenWritingNull)]
         public double? TotalRuntimeMinutes { get; set; }
 
+        /// <summary>
+        /// Item count and runtime after each of the most recent successful refreshes, oldest first.
+        /// </summary>
+        [JsonIgnore(Condition = JsonIgnoreCondition.WhenWritingNull)]
+        public List<StatisticsSnapshot>? StatisticsHistory { get; set; }
+
         // Similarity comparison fields
         [JsonIgnore(Condition = JsonIgnoreCondition.WhenWritingNull)]
         public List<string> SimilarityComparisonFields { get; set; } = [];
@@ -97,24 +116,62 @@ namespace Jellyfin.Plugin.SmartLists.Core.Models
         /// </summary>
         public void MigrateLegacyFields()
         {
-            if (ExpressionSets != null)
+            foreach (var expressionSet in GetAllRuleSets())
             {
-                foreach (var expressionSet in ExpressionSets)
+                foreach (var expression in expressionSet.GetAllExpressions())
                 {
-                    if (expressionSet.Expressions != null)
+                    if (expression.MemberName == "IsPlayed")
                     {
-                        foreach (var expression in expressionSet.Expressions)
-                        {
-                            if (expression.MemberName == "IsPlayed")
-                            {
-                                expression.MemberName = "PlaybackStatus";
-                                expression.TargetValue = expression.TargetValue == "true" ? "Played" : "Unplayed";
-                            }
-                        }
+                        expression.MemberName = "PlaybackStatus";
+                        expression.TargetValue = expression.TargetValue == "true" ? "Played" : "Unplayed";
                     }
                 }
             }
         }
+
+        /// <summary>
+        /// Appends the current ItemCount and TotalRuntimeMinutes to StatisticsHistory,
+        /// dropping the oldest entries beyond MaxStatisticsHistoryEntries. A snapshot already recorded
+        /// since refreshStarted belongs to the same refresh (a list saved more than once while refreshing,
+        /// such as a playlist with several users) and is replaced.
+        /// </summary>
+        /// <param name="time">When the refresh completed (UTC).</param>
+        /// <param name="duration">How long the refresh took, if known.</param>
+        /// <param name="refreshStarted">When the refresh started (UTC).</param>
+        public void RecordStatistics(DateTime time, TimeSpan? duration, DateTime refreshStarted)
+        {
+            if (!ItemCount.HasValue)
+            {
+                return;
+            }
+
+            StatisticsHistory ??= [];
+            if (StatisticsHistory.Count > 0 && StatisticsHistory[^1].Time >= refreshStarted)
+            {
+                StatisticsHistory.RemoveAt(StatisticsHistory.Count - 1);
+            }
+
+            StatisticsHistory.Add(new StatisticsSnapshot
+            {
+                Time = time,
+                ItemCount = ItemCount.Value,
+                TotalRuntimeMinutes = TotalRuntimeMinutes,
+                DurationSeconds = duration?.TotalSeconds,
+            });
+
+            if (StatisticsHistory.Count > MaxStatisticsHistoryEntries)
+            {
+                StatisticsHistory.RemoveRange(0, StatisticsHistory.Count - MaxStatisticsHistoryEntries);
+            }
+        }
+
+        /// <summary>
+        /// Gets every rule set on the list: the logic groups followed by the exclusion blocks.
+        /// </summary>
+        public IEnumerable<ExpressionSet> GetAllRuleSets()
+        {
+            return (ExpressionSets ?? []).Concat(ExclusionSets ?? []).Where(set => set != null);
+        }
     }
 }
 
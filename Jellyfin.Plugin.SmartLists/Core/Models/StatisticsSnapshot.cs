@@ -0,0 +1,30 @@
+using System;
+
+namespace Jellyfin.Plugin.SmartLists.Core.Models
+{
+    /// <summary>
+    /// A list's statistics as recorded after one successful refresh.
+    /// </summary>
+    public class StatisticsSnapshot
+    {
+        /// <summary>
+        /// Gets or sets when the refresh completed (UTC).
+        /// </summary>
+        public DateTime Time { get; set; }
+
+        /// <summary>
+        /// Gets or sets the number of items in the list after the refresh.
+        /// </summary>
+        public int ItemCount { get; set; }
+
+        /// <summary>
+        /// Gets or sets the total runtime of the list after the refresh, in minutes.
+        /// </summary>
+        public double? TotalRuntimeMinutes { get; set; }
+
+        /// <summary>
+        /// Gets or sets how long the refresh took, in seconds, or null if it wasn't tracked.
+        /// </summary>
+        public double? DurationSeconds { get; set; }
+    }
+}
@@ -0,0 +1,25 @@
+using Jellyfin.Plugin.SmartLists.Core.Enums;
+
+namespace Jellyfin.Plugin.SmartLists.Core.Models
+{
+    /// <summary>
+    /// A webhook from the Notifications settings, possibly unsaved, to send a made-up event to.
+    /// </summary>
+    public class WebhookTestRequest
+    {
+        /// <summary>
+        /// Gets or sets the URL to post to.
+        /// </summary>
+        public string? Url { get; set; }
+
+        /// <summary>
+        /// Gets or sets the payload template, or empty for the default payload.
+        /// </summary>
+        public string? PayloadTemplate { get; set; }
+
+        /// <summary>
+        /// Gets or sets the event to send. The sample refresh is shaped to match it.
+        /// </summary>
+        public WebhookEventType EventType { get; set; } = WebhookEventType.RefreshSucceeded;
+    }
+}
@@ -19,6 +19,12 @@ namespace Jellyfin.Plugin.SmartLists.Core.QueryEngine
         // Cache for compiled regex patterns to avoid recompilation
         private static readonly ConcurrentDictionary<string, Regex> _regexCache = new();
 
+        /// <summary>
+        /// The options MatchRegex patterns are compiled with. Matching is case-sensitive unless the pattern uses (?i).
+        /// Anything that tests a pattern on behalf of a rule should use these, so it behaves like the rule will.
+        /// </summary>
+        public const RegexOptions MatchRegexOptions = RegexOptions.Compiled;
+
         /// <summary>
         /// Normalizes a UserId string to "N" format (no dashes) for consistent dictionary lookups.
         /// Handles various GUID formats and converts them to the standard format used by UserPlaylists.
@@ -59,7 +65,7 @@ namespace Jellyfin.Plugin.SmartLists.Core.QueryEngine
                 try
                 {
                     logger?.LogDebug("SmartLists compiling new regex pattern: {Pattern}", key);
-                    return new Regex(key, RegexOptions.Compiled | RegexOptions.None);
+                    return new Regex(key, MatchRegexOptions);
                 }
                 catch (ArgumentException ex)
                 {
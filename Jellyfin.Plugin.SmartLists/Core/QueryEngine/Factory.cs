@@ -30,6 +30,7 @@ namespace Jellyfin.Plugin.SmartLists.Core.QueryEngine
         public bool ExtractVideoQuality { get; set; } = false;
         public bool ExtractPeople { get; set; } = false;
         public bool ExtractCollections { get; set; } = false;
+        public bool ExtractSmartList { get; set; } = false;
         public bool ExtractNextUnwatched { get; set; } = false;
         public bool ExtractSeriesName { get; set; } = false;
         public bool ExtractParentSeriesTags { get; set; } = false;
@@ -2224,6 +2225,12 @@ namespace Jellyfin.Plugin.SmartLists.Core.QueryEngine
                 operand.Collections = [];
             }
 
+            // Smart List membership - only when needed, from the referenced lists' items loaded ahead of time
+            if (options.ExtractSmartList)
+            {
+                operand.SmartList = [.. cache.ReferencedListItems.Where(kv => kv.Value.Contains(baseItem.Id)).Select(kv => kv.Key)];
+            }
+
             // Extract parent series tags for episodes - only when needed for performance
             // This is an expensive operation (database lookup), so we use caching
             if (extractParentSeriesTags)
@@ -2918,6 +2925,20 @@ namespace Jellyfin.Plugin.SmartLists.Core.QueryEngine
                     continue;
                 }
 
+                // A rule picked from the library points at the item itself, whatever it's called now
+                if (expr.Operator == "Equal" && Guid.TryParse(expr.ReferenceItemId, out var referenceItemId))
+                {
+                    var referenceItem = allItems.FirstOrDefault(item => item?.Id == referenceItemId) ?? libraryManager.GetItemById(referenceItemId);
+                    if (referenceItem != null)
+                    {
+                        logger?.LogDebug("Found SimilarTo reference item {ItemId} ('{Name}')", referenceItemId, referenceItem.Name);
+                        referenceItems.Add(referenceItem);
+                        continue;
+                    }
+
+                    logger?.LogWarning("SimilarTo reference item {ItemId} no longer exists, matching '{Value}' by name instead", referenceItemId, expr.TargetValue);
+                }
+
                 // Apply the operator to find matching items
                 var matchingItems = allItems.Where(item =>
                 {
@@ -3552,7 +3573,7 @@ namespace Jellyfin.Plugin.SmartLists.Core.QueryEngine
         {
             try
             {
-                var regex = new System.Text.RegularExpressions.Regex(pattern, System.Text.RegularExpressions.RegexOptions.Compiled);
+                var regex = new System.Text.RegularExpressions.Regex(pattern, Engine.MatchRegexOptions);
                 return regex.IsMatch(name);
             }
             catch (Exception ex)
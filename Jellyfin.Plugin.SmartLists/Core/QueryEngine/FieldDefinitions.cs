@@ -1,4 +1,6 @@
+using System;
 using System.Collections.Generic;
+using System.Linq;
 
 namespace Jellyfin.Plugin.SmartLists.Core.QueryEngine
 {
@@ -26,6 +28,7 @@ namespace Jellyfin.Plugin.SmartLists.Core.QueryEngine
         public static readonly HashSet<string> ListFields =
         [
             "Collections",
+            "SmartList",
             "AudioLanguages",
             "People",
             "Actors",
@@ -164,6 +167,22 @@ namespace Jellyfin.Plugin.SmartLists.Core.QueryEngine
             "LastPlayedDate"
         ];
 
+        /// <summary>
+        /// Fields with a limited set of values that can be suggested from the library while a rule is typed:
+        /// the list fields (except SmartList, which picks a list), the people roles, ratings and codecs.
+        /// </summary>
+        public static readonly HashSet<string> SuggestionFields =
+        [
+            .. ListFields.Where(field => field != "SmartList"),
+            "OfficialRating",
+            "AudioCodec",
+            "AudioProfile",
+            "VideoCodec",
+            "VideoProfile",
+            "VideoRange",
+            "VideoRangeType"
+        ];
+
         /// <summary>
         /// Checks if a field is a date field that requires special date handling.
         /// </summary>
@@ -254,6 +273,18 @@ namespace Jellyfin.Plugin.SmartLists.Core.QueryEngine
             return SimilarityFields.Contains(fieldName);
         }
 
+        /// <summary>
+        /// Gets the field with the given name, in any case, if its values can be suggested from the library.
+        /// </summary>
+        /// <param name="fieldName">The field name to look up</param>
+        /// <returns>The field name as spelled in SuggestionFields, or null if it's not a suggestion field</returns>
+        public static string? GetSuggestionField(string? fieldName)
+        {
+            return string.IsNullOrEmpty(fieldName)
+                ? null
+                : SuggestionFields.FirstOrDefault(field => string.Equals(field, fieldName, StringComparison.OrdinalIgnoreCase));
+        }
+
         /// <summary>
         /// Checks if a field is a people role field (cast/crew for movies and TV shows).
         /// </summary>
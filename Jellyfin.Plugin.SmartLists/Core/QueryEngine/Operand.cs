@@ -79,6 +79,9 @@ namespace Jellyfin.Plugin.SmartLists.Core.QueryEngine
         // Collections field - indicates which collections this item belongs to
         public List<string> Collections { get; set; } = [];
 
+        // Smart List field - IDs of the referenced smart lists that currently contain this item
+        public List<string> SmartList { get; set; } = [];
+
         // Series name field - for episodes, contains the name of the parent series
         public string SeriesName { get; set; } = string.Empty;
 
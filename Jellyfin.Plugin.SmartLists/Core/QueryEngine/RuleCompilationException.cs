@@ -0,0 +1,25 @@
+using System;
+
+namespace Jellyfin.Plugin.SmartLists.Core.QueryEngine
+{
+    /// <summary>
+    /// Thrown when rules that remove items from a list can't be compiled. Running without them would
+    /// keep items the list should leave out, so the refresh fails and the list stays as it was.
+    /// </summary>
+    public class RuleCompilationException : InvalidOperationException
+    {
+        public RuleCompilationException()
+        {
+        }
+
+        public RuleCompilationException(string message)
+            : base(message)
+        {
+        }
+
+        public RuleCompilationException(string message, Exception innerException)
+            : base(message, innerException)
+        {
+        }
+    }
+}
@@ -2,9 +2,12 @@ using System;
 using System.Collections.Concurrent;
 using System.Collections.Generic;
 using System.Diagnostics;
+using System.Globalization;
 using System.Linq;
+using System.Threading;
 using Jellyfin.Data.Enums;
 using Jellyfin.Database.Implementations.Entities;
+using Jellyfin.Plugin.SmartLists.Core.Enums;
 using Jellyfin.Plugin.SmartLists.Core.Models;
 using Jellyfin.Plugin.SmartLists.Core.Orders;
 using Jellyfin.Plugin.SmartLists.Core.QueryEngine;
@@ -26,6 +29,7 @@ namespace Jellyfin.Plugin.SmartLists.Core
         public List<Order> Orders { get; set; }
         public List<string>? MediaTypes { get; set; }
         public List<ExpressionSet> ExpressionSets { get; set; }
+        public List<ExpressionSet> ExclusionSets { get; set; }
         public int MaxItems { get; set; }
         public int MaxPlayTimeMinutes { get; set; }
         public List<string>? SimilarityComparisonFields { get; set; }
@@ -33,11 +37,18 @@ namespace Jellyfin.Plugin.SmartLists.Core
         // UserManager for resolving user-specific queries (Jellyfin 10.11+)
         public IUserManager UserManager { get; set; } = null!;
 
+        // Records phase and rule timings when set; the refresh queue sets it for every refresh it runs
+        public RefreshProfiler? Profiler { get; set; }
+
         // Similarity scores for sorting (populated during filtering when SimilarTo rules are active)
         private readonly ConcurrentDictionary<Guid, float> _similarityScores = new();
 
         // OPTIMIZATION: Static cache for compiled rules to avoid recompilation
-        private static readonly ConcurrentDictionary<string, List<List<Func<Operand, bool>>>> _ruleCache = new();
+        // The rules that couldn't be compiled are kept with them so every refresh can report them, not just the first
+        private static readonly ConcurrentDictionary<string, (List<List<Func<Operand, bool>>> Rules, List<(string Rule, string Error)> SkippedRules)> _ruleCache = new();
+
+        // Receives the rules that are skipped or throw while lists are filtered on the current async flow
+        private static readonly AsyncLocal<Action<string, string>?> _ruleErrorHandler = new();
 
         // Cache management constants and fields
         private const int MAX_CACHE_SIZE = 1000; // Maximum number of cached rule sets
@@ -72,6 +83,7 @@ namespace Jellyfin.Plugin.SmartLists.Core
             // Initialize properties before calling InitializeFromDto
             Orders = [];
             ExpressionSets = [];
+            ExclusionSets = [];
 
             InitializeFromDto(dto);
         }
@@ -91,6 +103,7 @@ namespace Jellyfin.Plugin.SmartLists.Core
             // Initialize properties before calling InitializeFromDto
             Orders = [];
             ExpressionSets = [];
+            ExclusionSets = [];
 
             InitializeFromDto(dto);
         }
@@ -140,6 +153,8 @@ namespace Jellyfin.Plugin.SmartLists.Core
             {
                 ExpressionSets = [];
             }
+
+            ExclusionSets = dto.ExclusionSets != null ? [.. dto.ExclusionSets.Where(set => set != null)] : [];
         }
 
         private List<List<Func<Operand, bool>>> CompileRuleSets(string? defaultUserId = null, ILogger? logger = null)
@@ -165,8 +180,9 @@ namespace Jellyfin.Plugin.SmartLists.Core
                 // OPTIMIZATION: Generate a cache key based on the rule set content and defaultUserId
                 var ruleSetHash = GenerateRuleSetHash(effectiveDefaultUserId);
 
-                return _ruleCache.GetOrAdd(ruleSetHash, _ =>
+                var compiled = _ruleCache.GetOrAdd(ruleSetHash, _ =>
                 {
+                    var skippedRules = new List<(string Rule, string Error)>();
                     try
                     {
                         logger?.LogDebug("Compiling rules for playlist {PlaylistName} (cache miss)", Name);
@@ -220,19 +236,40 @@ namespace Jellyfin.Plugin.SmartLists.Core
                                     var compiledRule = Engine.CompileRule<Operand>(expr, effectiveDefaultUserId, logger);
                                     if (compiledRule != null)
                                     {
-                                        compiledRules.Add(compiledRule);
+                                        compiledRules.Add(ReportingErrors(compiledRule, DescribeRule($"rule group {setIndex + 1}, rule {exprIndex + 1}", expr)));
                                     }
                                     else
                                     {
                                         logger?.LogWarning("Failed to compile rule at set {SetIndex}, index {ExprIndex} for playlist '{PlaylistName}': {Field} {Operator} {Value}",
                                             setIndex, exprIndex, Name, expr.MemberName, expr.Operator, expr.TargetValue);
+                                        skippedRules.Add((DescribeRule($"rule group {setIndex + 1}, rule {exprIndex + 1}", expr), "The rule could not be compiled"));
                                     }
                                 }
                                 catch (Exception ex)
                                 {
-                                    logger?.LogError(ex, "Error compiling rule at set {SetIndex}, index {ExprIndex} for playlist '{PlaylistName}': {Field} {Operator} {Value}",
-                                        setIndex, exprIndex, Name, expr.MemberName, expr.Operator, expr.TargetValue);
+                                    logger?.LogWarning(ex, "Skipping rule that could not be compiled in playlist '{PlaylistName}' at rule group {SetNumber}, rule {RuleNumber}: {Field} {Operator} \"{Value}\"",
+                                        Name, setIndex + 1, exprIndex + 1, expr.MemberName, expr.Operator, expr.TargetValue);
                                     // Skip this rule and continue with others
+                                    skippedRules.Add((DescribeRule($"rule group {setIndex + 1}, rule {exprIndex + 1}", expr), ex.Message));
+                                }
+                            }
+
+                            // Each nested group compiles to a single rule, placed after the set's own expressions
+                            if (set.Groups != null && !string.IsNullOrEmpty(effectiveDefaultUserId))
+                            {
+                                for (int groupIndex = 0; groupIndex < set.Groups.Count; groupIndex++)
+                                {
+                                    var group = set.Groups[groupIndex];
+                                    var compiledGroup = CompileExpressionGroup(group, effectiveDefaultUserId, logger,
+                                        $"rule group {setIndex + 1}, nested group {groupIndex + 1}", skippedRules);
+                                    if (compiledGroup != null)
+                                    {
+                                        compiledRules.Add(compiledGroup);
+                                    }
+                                    else
+                                    {
+                                        logger?.LogWarning("Skipping empty or invalid nested group in expression set {SetIndex} for playlist '{PlaylistName}'", setIndex, Name);
+                                    }
                                 }
                             }
 
@@ -244,14 +281,21 @@ namespace Jellyfin.Plugin.SmartLists.Core
                         logger?.LogDebug("Successfully compiled {SetCount} rule sets for playlist '{PlaylistName}'",
                             compiledRuleSets.Count, Name);
 
-                        return compiledRuleSets;
+                        return (compiledRuleSets, skippedRules);
                     }
                     catch (Exception ex)
                     {
                         logger?.LogError(ex, "Critical error during rule compilation for playlist '{PlaylistName}'. Returning empty rule set.", Name);
-                        return [];
+                        return ([], skippedRules);
                     }
                 });
+
+                foreach (var (rule, error) in compiled.SkippedRules)
+                {
+                    ReportRuleError(rule, error);
+                }
+
+                return compiled.Rules;
             }
             catch (Exception ex)
             {
@@ -260,6 +304,301 @@ namespace Jellyfin.Plugin.SmartLists.Core
             }
         }
 
+        /// <summary>
+        /// Compiles a nested rule group into a single rule. Child rules are combined with the group's logic,
+        /// and a child rule that throws counts as <paramref name="resultOnError"/>: not matching for rule groups,
+        /// like in EvaluateLogicGroups, and matching for exclusion blocks, so an item is left out rather than kept.
+        /// A child rule that can't be compiled is skipped with a warning naming the group, and added to <paramref name="skippedRules"/>.
+        /// </summary>
+        /// <returns>The compiled group, or null if the group has no rules that could be compiled.</returns>
+        private Func<Operand, bool>? CompileExpressionGroup(ExpressionGroup? group, string defaultUserId, ILogger? logger, string location,
+            List<(string Rule, string Error)> skippedRules, bool resultOnError = false)
+        {
+            if (group == null)
+            {
+                return null;
+            }
+
+            var children = new List<Func<Operand, bool>>();
+
+            foreach (var expr in group.Expressions ?? [])
+            {
+                if (expr == null)
+                {
+                    continue;
+                }
+
+                if (!ExpressionGroup.IsSupportedInGroup(expr))
+                {
+                    logger?.LogWarning("Skipping {Field} rule in a nested group for playlist '{PlaylistName}' - it is only supported at the top level", expr.MemberName, Name);
+                    skippedRules.Add((DescribeRule(location, expr), "This field is only supported at the top level of a rule group"));
+                    continue;
+                }
+
+                try
+                {
+                    var compiledRule = Engine.CompileRule<Operand>(expr, defaultUserId, logger);
+                    if (compiledRule != null)
+                    {
+                        children.Add(ReportingErrors(compiledRule, DescribeRule(location, expr)));
+                    }
+                }
+                catch (Exception ex)
+                {
+                    logger?.LogWarning(ex, "Skipping rule that could not be compiled in playlist '{PlaylistName}' at {Location}: {Field} {Operator} \"{Value}\"",
+                        Name, location, expr.MemberName, expr.Operator, expr.TargetValue);
+                    skippedRules.Add((DescribeRule(location, expr), ex.Message));
+                }
+            }
+
+            foreach (var childGroup in group.Groups ?? [])
+            {
+                var compiledChild = CompileExpressionGroup(childGroup, defaultUserId, logger, location, skippedRules, resultOnError);
+                if (compiledChild != null)
+                {
+                    children.Add(compiledChild);
+                }
+            }
+
+            if (children.Count == 0)
+            {
+                return null;
+            }
+
+            var rules = children.ToArray();
+            if (group.Logic == RuleLogic.And)
+            {
+                return operand => rules.All(rule => InvokeRuleSafely(rule, operand, resultOnError));
+            }
+
+            return operand => rules.Any(rule => InvokeRuleSafely(rule, operand, resultOnError));
+        }
+
+        private static bool InvokeRuleSafely(Func<Operand, bool> rule, Operand operand, bool resultOnError = false)
+        {
+            try
+            {
+                return rule(operand);
+            }
+            catch (Exception)
+            {
+                // Conservative approach: a failing rule doesn't match, and a failing exclusion excludes the item
+                return resultOnError;
+            }
+        }
+
+        /// <summary>
+        /// Sets the handler that receives the rules of lists filtered on the current async flow that are skipped
+        /// because they can't be compiled, or that throw while evaluating an item, with where the rule is and the error.
+        /// Set from an async method, it covers the lists filtered within that method and is undone when it returns.
+        /// </summary>
+        public static void SetRuleErrorHandler(Action<string, string>? handler)
+        {
+            _ruleErrorHandler.Value = handler;
+        }
+
+        private static void ReportRuleError(string rule, string error)
+        {
+            _ruleErrorHandler.Value?.Invoke(rule, error);
+        }
+
+        private static string DescribeRule(string location, Expression expr)
+        {
+            return $"{location}: {DescribeRule(expr)}";
+        }
+
+        // Reports a rule's exceptions with where it is in the list and rethrows them, so callers still decide what a throwing rule means
+        private static Func<Operand, bool> ReportingErrors(Func<Operand, bool> rule, string description)
+        {
+            return operand =>
+            {
+                try
+                {
+                    return rule(operand);
+                }
+                catch (Exception ex)
+                {
+                    ReportRuleError(description, ex.Message);
+                    throw;
+                }
+            };
+        }
+
+        /// <summary>
+        /// Compiles the exclusion blocks. Each block is an AND of its rules and nested groups,
+        /// compiled the same way as a nested group. Empty blocks are dropped.
+        /// </summary>
+        /// <exception cref="RuleCompilationException">A block has rules but none of them could be compiled.</exception>
+        private List<Func<Operand, bool>> CompileExclusionSets(string? defaultUserId, ILogger? logger)
+        {
+            var effectiveDefaultUserId = defaultUserId ?? (UserId != Guid.Empty ? UserId.ToString("N") : null);
+            if (ExclusionSets == null || ExclusionSets.Count == 0 || string.IsNullOrEmpty(effectiveDefaultUserId))
+            {
+                return [];
+            }
+
+            var compiledExclusions = new List<Func<Operand, bool>>();
+            var skippedRules = new List<(string Rule, string Error)>();
+            try
+            {
+                for (int setIndex = 0; setIndex < ExclusionSets.Count; setIndex++)
+                {
+                    var set = ExclusionSets[setIndex];
+                    var compiledExclusion = CompileExpressionGroup(new ExpressionGroup
+                    {
+                        Logic = RuleLogic.And,
+                        Expressions = set?.Expressions,
+                        Groups = set?.Groups,
+                    }, effectiveDefaultUserId, logger, $"exclusion block {setIndex + 1}", skippedRules, resultOnError: true);
+
+                    if (compiledExclusion != null)
+                    {
+                        compiledExclusions.Add(compiledExclusion);
+                    }
+                    else if (set?.GetAllExpressions().Any(expr => expr != null) == true)
+                    {
+                        // Dropping the block would keep every item it should remove
+                        throw new RuleCompilationException($"None of the rules in exclusion group {setIndex + 1} of '{Name}' could be compiled. Edit the list to fix or remove that exclusion group.");
+                    }
+                }
+            }
+            finally
+            {
+                // Also reported when a block fails the refresh, so its history shows which rules were the problem
+                foreach (var (rule, error) in skippedRules)
+                {
+                    ReportRuleError(rule, error);
+                }
+            }
+
+            logger?.LogDebug("Compiled {ExclusionCount} exclusion blocks for playlist '{PlaylistName}'", compiledExclusions.Count, Name);
+            return compiledExclusions;
+        }
+
+        /// <summary>
+        /// Returns true if the item matches any exclusion block and should be removed from the result.
+        /// An exclusion that throws removes the item too.
+        /// </summary>
+        private static bool MatchesAnyExclusion(List<Func<Operand, bool>>? compiledExclusions, Operand operand)
+        {
+            return compiledExclusions != null && compiledExclusions.Any(exclusion => InvokeRuleSafely(exclusion, operand, true));
+        }
+
+        /// <summary>
+        /// Wraps the compiled rules and exclusion blocks so the profiler times each of them. New lists are returned,
+        /// since the compiled rules come from the shared rule cache. Rules are labelled by their place in the list;
+        /// if the compiled rules don't line up with the expressions (a rule failed to compile), they are numbered instead.
+        /// </summary>
+        private (List<List<Func<Operand, bool>>> Rules, List<Func<Operand, bool>> Exclusions) ProfileRules(RefreshProfiler profiler,
+            List<List<Func<Operand, bool>>> compiledRules, List<Func<Operand, bool>> compiledExclusions)
+        {
+            var profiledRules = new List<List<Func<Operand, bool>>>();
+            for (int setIndex = 0; setIndex < compiledRules.Count; setIndex++)
+            {
+                var rules = compiledRules[setIndex];
+                var timings = DescribeCompiledRules(setIndex < ExpressionSets.Count ? ExpressionSets[setIndex] : null, setIndex);
+                var labelled = timings.Count == rules.Count;
+                profiledRules.Add(rules.Select((rule, ruleIndex) => profiler.TimeRule(rule, labelled
+                    ? timings[ruleIndex]
+                    : new RuleTiming { Location = $"rule group {setIndex + 1}", Rule = $"compiled rule {ruleIndex + 1}" })).ToList());
+            }
+
+            // Empty exclusion blocks are dropped when compiling, so only blocks with rules line up
+            var exclusionBlocks = (ExclusionSets ?? [])
+                .Select((set, setIndex) => (Expressions: set?.GetAllExpressions().Where(expr => expr != null).ToList() ?? [], SetIndex: setIndex))
+                .Where(block => block.Expressions.Count > 0)
+                .ToList();
+            var profiledExclusions = compiledExclusions.Select((exclusion, index) =>
+            {
+                var timing = exclusionBlocks.Count == compiledExclusions.Count
+                    ? new RuleTiming
+                    {
+                        Location = $"exclusion block {exclusionBlocks[index].SetIndex + 1}",
+                        Rule = DescribeRules(exclusionBlocks[index].Expressions, RuleLogic.And),
+                        NeedsItemData = exclusionBlocks[index].Expressions.Any(IsExpensiveExpression),
+                    }
+                    : new RuleTiming { Location = $"exclusion block {index + 1}", Rule = "exclusion block" };
+                return profiler.TimeRule(exclusion, timing);
+            }).ToList();
+
+            return (profiledRules, profiledExclusions);
+        }
+
+        /// <summary>
+        /// Describes the rules of an expression set in the order CompileRuleSets compiles them: its own expressions
+        /// (without the ones handled separately), then one entry per nested group.
+        /// </summary>
+        private static List<RuleTiming> DescribeCompiledRules(ExpressionSet? set, int setIndex)
+        {
+            var timings = new List<RuleTiming>();
+            if (set?.Expressions == null)
+            {
+                return timings;
+            }
+
+            for (int exprIndex = 0; exprIndex < set.Expressions.Count; exprIndex++)
+            {
+                var expr = set.Expressions[exprIndex];
+                if (expr == null || expr.MemberName == "SimilarTo" || (expr.MemberName == "Collections" && expr.IncludeCollectionOnly == true))
+                {
+                    continue;
+                }
+
+                timings.Add(new RuleTiming
+                {
+                    Location = $"rule group {setIndex + 1}, rule {exprIndex + 1}",
+                    Rule = DescribeRule(expr),
+                    Field = expr.MemberName,
+                    Operator = expr.Operator,
+                    NeedsItemData = IsExpensiveExpression(expr),
+                });
+            }
+
+            for (int groupIndex = 0; groupIndex < (set.Groups?.Count ?? 0); groupIndex++)
+            {
+                var groupExpressions = set.Groups![groupIndex]?.GetAllExpressions().Where(expr => expr != null).ToList() ?? [];
+                timings.Add(new RuleTiming
+                {
+                    Location = $"rule group {setIndex + 1}, nested group {groupIndex + 1}",
+                    Rule = DescribeRules(groupExpressions, set.Groups[groupIndex]?.Logic ?? RuleLogic.And),
+                    NeedsItemData = groupExpressions.Any(IsExpensiveExpression),
+                });
+            }
+
+            return timings;
+        }
+
+        private static string DescribeRule(Expression expr)
+        {
+            return $"{expr.MemberName} {expr.Operator} \"{expr.TargetValue}\"";
+        }
+
+        private static string DescribeRules(List<Expression> expressions, RuleLogic logic)
+        {
+            return expressions.Count == 1
+                ? DescribeRule(expressions[0])
+                : $"{expressions.Count} rules ({(logic == RuleLogic.And ? "all" : "any")} must match)";
+        }
+
+        /// <summary>
+        /// Whether a rule needs data that is extracted per item in the second filtering phase
+        /// </summary>
+        private static bool IsExpensiveExpression(Expression expr)
+        {
+            return ExpensiveFields.Contains(expr.MemberName) ||
+                (expr.MemberName == "Tags" && expr.IncludeParentSeriesTags == true) ||
+                (expr.MemberName == "Studios" && expr.IncludeParentSeriesStudios == true) ||
+                (expr.MemberName == "Genres" && expr.IncludeParentSeriesGenres == true);
+        }
+
+        /// <summary>
+        /// Gets the logic groups and exclusion blocks together, for field analysis.
+        /// </summary>
+        private List<ExpressionSet> GetAllRuleSets()
+        {
+            return [.. ExpressionSets ?? [], .. ExclusionSets ?? []];
+        }
+
         /// <summary>
         /// Checks cache size and performs cleanup if needed, with rate limiting to prevent excessive cleanup operations.
         /// </summary>
@@ -364,6 +703,7 @@ namespace Jellyfin.Plugin.SmartLists.Core
                     if (set?.Expressions == null)
                     {
                         hashBuilder.Append("null");
+                        AppendGroupsToHash(hashBuilder, set?.Groups);
                         continue;
                     }
 
@@ -386,30 +726,10 @@ namespace Jellyfin.Plugin.SmartLists.Core
                             continue;
                         }
 
-                        // Handle null expression properties and append efficiently
-                        hashBuilder.Append(expr.MemberName ?? "");
-                        hashBuilder.Append(':');
-                        hashBuilder.Append(expr.Operator ?? "");
-                        hashBuilder.Append(':');
-                        hashBuilder.Append(expr.TargetValue ?? "");
-
-                        // Include option fields that affect rule compilation
-                        // These must be part of the hash to ensure cache invalidation when toggled
-                        hashBuilder.Append(':');
-                        hashBuilder.Append(expr.UserId ?? "");
-                        hashBuilder.Append(':');
-                        hashBuilder.Append(expr.IncludeParentSeriesTags?.ToString() ?? "null");
-                        hashBuilder.Append(':');
-                        hashBuilder.Append(expr.IncludeParentSeriesStudios?.ToString() ?? "null");
-                        hashBuilder.Append(':');
-                        hashBuilder.Append(expr.IncludeParentSeriesGenres?.ToString() ?? "null");
-                        hashBuilder.Append(':');
-                        hashBuilder.Append(expr.OnlyDefaultAudioLanguage?.ToString() ?? "null");
-                        hashBuilder.Append(':');
-                        hashBuilder.Append(expr.IncludeUnwatchedSeries?.ToString() ?? "null");
-                        hashBuilder.Append(':');
-                        hashBuilder.Append(expr.IncludeEpisodesWithinSeries?.ToString() ?? "null");
+                        AppendExpressionToHash(hashBuilder, expr);
                     }
+
+                    AppendGroupsToHash(hashBuilder, set.Groups);
                 }
 
                 return hashBuilder.ToString();
@@ -421,6 +741,72 @@ namespace Jellyfin.Plugin.SmartLists.Core
             }
         }
 
+        private static void AppendExpressionToHash(System.Text.StringBuilder hashBuilder, Expression expr)
+        {
+            // Handle null expression properties and append efficiently
+            hashBuilder.Append(expr.MemberName ?? "");
+            hashBuilder.Append(':');
+            hashBuilder.Append(expr.Operator ?? "");
+            hashBuilder.Append(':');
+            hashBuilder.Append(expr.TargetValue ?? "");
+
+            // Include option fields that affect rule compilation
+            // These must be part of the hash to ensure cache invalidation when toggled
+            hashBuilder.Append(':');
+            hashBuilder.Append(expr.UserId ?? "");
+            hashBuilder.Append(':');
+            hashBuilder.Append(expr.IncludeParentSeriesTags?.ToString() ?? "null");
+            hashBuilder.Append(':');
+            hashBuilder.Append(expr.IncludeParentSeriesStudios?.ToString() ?? "null");
+            hashBuilder.Append(':');
+            hashBuilder.Append(expr.IncludeParentSeriesGenres?.ToString() ?? "null");
+            hashBuilder.Append(':');
+            hashBuilder.Append(expr.OnlyDefaultAudioLanguage?.ToString() ?? "null");
+            hashBuilder.Append(':');
+            hashBuilder.Append(expr.IncludeUnwatchedSeries?.ToString() ?? "null");
+            hashBuilder.Append(':');
+            hashBuilder.Append(expr.IncludeEpisodesWithinSeries?.ToString() ?? "null");
+        }
+
+        /// <summary>
+        /// Appends nested groups to the rule set hash. Brackets keep different tree shapes
+        /// with the same rules from producing the same hash.
+        /// </summary>
+        private static void AppendGroupsToHash(System.Text.StringBuilder hashBuilder, List<ExpressionGroup>? groups)
+        {
+            if (groups == null || groups.Count == 0)
+            {
+                return;
+            }
+
+            foreach (var group in groups)
+            {
+                if (group == null)
+                {
+                    hashBuilder.Append("|group:null");
+                    continue;
+                }
+
+                hashBuilder.Append("|group:");
+                hashBuilder.Append(group.Logic);
+                hashBuilder.Append('(');
+                foreach (var expr in group.Expressions ?? [])
+                {
+                    hashBuilder.Append("|expr:");
+                    if (expr == null)
+                    {
+                        hashBuilder.Append("null");
+                        continue;
+                    }
+
+                    AppendExpressionToHash(hashBuilder, expr);
+                }
+
+                AppendGroupsToHash(hashBuilder, group.Groups);
+                hashBuilder.Append(')');
+            }
+        }
+
         private bool EvaluateLogicGroups(List<List<Func<Operand, bool>>> compiledRules, Operand operand)
         {
             try
@@ -444,6 +830,7 @@ namespace Jellyfin.Plugin.SmartLists.Core
                     // Check if this group has only skipped rules (SimilarTo or IncludeCollectionOnly Collections)
                     // If so, skip it for item evaluation (these are handled separately)
                     bool hasOnlySkippedRules = group.Expressions != null && 
+                        (group.Groups == null || group.Groups.Count == 0) &&
                         group.Expressions.All(expr => 
                             expr?.MemberName == "SimilarTo" || 
                             (expr?.MemberName == "Collections" && expr.IncludeCollectionOnly == true));
@@ -577,6 +964,19 @@ namespace Jellyfin.Plugin.SmartLists.Core
                             }
                         }
 
+                        // Compiled nested groups follow the set's own rules and must pass as well
+                        if (groupMatches && group.Groups != null)
+                        {
+                            for (; compiledIndex < groupRules.Count; compiledIndex++)
+                            {
+                                if (!InvokeRuleSafely(groupRules[compiledIndex], operand))
+                                {
+                                    groupMatches = false;
+                                    break;
+                                }
+                            }
+                        }
+
                         if (groupMatches)
                         {
                             return true; // This group matches, so the item matches overall,
@@ -659,6 +1059,7 @@ namespace Jellyfin.Plugin.SmartLists.Core
                 var needsParentSeriesTags = false;
                 var needsParentSeriesStudios = false;
                 var needsParentSeriesGenres = false;
+                var needsSmartList = false;
                 var needsSimilarTo = false;
                 var includeUnwatchedSeries = true; // Default to true for backwards compatibility
                 var similarToExpressions = new List<Expression>();
@@ -671,7 +1072,8 @@ namespace Jellyfin.Plugin.SmartLists.Core
                 {
                     if (ExpressionSets != null)
                     {
-                        var fieldReqs = FieldRequirements.Analyze(ExpressionSets, Orders);
+                        var allRuleSets = GetAllRuleSets();
+                        var fieldReqs = FieldRequirements.Analyze(allRuleSets, Orders);
 
                         needsAudioLanguages = fieldReqs.NeedsAudioLanguages;
                         needsAudioQuality = fieldReqs.NeedsAudioQuality;
@@ -683,13 +1085,14 @@ namespace Jellyfin.Plugin.SmartLists.Core
                         needsParentSeriesTags = fieldReqs.NeedsParentSeriesTags;
                         needsParentSeriesStudios = fieldReqs.NeedsParentSeriesStudios;
                         needsParentSeriesGenres = fieldReqs.NeedsParentSeriesGenres;
+                        needsSmartList = fieldReqs.NeedsSmartList;
                         needsSimilarTo = fieldReqs.NeedsSimilarTo;
                         similarToExpressions = fieldReqs.SimilarToExpressions;
 
                         // Extract IncludeUnwatchedSeries parameter from NextUnwatched rules
                         // If any rule explicitly sets it to false, use false; otherwise default to true
-                        var nextUnwatchedRules = ExpressionSets
-                            .SelectMany(set => set?.Expressions ?? [])
+                        var nextUnwatchedRules = allRuleSets
+                            .SelectMany(set => set?.GetAllExpressions() ?? [])
                             .Where(expr => expr?.MemberName == "NextUnwatched")
                             .ToList();
 
@@ -697,8 +1100,8 @@ namespace Jellyfin.Plugin.SmartLists.Core
 
                         // Collect unique user IDs from user-specific expressions
                         // Normalize to "N" format (no dashes) to match UserPlaylists format
-                        additionalUserIds = [..ExpressionSets
-                            .SelectMany(set => set?.Expressions ?? [])
+                        additionalUserIds = [..allRuleSets
+                            .SelectMany(set => set?.GetAllExpressions() ?? [])
                             .Where(expr => expr?.IsUserSpecific == true && !string.IsNullOrEmpty(expr.UserId))
                             .Select(expr => Guid.TryParse(expr.UserId, out var guid) ? guid.ToString("N") : expr.UserId!)
                             .Distinct()];
@@ -803,6 +1206,12 @@ namespace Jellyfin.Plugin.SmartLists.Core
                     return [];
                 }
 
+                var compiledExclusions = CompileExclusionSets(defaultUserId, logger);
+                if (Profiler != null)
+                {
+                    (compiledRules, compiledExclusions) = ProfileRules(Profiler, compiledRules, compiledExclusions);
+                }
+
                 // Check if there are any rules to evaluate (including skipped ones like SimilarTo and IncludeCollectionOnly)
                 // This prevents "no rules = match everything" when all rules are skipped
                 bool hasAnyRules = compiledRules.Any(set => set?.Count > 0) ||
@@ -817,7 +1226,7 @@ namespace Jellyfin.Plugin.SmartLists.Core
                     if (ExpressionSets != null)
                     {
                         hasNonExpensiveRules = ExpressionSets
-                            .SelectMany(set => set?.Expressions ?? [])
+                            .SelectMany(set => set?.GetAllExpressions() ?? [])
                             .Any(expr => expr != null
                                 && !ExpensiveFields.Contains(expr.MemberName)
                                 && !(expr.MemberName == "Tags" && expr.IncludeParentSeriesTags == true)
@@ -854,6 +1263,7 @@ namespace Jellyfin.Plugin.SmartLists.Core
                 
                 // itemsArray already materialized above to avoid double enumeration
                 var totalItems = itemsArray.Length;
+                Profiler?.AddItemsEvaluated(totalItems);
 
                 // Report initial progress
                 progressCallback?.Invoke(0, totalItems);
@@ -881,7 +1291,7 @@ namespace Jellyfin.Plugin.SmartLists.Core
 
                         // Process chunk
                         var chunkResults = ProcessItemChunk(chunk, libraryManager, user, userDataManager, logger,
-                            needsAudioLanguages, needsAudioQuality, needsVideoQuality, needsPeople, needsCollections, needsNextUnwatched, needsSeriesName, needsParentSeriesTags, needsParentSeriesStudios, needsParentSeriesGenres, needsSimilarTo, includeUnwatchedSeries, additionalUserIds, referenceMetadata, similarityComparisonFields, compiledRules, hasAnyRules, hasNonExpensiveRules, refreshCache);
+                            needsAudioLanguages, needsAudioQuality, needsVideoQuality, needsPeople, needsCollections, needsNextUnwatched, needsSeriesName, needsParentSeriesTags, needsParentSeriesStudios, needsParentSeriesGenres, needsSmartList, needsSimilarTo, includeUnwatchedSeries, additionalUserIds, referenceMetadata, similarityComparisonFields, compiledRules, compiledExclusions, hasAnyRules, hasNonExpensiveRules, refreshCache);
                         results.AddRange(chunkResults);
                         
                         // Report progress after chunk is complete
@@ -910,6 +1320,7 @@ namespace Jellyfin.Plugin.SmartLists.Core
                 stopwatch.Stop();
                 logger?.LogDebug("Playlist filtering for '{PlaylistName}' completed in {ElapsedTime}ms: {InputCount} items → {OutputCount} items",
                     Name, stopwatch.ElapsedMilliseconds, totalItems, results.Count);
+                Profiler?.AddItemsMatched(results.Count);
 
                 // Check if we need to expand Collections based on media type selection
                 var expandedResults = ExpandCollectionsBasedOnMediaType(results, libraryManager, user, userDataManager, logger, refreshCache);
@@ -932,36 +1343,40 @@ namespace Jellyfin.Plugin.SmartLists.Core
                         }
                     }
 
-                    // Apply multiple orders in cascade
-                    var orderedResults = ApplyMultipleOrders(expandedResults, user, userDataManager, logger, refreshCache);
+                    // Apply multiple orders in cascade. Sorted once here, so the sort is timed and the counts below don't sort again.
+                    var sortStart = Stopwatch.GetTimestamp();
+                    var orderedResults = ApplyMultipleOrders(expandedResults, user, userDataManager, logger, refreshCache).ToList();
 
                     // Apply limits (items and/or time)
                     if (MaxItems > 0 || MaxPlayTimeMinutes > 0)
                     {
                         var limitedResults = ApplyLimits(orderedResults, libraryManager, user, userDataManager, refreshCache, logger);
+                        Profiler?.AddElapsed(RefreshPhase.Sort, sortStart);
 
                         var hasRandomOrder = Orders.Any(o => o is RandomOrder);
                         if (hasRandomOrder)
                         {
                             logger?.LogDebug("Applied random order and limited playlist '{PlaylistName}' to {LimitedCount} items from {TotalItems} total items",
-                                Name, limitedResults.Count, orderedResults.Count());
+                                Name, limitedResults.Count, orderedResults.Count);
                         }
                         else
                         {
                             logger?.LogDebug("Limited playlist '{PlaylistName}' to {LimitedCount} items from {TotalItems} total items (deterministic order)",
-                                Name, limitedResults.Count, orderedResults.Count());
+                                Name, limitedResults.Count, orderedResults.Count);
                         }
 
                         return limitedResults.Select(x => x.Id);
                     }
                     else
                     {
+                        Profiler?.AddElapsed(RefreshPhase.Sort, sortStart);
+
                         // No limits - return all ordered results
                         var hasRandomOrder = Orders.Any(o => o is RandomOrder);
                         if (hasRandomOrder)
                         {
                             logger?.LogDebug("Applied random order to playlist '{PlaylistName}' with {TotalItems} items (no limit)",
-                                Name, orderedResults.Count());
+                                Name, orderedResults.Count);
                         }
 
                         return orderedResults.Select(x => x.Id);
@@ -973,7 +1388,7 @@ namespace Jellyfin.Plugin.SmartLists.Core
                     return expandedResults.Select(x => x.Id);
                 }
             }
-            catch (Exception ex)
+            catch (Exception ex) when (ex is not RuleCompilationException)
             {
                 stopwatch.Stop();
                 logger?.LogError(ex, "Critical error in FilterPlaylistItems for playlist '{PlaylistName}' after {ElapsedTime}ms. Returning empty results.",
@@ -982,6 +1397,559 @@ namespace Jellyfin.Plugin.SmartLists.Core
             }
         }
 
+        /// <summary>
+        /// Counts how many items each rule matches on its own and how many are left after each AND step within its group.
+        /// Sorting, limits and collection expansion are not applied. Results are aligned with ExpressionSets by index.
+        /// </summary>
+        public List<RuleSetStatistics> GetRuleStatistics(IEnumerable<BaseItem> items, ILibraryManager libraryManager,
+            User user, RefreshQueueService.RefreshCache refreshCache, IUserDataManager? userDataManager = null, ILogger? logger = null)
+        {
+            ArgumentNullException.ThrowIfNull(items);
+            ArgumentNullException.ThrowIfNull(user);
+
+            var itemsArray = items as BaseItem[] ?? items.ToArray();
+            var rules = CompileDiagnosticRules(user, logger);
+            var groups = CompileDiagnosticGroups(user, logger);
+            var statistics = rules.Select(set => new RuleSetStatistics
+            {
+                Rules = [.. set.Select(rule => new RuleStatistics { Evaluated = !rule.Skipped, Error = rule.Error })],
+            }).ToList();
+
+            var options = GetDiagnosticExtractionOptions(out var similarityComparisonFields);
+            var referenceMetadata = BuildDiagnosticReferenceMetadata(itemsArray, libraryManager, similarityComparisonFields, logger);
+
+            foreach (var item in itemsArray)
+            {
+                if (item == null) continue;
+
+                var operand = OperandFactory.GetMediaType(libraryManager, item, user, userDataManager, UserManager, logger, options, refreshCache);
+
+                for (int setIndex = 0; setIndex < rules.Count; setIndex++)
+                {
+                    bool remaining = true;
+                    bool anyEvaluated = false;
+
+                    for (int exprIndex = 0; exprIndex < rules[setIndex].Count; exprIndex++)
+                    {
+                        var rule = rules[setIndex][exprIndex];
+                        if (rule.Skipped) continue;
+
+                        anyEvaluated = true;
+                        bool passed = EvaluateDiagnosticRule(rule, operand, referenceMetadata, similarityComparisonFields, logger, out _);
+                        var ruleStats = statistics[setIndex].Rules[exprIndex];
+
+                        if (passed)
+                        {
+                            ruleStats.MatchCount++;
+                        }
+
+                        remaining = remaining && passed;
+                        if (remaining)
+                        {
+                            ruleStats.RemainingCount++;
+                        }
+                    }
+
+                    // Nested groups have no per-rule counts, but they still decide whether the set matches
+                    foreach (var group in groups[setIndex])
+                    {
+                        var groupPassed = EvaluateDiagnosticGroup(group, operand, referenceMetadata, similarityComparisonFields, logger);
+                        if (groupPassed.HasValue)
+                        {
+                            anyEvaluated = true;
+                            remaining = remaining && groupPassed.Value;
+                        }
+                    }
+
+                    if (remaining && anyEvaluated)
+                    {
+                        statistics[setIndex].MatchCount++;
+                    }
+                }
+            }
+
+            logger?.LogDebug("Calculated rule statistics for '{PlaylistName}' over {ItemCount} items", Name, itemsArray.Length);
+            return statistics;
+        }
+
+        /// <summary>
+        /// Evaluates every rule against a single item and reports which rules passed, with the field value each rule saw.
+        /// The reference items are only used to resolve SimilarTo rules, and should be the same items the list is built from.
+        /// </summary>
+        public ItemExplanation ExplainItem(BaseItem item, IEnumerable<BaseItem> referenceItems, ILibraryManager libraryManager,
+            User user, RefreshQueueService.RefreshCache refreshCache, IUserDataManager? userDataManager = null, ILogger? logger = null)
+        {
+            ArgumentNullException.ThrowIfNull(item);
+            ArgumentNullException.ThrowIfNull(user);
+
+            var rules = CompileDiagnosticRules(user, logger);
+            var groups = CompileDiagnosticGroups(user, logger);
+            var options = GetDiagnosticExtractionOptions(out var similarityComparisonFields);
+            var referenceMetadata = BuildDiagnosticReferenceMetadata(referenceItems, libraryManager, similarityComparisonFields, logger);
+            var operand = OperandFactory.GetMediaType(libraryManager, item, user, userDataManager, UserManager, logger, options, refreshCache);
+            var defaultUserId = user.Id.ToString("N");
+
+            var explanation = new ItemExplanation();
+            bool hasCompiledRules = false;
+            bool anyGroupMatches = false;
+            bool passesSimilarity = true;
+
+            for (int setIndex = 0; setIndex < rules.Count; setIndex++)
+            {
+                var setExplanation = new ExpressionSetExplanation();
+                bool groupPasses = true;
+                bool groupHasCompiledRules = false;
+
+                foreach (var rule in rules[setIndex])
+                {
+                    var expressionExplanation = ExplainDiagnosticRule(rule, operand, referenceMetadata, similarityComparisonFields, defaultUserId, logger);
+
+                    if (!rule.Skipped)
+                    {
+                        groupPasses = groupPasses && expressionExplanation.Passed;
+
+                        // SimilarTo is applied on top of the logic groups, just like in FilterPlaylistItems
+                        if (rule.Expression.MemberName == "SimilarTo")
+                        {
+                            passesSimilarity = passesSimilarity && expressionExplanation.Passed;
+                        }
+                        else
+                        {
+                            groupHasCompiledRules = true;
+                        }
+                    }
+
+                    setExplanation.Expressions.Add(expressionExplanation);
+                }
+
+                foreach (var group in groups[setIndex])
+                {
+                    var groupExplanation = ExplainDiagnosticGroup(group, operand, referenceMetadata, similarityComparisonFields, defaultUserId, logger);
+                    if (groupExplanation.Evaluated)
+                    {
+                        groupPasses = groupPasses && groupExplanation.Passed;
+                        groupHasCompiledRules = true;
+                    }
+
+                    setExplanation.Groups.Add(groupExplanation);
+                }
+
+                setExplanation.Passed = groupPasses && (setExplanation.Expressions.Any(e => e.Evaluated) || setExplanation.Groups.Any(g => g.Evaluated));
+                explanation.Sets.Add(setExplanation);
+
+                if (groupHasCompiledRules)
+                {
+                    hasCompiledRules = true;
+                    anyGroupMatches = anyGroupMatches || setExplanation.Passed;
+                }
+            }
+
+            foreach (var exclusion in CompileDiagnosticExclusions(defaultUserId, logger))
+            {
+                explanation.Exclusions.Add(ExplainDiagnosticGroup(exclusion, operand, referenceMetadata, similarityComparisonFields, defaultUserId, logger));
+            }
+
+            explanation.Matches = (!hasCompiledRules || anyGroupMatches) && passesSimilarity
+                && !explanation.Exclusions.Any(exclusion => exclusion.Evaluated && exclusion.Passed);
+
+            logger?.LogDebug("Explained item '{ItemName}' for '{PlaylistName}': matches={Matches}", item.Name, Name, explanation.Matches);
+            return explanation;
+        }
+
+        /// <summary>
+        /// A single rule compiled on its own for diagnostics, so results line up with the expressions by index.
+        /// CompileRuleSets can't be reused here because it drops SimilarTo and collection-only rules.
+        /// </summary>
+        private sealed class DiagnosticRule(Expression expression)
+        {
+            public Expression Expression { get; } = expression;
+            public Func<Operand, bool>? Compiled { get; set; }
+            public bool Skipped { get; set; }
+            public string? Error { get; set; }
+        }
+
+        private List<List<DiagnosticRule>> CompileDiagnosticRules(User user, ILogger? logger)
+        {
+            var defaultUserId = user.Id.ToString("N");
+            var result = new List<List<DiagnosticRule>>();
+
+            foreach (var set in ExpressionSets ?? [])
+            {
+                var rules = new List<DiagnosticRule>();
+                foreach (var expr in set?.Expressions ?? [])
+                {
+                    if (expr == null) continue;
+
+                    var rule = new DiagnosticRule(expr);
+                    if (expr.MemberName == "Collections" && expr.IncludeCollectionOnly == true)
+                    {
+                        // Matches the collections themselves, not library items
+                        rule.Skipped = true;
+                    }
+                    else if (expr.MemberName != "SimilarTo")
+                    {
+                        CompileDiagnosticRule(rule, defaultUserId, logger);
+                    }
+
+                    rules.Add(rule);
+                }
+
+                result.Add(rules);
+            }
+
+            return result;
+        }
+
+        private static void CompileDiagnosticRule(DiagnosticRule rule, string defaultUserId, ILogger? logger)
+        {
+            var expr = rule.Expression;
+            try
+            {
+                rule.Compiled = Engine.CompileRule<Operand>(expr, defaultUserId, logger);
+            }
+            catch (Exception ex)
+            {
+                logger?.LogDebug(ex, "Failed to compile diagnostic rule {Field} {Operator} {Value}", expr.MemberName, expr.Operator, expr.TargetValue);
+                rule.Error = ex.Message;
+            }
+        }
+
+        /// <summary>
+        /// A nested rule group compiled for diagnostics, mirroring the ExpressionGroup tree.
+        /// </summary>
+        private sealed class DiagnosticGroup(RuleLogic logic)
+        {
+            public RuleLogic Logic { get; } = logic;
+            public List<DiagnosticRule> Rules { get; } = [];
+            public List<DiagnosticGroup> Groups { get; } = [];
+        }
+
+        /// <summary>
+        /// Compiles the nested groups of every set, aligned with ExpressionSets by index.
+        /// </summary>
+        private List<List<DiagnosticGroup>> CompileDiagnosticGroups(User user, ILogger? logger)
+        {
+            var defaultUserId = user.Id.ToString("N");
+            return [.. (ExpressionSets ?? []).Select(set => (set?.Groups ?? [])
+                .Where(group => group != null)
+                .Select(group => CompileDiagnosticGroup(group, defaultUserId, logger))
+                .ToList())];
+        }
+
+        /// <summary>
+        /// Compiles each exclusion block as an AND group, aligned with ExclusionSets by index.
+        /// </summary>
+        private List<DiagnosticGroup> CompileDiagnosticExclusions(string defaultUserId, ILogger? logger)
+        {
+            return [.. (ExclusionSets ?? []).Select(set => CompileDiagnosticGroup(new ExpressionGroup
+            {
+                Logic = RuleLogic.And,
+                Expressions = set?.Expressions,
+                Groups = set?.Groups,
+            }, defaultUserId, logger))];
+        }
+
+        private static DiagnosticGroup CompileDiagnosticGroup(ExpressionGroup group, string defaultUserId, ILogger? logger)
+        {
+            var result = new DiagnosticGroup(group.Logic);
+
+            foreach (var expr in group.Expressions ?? [])
+            {
+                if (expr == null) continue;
+
+                var rule = new DiagnosticRule(expr);
+                if (!ExpressionGroup.IsSupportedInGroup(expr))
+                {
+                    // Skipped by CompileRuleSets as well
+                    rule.Skipped = true;
+                    rule.Error = "This rule is not supported inside a nested group";
+                }
+                else
+                {
+                    CompileDiagnosticRule(rule, defaultUserId, logger);
+                }
+
+                result.Rules.Add(rule);
+            }
+
+            foreach (var childGroup in group.Groups ?? [])
+            {
+                if (childGroup != null)
+                {
+                    result.Groups.Add(CompileDiagnosticGroup(childGroup, defaultUserId, logger));
+                }
+            }
+
+            return result;
+        }
+
+        /// <summary>
+        /// Evaluates a nested group the same way CompileExpressionGroup does.
+        /// Returns null if the group has no rules that could be evaluated.
+        /// </summary>
+        private static bool? EvaluateDiagnosticGroup(DiagnosticGroup group, Operand operand, OperandFactory.ReferenceMetadata? referenceMetadata, List<string> similarityComparisonFields, ILogger? logger)
+        {
+            var results = group.Rules
+                .Where(rule => !rule.Skipped && rule.Error == null)
+                .Select(rule => (bool?)EvaluateDiagnosticRule(rule, operand, referenceMetadata, similarityComparisonFields, logger, out _))
+                .Concat(group.Groups.Select(childGroup => EvaluateDiagnosticGroup(childGroup, operand, referenceMetadata, similarityComparisonFields, logger)))
+                .Where(result => result.HasValue)
+                .Select(result => result!.Value)
+                .ToList();
+
+            if (results.Count == 0)
+            {
+                return null;
+            }
+
+            return group.Logic == RuleLogic.And ? results.All(passed => passed) : results.Any(passed => passed);
+        }
+
+        private static ExpressionExplanation ExplainDiagnosticRule(DiagnosticRule rule, Operand operand, OperandFactory.ReferenceMetadata? referenceMetadata, List<string> similarityComparisonFields, string defaultUserId, ILogger? logger)
+        {
+            var expressionExplanation = new ExpressionExplanation
+            {
+                MemberName = rule.Expression.MemberName,
+                Operator = rule.Expression.Operator,
+                TargetValue = rule.Expression.TargetValue,
+                Evaluated = !rule.Skipped,
+                Error = rule.Error,
+            };
+
+            if (!rule.Skipped)
+            {
+                expressionExplanation.Passed = EvaluateDiagnosticRule(rule, operand, referenceMetadata, similarityComparisonFields, logger, out var evaluationError);
+                expressionExplanation.Error ??= evaluationError;
+                expressionExplanation.ActualValue = FormatDiagnosticValue(GetDiagnosticFieldValue(operand, rule.Expression, defaultUserId), rule.Expression.MemberName);
+            }
+
+            return expressionExplanation;
+        }
+
+        private static ExpressionGroupExplanation ExplainDiagnosticGroup(DiagnosticGroup group, Operand operand, OperandFactory.ReferenceMetadata? referenceMetadata, List<string> similarityComparisonFields, string defaultUserId, ILogger? logger)
+        {
+            var groupExplanation = new ExpressionGroupExplanation { Logic = group.Logic };
+            var results = new List<bool>();
+
+            foreach (var rule in group.Rules)
+            {
+                var expressionExplanation = ExplainDiagnosticRule(rule, operand, referenceMetadata, similarityComparisonFields, defaultUserId, logger);
+                if (expressionExplanation.Evaluated && rule.Error == null)
+                {
+                    results.Add(expressionExplanation.Passed);
+                }
+
+                groupExplanation.Expressions.Add(expressionExplanation);
+            }
+
+            foreach (var childGroup in group.Groups)
+            {
+                var childExplanation = ExplainDiagnosticGroup(childGroup, operand, referenceMetadata, similarityComparisonFields, defaultUserId, logger);
+                if (childExplanation.Evaluated)
+                {
+                    results.Add(childExplanation.Passed);
+                }
+
+                groupExplanation.Groups.Add(childExplanation);
+            }
+
+            groupExplanation.Evaluated = results.Count > 0;
+            groupExplanation.Passed = groupExplanation.Evaluated
+                && (group.Logic == RuleLogic.And ? results.All(passed => passed) : results.Any(passed => passed));
+            return groupExplanation;
+        }
+
+        private MediaTypeExtractionOptions GetDiagnosticExtractionOptions(out List<string> similarityComparisonFields, ExpressionSet? additionalSet = null)
+        {
+            var ruleSets = GetAllRuleSets();
+            if (additionalSet != null)
+            {
+                ruleSets.Add(additionalSet);
+            }
+
+            var fieldReqs = FieldRequirements.Analyze(ruleSets, Orders);
+            similarityComparisonFields = (SimilarityComparisonFields == null || SimilarityComparisonFields.Count == 0)
+                ? OperandFactory.DefaultSimilarityComparisonFields.ToList()
+                : SimilarityComparisonFields;
+
+            var options = new MediaTypeExtractionOptions
+            {
+                ExtractAudioLanguages = fieldReqs.NeedsAudioLanguages,
+                ExtractAudioQuality = fieldReqs.NeedsAudioQuality,
+                ExtractVideoQuality = fieldReqs.NeedsVideoQuality,
+                ExtractPeople = fieldReqs.NeedsPeople,
+                ExtractCollections = fieldReqs.NeedsCollections,
+                ExtractSmartList = fieldReqs.NeedsSmartList,
+                ExtractNextUnwatched = fieldReqs.NeedsNextUnwatched,
+                ExtractSeriesName = fieldReqs.NeedsSeriesName,
+                ExtractParentSeriesTags = fieldReqs.NeedsParentSeriesTags,
+                ExtractParentSeriesStudios = fieldReqs.NeedsParentSeriesStudios,
+                ExtractParentSeriesGenres = fieldReqs.NeedsParentSeriesGenres,
+                IncludeUnwatchedSeries = fieldReqs.IncludeUnwatchedSeries,
+                // Normalize to "N" format (no dashes) to match UserPlaylists format
+                AdditionalUserIds = [.. fieldReqs.AdditionalUserIds
+                    .Select(id => Guid.TryParse(id, out var guid) ? guid.ToString("N") : id)
+                    .Distinct()],
+            };
+
+            // Similarity on people or audio languages needs those fields extracted too
+            if (fieldReqs.NeedsSimilarTo)
+            {
+                options.ExtractPeople |= similarityComparisonFields.Any(f => FieldDefinitions.IsPeopleField(f));
+                options.ExtractAudioLanguages |= similarityComparisonFields.Contains("Audio Languages", StringComparer.OrdinalIgnoreCase);
+            }
+
+            return options;
+        }
+
+        /// <summary>
+        /// Collects the distinct values a rule's field has across the given items, as the rule would see them
+        /// (including its user and parent series options). List fields contribute each of their entries.
+        /// Values are ordered by the number of items that have them, most common first.
+        /// </summary>
+        public List<FieldValueCount> GetFieldValues(IEnumerable<BaseItem> items, Expression expression, ILibraryManager libraryManager,
+            User user, RefreshQueueService.RefreshCache refreshCache, int limit, IUserDataManager? userDataManager = null, ILogger? logger = null)
+        {
+            ArgumentNullException.ThrowIfNull(items);
+            ArgumentNullException.ThrowIfNull(expression);
+            ArgumentNullException.ThrowIfNull(user);
+
+            // The rule may not be part of the list yet, so make sure its field is extracted either way
+            var options = GetDiagnosticExtractionOptions(out _, new ExpressionSet { Expressions = [expression] });
+            var defaultUserId = user.Id.ToString("N");
+            var counts = new Dictionary<string, int>(StringComparer.Ordinal);
+
+            foreach (var item in items)
+            {
+                if (item == null) continue;
+
+                var operand = OperandFactory.GetMediaType(libraryManager, item, user, userDataManager, UserManager, logger, options, refreshCache);
+                var value = GetDiagnosticFieldValue(operand, expression, defaultUserId);
+                IEnumerable<string?> values = value is IEnumerable<string> list
+                    ? list
+                    : [FormatDiagnosticValue(value, expression.MemberName)];
+
+                foreach (var entry in values.Where(v => !string.IsNullOrEmpty(v)).Distinct(StringComparer.Ordinal))
+                {
+                    counts[entry!] = counts.TryGetValue(entry!, out var count) ? count + 1 : 1;
+                }
+            }
+
+            return [.. counts
+                .OrderByDescending(pair => pair.Value)
+                .ThenBy(pair => pair.Key, StringComparer.OrdinalIgnoreCase)
+                .Take(limit)
+                .Select(pair => new FieldValueCount { Value = pair.Key, ItemCount = pair.Value })];
+        }
+
+        private OperandFactory.ReferenceMetadata? BuildDiagnosticReferenceMetadata(IEnumerable<BaseItem> referenceItems, ILibraryManager libraryManager, List<string> similarityComparisonFields, ILogger? logger)
+        {
+            var similarToExpressions = (ExpressionSets ?? [])
+                .SelectMany(set => set?.GetAllExpressions() ?? [])
+                .Where(expr => expr?.MemberName == "SimilarTo")
+                .ToList();
+
+            return similarToExpressions.Count == 0
+                ? null
+                : OperandFactory.BuildReferenceMetadata(similarToExpressions, referenceItems, similarityComparisonFields, libraryManager, logger);
+        }
+
+        private static bool EvaluateDiagnosticRule(DiagnosticRule rule, Operand operand, OperandFactory.ReferenceMetadata? referenceMetadata, List<string> similarityComparisonFields, ILogger? logger, out string? error)
+        {
+            error = null;
+
+            if (rule.Expression.MemberName == "SimilarTo")
+            {
+                return referenceMetadata != null && OperandFactory.CalculateSimilarityScore(operand, referenceMetadata, similarityComparisonFields, logger);
+            }
+
+            if (rule.Compiled == null)
+            {
+                return false;
+            }
+
+            try
+            {
+                return rule.Compiled(operand);
+            }
+            catch (Exception ex)
+            {
+                // Same conservative behavior as EvaluateLogicGroups: a failing rule doesn't match
+                error = ex.Message;
+                return false;
+            }
+        }
+
+        /// <summary>
+        /// Reads the value a rule is evaluated against, mirroring the special cases in Engine.BuildExpr.
+        /// </summary>
+        private static object? GetDiagnosticFieldValue(Operand operand, Expression expr, string defaultUserId)
+        {
+            if (expr.MemberName == "SimilarTo")
+            {
+                return operand.SimilarityScore;
+            }
+
+            if (Expression.IsUserSpecificField(expr.MemberName))
+            {
+                var userId = expr.UserId ?? defaultUserId;
+                userId = Guid.TryParse(userId, out var guid) ? guid.ToString("N") : userId;
+                return expr.MemberName switch
+                {
+                    "PlaybackStatus" => operand.GetPlaybackStatusByUser(userId),
+                    "PlayCount" => operand.GetPlayCountByUser(userId),
+                    "IsFavorite" => operand.GetIsFavoriteByUser(userId),
+                    "NextUnwatched" => operand.GetNextUnwatchedByUser(userId),
+                    "LastPlayedDate" => operand.GetLastPlayedDateByUser(userId),
+                    _ => null,
+                };
+            }
+
+            if (expr.MemberName == "Tags" && expr.IncludeParentSeriesTags == true)
+            {
+                return operand.Tags.Concat(operand.ParentSeriesTags).Distinct(StringComparer.OrdinalIgnoreCase).ToList();
+            }
+
+            if (expr.MemberName == "Studios" && expr.IncludeParentSeriesStudios == true)
+            {
+                return operand.Studios.Concat(operand.ParentSeriesStudios).Distinct(StringComparer.OrdinalIgnoreCase).ToList();
+            }
+
+            if (expr.MemberName == "Genres" && expr.IncludeParentSeriesGenres == true)
+            {
+                return operand.Genres.Concat(operand.ParentSeriesGenres).Distinct(StringComparer.OrdinalIgnoreCase).ToList();
+            }
+
+            if (expr.MemberName == "AudioLanguages" && expr.OnlyDefaultAudioLanguage == true)
+            {
+                return operand.DefaultAudioLanguages;
+            }
+
+            return typeof(Operand).GetProperty(expr.MemberName)?.GetValue(operand);
+        }
+
+        private static string? FormatDiagnosticValue(object? value, string memberName)
+        {
+            switch (value)
+            {
+                case null:
+                    return null;
+                case string text:
+                    return text;
+                case IEnumerable<string> list:
+                    return string.Join(", ", list);
+                case double timestamp when FieldDefinitions.IsDateField(memberName):
+                    // Dates are stored as Unix timestamps; 0 or -1 means no date
+                    return timestamp <= 0
+                        ? "(none)"
+                        : DateTimeOffset.FromUnixTimeSeconds((long)timestamp).UtcDateTime.ToString("yyyy-MM-dd HH:mm", CultureInfo.InvariantCulture);
+                case IFormattable formattable:
+                    return formattable.ToString(null, CultureInfo.InvariantCulture);
+                default:
+                    return value.ToString();
+            }
+        }
+
         private bool ShouldExpandEpisodesForCollections()
         {
             // Only expand if Episodes media type is selected AND Collections expansion is enabled
@@ -1298,7 +2266,7 @@ namespace Jellyfin.Plugin.SmartLists.Core
 
                 return items;
             }
-            catch (Exception ex)
+            catch (Exception ex) when (ex is not RuleCompilationException)
             {
                 logger?.LogError(ex, "Error in Collections processing for playlist '{PlaylistName}', returning original results", Name);
                 return items;
@@ -1345,8 +2313,10 @@ namespace Jellyfin.Plugin.SmartLists.Core
                     return episodes; // No rules to check against,
                 }
 
+                var compiledExclusions = CompileExclusionSets(defaultUserId, logger);
+
                 // Check field requirements for performance optimization
-                var fieldReqs = FieldRequirements.Analyze(ExpressionSets, Orders);
+                var fieldReqs = FieldRequirements.Analyze(GetAllRuleSets(), Orders);
                 var needsAudioLanguages = fieldReqs.NeedsAudioLanguages;
                 var needsAudioQuality = fieldReqs.NeedsAudioQuality;
                 var needsVideoQuality = fieldReqs.NeedsVideoQuality;
@@ -1357,6 +2327,7 @@ namespace Jellyfin.Plugin.SmartLists.Core
                 var needsParentSeriesTags = fieldReqs.NeedsParentSeriesTags;
                 var needsParentSeriesStudios = fieldReqs.NeedsParentSeriesStudios;
                 var needsParentSeriesGenres = fieldReqs.NeedsParentSeriesGenres;
+                var needsSmartList = fieldReqs.NeedsSmartList;
                 var includeUnwatchedSeries = fieldReqs.IncludeUnwatchedSeries;
                 var additionalUserIds = fieldReqs.AdditionalUserIds;
 
@@ -1373,6 +2344,7 @@ namespace Jellyfin.Plugin.SmartLists.Core
                             ExtractVideoQuality = needsVideoQuality,
                             ExtractPeople = needsPeople,
                             ExtractCollections = needsCollections,
+                            ExtractSmartList = needsSmartList,
                             ExtractNextUnwatched = needsNextUnwatched,
                             ExtractSeriesName = needsSeriesName,
                             ExtractParentSeriesTags = needsParentSeriesTags,
@@ -1382,7 +2354,8 @@ namespace Jellyfin.Plugin.SmartLists.Core
                             AdditionalUserIds = additionalUserIds,
                         }, refreshCache);
 
-                        var matches = EvaluateLogicGroupsForEpisode(compiledRules, operand, parentSeries, logger);
+                        var matches = EvaluateLogicGroupsForEpisode(compiledRules, operand, parentSeries, logger)
+                            && !MatchesAnyExclusion(compiledExclusions, operand);
 
                         if (matches)
                         {
@@ -1401,7 +2374,7 @@ namespace Jellyfin.Plugin.SmartLists.Core
 
                 return matchingEpisodes;
             }
-            catch (Exception ex)
+            catch (Exception ex) when (ex is not RuleCompilationException)
             {
                 logger?.LogError(ex, "Error filtering episodes against rules, returning all episodes");
                 return episodes;
@@ -1589,6 +2562,7 @@ namespace Jellyfin.Plugin.SmartLists.Core
                                 ExtractAudioLanguages = false,
                                 ExtractPeople = false,
                                 ExtractCollections = false,
+                                ExtractSmartList = needsSmartList,
                                 ExtractNextUnwatched = false,
                                 ExtractSeriesName = false,
                                 IncludeUnwatchedSeries = true,
@@ -1624,8 +2598,8 @@ namespace Jellyfin.Plugin.SmartLists.Core
         }
 
         private List<BaseItem> ProcessItemChunk(IEnumerable<BaseItem> items, ILibraryManager libraryManager,
-            User user, IUserDataManager? userDataManager, ILogger? logger, bool needsAudioLanguages, bool needsAudioQuality, bool needsVideoQuality, bool needsPeople, bool needsCollections, bool needsNextUnwatched, bool needsSeriesName, bool needsParentSeriesTags, bool needsParentSeriesStudios, bool needsParentSeriesGenres, bool needsSimilarTo, bool includeUnwatchedSeries,
-            List<string> additionalUserIds, OperandFactory.ReferenceMetadata? referenceMetadata, List<string> similarityComparisonFields, List<List<Func<Operand, bool>>> compiledRules, bool hasAnyRules, bool hasNonExpensiveRules, RefreshQueueService.RefreshCache refreshCache)
+            User user, IUserDataManager? userDataManager, ILogger? logger, bool needsAudioLanguages, bool needsAudioQuality, bool needsVideoQuality, bool needsPeople, bool needsCollections, bool needsNextUnwatched, bool needsSeriesName, bool needsParentSeriesTags, bool needsParentSeriesStudios, bool needsParentSeriesGenres, bool needsSmartList, bool needsSimilarTo, bool includeUnwatchedSeries,
+            List<string> additionalUserIds, OperandFactory.ReferenceMetadata? referenceMetadata, List<string> similarityComparisonFields, List<List<Func<Operand, bool>>> compiledRules, List<Func<Operand, bool>> compiledExclusions, bool hasAnyRules, bool hasNonExpensiveRules, RefreshQueueService.RefreshCache refreshCache)
         {
             var results = new List<BaseItem>();
 
@@ -1709,6 +2683,31 @@ namespace Jellyfin.Plugin.SmartLists.Core
                                 }
                             }
 
+                            // Remaining compiled rules are nested groups. They can only run in the cheap phase
+                            // if none of the rules inside them need expensive data.
+                            if (set.Groups != null && compiledIndex < compiledRules[setIndex].Count)
+                            {
+                                bool groupsAreExpensive = set.Groups
+                                    .Where(group => group != null)
+                                    .SelectMany(group => group.GetAllExpressions())
+                                    .Any(expr => expr != null && (ExpensiveFields.Contains(expr.MemberName) ||
+                                                                  (expr.MemberName == "Tags" && expr.IncludeParentSeriesTags == true) ||
+                                                                  (expr.MemberName == "Studios" && expr.IncludeParentSeriesStudios == true) ||
+                                                                  (expr.MemberName == "Genres" && expr.IncludeParentSeriesGenres == true)));
+
+                                for (; compiledIndex < compiledRules[setIndex].Count; compiledIndex++)
+                                {
+                                    if (groupsAreExpensive)
+                                    {
+                                        expensiveCount++;
+                                    }
+                                    else
+                                    {
+                                        cheapRules.Add(compiledRules[setIndex][compiledIndex]);
+                                    }
+                                }
+                            }
+
                             cheapCompiledRules.Add(cheapRules);
 
                             logger?.LogDebug("Rule set {SetIndex}: {NonExpensiveCount} non-expensive rules, {ExpensiveCount} expensive rules",
@@ -1718,7 +2717,7 @@ namespace Jellyfin.Plugin.SmartLists.Core
                     catch (Exception ex)
                     {
                         logger?.LogWarning(ex, "Error separating rules into cheap and expensive categories. Falling back to simple processing.");
-                        return ProcessItemsSimple(items, libraryManager, user, userDataManager, logger, needsAudioLanguages, needsAudioQuality, needsVideoQuality, needsPeople, needsCollections, needsNextUnwatched, needsSeriesName, needsParentSeriesTags, needsParentSeriesStudios, needsParentSeriesGenres, includeUnwatchedSeries, additionalUserIds, referenceMetadata, similarityComparisonFields, needsSimilarTo, compiledRules, hasAnyRules, refreshCache);
+                        return ProcessItemsSimple(items, libraryManager, user, userDataManager, logger, needsAudioLanguages, needsAudioQuality, needsVideoQuality, needsPeople, needsCollections, needsNextUnwatched, needsSeriesName, needsParentSeriesTags, needsParentSeriesStudios, needsParentSeriesGenres, needsSmartList, includeUnwatchedSeries, additionalUserIds, referenceMetadata, similarityComparisonFields, needsSimilarTo, compiledRules, compiledExclusions, hasAnyRules, refreshCache);
                     }
 
                     if (!hasNonExpensiveRules)
@@ -1733,7 +2732,9 @@ namespace Jellyfin.Plugin.SmartLists.Core
                         if (needsPeople)
                         {
                             logger?.LogDebug("Preloading People cache for all {Count} items (expensive-only path)", itemList.Count);
+                            var preloadStart = Stopwatch.GetTimestamp();
                             OperandFactory.PreloadPeopleCache(libraryManager, itemList, refreshCache, logger);
+                            Profiler?.AddElapsed(RefreshPhase.LoadItemData, preloadStart);
                         }
 
                         // Process items sequentially for expensive field extraction and evaluation
@@ -1747,6 +2748,7 @@ namespace Jellyfin.Plugin.SmartLists.Core
 
                             try
                             {
+                                var loadStart = Stopwatch.GetTimestamp();
                                 var operand = OperandFactory.GetMediaType(libraryManager, item, user, userDataManager, UserManager, logger, new MediaTypeExtractionOptions
                                 {
                                     ExtractAudioLanguages = needsAudioLanguages,
@@ -1754,6 +2756,7 @@ namespace Jellyfin.Plugin.SmartLists.Core
                                     ExtractVideoQuality = needsVideoQuality,
                                     ExtractPeople = needsPeople,
                                     ExtractCollections = needsCollections,
+                                    ExtractSmartList = needsSmartList,
                                     ExtractNextUnwatched = needsNextUnwatched,
                                     ExtractSeriesName = needsSeriesName,
                                     ExtractParentSeriesTags = needsParentSeriesTags,
@@ -1762,6 +2765,7 @@ namespace Jellyfin.Plugin.SmartLists.Core
                                     IncludeUnwatchedSeries = includeUnwatchedSeries,
                                     AdditionalUserIds = additionalUserIds,
                                 }, refreshCache);
+                                Profiler?.AddElapsed(RefreshPhase.LoadItemData, loadStart);
 
                                 // Calculate similarity score if SimilarTo is active
                                 bool passesSimilarity = true;
@@ -1795,6 +2799,9 @@ namespace Jellyfin.Plugin.SmartLists.Core
                                 // Apply similarity filter
                                 matches = matches && passesSimilarity;
 
+                                // Apply exclusion blocks
+                                matches = matches && !MatchesAnyExclusion(compiledExclusions, operand);
+
                                 if (matches)
                                 {
                                     results.Add(item);
@@ -1860,16 +2867,19 @@ namespace Jellyfin.Plugin.SmartLists.Core
                                 }
 
                                 // Phase 1: Extract non-expensive properties and check non-expensive rules
+                                var loadStart = Stopwatch.GetTimestamp();
                                 var cheapOperand = OperandFactory.GetMediaType(libraryManager, item, user, userDataManager, UserManager, logger, new MediaTypeExtractionOptions
                                 {
                                     ExtractAudioLanguages = false,
                                     ExtractPeople = false,
                                     ExtractCollections = false,
+                                    ExtractSmartList = needsSmartList,
                                     ExtractNextUnwatched = false,
                                     ExtractSeriesName = false,
                                     IncludeUnwatchedSeries = true,
                                     AdditionalUserIds = additionalUserIds,
                                 }, refreshCache);
+                                Profiler?.AddElapsed(RefreshPhase.LoadItemData, loadStart);
 
                                 // Check if item passes all non-expensive rules for any rule set that has non-expensive rules
                                 bool passesNonExpensiveRules = false;
@@ -1936,7 +2946,9 @@ namespace Jellyfin.Plugin.SmartLists.Core
                         if (needsPeople && phase1Survivors.Count > 0)
                         {
                             logger?.LogDebug("Preloading People cache for {Count} Phase 1 survivors", phase1Survivors.Count);
+                            var preloadStart = Stopwatch.GetTimestamp();
                             OperandFactory.PreloadPeopleCache(libraryManager, phase1Survivors, refreshCache, logger);
+                            Profiler?.AddElapsed(RefreshPhase.LoadItemData, preloadStart);
                         }
 
                         // Second pass: Process Phase 1 survivors with expensive data sequentially
@@ -1952,6 +2964,7 @@ namespace Jellyfin.Plugin.SmartLists.Core
                             try
                             {
                                 // Phase 2: Extract expensive data and check complete rules
+                                var loadStart = Stopwatch.GetTimestamp();
                                 var fullOperand = OperandFactory.GetMediaType(libraryManager, item, user, userDataManager, UserManager, logger, new MediaTypeExtractionOptions
                                 {
                                     ExtractAudioLanguages = needsAudioLanguages,
@@ -1959,6 +2972,7 @@ namespace Jellyfin.Plugin.SmartLists.Core
                                     ExtractVideoQuality = needsVideoQuality,
                                     ExtractPeople = needsPeople,
                                     ExtractCollections = needsCollections,
+                                    ExtractSmartList = needsSmartList,
                                     ExtractNextUnwatched = needsNextUnwatched,
                                     ExtractSeriesName = needsSeriesName,
                                     ExtractParentSeriesTags = needsParentSeriesTags,
@@ -1967,6 +2981,7 @@ namespace Jellyfin.Plugin.SmartLists.Core
                                     IncludeUnwatchedSeries = includeUnwatchedSeries,
                                     AdditionalUserIds = additionalUserIds,
                                 }, refreshCache);
+                                Profiler?.AddElapsed(RefreshPhase.LoadItemData, loadStart);
 
                                 // Debug: Log expensive data found for first few items
                                 bool shouldLog = debugItemCount < 5;
@@ -2028,6 +3043,9 @@ namespace Jellyfin.Plugin.SmartLists.Core
                                 // Apply similarity filter
                                 matches = matches && passesSimilarity;
 
+                                // Apply exclusion blocks
+                                matches = matches && !MatchesAnyExclusion(compiledExclusions, fullOperand);
+
                                 if (matches)
                                 {
                                     results.Add(item);
@@ -2060,7 +3078,7 @@ namespace Jellyfin.Plugin.SmartLists.Core
                 else
                 {
                     // No expensive fields needed - use simple filtering
-                    return ProcessItemsSimple(items, libraryManager, user, userDataManager, logger, needsAudioLanguages, needsAudioQuality, needsVideoQuality, needsPeople, needsCollections, needsNextUnwatched, needsSeriesName, needsParentSeriesTags, needsParentSeriesStudios, needsParentSeriesGenres, includeUnwatchedSeries, additionalUserIds, referenceMetadata, similarityComparisonFields, needsSimilarTo, compiledRules, hasAnyRules, refreshCache);
+                    return ProcessItemsSimple(items, libraryManager, user, userDataManager, logger, needsAudioLanguages, needsAudioQuality, needsVideoQuality, needsPeople, needsCollections, needsNextUnwatched, needsSeriesName, needsParentSeriesTags, needsParentSeriesStudios, needsParentSeriesGenres, needsSmartList, includeUnwatchedSeries, additionalUserIds, referenceMetadata, similarityComparisonFields, needsSimilarTo, compiledRules, compiledExclusions, hasAnyRules, refreshCache);
                 }
 
                 return results;
@@ -2082,9 +3100,9 @@ namespace Jellyfin.Plugin.SmartLists.Core
         /// Simple item processing fallback method with error handling.
         /// </summary>
         private List<BaseItem> ProcessItemsSimple(IEnumerable<BaseItem> items, ILibraryManager libraryManager,
-            User user, IUserDataManager? userDataManager, ILogger? logger, bool needsAudioLanguages, bool needsAudioQuality, bool needsVideoQuality, bool needsPeople, bool needsCollections, bool needsNextUnwatched, bool needsSeriesName, bool needsParentSeriesTags, bool needsParentSeriesStudios, bool needsParentSeriesGenres, bool includeUnwatchedSeries,
+            User user, IUserDataManager? userDataManager, ILogger? logger, bool needsAudioLanguages, bool needsAudioQuality, bool needsVideoQuality, bool needsPeople, bool needsCollections, bool needsNextUnwatched, bool needsSeriesName, bool needsParentSeriesTags, bool needsParentSeriesStudios, bool needsParentSeriesGenres, bool needsSmartList, bool includeUnwatchedSeries,
             List<string> additionalUserIds, OperandFactory.ReferenceMetadata? referenceMetadata, List<string> similarityComparisonFields, bool needsSimilarTo,
-            List<List<Func<Operand, bool>>> compiledRules, bool hasAnyRules, RefreshQueueService.RefreshCache refreshCache)
+            List<List<Func<Operand, bool>>> compiledRules, List<Func<Operand, bool>> compiledExclusions, bool hasAnyRules, RefreshQueueService.RefreshCache refreshCache)
         {
             var results = new List<BaseItem>();
 
@@ -2095,7 +3113,9 @@ namespace Jellyfin.Plugin.SmartLists.Core
             if (needsPeople)
             {
                 logger?.LogDebug("Preloading People cache for simple processing ({Count} items)", itemList.Count);
+                var preloadStart = Stopwatch.GetTimestamp();
                 OperandFactory.PreloadPeopleCache(libraryManager, itemList, refreshCache, logger);
+                Profiler?.AddElapsed(RefreshPhase.LoadItemData, preloadStart);
             }
 
             // Process items sequentially
@@ -2111,6 +3131,7 @@ namespace Jellyfin.Plugin.SmartLists.Core
 
                     try
                     {
+                        var loadStart = Stopwatch.GetTimestamp();
                         var operand = OperandFactory.GetMediaType(libraryManager, item, user, userDataManager, UserManager, logger, new MediaTypeExtractionOptions
                         {
                             ExtractAudioLanguages = needsAudioLanguages,
@@ -2118,6 +3139,7 @@ namespace Jellyfin.Plugin.SmartLists.Core
                             ExtractVideoQuality = needsVideoQuality,
                             ExtractPeople = needsPeople,
                             ExtractCollections = needsCollections,
+                            ExtractSmartList = needsSmartList,
                             ExtractNextUnwatched = needsNextUnwatched,
                             ExtractSeriesName = needsSeriesName,
                             ExtractParentSeriesTags = needsParentSeriesTags,
@@ -2126,6 +3148,7 @@ namespace Jellyfin.Plugin.SmartLists.Core
                             IncludeUnwatchedSeries = includeUnwatchedSeries,
                             AdditionalUserIds = additionalUserIds,
                         }, refreshCache);
+                        Profiler?.AddElapsed(RefreshPhase.LoadItemData, loadStart);
 
                         // Check similarity first if SimilarTo is active
                         bool passesSimilarity = true;
@@ -2157,6 +3180,9 @@ namespace Jellyfin.Plugin.SmartLists.Core
                         // Apply similarity filter
                         matches = matches && passesSimilarity;
 
+                        // Apply exclusion blocks
+                        matches = matches && !MatchesAnyExclusion(compiledExclusions, operand);
+
                         if (matches)
                         {
                             results.Add(item);
@@ -2280,6 +3306,7 @@ namespace Jellyfin.Plugin.SmartLists.Core
         public bool NeedsParentSeriesTags { get; set; }
         public bool NeedsParentSeriesStudios { get; set; }
         public bool NeedsParentSeriesGenres { get; set; }
+        public bool NeedsSmartList { get; set; }
         public bool NeedsSimilarTo { get; set; }
         public bool IncludeUnwatchedSeries { get; set; } = true;
         public List<string> AdditionalUserIds { get; set; } = [];
@@ -2297,7 +3324,7 @@ namespace Jellyfin.Plugin.SmartLists.Core
             if (expressionSets == null) return requirements;
 
             requirements.NeedsAudioLanguages = expressionSets
-                .SelectMany(set => set?.Expressions ?? [])
+                .SelectMany(set => set?.GetAllExpressions() ?? [])
                 .Any(expr => expr?.MemberName == "AudioLanguages");
 
             // Check if any rules use audio quality fields (expensive operations)
@@ -2306,7 +3333,7 @@ namespace Jellyfin.Plugin.SmartLists.Core
                 "AudioBitrate", "AudioSampleRate", "AudioBitDepth", "AudioCodec", "AudioProfile", "AudioChannels",
             };
             requirements.NeedsAudioQuality = expressionSets
-                .SelectMany(set => set?.Expressions ?? [])
+                .SelectMany(set => set?.GetAllExpressions() ?? [])
                 .Any(expr => expr?.MemberName != null && audioQualityFields.Contains(expr.MemberName));
 
             // Check if any rules use video quality fields (expensive operations)
@@ -2315,23 +3342,23 @@ namespace Jellyfin.Plugin.SmartLists.Core
                 "Resolution", "Framerate", "VideoCodec", "VideoProfile", "VideoRange", "VideoRangeType",
             };
             requirements.NeedsVideoQuality = expressionSets
-                .SelectMany(set => set?.Expressions ?? [])
+                .SelectMany(set => set?.GetAllExpressions() ?? [])
                 .Any(expr => expr?.MemberName != null && videoQualityFields.Contains(expr.MemberName));
 
             requirements.NeedsPeople = expressionSets
-                .SelectMany(set => set?.Expressions ?? [])
+                .SelectMany(set => set?.GetAllExpressions() ?? [])
                 .Any(expr => expr?.MemberName != null && FieldDefinitions.IsPeopleField(expr.MemberName));
 
             requirements.NeedsCollections = expressionSets
-                .SelectMany(set => set?.Expressions ?? [])
+                .SelectMany(set => set?.GetAllExpressions() ?? [])
                 .Any(expr => expr?.MemberName == "Collections");
 
             requirements.NeedsNextUnwatched = expressionSets
-                .SelectMany(set => set?.Expressions ?? [])
+                .SelectMany(set => set?.GetAllExpressions() ?? [])
                 .Any(expr => expr?.MemberName == "NextUnwatched");
 
             requirements.NeedsSeriesName = expressionSets
-                .SelectMany(set => set?.Expressions ?? [])
+                .SelectMany(set => set?.GetAllExpressions() ?? [])
                 .Any(expr => expr?.MemberName == "SeriesName");
 
             // Also check if SeriesName is used in sorting
@@ -2343,38 +3370,43 @@ namespace Jellyfin.Plugin.SmartLists.Core
 
             // Check if any Tags rule has IncludeParentSeriesTags = true
             requirements.NeedsParentSeriesTags = expressionSets
-                .SelectMany(set => set?.Expressions ?? [])
+                .SelectMany(set => set?.GetAllExpressions() ?? [])
                 .Any(expr => expr?.MemberName == "Tags" && expr.IncludeParentSeriesTags == true);
 
             // Check if any Studios rule has IncludeParentSeriesStudios = true
             requirements.NeedsParentSeriesStudios = expressionSets
-                .SelectMany(set => set?.Expressions ?? [])
+                .SelectMany(set => set?.GetAllExpressions() ?? [])
                 .Any(expr => expr?.MemberName == "Studios" && expr.IncludeParentSeriesStudios == true);
 
             // Check if any Genres rule has IncludeParentSeriesGenres = true
             requirements.NeedsParentSeriesGenres = expressionSets
-                .SelectMany(set => set?.Expressions ?? [])
+                .SelectMany(set => set?.GetAllExpressions() ?? [])
                 .Any(expr => expr?.MemberName == "Genres" && expr.IncludeParentSeriesGenres == true);
 
+            // Smart List rules need the item's membership in the referenced lists
+            requirements.NeedsSmartList = expressionSets
+                .SelectMany(set => set?.GetAllExpressions() ?? [])
+                .Any(expr => expr?.MemberName == "SmartList");
+
             // Check if any rules use SimilarTo field
             requirements.NeedsSimilarTo = expressionSets
-                .SelectMany(set => set?.Expressions ?? [])
+                .SelectMany(set => set?.GetAllExpressions() ?? [])
                 .Any(expr => expr?.MemberName == "SimilarTo");
 
             // Extract SimilarTo expressions for reference item lookup
             requirements.SimilarToExpressions = [.. expressionSets
-                .SelectMany(set => set?.Expressions ?? [])
+                .SelectMany(set => set?.GetAllExpressions() ?? [])
                 .Where(expr => expr?.MemberName == "SimilarTo")];
 
             // Extract IncludeUnwatchedSeries parameter from NextUnwatched rules
             requirements.IncludeUnwatchedSeries = expressionSets
-                .SelectMany(set => set?.Expressions ?? [])
+                .SelectMany(set => set?.GetAllExpressions() ?? [])
                 .Where(e => e?.MemberName == "NextUnwatched")
                 .All(e => e.IncludeUnwatchedSeries != false);
 
             // Extract additional user IDs from user-specific rules
             requirements.AdditionalUserIds = [.. expressionSets
-                .SelectMany(set => set?.Expressions ?? [])
+                .SelectMany(set => set?.GetAllExpressions() ?? [])
                 .Where(e => !string.IsNullOrEmpty(e?.UserId))
                 .Select(e => e.UserId!)
                 .Distinct()];
@@ -133,6 +133,72 @@ namespace Jellyfin.Plugin.SmartLists
                     Name = "config-lists.js",
                     EmbeddedResourcePath = GetType().Namespace + ".Configuration.config-lists.js",
                 },
+                // Rule preview
+                new PluginPageInfo
+                {
+                    Name = "config-preview.js",
+                    EmbeddedResourcePath = GetType().Namespace + ".Configuration.config-preview.js",
+                },
+                // Rule templates
+                new PluginPageInfo
+                {
+                    Name = "config-templates.js",
+                    EmbeddedResourcePath = GetType().Namespace + ".Configuration.config-templates.js",
+                },
+                // Editor undo/redo history
+                new PluginPageInfo
+                {
+                    Name = "config-history.js",
+                    EmbeddedResourcePath = GetType().Namespace + ".Configuration.config-history.js",
+                },
+                // Unsaved changes and drafts
+                new PluginPageInfo
+                {
+                    Name = "config-drafts.js",
+                    EmbeddedResourcePath = GetType().Namespace + ".Configuration.config-drafts.js",
+                },
+                // Drag-and-drop reordering
+                new PluginPageInfo
+                {
+                    Name = "config-reorder.js",
+                    EmbeddedResourcePath = GetType().Namespace + ".Configuration.config-reorder.js",
+                },
+                // Rules text mode
+                new PluginPageInfo
+                {
+                    Name = "config-query.js",
+                    EmbeddedResourcePath = GetType().Namespace + ".Configuration.config-query.js",
+                },
+                // Rule validation
+                new PluginPageInfo
+                {
+                    Name = "config-validation.js",
+                    EmbeddedResourcePath = GetType().Namespace + ".Configuration.config-validation.js",
+                },
+                // Rule linter
+                new PluginPageInfo
+                {
+                    Name = "config-lint.js",
+                    EmbeddedResourcePath = GetType().Namespace + ".Configuration.config-lint.js",
+                },
+                // Regex tester
+                new PluginPageInfo
+                {
+                    Name = "config-regex.js",
+                    EmbeddedResourcePath = GetType().Namespace + ".Configuration.config-regex.js",
+                },
+                // Value suggestions
+                new PluginPageInfo
+                {
+                    Name = "config-suggest.js",
+                    EmbeddedResourcePath = GetType().Namespace + ".Configuration.config-suggest.js",
+                },
+                // Similar To item picker
+                new PluginPageInfo
+                {
+                    Name = "config-similar.js",
+                    EmbeddedResourcePath = GetType().Namespace + ".Configuration.config-similar.js",
+                },
                 // Filtering and search
                 new PluginPageInfo
                 {
@@ -151,6 +217,30 @@ namespace Jellyfin.Plugin.SmartLists
                     Name = "config-status.js",
                     EmbeddedResourcePath = GetType().Namespace + ".Configuration.config-status.js",
                 },
+                // Schedule calendar
+                new PluginPageInfo
+                {
+                    Name = "config-calendar.js",
+                    EmbeddedResourcePath = GetType().Namespace + ".Configuration.config-calendar.js",
+                },
+                // Statistics charts
+                new PluginPageInfo
+                {
+                    Name = "config-charts.js",
+                    EmbeddedResourcePath = GetType().Namespace + ".Configuration.config-charts.js",
+                },
+                // Refresh failure alerts
+                new PluginPageInfo
+                {
+                    Name = "config-failures.js",
+                    EmbeddedResourcePath = GetType().Namespace + ".Configuration.config-failures.js",
+                },
+                // Notification webhooks
+                new PluginPageInfo
+                {
+                    Name = "config-notifications.js",
+                    EmbeddedResourcePath = GetType().Namespace + ".Configuration.config-notifications.js",
+                },
                 // API calls
                 new PluginPageInfo
                 {
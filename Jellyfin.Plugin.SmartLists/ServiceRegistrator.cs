@@ -54,6 +54,10 @@ namespace Jellyfin.Plugin.SmartLists
             });
             
             serviceCollection.AddHostedService<AutoRefreshHostedService>();
+
+            // One instance sends the refresh webhooks and the controller's test webhooks
+            serviceCollection.AddSingleton<WebhookNotificationService>();
+            serviceCollection.AddHostedService(sp => sp.GetRequiredService<WebhookNotificationService>());
             serviceCollection.AddScoped<IManualRefreshService, ManualRefreshService>();
         }
     }
@@ -50,8 +50,10 @@ namespace Jellyfin.Plugin.SmartLists.Services.Abstractions
         /// <param name="refreshCache">RefreshCache instance for caching expensive operations</param>
         /// <param name="saveCallback">Optional callback to save the DTO when JellyfinPlaylistId is updated</param>
         /// <param name="progressCallback">Optional callback to report progress</param>
+        /// <param name="profiler">Optional profiler that records where the time of the refresh goes</param>
         /// <param name="cancellationToken">Cancellation token</param>
         /// <returns>Tuple of (success, message, jellyfinPlaylistId)</returns>
+        /// <remarks>Unexpected errors, such as a rule that can't be compiled, are thrown rather than returned.</remarks>
         Task<(bool Success, string Message, string JellyfinPlaylistId)> ProcessPlaylistRefreshWithCachedMediaAsync(
             TDto dto,
             User user,
@@ -59,6 +61,7 @@ namespace Jellyfin.Plugin.SmartLists.Services.Abstractions
             RefreshQueueService.RefreshCache refreshCache,
             Func<TDto, Task>? saveCallback = null,
             Action<int, int>? progressCallback = null,
+            RefreshProfiler? profiler = null,
             CancellationToken cancellationToken = default);
     }
 }
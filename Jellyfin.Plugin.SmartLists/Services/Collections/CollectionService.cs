@@ -10,6 +10,7 @@ using Jellyfin.Database.Implementations.Entities;
 using Jellyfin.Plugin.SmartLists;
 using Jellyfin.Plugin.SmartLists.Core;
 using Jellyfin.Plugin.SmartLists.Core.Constants;
+using Jellyfin.Plugin.SmartLists.Core.Enums;
 using Jellyfin.Plugin.SmartLists.Core.Models;
 using Jellyfin.Plugin.SmartLists.Services.Abstractions;
 using Jellyfin.Plugin.SmartLists.Services.Shared;
@@ -92,6 +93,7 @@ namespace Jellyfin.Plugin.SmartLists.Services.Collections
             RefreshQueueService.RefreshCache refreshCache,
             Func<SmartCollectionDto, Task>? saveCallback = null,
             Action<int, int>? progressCallback = null,
+            RefreshProfiler? profiler = null,
             CancellationToken cancellationToken = default)
         {
             ArgumentNullException.ThrowIfNull(dto);
@@ -99,7 +101,7 @@ namespace Jellyfin.Plugin.SmartLists.Services.Collections
             ArgumentNullException.ThrowIfNull(allUserMedia);
             ArgumentNullException.ThrowIfNull(refreshCache);
 
-            var (success, message, collectionId) = await ProcessCollectionRefreshAsync(dto, user, allUserMedia, refreshCache, progressCallback, cancellationToken);
+            var (success, message, collectionId) = await ProcessCollectionRefreshAsync(dto, user, allUserMedia, refreshCache, progressCallback, profiler, cancellationToken);
 
             // Update LastRefreshed timestamp for successful refreshes (any trigger)
             // Note: For new collections, LastRefreshed was already set in ProcessCollectionRefreshAsync,
@@ -198,11 +200,13 @@ namespace Jellyfin.Plugin.SmartLists.Services.Collections
             BaseItem[] allMedia,
             RefreshQueueService.RefreshCache refreshCache,
             Action<int, int>? progressCallback = null,
+            RefreshProfiler? profiler = null,
             CancellationToken cancellationToken = default)
         {
                 var smartCollection = new Core.SmartList(dto)
                 {
-                    UserManager = _userManager // Set UserManager for Jellyfin 10.11+ user resolution
+                    UserManager = _userManager, // Set UserManager for Jellyfin 10.11+ user resolution
+                    Profiler = profiler
                 };
 
                 // Check if IncludeCollectionOnly is enabled
@@ -309,7 +313,9 @@ namespace Jellyfin.Plugin.SmartLists.Services.Collections
                     }
 
                     // Update the collection items
+                    var writeStart = Stopwatch.GetTimestamp();
                     await UpdateCollectionItemsAsync(existingCollection, newLinkedChildren, dto, cancellationToken);
+                    profiler?.AddElapsed(RefreshPhase.WriteList, writeStart);
 
                     _logger.LogDebug("Successfully updated existing collection: {CollectionName} with {ItemCount} items",
                         existingCollection.Name, newLinkedChildren.Length);
@@ -325,7 +331,9 @@ namespace Jellyfin.Plugin.SmartLists.Services.Collections
                     // Create new collection
                     _logger.LogDebug("Creating new collection: {CollectionName}", collectionName);
 
+                    var writeStart = Stopwatch.GetTimestamp();
                     var newCollectionId = await CreateNewCollectionAsync(collectionName, newLinkedChildren, dto, cancellationToken);
+                    profiler?.AddElapsed(RefreshPhase.WriteList, writeStart);
 
                     // Check if collection creation actually succeeded
                     if (string.IsNullOrEmpty(newCollectionId))
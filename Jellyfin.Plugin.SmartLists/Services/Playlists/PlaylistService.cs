@@ -9,6 +9,7 @@ using Jellyfin.Database.Implementations.Entities;
 using Jellyfin.Plugin.SmartLists;
 using Jellyfin.Plugin.SmartLists.Core;
 using Jellyfin.Plugin.SmartLists.Core.Constants;
+using Jellyfin.Plugin.SmartLists.Core.Enums;
 using Jellyfin.Plugin.SmartLists.Core.Models;
 using Jellyfin.Plugin.SmartLists.Services.Abstractions;
 using Jellyfin.Plugin.SmartLists.Services.Shared;
@@ -64,6 +65,7 @@ namespace Jellyfin.Plugin.SmartLists.Services.Playlists
         /// <param name="refreshCache">RefreshCache instance for caching expensive operations</param>
         /// <param name="saveCallback">Optional callback to save the DTO when JellyfinPlaylistId is updated</param>
         /// <param name="progressCallback">Optional callback to report progress (processed items, total items)</param>
+        /// <param name="profiler">Optional profiler that records where the time of the refresh goes</param>
         /// <param name="cancellationToken">Cancellation token</param>
         /// <returns>Tuple of (success, message, jellyfinPlaylistId)</returns>
         public async Task<(bool Success, string Message, string JellyfinPlaylistId)> ProcessPlaylistRefreshWithCachedMediaAsync(
@@ -73,13 +75,14 @@ namespace Jellyfin.Plugin.SmartLists.Services.Playlists
             RefreshQueueService.RefreshCache refreshCache,
             Func<SmartPlaylistDto, Task>? saveCallback = null,
             Action<int, int>? progressCallback = null,
+            RefreshProfiler? profiler = null,
             CancellationToken cancellationToken = default)
         {
             ArgumentNullException.ThrowIfNull(dto);
             ArgumentNullException.ThrowIfNull(user);
             ArgumentNullException.ThrowIfNull(allUserMedia);
 
-            var (success, message, jellyfinPlaylistId) = await ProcessPlaylistRefreshAsync(dto, user, allUserMedia, refreshCache, _logger, saveCallback, progressCallback, cancellationToken);
+            var (success, message, jellyfinPlaylistId) = await ProcessPlaylistRefreshAsync(dto, user, allUserMedia, refreshCache, _logger, saveCallback, progressCallback, profiler, cancellationToken);
 
             // Update LastRefreshed timestamp for successful refreshes (any trigger)
             // Note: For new playlists, LastRefreshed was already set in ProcessPlaylistRefreshAsync before the saveCallback,
@@ -118,6 +121,7 @@ namespace Jellyfin.Plugin.SmartLists.Services.Playlists
             ILogger logger,
             Func<SmartPlaylistDto, Task>? saveCallback = null,
             Action<int, int>? progressCallback = null,
+            RefreshProfiler? profiler = null,
             CancellationToken cancellationToken = default)
         {
             try
@@ -133,7 +137,8 @@ namespace Jellyfin.Plugin.SmartLists.Services.Playlists
 
                 var smartPlaylist = new Core.SmartList(dto)
                 {
-                    UserManager = _userManager // Set UserManager for Jellyfin 10.11+ user resolution,
+                    UserManager = _userManager, // Set UserManager for Jellyfin 10.11+ user resolution
+                    Profiler = profiler
                 };
 
                 // Log the playlist rules
@@ -254,7 +259,9 @@ namespace Jellyfin.Plugin.SmartLists.Services.Playlists
                     }
 
                     // Update the playlist items (includes metadata refresh)
+                    var writeStart = Stopwatch.GetTimestamp();
                     await UpdatePlaylistPublicStatusAsync(existingPlaylist, dto.Public, newLinkedChildren, dto, cancellationToken);
+                    profiler?.AddElapsed(RefreshPhase.WriteList, writeStart);
 
                     logger.LogDebug("Successfully updated existing playlist: {PlaylistName} with {ItemCount} items",
                         existingPlaylist.Name, newLinkedChildren.Length);
@@ -266,7 +273,9 @@ namespace Jellyfin.Plugin.SmartLists.Services.Playlists
                     // Create new playlist
                     logger.LogDebug("Creating new playlist: {PlaylistName}", smartPlaylistName);
 
+                    var writeStart = Stopwatch.GetTimestamp();
                     var newPlaylistId = await CreateNewPlaylistAsync(smartPlaylistName, user.Id, dto.Public, newLinkedChildren, dto, cancellationToken);
+                    profiler?.AddElapsed(RefreshPhase.WriteList, writeStart);
 
                     // Check if playlist creation actually succeeded
                     if (string.IsNullOrEmpty(newPlaylistId))
@@ -329,8 +338,9 @@ namespace Jellyfin.Plugin.SmartLists.Services.Playlists
             }
             catch (Exception ex)
             {
+                // Rethrown like the collection path, so the refresh queue can record the full exception
                 logger.LogError(ex, "Error processing playlist refresh for '{PlaylistName}': {ErrorMessage}", dto.Name, ex.Message);
-                return (false, $"Error processing playlist '{dto.Name}': {ex.Message}", string.Empty);
+                throw;
             }
         }
 
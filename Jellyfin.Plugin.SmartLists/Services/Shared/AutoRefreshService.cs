@@ -16,6 +16,7 @@ using Jellyfin.Plugin.SmartLists.Utilities;
 using MediaBrowser.Controller.Entities;
 using MediaBrowser.Controller.Library;
 using Microsoft.Extensions.Logging;
+using Microsoft.Extensions.Logging.Abstractions;
 
 namespace Jellyfin.Plugin.SmartLists.Services.Shared
 {
@@ -52,7 +53,6 @@ namespace Jellyfin.Plugin.SmartLists.Services.Shared
         private readonly ISmartListService<SmartCollectionDto> _collectionService;
         private readonly IUserDataManager _userDataManager;
         private readonly IUserManager _userManager;
-        private readonly RefreshCache _playlistRefreshCache;
         private readonly RefreshQueueService _refreshQueueService;
 
         // Static reference for API access to cache management
@@ -115,19 +115,10 @@ namespace Jellyfin.Plugin.SmartLists.Services.Shared
             _refreshStatusService = refreshStatusService;
             _refreshQueueService = refreshQueueService;
 
-            // Initialize cache helper - using interfaces for proper dependency injection
-            _playlistRefreshCache = new RefreshCache(
-                _libraryManager,
-                _userManager,
-                _playlistService,
-                _playlistStore,
-                _logger);
-
             // Set static instance for API access
             Instance = this;
 
-            // Note: RefreshCache is used for scheduled batch processing to efficiently process multiple lists.
-            // The RefreshQueueService handles all refresh operations (manual, auto, and scheduled).
+            // Note: The RefreshQueueService handles all refresh operations (manual, auto, and scheduled).
             // Initialize batch processing timer (runs every 1 second to check for pending refreshes)
             _batchProcessTimer = new Timer(ProcessPendingBatchRefreshes, null, TimeSpan.FromSeconds(1), TimeSpan.FromSeconds(1));
 
@@ -506,7 +497,7 @@ namespace Jellyfin.Plugin.SmartLists.Services.Shared
             // Also maintain the detailed field-based cache (kept for potential future optimizations)
             // Handle playlists with no rules - they should be refreshed for any change to their media types
             if (playlist.ExpressionSets == null || !playlist.ExpressionSets.Any() ||
-                !playlist.ExpressionSets.Any(es => es.Expressions?.Any() == true))
+                !playlist.ExpressionSets.Any(es => es.GetAllExpressions().Any()))
             {
                 foreach (var mediaType in mediaTypes)
                 {
@@ -527,11 +518,9 @@ namespace Jellyfin.Plugin.SmartLists.Services.Shared
             }
 
             // Handle playlists with specific rules
-            foreach (var expressionSet in playlist.ExpressionSets)
+            foreach (var expressionSet in playlist.GetAllRuleSets())
             {
-                if (expressionSet.Expressions == null) continue;
-
-                foreach (var expression in expressionSet.Expressions)
+                foreach (var expression in expressionSet.GetAllExpressions())
                 {
                     // Skip expressions with empty or whitespace-only field names to avoid malformed cache keys
                     if (string.IsNullOrWhiteSpace(expression.MemberName)) continue;
@@ -746,7 +735,7 @@ namespace Jellyfin.Plugin.SmartLists.Services.Shared
 
             // Handle collections with no rules
             if (collection.ExpressionSets == null || !collection.ExpressionSets.Any() ||
-                !collection.ExpressionSets.Any(es => es.Expressions?.Any() == true))
+                !collection.ExpressionSets.Any(es => es.GetAllExpressions().Any()))
             {
                 foreach (var mediaType in mediaTypes)
                 {
@@ -766,11 +755,9 @@ namespace Jellyfin.Plugin.SmartLists.Services.Shared
             {
                 // Add field-based cache entries
                 // Note: Collections DO use user-specific fields (PlaybackStatus, IsFavorite, etc.) via the reference user
-                foreach (var expressionSet in collection.ExpressionSets)
+                foreach (var expressionSet in collection.GetAllRuleSets())
                 {
-                    if (expressionSet.Expressions == null) continue;
-
-                    foreach (var expression in expressionSet.Expressions)
+                    foreach (var expression in expressionSet.GetAllExpressions())
                     {
                         if (string.IsNullOrEmpty(expression.MemberName)) continue;
 
@@ -1074,11 +1061,11 @@ namespace Jellyfin.Plugin.SmartLists.Services.Shared
                 // Check if the playlist has user-specific rules that reference this user
                 if (playlist.ExpressionSets != null)
                 {
-                    foreach (var expressionSet in playlist.ExpressionSets)
+                    foreach (var expressionSet in playlist.GetAllRuleSets())
                     {
-                        if (expressionSet.Expressions != null)
+                        if (expressionSet != null)
                         {
-                            foreach (var expression in expressionSet.Expressions)
+                            foreach (var expression in expressionSet.GetAllExpressions())
                             {
                                 // Check if this expression is user-specific and references our user explicitly
                                 // Normalize UserId to "N" format for comparison
@@ -1522,6 +1509,89 @@ namespace Jellyfin.Plugin.SmartLists.Services.Shared
             return CalculateNextQuarterHour(now);
         }
 
+        /// <summary>
+        /// Expands the schedules of every enabled list into the refreshes the schedule timer will start
+        /// in the given window. The timer's 15-minute checks are replayed with the same due checks, so the
+        /// result follows the timer exactly (local times, interval alignment, short months).
+        /// </summary>
+        /// <param name="fromUtc">Start of the window (UTC).</param>
+        /// <param name="toUtc">End of the window (UTC, exclusive).</param>
+        /// <returns>The upcoming runs, in time order.</returns>
+        public async Task<List<ScheduledRun>> GetUpcomingScheduledRunsAsync(DateTime fromUtc, DateTime toUtc)
+        {
+            var allPlaylists = await _playlistStore.GetAllAsync().ConfigureAwait(false);
+            var allCollections = await _collectionStore.GetAllAsync().ConfigureAwait(false);
+
+            // Skip the per-check debug logging; replaying a month of checks would flood the log
+            var scheduledLists = allPlaylists.Cast<SmartListDto>()
+                .Concat(allCollections)
+                .Where(list => list.Enabled && list.Schedules != null && list.Schedules.Any(s => s?.Trigger != null))
+                .Select(list => (List: list, DueChecks: list.Schedules
+                    .Where(s => s?.Trigger != null)
+                    .Select(s => (s.Trigger, IsDue: CreateDueCheck(s, list.Name, NullLogger.Instance)))
+                    .ToList()))
+                .ToList();
+
+            var runs = new List<ScheduledRun>();
+            for (var checkTime = GetFirstCheckAfter(fromUtc); checkTime < toUtc; checkTime = checkTime.AddMinutes(15))
+            {
+                foreach (var (list, dueChecks) in scheduledLists)
+                {
+                    var triggers = dueChecks
+                        .Where(check => check.IsDue(checkTime))
+                        .Select(check => check.Trigger)
+                        .Distinct()
+                        .ToList();
+
+                    if (triggers.Count > 0)
+                    {
+                        runs.Add(new ScheduledRun
+                        {
+                            ListId = list.Id ?? string.Empty,
+                            ListName = list.Name,
+                            ListType = list.Type,
+                            Time = checkTime,
+                            Triggers = triggers,
+                        });
+                    }
+                }
+            }
+
+            return runs;
+        }
+
+        /// <summary>
+        /// Lists the next times the schedule timer will start a refresh for a single schedule,
+        /// replaying the timer's checks the same way as <see cref="GetUpcomingScheduledRunsAsync"/>.
+        /// </summary>
+        /// <param name="schedule">The schedule to expand.</param>
+        /// <param name="fromUtc">Time (UTC) to start from.</param>
+        /// <param name="count">Maximum number of runs to return.</param>
+        /// <param name="lookahead">How far ahead to look; rare schedules may have fewer runs in this time.</param>
+        /// <returns>The run times (UTC), in order.</returns>
+        public static List<DateTime> GetNextScheduleRuns(Schedule schedule, DateTime fromUtc, int count, TimeSpan lookahead)
+        {
+            var runs = new List<DateTime>();
+            var endUtc = fromUtc + lookahead;
+            var isDue = CreateDueCheck(schedule, "schedule preview", NullLogger.Instance);
+            for (var checkTime = GetFirstCheckAfter(fromUtc); checkTime < endUtc && runs.Count < count; checkTime = checkTime.AddMinutes(15))
+            {
+                if (isDue(checkTime))
+                {
+                    runs.Add(checkTime);
+                }
+            }
+
+            return runs;
+        }
+
+        // The first exact 15-minute boundary after the given UTC time, as replayed for upcoming runs
+        private static DateTime GetFirstCheckAfter(DateTime utc)
+        {
+            return new DateTime(utc.Year, utc.Month, utc.Day, utc.Hour, 0, 0, DateTimeKind.Utc)
+                .AddMinutes(((utc.Minute / 15) + 1) * 15);
+        }
+
 
         // Helper method to calculate next 15-minute boundary
         private static DateTime CalculateNextQuarterHour(DateTime now)
@@ -1708,7 +1778,7 @@ namespace Jellyfin.Plugin.SmartLists.Services.Shared
                 // Check if ANY schedule is due (OR logic across schedules)
                 foreach (var schedule in validSchedules)
                 {
-                    if (IsScheduleDue(schedule, now, playlist.Name))
+                    if (IsScheduleDue(schedule, now, playlist.Name, _logger))
                     {
                         return true;
                     }
@@ -1726,7 +1796,7 @@ namespace Jellyfin.Plugin.SmartLists.Services.Shared
             {
                 foreach (var schedule in validSchedules)
                 {
-                    if (IsScheduleDue(schedule, now, collection.Name))
+                    if (IsScheduleDue(schedule, now, collection.Name, _logger))
                     {
                         return true;
                     }
@@ -1736,33 +1806,54 @@ namespace Jellyfin.Plugin.SmartLists.Services.Shared
             return false;
         }
 
-        private bool IsScheduleDue(Schedule schedule, DateTime now, string playlistName)
+        /// <summary>
+        /// Creates a due check for replaying many checks of one schedule. A cron expression is parsed once
+        /// here instead of on every check.
+        /// </summary>
+        private static Func<DateTime, bool> CreateDueCheck(Schedule schedule, string playlistName, ILogger logger)
+        {
+            if (schedule.Trigger != ScheduleTrigger.Cron)
+            {
+                return now => IsScheduleDue(schedule, now, playlistName, logger);
+            }
+
+            if (!CronSchedule.TryParse(schedule.CronExpression, out var cron, out var error))
+            {
+                logger.LogWarning("Cron schedule for '{PlaylistName}' is invalid: {Error}. Schedule will be skipped.", playlistName, error);
+                return _ => false;
+            }
+
+            return now => IsCronDue(cron!, schedule, now, playlistName, logger);
+        }
+
+        private static bool IsScheduleDue(Schedule schedule, DateTime now, string playlistName, ILogger logger)
         {
             // Defensive null check
             if (schedule?.Trigger == null)
             {
-                _logger.LogWarning("Schedule for playlist '{PlaylistName}' has null Trigger, skipping", playlistName);
+                logger.LogWarning("Schedule for playlist '{PlaylistName}' has null Trigger, skipping", playlistName);
                 return false;
             }
 
             return schedule.Trigger switch
             {
-                ScheduleTrigger.Daily => IsDailyDue(schedule, now, playlistName),
-                ScheduleTrigger.Weekly => IsWeeklyDue(schedule, now, playlistName),
-                ScheduleTrigger.Monthly => IsMonthlyDue(schedule, now, playlistName),
-                ScheduleTrigger.Yearly => IsYearlyDue(schedule, now, playlistName),
-                ScheduleTrigger.Interval => IsIntervalDue(schedule, now, playlistName),
+                ScheduleTrigger.Daily => IsDailyDue(schedule, now, playlistName, logger),
+                ScheduleTrigger.Weekly => IsWeeklyDue(schedule, now, playlistName, logger),
+                ScheduleTrigger.Monthly => IsMonthlyDue(schedule, now, playlistName, logger),
+                ScheduleTrigger.Yearly => IsYearlyDue(schedule, now, playlistName, logger),
+                ScheduleTrigger.Interval => IsIntervalDue(schedule, now, playlistName, logger),
+                ScheduleTrigger.Cron => IsCronDue(schedule, now, playlistName, logger),
                 _ => false,
             };
         }
 
         // Schedule checking methods for Schedule objects
 
-        private bool IsDailyDue(Schedule schedule, DateTime now, string playlistName)
+        private static bool IsDailyDue(Schedule schedule, DateTime now, string playlistName, ILogger logger)
         {
             if (schedule.Time == null)
             {
-                _logger.LogWarning("Daily schedule for '{PlaylistName}' is missing required Time property. Schedule will be skipped.", playlistName);
+                logger.LogWarning("Daily schedule for '{PlaylistName}' is missing required Time property. Schedule will be skipped.", playlistName);
                 return false;
             }
             
@@ -1772,7 +1863,7 @@ namespace Jellyfin.Plugin.SmartLists.Services.Shared
             var todayScheduled = new DateTime(localNow.Year, localNow.Month, localNow.Day, scheduledTime.Hours, scheduledTime.Minutes, 0, DateTimeKind.Local);
             if (IsWithinTimeBuffer(localNow, todayScheduled))
             {
-                _logger.LogDebug("Daily schedule check for '{PlaylistName}': Now={Now:HH:mm:ss} (local), Scheduled={Scheduled:hh\\:mm} (today), Due=True",
+                logger.LogDebug("Daily schedule check for '{PlaylistName}': Now={Now:HH:mm:ss} (local), Scheduled={Scheduled:hh\\:mm} (today), Due=True",
                     playlistName, localNow, scheduledTime);
                 return true;
             }
@@ -1780,23 +1871,23 @@ namespace Jellyfin.Plugin.SmartLists.Services.Shared
             var tomorrowScheduled = todayScheduled.AddDays(1);
             var isDue = IsWithinTimeBuffer(localNow, tomorrowScheduled);
 
-            _logger.LogDebug("Daily schedule check for '{PlaylistName}': Now={Now:HH:mm:ss} (local), Scheduled={Scheduled:hh\\:mm} (checked today and tomorrow), Due={Due}",
+            logger.LogDebug("Daily schedule check for '{PlaylistName}': Now={Now:HH:mm:ss} (local), Scheduled={Scheduled:hh\\:mm} (checked today and tomorrow), Due={Due}",
                 playlistName, localNow, scheduledTime, isDue);
 
             return isDue;
         }
 
-        private bool IsWeeklyDue(Schedule schedule, DateTime now, string playlistName)
+        private static bool IsWeeklyDue(Schedule schedule, DateTime now, string playlistName, ILogger logger)
         {
             if (schedule.DayOfWeek == null)
             {
-                _logger.LogWarning("Weekly schedule for '{PlaylistName}' is missing required DayOfWeek property. Schedule will be skipped.", playlistName);
+                logger.LogWarning("Weekly schedule for '{PlaylistName}' is missing required DayOfWeek property. Schedule will be skipped.", playlistName);
                 return false;
             }
             
             if (schedule.Time == null)
             {
-                _logger.LogWarning("Weekly schedule for '{PlaylistName}' is missing required Time property. Schedule will be skipped.", playlistName);
+                logger.LogWarning("Weekly schedule for '{PlaylistName}' is missing required Time property. Schedule will be skipped.", playlistName);
                 return false;
             }
             
@@ -1812,23 +1903,23 @@ namespace Jellyfin.Plugin.SmartLists.Services.Shared
             var scheduledDateTime = new DateTime(localNow.Year, localNow.Month, localNow.Day, scheduledTime.Hours, scheduledTime.Minutes, 0, DateTimeKind.Local);
             var isDue = IsWithinTimeBuffer(localNow, scheduledDateTime);
 
-            _logger.LogDebug("Weekly schedule check for '{PlaylistName}': Now={Now:dddd HH:mm:ss} (local), Scheduled={ScheduledDay} {Scheduled:hh\\:mm}, Due={Due}",
+            logger.LogDebug("Weekly schedule check for '{PlaylistName}': Now={Now:dddd HH:mm:ss} (local), Scheduled={ScheduledDay} {Scheduled:hh\\:mm}, Due={Due}",
                 playlistName, localNow, scheduledDay, scheduledTime, isDue);
 
             return isDue;
         }
 
-        private bool IsMonthlyDue(Schedule schedule, DateTime now, string playlistName)
+        private static bool IsMonthlyDue(Schedule schedule, DateTime now, string playlistName, ILogger logger)
         {
             if (schedule.DayOfMonth == null)
             {
-                _logger.LogWarning("Monthly schedule for '{PlaylistName}' is missing required DayOfMonth property. Schedule will be skipped.", playlistName);
+                logger.LogWarning("Monthly schedule for '{PlaylistName}' is missing required DayOfMonth property. Schedule will be skipped.", playlistName);
                 return false;
             }
             
             if (schedule.Time == null)
             {
-                _logger.LogWarning("Monthly schedule for '{PlaylistName}' is missing required Time property. Schedule will be skipped.", playlistName);
+                logger.LogWarning("Monthly schedule for '{PlaylistName}' is missing required Time property. Schedule will be skipped.", playlistName);
                 return false;
             }
             
@@ -1847,29 +1938,29 @@ namespace Jellyfin.Plugin.SmartLists.Services.Shared
             var scheduledDateTime = new DateTime(localNow.Year, localNow.Month, effectiveDayOfMonth, scheduledTime.Hours, scheduledTime.Minutes, 0, DateTimeKind.Local);
             var isDue = IsWithinTimeBuffer(localNow, scheduledDateTime);
 
-            _logger.LogDebug("Monthly schedule check for '{PlaylistName}': Now={Now:yyyy-MM-dd HH:mm:ss} (local), Scheduled=Day {ScheduledDay} at {Scheduled:hh\\:mm}, Due={Due}",
+            logger.LogDebug("Monthly schedule check for '{PlaylistName}': Now={Now:yyyy-MM-dd HH:mm:ss} (local), Scheduled=Day {ScheduledDay} at {Scheduled:hh\\:mm}, Due={Due}",
                 playlistName, localNow, effectiveDayOfMonth, scheduledTime, isDue);
 
             return isDue;
         }
 
-        private bool IsYearlyDue(Schedule schedule, DateTime now, string playlistName)
+        private static bool IsYearlyDue(Schedule schedule, DateTime now, string playlistName, ILogger logger)
         {
             if (schedule.Month == null)
             {
-                _logger.LogWarning("Yearly schedule for '{PlaylistName}' is missing required Month property. Schedule will be skipped.", playlistName);
+                logger.LogWarning("Yearly schedule for '{PlaylistName}' is missing required Month property. Schedule will be skipped.", playlistName);
                 return false;
             }
             
             if (schedule.DayOfMonth == null)
             {
-                _logger.LogWarning("Yearly schedule for '{PlaylistName}' is missing required DayOfMonth property. Schedule will be skipped.", playlistName);
+                logger.LogWarning("Yearly schedule for '{PlaylistName}' is missing required DayOfMonth property. Schedule will be skipped.", playlistName);
                 return false;
             }
             
             if (schedule.Time == null)
             {
-                _logger.LogWarning("Yearly schedule for '{PlaylistName}' is missing required Time property. Schedule will be skipped.", playlistName);
+                logger.LogWarning("Yearly schedule for '{PlaylistName}' is missing required Time property. Schedule will be skipped.", playlistName);
                 return false;
             }
             
@@ -1894,17 +1985,17 @@ namespace Jellyfin.Plugin.SmartLists.Services.Shared
             var scheduledDateTime = new DateTime(localNow.Year, scheduledMonth, effectiveDayOfMonth, scheduledTime.Hours, scheduledTime.Minutes, 0, DateTimeKind.Local);
             var isDue = IsWithinTimeBuffer(localNow, scheduledDateTime);
 
-            _logger.LogDebug("Yearly schedule check for '{PlaylistName}': Now={Now:yyyy-MM-dd HH:mm:ss} (local), Scheduled=Month {ScheduledMonth} Day {ScheduledDay} at {Scheduled:hh\\:mm}, Due={Due}",
+            logger.LogDebug("Yearly schedule check for '{PlaylistName}': Now={Now:yyyy-MM-dd HH:mm:ss} (local), Scheduled=Month {ScheduledMonth} Day {ScheduledDay} at {Scheduled:hh\\:mm}, Due={Due}",
                 playlistName, localNow, scheduledMonth, effectiveDayOfMonth, scheduledTime, isDue);
 
             return isDue;
         }
 
-        private bool IsIntervalDue(Schedule schedule, DateTime now, string playlistName)
+        private static bool IsIntervalDue(Schedule schedule, DateTime now, string playlistName, ILogger logger)
         {
             if (schedule.Interval == null)
             {
-                _logger.LogWarning("Interval schedule for '{PlaylistName}' is missing required Interval property. Schedule will be skipped.", playlistName);
+                logger.LogWarning("Interval schedule for '{PlaylistName}' is missing required Interval property. Schedule will be skipped.", playlistName);
                 return false;
             }
             
@@ -1913,7 +2004,7 @@ namespace Jellyfin.Plugin.SmartLists.Services.Shared
             // Guard against invalid intervals
             if (interval <= TimeSpan.Zero)
             {
-                _logger.LogWarning("Invalid interval '{Interval}' for playlist '{PlaylistName}'. Schedule will be skipped.",
+                logger.LogWarning("Invalid interval '{Interval}' for playlist '{PlaylistName}'. Schedule will be skipped.",
                     interval, playlistName);
                 return false;
             }
@@ -1935,133 +2026,91 @@ namespace Jellyfin.Plugin.SmartLists.Services.Shared
                 isDue = IsWithinIntervalBuffer(now, totalMinutes);
             }
 
-            _logger.LogDebug("Interval schedule check for '{PlaylistName}': Now={Now:HH:mm:ss}, Interval={Interval}, Due={Due}",
-                playlistName, now, interval, isDue);
+            // An active window limits the runs to part of the (local) day
+            if (isDue && schedule.WindowStart != null && schedule.WindowEnd != null)
+            {
+                isDue = IsWithinActiveWindow(now.ToLocalTime(), schedule.WindowStart.Value, schedule.WindowEnd.Value);
+            }
+
+            logger.LogDebug("Interval schedule check for '{PlaylistName}': Now={Now:HH:mm:ss}, Interval={Interval}, Window={WindowStart}-{WindowEnd}, Due={Due}",
+                playlistName, now, interval, schedule.WindowStart, schedule.WindowEnd, isDue);
 
             return isDue;
         }
 
-        private async Task RefreshScheduledPlaylists(List<SmartPlaylistDto> playlists)
+        /// <summary>
+        /// Checks whether a local time falls within an active window. Both ends are included,
+        /// and a window that ends before it starts runs past midnight (e.g., 22:00-06:00).
+        /// </summary>
+        private static bool IsWithinActiveWindow(DateTime localNow, TimeSpan windowStart, TimeSpan windowEnd)
         {
-            if (!playlists.Any())
+            // Checks run a few seconds past the boundary, so compare whole minutes
+            var minuteOfDay = (int)Math.Round(localNow.TimeOfDay.TotalMinutes) % (24 * 60);
+            var start = (int)windowStart.TotalMinutes;
+            var end = (int)windowEnd.TotalMinutes;
+
+            return start <= end
+                ? minuteOfDay >= start && minuteOfDay <= end
+                : minuteOfDay >= start || minuteOfDay <= end;
+        }
+
+        private static bool IsCronDue(Schedule schedule, DateTime now, string playlistName, ILogger logger)
+        {
+            if (!CronSchedule.TryParse(schedule.CronExpression, out var cron, out var error))
             {
-                return;
+                logger.LogWarning("Cron schedule for '{PlaylistName}' is invalid: {Error}. Schedule will be skipped.", playlistName, error);
+                return false;
             }
 
-            _logger.LogDebug("Refreshing {PlaylistCount} scheduled playlists using advanced caching", playlists.Count);
+            return IsCronDue(cron!, schedule, now, playlistName, logger);
+        }
 
-            try
+        private static bool IsCronDue(CronSchedule cron, Schedule schedule, DateTime now, string playlistName, ILogger logger)
+        {
+            var localNow = now.ToLocalTime();
+            var checkMinute = new DateTime(localNow.Year, localNow.Month, localNow.Day, localNow.Hour, localNow.Minute, 0, DateTimeKind.Local);
+            if (localNow.Second >= 30)
             {
-                var totalCount = playlists.Count;
-                var playlistIdMap = new Dictionary<string, string>(); // Map playlist ID to listId for batch updates
-                var playlistLookup = playlists.ToDictionary(p => p.Id ?? string.Empty, p => p); // Map playlist ID to playlist object
-
-                // Build playlistIdMap without starting operations yet
-                foreach (var playlist in playlists)
-                {
-                    var listId = string.IsNullOrEmpty(playlist.Id) ? Guid.NewGuid().ToString() : playlist.Id;
-                    playlistIdMap[playlist.Id ?? string.Empty] = listId;
-                }
+                checkMinute = checkMinute.AddMinutes(1);
+            }
 
-                // Create callback to start operation and update batch index as each playlist is processed
-                Action<string>? batchProgressCallback = null;
-                Func<string, Action<int, int>?>? createProgressCallback = null;
-                Action<string, bool, TimeSpan, string>? onPlaylistComplete = null;
-                if (_refreshStatusService != null)
-                {
-                    var currentIndex = 0;
-                    batchProgressCallback = (playlistId) =>
-                    {
-                        currentIndex++;
-                        
-                        // Start operation for this specific playlist right before processing
-                        if (playlistLookup.TryGetValue(playlistId, out var playlist))
-                        {
-                            var listId = playlistIdMap.TryGetValue(playlistId, out var mappedListId) 
-                                ? mappedListId 
-                                : playlistId;
-                            
-                            // Only start if not already started (in case of retries or duplicates)
-                            if (!_refreshStatusService.HasOngoingOperation(listId))
-                            {
-                                _refreshStatusService.StartOperation(
-                                    listId,
-                                    playlist.Name,
-                                    Core.Enums.SmartListType.Playlist,
-                                    Core.Enums.RefreshTriggerType.Scheduled,
-                                    0,
-                                    batchCurrentIndex: currentIndex,
-                                    batchTotalCount: totalCount);
-                            }
-                        }
-                    };
-                    
-                    // Create progress callback factory that maps playlistId to listId and updates status service
-                    createProgressCallback = (playlistId) =>
-                    {
-                        var listId = playlistIdMap.TryGetValue(playlistId, out var mappedListId) 
-                            ? mappedListId 
-                            : playlistId;
-                        
-                        return (processed, total) =>
-                        {
-                            _refreshStatusService.UpdateProgress(listId, processed, total);
-                        };
-                    };
-                    
-                    // Create completion callback to complete operations immediately as they finish
-                    onPlaylistComplete = (playlistId, success, duration, message) =>
-                    {
-                        var listId = playlistIdMap.TryGetValue(playlistId, out var mappedListId) 
-                            ? mappedListId 
-                            : playlistId;
-                        
-                        _refreshStatusService.CompleteOperation(
-                            listId,
-                            success,
-                            duration,
-                            success ? null : message);
-                    };
-                }
+            // The timer only checks every 15 minutes, so each check takes the cron minutes since the one before:
+            // 12 minutes back and 2 ahead, matching the 2 minutes of slack the other schedules get.
+            // The windows don't overlap, so every matching minute starts exactly one refresh.
+            var isDue = false;
+            for (var offset = -12; offset <= 2 && !isDue; offset++)
+            {
+                isDue = cron.Matches(checkMinute.AddMinutes(offset));
+            }
 
-                // Use the cache helper for efficient batch processing
-                var results = await _playlistRefreshCache.RefreshPlaylistsWithCacheAsync(
-                    playlists,
-                    updateLastRefreshTime: true, // Update LastRefreshed for scheduled refreshes
-                    batchProgressCallback,
-                    createProgressCallback,
-                    onPlaylistComplete,
-                    CancellationToken.None);
+            logger.LogDebug("Cron schedule check for '{PlaylistName}': Now={Now:yyyy-MM-dd HH:mm:ss} (local), Expression={Expression}, Due={Due}",
+                playlistName, localNow, schedule.CronExpression, isDue);
 
-                // Log individual results (operations are already completed via callback)
-                foreach (var result in results)
-                {
+            return isDue;
+        }
 
-                    if (result.Success)
-                    {
-                        _logger.LogInformation("Successfully refreshed scheduled playlist: {PlaylistName} in {ElapsedTime}ms",
-                            result.PlaylistName, result.ElapsedMilliseconds);
-                    }
-                    else
-                    {
-                        _logger.LogWarning("Failed to refresh scheduled playlist {PlaylistName}: {Message}",
-                            result.PlaylistName, result.Message);
-                    }
-                }
+        private Task RefreshScheduledPlaylists(List<SmartPlaylistDto> playlists)
+        {
+            if (!playlists.Any())
+            {
+                return Task.CompletedTask;
             }
-            catch (Exception ex)
+
+            _logger.LogDebug("Refreshing {PlaylistCount} scheduled playlists", playlists.Count);
+
+            // Scheduled playlists go through the refresh queue like every other refresh, so they load the lists
+            // their rules refer to, record their item changes and profile, and can be cancelled or paused
+            try
             {
-                _logger.LogError(ex, "Failed to refresh scheduled playlists with caching - falling back to queueing individual playlist refreshes");
+                var enqueuedCount = 0;
 
-                // Fallback to individual refresh without caching
                 foreach (var playlist in playlists)
                 {
                     var listId = string.IsNullOrEmpty(playlist.Id) ? Guid.NewGuid().ToString() : playlist.Id;
                     try
                     {
-                        _logger.LogDebug("Refreshing scheduled playlist (fallback): {PlaylistName}", playlist.Name);
+                        _logger.LogDebug("Enqueuing scheduled playlist for refresh: {PlaylistName}", playlist.Name);
 
-                        // Enqueue scheduled refresh
                         var queueItem = new RefreshQueueItem
                         {
                             ListId = listId,
@@ -2074,12 +2123,22 @@ namespace Jellyfin.Plugin.SmartLists.Services.Shared
                         };
 
                         _refreshQueueService.EnqueueOperation(queueItem);
+                        enqueuedCount++;
+                        _logger.LogDebug("Enqueued scheduled playlist: {PlaylistName}", playlist.Name);
                     }
-                    catch (Exception fallbackEx)
+                    catch (Exception playlistEx)
                     {
-                        _logger.LogError(fallbackEx, "Failed to enqueue scheduled playlist {PlaylistName}", playlist.Name);
+                        _logger.LogError(playlistEx, "Failed to enqueue scheduled playlist: {PlaylistName}", playlist.Name);
                     }
                 }
+
+                _logger.LogInformation("Enqueued {EnqueuedCount} scheduled playlists for refresh", enqueuedCount);
+                return Task.CompletedTask;
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Failed to refresh scheduled playlists");
+                return Task.CompletedTask;
             }
         }
 
@@ -0,0 +1,356 @@
+using System;
+using System.Collections.Generic;
+using System.Diagnostics;
+using System.Linq;
+using System.Threading;
+using Jellyfin.Plugin.SmartLists.Core.Enums;
+using Jellyfin.Plugin.SmartLists.Core.QueryEngine;
+
+namespace Jellyfin.Plugin.SmartLists.Services.Shared
+{
+    /// <summary>
+    /// Time spent in one phase of a refresh
+    /// </summary>
+    public class RefreshPhaseTiming
+    {
+        /// <summary>
+        /// The phase that was timed
+        /// </summary>
+        public RefreshPhase Phase { get; set; }
+
+        /// <summary>
+        /// Time spent in the phase, added up over all users of a multi-user playlist
+        /// </summary>
+        public double Milliseconds { get; set; }
+    }
+
+    /// <summary>
+    /// Cost of one rule, nested group or exclusion block during a refresh
+    /// </summary>
+    public class RuleTiming
+    {
+        /// <summary>
+        /// Where the rule is in the list, e.g. "rule group 2, rule 1"
+        /// </summary>
+        public string Location { get; set; } = string.Empty;
+
+        /// <summary>
+        /// The rule as field, operator and value, or a description of the group or block
+        /// </summary>
+        public string Rule { get; set; } = string.Empty;
+
+        /// <summary>
+        /// Field the rule checks, or null if the timing is not for a single rule
+        /// </summary>
+        public string? Field { get; set; }
+
+        /// <summary>
+        /// Operator of the rule, or null if the timing is not for a single rule
+        /// </summary>
+        public string? Operator { get; set; }
+
+        /// <summary>
+        /// Whether the rule needs data that is loaded per item (people, streams, collections, parent series)
+        /// </summary>
+        public bool NeedsItemData { get; set; }
+
+        /// <summary>
+        /// Number of items the rule was checked for
+        /// </summary>
+        public long Evaluations { get; set; }
+
+        /// <summary>
+        /// Number of the checked items the rule matched
+        /// </summary>
+        public long Matches { get; set; }
+
+        /// <summary>
+        /// Time spent checking the rule for all items
+        /// </summary>
+        public double TotalMilliseconds { get; set; }
+
+        /// <summary>
+        /// Average time per check in microseconds
+        /// </summary>
+        public double AverageMicroseconds { get; set; }
+    }
+
+    /// <summary>
+    /// Where the time of a refresh went: per phase, per rule, and what could make it faster
+    /// </summary>
+    public class RefreshProfile
+    {
+        /// <summary>
+        /// Duration of the whole refresh
+        /// </summary>
+        public double TotalMilliseconds { get; set; }
+
+        /// <summary>
+        /// Number of library items checked against the rules
+        /// </summary>
+        public int ItemsEvaluated { get; set; }
+
+        /// <summary>
+        /// Number of items that matched the rules, before sorting and limits
+        /// </summary>
+        public int ItemsMatched { get; set; }
+
+        /// <summary>
+        /// Time per phase in RefreshPhase order; time not spent in a measured phase is counted as Other
+        /// </summary>
+        public List<RefreshPhaseTiming> Phases { get; set; } = [];
+
+        /// <summary>
+        /// Rules in list order, as far as they were checked
+        /// </summary>
+        public List<RuleTiming> Rules { get; set; } = [];
+
+        /// <summary>
+        /// Changes to the list that could make the refresh faster, empty if nothing stands out
+        /// </summary>
+        public List<string> Suggestions { get; set; } = [];
+    }
+
+    /// <summary>
+    /// Collects the timings of one list refresh. Phases are timed by the code that runs them; rules are timed
+    /// by wrapping their compiled functions. Multi-user playlists add up the timings of all users.
+    /// </summary>
+    public class RefreshProfiler
+    {
+        /// <summary>
+        /// A phase has to take at least this share of the refresh, and this long, to be worth a suggestion
+        /// </summary>
+        private const double DominantPhaseShare = 0.5;
+        private static readonly TimeSpan MinSuggestionTime = TimeSpan.FromMilliseconds(500);
+
+        /// <summary>
+        /// Rules together have to take at least this long before suggesting changes to them
+        /// </summary>
+        private static readonly TimeSpan MinRuleSuggestionTime = TimeSpan.FromMilliseconds(100);
+
+        private readonly long[] _phaseTicks = new long[Enum.GetValues<RefreshPhase>().Length];
+        private readonly List<RuleCounter> _rules = [];
+        private int _itemsEvaluated;
+        private int _itemsMatched;
+
+        private sealed class RuleCounter(RuleTiming timing)
+        {
+            public RuleTiming Timing { get; } = timing;
+            public long Evaluations;
+            public long Matches;
+            public long Ticks;
+        }
+
+        /// <summary>
+        /// Adds the time since a Stopwatch.GetTimestamp() value to a phase
+        /// </summary>
+        public void AddElapsed(RefreshPhase phase, long startTimestamp)
+        {
+            Interlocked.Add(ref _phaseTicks[(int)phase], Stopwatch.GetTimestamp() - startTimestamp);
+        }
+
+        /// <summary>
+        /// Adds to the number of library items checked against the rules
+        /// </summary>
+        public void AddItemsEvaluated(int count)
+        {
+            Interlocked.Add(ref _itemsEvaluated, count);
+        }
+
+        /// <summary>
+        /// Adds to the number of items that matched the rules
+        /// </summary>
+        public void AddItemsMatched(int count)
+        {
+            Interlocked.Add(ref _itemsMatched, count);
+        }
+
+        /// <summary>
+        /// Wraps a compiled rule so each check is counted and timed. The same location and rule from another
+        /// user of a multi-user playlist add to the same timing.
+        /// </summary>
+        public Func<Operand, bool> TimeRule(Func<Operand, bool> rule, RuleTiming timing)
+        {
+            RuleCounter counter;
+            lock (_rules)
+            {
+                var existing = _rules.FirstOrDefault(r => r.Timing.Location == timing.Location && r.Timing.Rule == timing.Rule);
+                if (existing == null)
+                {
+                    existing = new RuleCounter(timing);
+                    _rules.Add(existing);
+                }
+                counter = existing;
+            }
+
+            return operand =>
+            {
+                var start = Stopwatch.GetTimestamp();
+                var matched = false;
+                try
+                {
+                    matched = rule(operand);
+                    return matched;
+                }
+                finally
+                {
+                    var elapsed = Stopwatch.GetTimestamp() - start;
+                    Interlocked.Add(ref counter.Ticks, elapsed);
+                    Interlocked.Add(ref _phaseTicks[(int)RefreshPhase.EvaluateRules], elapsed);
+                    Interlocked.Increment(ref counter.Evaluations);
+                    if (matched)
+                    {
+                        Interlocked.Increment(ref counter.Matches);
+                    }
+                }
+            };
+        }
+
+        /// <summary>
+        /// Whether anything was measured; operations that don't filter items, such as deleting a list, record nothing
+        /// </summary>
+        public bool HasData => _itemsEvaluated > 0 || _phaseTicks.Any(ticks => ticks > 0);
+
+        /// <summary>
+        /// Creates the profile of the refresh, with the time not spent in a measured phase as Other
+        /// </summary>
+        public RefreshProfile ToProfile(TimeSpan duration)
+        {
+            var phases = Enum.GetValues<RefreshPhase>()
+                .Where(phase => phase != RefreshPhase.Other)
+                .Select(phase => new RefreshPhaseTiming { Phase = phase, Milliseconds = ToMilliseconds(Interlocked.Read(ref _phaseTicks[(int)phase])) })
+                .ToList();
+            phases.Add(new RefreshPhaseTiming
+            {
+                Phase = RefreshPhase.Other,
+                Milliseconds = Math.Max(0, duration.TotalMilliseconds - phases.Sum(p => p.Milliseconds))
+            });
+
+            List<RuleTiming> rules;
+            lock (_rules)
+            {
+                rules = _rules.Select(counter =>
+                {
+                    var evaluations = Interlocked.Read(ref counter.Evaluations);
+                    var milliseconds = ToMilliseconds(Interlocked.Read(ref counter.Ticks));
+                    return new RuleTiming
+                    {
+                        Location = counter.Timing.Location,
+                        Rule = counter.Timing.Rule,
+                        Field = counter.Timing.Field,
+                        Operator = counter.Timing.Operator,
+                        NeedsItemData = counter.Timing.NeedsItemData,
+                        Evaluations = evaluations,
+                        Matches = Interlocked.Read(ref counter.Matches),
+                        TotalMilliseconds = milliseconds,
+                        AverageMicroseconds = evaluations > 0 ? milliseconds * 1000 / evaluations : 0
+                    };
+                }).ToList();
+            }
+
+            var profile = new RefreshProfile
+            {
+                TotalMilliseconds = duration.TotalMilliseconds,
+                ItemsEvaluated = _itemsEvaluated,
+                ItemsMatched = _itemsMatched,
+                Phases = phases,
+                Rules = rules
+            };
+            profile.Suggestions = GetSuggestions(profile);
+            return profile;
+        }
+
+        private static double ToMilliseconds(long ticks)
+        {
+            return Math.Round(ticks * 1000.0 / Stopwatch.Frequency, 3);
+        }
+
+        private static List<string> GetSuggestions(RefreshProfile profile)
+        {
+            var suggestions = new List<string>();
+            var total = profile.TotalMilliseconds;
+            if (total <= 0)
+            {
+                return suggestions;
+            }
+
+            double Share(RefreshPhase phase) => profile.Phases.First(p => p.Phase == phase).Milliseconds / total;
+            bool IsDominant(RefreshPhase phase) => Share(phase) >= DominantPhaseShare
+                && profile.Phases.First(p => p.Phase == phase).Milliseconds >= MinSuggestionTime.TotalMilliseconds;
+
+            var ruleTotal = profile.Rules.Sum(r => r.TotalMilliseconds);
+            if (ruleTotal >= MinRuleSuggestionTime.TotalMilliseconds)
+            {
+                // Within a rule group, rules are checked in order and stop at the first one that doesn't match
+                foreach (var group in profile.Rules.Where(r => r.Location.StartsWith("rule group", StringComparison.Ordinal)).GroupBy(r => r.Location.Split(',')[0]))
+                {
+                    var rules = group.ToList();
+                    for (int i = 0; i < rules.Count; i++)
+                    {
+                        var earlier = rules[i];
+                        var cheaper = rules.Skip(i + 1).FirstOrDefault(later =>
+                            later.Evaluations > 0
+                            && later.Evaluations <= earlier.Evaluations
+                            && later.AverageMicroseconds * 2 < earlier.AverageMicroseconds
+                            && later.Matches <= later.Evaluations / 2);
+                        if (cheaper != null && earlier.TotalMilliseconds >= ruleTotal * 0.25)
+                        {
+                            suggestions.Add($"Move cheap rules first: in {group.Key}, the {cheaper.Rule} rule takes {FormatMicroseconds(cheaper.AverageMicroseconds)} per item and rules out " +
+                                $"{100 - (cheaper.Matches * 100 / cheaper.Evaluations)}% of the items it checks, while {earlier.Rule} before it takes {FormatMicroseconds(earlier.AverageMicroseconds)}. " +
+                                "Putting the cheaper rule first means the slow one is checked for fewer items.");
+                            break;
+                        }
+                    }
+                }
+
+                foreach (var rule in profile.Rules.Where(r => r.TotalMilliseconds >= ruleTotal * 0.25))
+                {
+                    var share = (int)Math.Round(rule.TotalMilliseconds * 100 / ruleTotal);
+                    if (string.Equals(rule.Operator, "MatchRegex", StringComparison.Ordinal))
+                    {
+                        suggestions.Add($"The {rule.Rule} regex in {rule.Location} takes {share}% of the rule time. If the pattern is plain text, " +
+                            "Contains is faster; otherwise add cheaper rules to its group so it is checked for fewer items.");
+                    }
+                    else if (rule.NeedsItemData)
+                    {
+                        suggestions.Add($"The {rule.Rule} rule in {rule.Location} takes {share}% of the rule time. {rule.Field} needs extra data for every item it checks, " +
+                            "so add a cheap rule (such as media type, genre or year) to its group to rule items out before it.");
+                    }
+                }
+            }
+
+            if (IsDominant(RefreshPhase.LoadItemData))
+            {
+                var itemDataRules = profile.Rules.Where(r => r.NeedsItemData).Select(r => r.Field).Distinct().ToList();
+                suggestions.Add($"Loading item data takes {Share(RefreshPhase.LoadItemData):P0} of the refresh" +
+                    (itemDataRules.Count > 0 ? $", mostly for the {string.Join(", ", itemDataRules)} rules" : string.Empty) +
+                    ". Cheap rules in the same group are checked first and limit how many items this data is loaded for.");
+            }
+
+            if (IsDominant(RefreshPhase.FetchItems))
+            {
+                suggestions.Add($"Fetching items from the library takes {Share(RefreshPhase.FetchItems):P0} of the refresh. " +
+                    "Choosing fewer media types or libraries for the list reduces how many items are fetched and checked.");
+            }
+
+            if (IsDominant(RefreshPhase.Sort))
+            {
+                suggestions.Add($"Sorting takes {Share(RefreshPhase.Sort):P0} of the refresh. Sorts on user data, similarity or several sort options " +
+                    "are slower; a single simple sort, such as by name or date added, is fastest.");
+            }
+
+            if (IsDominant(RefreshPhase.WriteList))
+            {
+                suggestions.Add($"Writing the list to Jellyfin takes {Share(RefreshPhase.WriteList):P0} of the refresh. " +
+                    "Large lists take longer to write; a Max Items limit keeps them smaller.");
+            }
+
+            return suggestions;
+        }
+
+        private static string FormatMicroseconds(double microseconds)
+        {
+            return microseconds >= 1000 ? $"{microseconds / 1000:0.#} ms" : $"{microseconds:0.#} µs";
+        }
+    }
+}
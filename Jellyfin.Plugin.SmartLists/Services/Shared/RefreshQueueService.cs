@@ -5,6 +5,7 @@ using System.Linq;
 using System.Threading;
 using System.Threading.Tasks;
 using Jellyfin.Database.Implementations.Entities;
+using Jellyfin.Plugin.SmartLists.Core;
 using Jellyfin.Plugin.SmartLists.Core.Enums;
 using Jellyfin.Plugin.SmartLists.Core.Models;
 using Jellyfin.Plugin.SmartLists.Services.Collections;
@@ -47,7 +48,8 @@ namespace Jellyfin.Plugin.SmartLists.Services.Shared
 
     /// <summary>
     /// Service that manages a global queue for refresh operations.
-    /// Processes operations sequentially in FIFO order with deduplication.
+    /// Processes operations sequentially in FIFO order with deduplication. Queued operations can be
+    /// cancelled or moved to the front, and the queue can be paused.
     /// </summary>
     public class RefreshQueueService : IDisposable
     {
@@ -62,8 +64,9 @@ namespace Jellyfin.Plugin.SmartLists.Services.Shared
         private readonly RefreshStatusService _refreshStatusService;
         private readonly Microsoft.Extensions.Logging.ILoggerFactory _loggerFactory;
 
-        // Queue data structures
-        private readonly ConcurrentQueue<RefreshQueueItem> _queue = new();
+        // Queue data structures; _queue is only accessed under _queueLock so it can be reordered
+        private readonly List<RefreshQueueItem> _queue = [];
+        private readonly object _queueLock = new();
         private readonly ConcurrentDictionary<string, RefreshQueueItem> _queuedItems = new(); // For deduplication by ListId
         private readonly SemaphoreSlim _processingLock = new(1, 1); // Single-threaded processing
 
@@ -78,6 +81,8 @@ namespace Jellyfin.Plugin.SmartLists.Services.Shared
         private Task? _processingTask;
         private volatile bool _disposed = false;
         private volatile RefreshQueueItem? _currentlyProcessing;
+        private volatile CancellationTokenSource? _currentItemCancellation;
+        private volatile bool _paused;
 
         public RefreshQueueService(
             ILogger<RefreshQueueService> logger,
@@ -118,18 +123,23 @@ namespace Jellyfin.Plugin.SmartLists.Services.Shared
                 return;
             }
 
-            // Deduplication: Use TryAdd as atomic gate to prevent race conditions
-            if (!_queuedItems.TryAdd(item.ListId, item))
+            lock (_queueLock)
             {
-                _logger.LogDebug("List {ListId} ({ListName}) is already queued, skipping duplicate", item.ListId, item.ListName);
-                return;
-            }
+                // Deduplication: Use TryAdd as atomic gate to prevent race conditions
+                if (!_queuedItems.TryAdd(item.ListId, item))
+                {
+                    _logger.LogDebug("List {ListId} ({ListName}) is already queued, skipping duplicate", item.ListId, item.ListName);
+                    return;
+                }
 
-            item.QueuedAt = DateTime.UtcNow;
-            _queue.Enqueue(item);
+                item.QueuedAt = DateTime.UtcNow;
+                _queue.Add(item);
+            }
 
             _logger.LogDebug("Enqueued {OperationType} operation for list {ListId} ({ListName}) of type {ListType}",
                 item.OperationType, item.ListId, item.ListName, item.ListType);
+
+            _refreshStatusService.NotifyQueued(item.ListId, item.ListName);
         }
 
         /// <summary>
@@ -137,7 +147,156 @@ namespace Jellyfin.Plugin.SmartLists.Services.Shared
         /// </summary>
         public int GetQueueCount()
         {
-            return _queue.Count;
+            lock (_queueLock)
+            {
+                return _queue.Count;
+            }
+        }
+
+        /// <summary>
+        /// Gets the operations waiting in the queue, in the order they will be processed.
+        /// </summary>
+        public List<RefreshQueueItem> GetQueuedItems()
+        {
+            lock (_queueLock)
+            {
+                return [.. _queue];
+            }
+        }
+
+        /// <summary>
+        /// Gets whether the queue is paused. A paused queue finishes the operation it is processing but
+        /// doesn't start the next one until it is resumed.
+        /// </summary>
+        public bool IsPaused => _paused;
+
+        /// <summary>
+        /// Pauses the queue. Operations can still be enqueued while it is paused.
+        /// </summary>
+        public void Pause()
+        {
+            if (_paused)
+            {
+                return;
+            }
+
+            _paused = true;
+            _logger.LogInformation("Refresh queue paused with {QueueCount} operations waiting", GetQueueCount());
+            _refreshStatusService.NotifyQueueChanged();
+        }
+
+        /// <summary>
+        /// Resumes a paused queue.
+        /// </summary>
+        public void Resume()
+        {
+            if (!_paused)
+            {
+                return;
+            }
+
+            _paused = false;
+            _logger.LogInformation("Refresh queue resumed with {QueueCount} operations waiting", GetQueueCount());
+            _refreshStatusService.NotifyQueueChanged();
+        }
+
+        /// <summary>
+        /// Cancels the list's operation: removes it from the queue, or stops it if it is being processed.
+        /// A running refresh stops at its next cancellation check, so it may still take a moment to end.
+        /// </summary>
+        /// <returns>False if the list is neither queued nor being processed.</returns>
+        public bool CancelOperation(string listId)
+        {
+            RefreshQueueItem? removed = null;
+            RefreshQueueItem? current;
+            CancellationTokenSource? currentCancellation;
+            lock (_queueLock)
+            {
+                var index = _queue.FindIndex(i => i.ListId == listId);
+                if (index >= 0)
+                {
+                    removed = _queue[index];
+                    _queue.RemoveAt(index);
+                    _queuedItems.TryRemove(listId, out _);
+                }
+
+                current = _currentlyProcessing;
+                currentCancellation = _currentItemCancellation;
+            }
+
+            if (removed != null)
+            {
+                _logger.LogInformation("Removed queued {OperationType} operation for list {ListId} ({ListName})", removed.OperationType, listId, removed.ListName);
+                _refreshStatusService.NotifyQueueChanged();
+                return true;
+            }
+
+            if (current == null || current.ListId != listId || currentCancellation == null)
+            {
+                return false;
+            }
+
+            _logger.LogInformation("Cancelling running {OperationType} operation for list {ListId} ({ListName})", current.OperationType, listId, current.ListName);
+            try
+            {
+                currentCancellation.Cancel();
+            }
+            catch (ObjectDisposedException)
+            {
+                // The operation finished in the meantime
+            }
+            return true;
+        }
+
+        /// <summary>
+        /// Moves a queued operation to the front of the queue so it is processed next.
+        /// </summary>
+        /// <returns>False if the list isn't queued.</returns>
+        public bool MoveToFront(string listId)
+        {
+            lock (_queueLock)
+            {
+                var index = _queue.FindIndex(i => i.ListId == listId);
+                if (index < 0)
+                {
+                    return false;
+                }
+
+                var item = _queue[index];
+                _queue.RemoveAt(index);
+                _queue.Insert(0, item);
+            }
+
+            _logger.LogDebug("Moved list {ListId} to the front of the refresh queue", listId);
+            _refreshStatusService.NotifyQueueChanged();
+            return true;
+        }
+
+        // Takes the next operation off the queue, unless the queue is empty or paused, and makes it the current
+        // operation under the same lock so a cancel always finds it either queued or running
+        private bool TryDequeue(out RefreshQueueItem item, out CancellationTokenSource itemCancellation)
+        {
+            lock (_queueLock)
+            {
+                if (_paused || _queue.Count == 0)
+                {
+                    item = null!;
+                    itemCancellation = null!;
+                    return false;
+                }
+
+                item = _queue[0];
+                _queue.RemoveAt(0);
+
+                // Remove from deduplication dictionary
+                _queuedItems.TryRemove(item.ListId, out _);
+
+                // Each operation gets its own token so it can be cancelled without stopping the queue
+                itemCancellation = CancellationTokenSource.CreateLinkedTokenSource(_cancellationTokenSource.Token);
+                _currentItemCancellation = itemCancellation;
+                _currentlyProcessing = item;
+                return true;
+            }
         }
 
         /// <summary>
@@ -159,40 +318,46 @@ namespace Jellyfin.Plugin.SmartLists.Services.Shared
             {
                 try
                 {
-                    // Wait for an item to be available
-                    while (_queue.IsEmpty && !_cancellationTokenSource.Token.IsCancellationRequested)
+                    // Wait for an item to be available (and for the queue to be resumed if paused)
+                    RefreshQueueItem? item = null;
+                    CancellationTokenSource? itemCancellation = null;
+                    while (!_cancellationTokenSource.Token.IsCancellationRequested && !TryDequeue(out item, out itemCancellation))
                     {
                         await Task.Delay(100, _cancellationTokenSource.Token);
                     }
 
-                    if (_cancellationTokenSource.Token.IsCancellationRequested)
+                    if (item == null || itemCancellation == null)
                         break;
 
-                    // Process items one at a time
-                    if (_queue.TryDequeue(out var item))
+                    try
                     {
-                        // Remove from deduplication dictionary
-                        _queuedItems.TryRemove(item.ListId, out _);
-
+                        // Process items one at a time
                         // Acquire processing lock (single-threaded)
                         await _processingLock.WaitAsync(_cancellationTokenSource.Token);
-
                         try
                         {
-                            _currentlyProcessing = item;
-                            await ProcessQueueItemAsync(item, _cancellationTokenSource.Token);
+                            await ProcessQueueItemAsync(item, itemCancellation.Token);
                         }
                         finally
                         {
-                            _currentlyProcessing = null;
                             _processingLock.Release();
                         }
-
-                        // Clear all user caches when queue is empty to free memory
-                        if (_queue.IsEmpty)
+                    }
+                    finally
+                    {
+                        lock (_queueLock)
                         {
-                            ClearCache();
+                            _currentlyProcessing = null;
+                            _currentItemCancellation = null;
                         }
+
+                        itemCancellation.Dispose();
+                    }
+
+                    // Clear all user caches when queue is empty to free memory
+                    if (GetQueueCount() == 0)
+                    {
+                        ClearCache();
                     }
                 }
                 catch (OperationCanceledException)
@@ -257,9 +422,10 @@ namespace Jellyfin.Plugin.SmartLists.Services.Shared
             catch (OperationCanceledException)
             {
                 stopwatch.Stop();
+                var cancelledByUser = !_cancellationTokenSource.IsCancellationRequested;
                 if (operationStarted)
                 {
-                    _refreshStatusService.CompleteOperation(listId, false, stopwatch.Elapsed, "Operation was cancelled");
+                    _refreshStatusService.CompleteOperation(listId, false, stopwatch.Elapsed, cancelledByUser ? "Cancelled from the refresh queue" : "Operation was cancelled");
                 }
                 _logger.LogInformation("Operation cancelled for list {ListId} ({ListName})", item.ListId, item.ListName);
             }
@@ -268,7 +434,7 @@ namespace Jellyfin.Plugin.SmartLists.Services.Shared
                 stopwatch.Stop();
                 if (operationStarted)
                 {
-                    _refreshStatusService.CompleteOperation(listId, false, stopwatch.Elapsed, ex.Message);
+                    _refreshStatusService.CompleteOperation(listId, false, stopwatch.Elapsed, ex.Message, ex);
                 }
                 _logger.LogError(ex, "Error processing {OperationType} operation for list {ListId} ({ListName})",
                     item.OperationType, item.ListId, item.ListName);
@@ -299,6 +465,23 @@ namespace Jellyfin.Plugin.SmartLists.Services.Shared
             }
         }
 
+        /// <summary>
+        /// Saves a list during its refresh. Once the refresh has moved LastRefreshed, the list's item count, runtime
+        /// and refresh duration are recorded in its statistics history as part of the same save.
+        /// </summary>
+        private async Task SaveRefreshedListAsync<TDto>(TDto dto, string listId, DateTime refreshStarted, Func<TDto, Task> save)
+            where TDto : SmartListDto
+        {
+            if (dto.LastRefreshed is DateTime lastRefreshed && lastRefreshed >= refreshStarted)
+            {
+                dto.RecordStatistics(lastRefreshed, _refreshStatusService.GetElapsedTime(listId), refreshStarted);
+                _logger.LogDebug("Recorded statistics for list '{ListName}': {ItemCount} items ({HistoryCount} refreshes in history)",
+                    dto.Name, dto.ItemCount, dto.StatisticsHistory?.Count ?? 0);
+            }
+
+            await save(dto);
+        }
+
         /// <summary>
         /// Processes a create operation
         /// </summary>
@@ -333,6 +516,8 @@ namespace Jellyfin.Plugin.SmartLists.Services.Shared
         /// </summary>
         private async Task ProcessPlaylistRefreshAsync(SmartPlaylistDto dto, CancellationToken cancellationToken)
         {
+            var refreshStarted = DateTime.UtcNow;
+
             // Multi-user playlists: Process each user in the UserPlaylists array
             if (dto.UserPlaylists != null && dto.UserPlaylists.Count > 0)
             {
@@ -355,7 +540,7 @@ namespace Jellyfin.Plugin.SmartLists.Services.Shared
                     }
 
                     _logger.LogDebug("Processing playlist '{PlaylistName}' for user '{Username}'", dto.Name, user.Username);
-                    await ProcessPlaylistForUserAsync(dto, user, cancellationToken);
+                    await ProcessPlaylistForUserAsync(dto, user, refreshStarted, cancellationToken);
                     validUserCount++;
                 }
 
@@ -379,7 +564,7 @@ namespace Jellyfin.Plugin.SmartLists.Services.Shared
                 }
 
                 _logger.LogDebug("Processing single-user playlist '{PlaylistName}' for user '{Username}'", dto.Name, user.Username);
-                await ProcessPlaylistForUserAsync(dto, user, cancellationToken);
+                await ProcessPlaylistForUserAsync(dto, user, refreshStarted, cancellationToken);
             }
             else
             {
@@ -390,8 +575,10 @@ namespace Jellyfin.Plugin.SmartLists.Services.Shared
         /// <summary>
         /// Processes a playlist for a single user
         /// </summary>
-        private async Task ProcessPlaylistForUserAsync(SmartPlaylistDto dto, User user, CancellationToken cancellationToken)
+        private async Task ProcessPlaylistForUserAsync(SmartPlaylistDto dto, User user, DateTime refreshStarted, CancellationToken cancellationToken)
         {
+            cancellationToken.ThrowIfCancellationRequested();
+
             // Get or create cache for this user
             var userCache = EnsureCacheForUser(user, dto);
             _logger.LogDebug("Processing playlist '{PlaylistName}' with user cache ({CacheEntryCount} entries)", dto.Name, userCache.Count);
@@ -400,6 +587,7 @@ namespace Jellyfin.Plugin.SmartLists.Services.Shared
             var mediaTypesForClosure = dto.MediaTypes?.ToList() ?? [];
             var mediaTypesKey = MediaTypesKey.Create(mediaTypesForClosure, dto);
 
+            var fetchStart = System.Diagnostics.Stopwatch.GetTimestamp();
             var playlistSpecificMedia = userCache.GetOrAdd(mediaTypesKey, _ =>
                 new Lazy<BaseItem[]>(() =>
                 {
@@ -416,6 +604,10 @@ namespace Jellyfin.Plugin.SmartLists.Services.Shared
 
             // Update status with media count
             var listId = dto.Id ?? Guid.NewGuid().ToString();
+
+            // Media already fetched for an earlier list of the same user comes from the cache and adds next to no time
+            var profiler = _refreshStatusService.GetProfiler(listId);
+            profiler?.AddElapsed(RefreshPhase.FetchItems, fetchStart);
             _refreshStatusService.UpdateProgress(listId, 0, playlistSpecificMedia.Length);
 
             // Create progress callback
@@ -433,20 +625,43 @@ namespace Jellyfin.Plugin.SmartLists.Services.Shared
             var refreshCache = GetOrCreateRefreshCacheForUser(user.Id);
             _logger.LogDebug("Using RefreshCache for user '{Username}' (shared across playlists/collections)", user.Username);
 
+            // Load the current contents of any smart lists referenced by Smart List rules
+            var referenceResolver = new SmartListReferenceResolver(fileSystem, _libraryManager, _logger);
+            await referenceResolver.LoadReferencedItemsAsync(dto, user, refreshCache).ConfigureAwait(false);
+
+            // Remember what the user's playlist holds now so the items this refresh adds and removes can be recorded
+            var jellyfinPlaylistId = dto.UserPlaylists != null && dto.UserPlaylists.Count > 0
+                ? dto.UserPlaylists.FirstOrDefault(m => string.Equals(m.UserId, user.Id.ToString("N"), StringComparison.OrdinalIgnoreCase))?.JellyfinPlaylistId
+                : dto.JellyfinPlaylistId;
+            var itemsBefore = GetLinkedItemIds(jellyfinPlaylistId);
+
+            // Last point where a cancelled refresh can stop without leaving the playlist half updated
+            cancellationToken.ThrowIfCancellationRequested();
+
+            // Keep the rules that are skipped or throw with the refresh's history entry; this method's async flow only
+            SmartList.SetRuleErrorHandler((rule, error) => _refreshStatusService.RecordRuleError(listId, rule, error));
+
             // Process refresh
             var (success, message, playlistId) = await playlistService.ProcessPlaylistRefreshWithCachedMediaAsync(
                 dto,
                 user,
                 playlistSpecificMedia,
                 refreshCache,
-                async (updatedDto) => await playlistStore.SaveAsync(updatedDto),
+                async (updatedDto) => await SaveRefreshedListAsync(updatedDto, listId, refreshStarted, playlistStore.SaveAsync),
                 progressCallback,
+                profiler,
                 cancellationToken);
 
             if (!success)
             {
                 throw new InvalidOperationException($"Playlist refresh failed for user {user.Username}: {message}");
             }
+
+            // Disabled playlists are skipped without touching the Jellyfin playlist
+            if (dto.Enabled)
+            {
+                RecordItemChanges(listId, itemsBefore, playlistId);
+            }
         }
 
         /// <summary>
@@ -454,6 +669,8 @@ namespace Jellyfin.Plugin.SmartLists.Services.Shared
         /// </summary>
         private async Task ProcessCollectionRefreshAsync(SmartCollectionDto dto, CancellationToken cancellationToken)
         {
+            var refreshStarted = DateTime.UtcNow;
+
             // Get owner user for this collection
             if (string.IsNullOrEmpty(dto.UserId) || !Guid.TryParse(dto.UserId, out var ownerUserId) || ownerUserId == Guid.Empty)
             {
@@ -468,6 +685,8 @@ namespace Jellyfin.Plugin.SmartLists.Services.Shared
                 throw new InvalidOperationException($"Owner user {ownerUserId} not found for collection {dto.Name}");
             }
 
+            cancellationToken.ThrowIfCancellationRequested();
+
             // Get or create cache for this user (will share with playlists if same user/media types)
             var userCache = EnsureCacheForUser(ownerUser, dto);
             _logger.LogDebug("Processing collection '{CollectionName}' with user cache ({CacheEntryCount} entries)", dto.Name, userCache.Count);
@@ -476,6 +695,7 @@ namespace Jellyfin.Plugin.SmartLists.Services.Shared
             var mediaTypesForClosure = dto.MediaTypes?.ToList() ?? [];
             var mediaTypesKey = MediaTypesKey.Create(mediaTypesForClosure, dto);
 
+            var fetchStart = System.Diagnostics.Stopwatch.GetTimestamp();
             var collectionSpecificMedia = userCache.GetOrAdd(mediaTypesKey, _ =>
                 new Lazy<BaseItem[]>(() =>
                 {
@@ -492,6 +712,10 @@ namespace Jellyfin.Plugin.SmartLists.Services.Shared
 
             // Update status with media count
             var listId = dto.Id ?? Guid.NewGuid().ToString();
+
+            // Media already fetched for an earlier list of the same user comes from the cache and adds next to no time
+            var profiler = _refreshStatusService.GetProfiler(listId);
+            profiler?.AddElapsed(RefreshPhase.FetchItems, fetchStart);
             _refreshStatusService.UpdateProgress(listId, 0, collectionSpecificMedia.Length);
 
             // Create progress callback
@@ -509,20 +733,74 @@ namespace Jellyfin.Plugin.SmartLists.Services.Shared
             var refreshCache = GetOrCreateRefreshCacheForUser(ownerUserId);
             _logger.LogDebug("Using RefreshCache for user '{Username}' (shared across playlists/collections)", ownerUser.Username);
 
+            // Load the current contents of any smart lists referenced by Smart List rules
+            var referenceResolver = new SmartListReferenceResolver(fileSystem, _libraryManager, _logger);
+            await referenceResolver.LoadReferencedItemsAsync(dto, ownerUser, refreshCache).ConfigureAwait(false);
+
+            // Remember what the collection holds now so the items this refresh adds and removes can be recorded
+            var itemsBefore = GetLinkedItemIds(dto.JellyfinCollectionId);
+
+            // Last point where a cancelled refresh can stop without leaving the collection half updated
+            cancellationToken.ThrowIfCancellationRequested();
+
+            // Keep the rules that are skipped or throw with the refresh's history entry; this method's async flow only
+            SmartList.SetRuleErrorHandler((rule, error) => _refreshStatusService.RecordRuleError(listId, rule, error));
+
             // Process refresh with cached media
             var (success, message, collectionId) = await collectionService.ProcessPlaylistRefreshWithCachedMediaAsync(
                 dto,
                 ownerUser,
                 collectionSpecificMedia,
                 refreshCache,
-                async (updatedDto) => await collectionStore.SaveAsync(updatedDto),
+                async (updatedDto) => await SaveRefreshedListAsync(updatedDto, listId, refreshStarted, collectionStore.SaveAsync),
                 progressCallback,
+                profiler,
                 cancellationToken);
 
             if (!success)
             {
                 throw new InvalidOperationException($"Collection refresh failed: {message}");
             }
+
+            // Disabled collections are skipped without touching the Jellyfin collection
+            if (dto.Enabled)
+            {
+                RecordItemChanges(listId, itemsBefore, collectionId);
+            }
+        }
+
+        /// <summary>
+        /// Gets the IDs of the items in a Jellyfin playlist or collection, or an empty set if it doesn't exist (yet)
+        /// </summary>
+        private HashSet<Guid> GetLinkedItemIds(string? jellyfinId)
+        {
+            if (string.IsNullOrEmpty(jellyfinId) || !Guid.TryParse(jellyfinId, out var itemId) || itemId == Guid.Empty)
+            {
+                return [];
+            }
+
+            if (_libraryManager.GetItemById(itemId) is not Folder folder || folder.LinkedChildren == null)
+            {
+                return [];
+            }
+
+            return folder.LinkedChildren
+                .Where(lc => lc.ItemId.HasValue)
+                .Select(lc => lc.ItemId!.Value)
+                .ToHashSet();
+        }
+
+        /// <summary>
+        /// Compares the refreshed Jellyfin playlist or collection with its items before the refresh and records the difference
+        /// </summary>
+        private void RecordItemChanges(string listId, HashSet<Guid> itemsBefore, string jellyfinId)
+        {
+            var itemsAfter = GetLinkedItemIds(jellyfinId);
+            var added = itemsAfter.Where(id => !itemsBefore.Contains(id)).ToList();
+            var removed = itemsBefore.Where(id => !itemsAfter.Contains(id)).ToList();
+            _refreshStatusService.RecordItemChanges(listId, added, removed, itemsAfter.Count);
+
+            _logger.LogDebug("Refresh of list {ListId} added {AddedCount} and removed {RemovedCount} items", listId, added.Count, removed.Count);
         }
 
         /// <summary>
@@ -648,6 +926,9 @@ namespace Jellyfin.Plugin.SmartLists.Services.Shared
             public ConcurrentDictionary<Guid, List<string>> SeriesStudiosById { get; } = new();
             public ConcurrentDictionary<Guid, List<string>> SeriesGenresById { get; } = new();
             public ConcurrentDictionary<Guid, CategorizedPeople> ItemPeople { get; } = new();
+
+            // Current items of smart lists referenced by Smart List rules - keyed by referenced list ID
+            public ConcurrentDictionary<string, HashSet<Guid>> ReferencedListItems { get; } = new(StringComparer.OrdinalIgnoreCase);
             
             // User-specific data cache - keyed by (ItemId, UserId) to support playlist user + additional users in rules
             public ConcurrentDictionary<(Guid ItemId, Guid UserId), MediaBrowser.Controller.Entities.UserItemData> UserDataCache { get; } = new();
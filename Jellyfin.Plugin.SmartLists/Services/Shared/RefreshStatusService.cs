@@ -27,6 +27,33 @@ namespace Jellyfin.Plugin.SmartLists.Services.Shared
         private readonly Stopwatch _stopwatch = Stopwatch.StartNew();
         private TimeSpan? _preservedElapsedTime;
 
+        /// <summary>
+        /// Items added to and removed from the list by this refresh, or null until the refresh records them.
+        /// Multi-user playlists record once per user, so these are the changes across all users.
+        /// </summary>
+        internal HashSet<Guid>? AddedItemIds { get; set; }
+        internal HashSet<Guid>? RemovedItemIds { get; set; }
+
+        /// <summary>
+        /// Rules that were skipped or threw during this refresh, keyed by the rule with the first error it gave
+        /// </summary>
+        internal Dictionary<string, string>? RuleErrors { get; set; }
+
+        /// <summary>
+        /// Number of items in the list after the refresh, summed over the users of a multi-user playlist
+        /// </summary>
+        internal int? ItemCount { get; set; }
+
+        /// <summary>
+        /// Timings of this refresh, filled in by the refresh queue
+        /// </summary>
+        internal RefreshProfiler Profiler { get; } = new();
+
+        /// <summary>
+        /// When the last progress event was raised for this operation, used to throttle them
+        /// </summary>
+        internal DateTime LastProgressEventTime { get; set; }
+
         public TimeSpan ElapsedTime => _preservedElapsedTime ?? _stopwatch.Elapsed;
         
         /// <summary>
@@ -87,6 +114,102 @@ namespace Jellyfin.Plugin.SmartLists.Services.Shared
         public TimeSpan Duration { get; set; }
         public bool Success { get; set; }
         public string? ErrorMessage { get; set; }
+
+        /// <summary>
+        /// Type name of the exception that failed the refresh, or null if it failed without one
+        /// </summary>
+        public string? ErrorType { get; set; }
+
+        /// <summary>
+        /// Full exception text with inner exceptions and stack trace, capped at RefreshStatusService.MaxErrorDetailsLength
+        /// </summary>
+        public string? ErrorDetails { get; set; }
+
+        /// <summary>
+        /// Number of items the refresh added and removed, or null if the refresh didn't get far enough to record them
+        /// </summary>
+        public int? AddedCount { get; set; }
+        public int? RemovedCount { get; set; }
+
+        /// <summary>
+        /// Number of items in the list after the refresh, recorded together with the added and removed items
+        /// </summary>
+        public int? ItemCount { get; set; }
+
+        /// <summary>
+        /// Where the time of the refresh went, or null if nothing was measured (e.g. a refresh that failed before fetching items)
+        /// </summary>
+        public RefreshProfile? Profile { get; set; }
+
+        /// <summary>
+        /// IDs of the added and removed items, capped at RefreshStatusService.MaxItemChangesPerRefresh each
+        /// </summary>
+        public List<Guid> AddedItemIds { get; set; } = [];
+        public List<Guid> RemovedItemIds { get; set; } = [];
+
+        /// <summary>
+        /// Rules that were skipped because they couldn't be compiled, or that threw while evaluating items, as
+        /// "where the rule is: field operator "value": error". These don't fail the refresh; a throwing rule
+        /// counts as not matching, or as matching in an exclusion block. Capped at RefreshStatusService.MaxRuleErrorsPerRefresh
+        /// </summary>
+        public List<string> RuleErrors { get; set; } = [];
+    }
+
+    /// <summary>
+    /// Filters and sort order for querying the refresh history
+    /// </summary>
+    public class RefreshHistoryFilter
+    {
+        /// <summary>
+        /// Text the list name must contain (case-insensitive)
+        /// </summary>
+        public string? Search { get; set; }
+        public SmartListType? ListType { get; set; }
+        public RefreshTriggerType? TriggerType { get; set; }
+        public bool? Success { get; set; }
+
+        /// <summary>
+        /// Only refreshes that ended at or after this time (UTC)
+        /// </summary>
+        public DateTime? From { get; set; }
+
+        /// <summary>
+        /// Only refreshes that ended before this time (UTC)
+        /// </summary>
+        public DateTime? To { get; set; }
+
+        /// <summary>
+        /// Only the most recent refresh of each list instead of every refresh still kept
+        /// </summary>
+        public bool LatestPerList { get; set; }
+
+        public RefreshHistorySortField SortBy { get; set; } = RefreshHistorySortField.EndTime;
+        public bool SortDescending { get; set; } = true;
+    }
+
+    /// <summary>
+    /// A change in refresh status: a list was queued, the queue was changed, or a refresh started, progressed or completed
+    /// </summary>
+    public class RefreshStatusChangedEventArgs : EventArgs
+    {
+        public RefreshStatusEventType EventType { get; set; }
+        public string ListId { get; set; } = string.Empty;
+        public string ListName { get; set; } = string.Empty;
+
+        /// <summary>
+        /// Copy of the operation for Started and Progress events
+        /// </summary>
+        public RefreshOperation? Operation { get; set; }
+
+        /// <summary>
+        /// The history entry of the finished refresh for Completed events
+        /// </summary>
+        public RefreshHistoryEntry? HistoryEntry { get; set; }
+
+        /// <summary>
+        /// Number of operations waiting in the queue when the event was raised
+        /// </summary>
+        public int QueuedCount { get; set; }
     }
 
     /// <summary>
@@ -94,11 +217,43 @@ namespace Jellyfin.Plugin.SmartLists.Services.Shared
     /// </summary>
     public class RefreshStatusService
     {
+        /// <summary>
+        /// Number of recent refreshes kept per list for the history detail view
+        /// </summary>
+        public const int MaxHistoryEntriesPerList = 10;
+
+        /// <summary>
+        /// Number of added (and removed) item IDs kept per refresh
+        /// </summary>
+        public const int MaxItemChangesPerRefresh = 500;
+
+        /// <summary>
+        /// Maximum length of the exception text kept with a failed refresh
+        /// </summary>
+        public const int MaxErrorDetailsLength = 8000;
+
+        /// <summary>
+        /// Maximum number of rule errors kept with a refresh
+        /// </summary>
+        public const int MaxRuleErrorsPerRefresh = 20;
+
+        /// <summary>
+        /// Minimum time between progress events of one operation; refreshes report progress for every item
+        /// </summary>
+        private static readonly TimeSpan ProgressEventInterval = TimeSpan.FromMilliseconds(500);
+
         private readonly ILogger<RefreshStatusService> _logger;
         private readonly ConcurrentDictionary<string, RefreshOperation> _ongoingOperations = new();
         private readonly ConcurrentDictionary<string, RefreshHistoryEntry> _refreshHistory = new();
+        private readonly ConcurrentDictionary<string, List<RefreshHistoryEntry>> _listRefreshHistory = new();
         private RefreshQueueService? _refreshQueueService;
 
+        /// <summary>
+        /// Raised when a list is queued and when a refresh starts, progresses or completes. Handlers run on the
+        /// refreshing thread, so they must be quick and must not throw.
+        /// </summary>
+        public event EventHandler<RefreshStatusChangedEventArgs>? StatusChanged;
+
         public RefreshStatusService(ILogger<RefreshStatusService> logger)
         {
             _logger = logger;
@@ -157,6 +312,25 @@ namespace Jellyfin.Plugin.SmartLists.Services.Shared
                     ? $" - Batch {batchCurrentIndex.Value} of {batchTotalCount.Value}" 
                     : ""), 
                 listId, listName);
+
+            operation.LastProgressEventTime = DateTime.UtcNow;
+            RaiseStatusChanged(RefreshStatusEventType.Started, listId, listName, operation: CopyOperation(operation));
+        }
+
+        /// <summary>
+        /// Notifies listeners that a list was added to the refresh queue
+        /// </summary>
+        public void NotifyQueued(string listId, string listName)
+        {
+            RaiseStatusChanged(RefreshStatusEventType.Queued, listId, listName);
+        }
+
+        /// <summary>
+        /// Notifies listeners that the queue was reordered, paused or resumed, or had an operation removed
+        /// </summary>
+        public void NotifyQueueChanged()
+        {
+            RaiseStatusChanged(RefreshStatusEventType.QueueChanged, string.Empty, string.Empty);
         }
 
         /// <summary>
@@ -197,6 +371,13 @@ namespace Jellyfin.Plugin.SmartLists.Services.Shared
                 }
 
                 operation.UpdateProgress(processedItems, operation.TotalItems);
+
+                var now = DateTime.UtcNow;
+                if (now - operation.LastProgressEventTime >= ProgressEventInterval || processedItems >= operation.TotalItems)
+                {
+                    operation.LastProgressEventTime = now;
+                    RaiseStatusChanged(RefreshStatusEventType.Progress, listId, operation.ListName, operation: CopyOperation(operation));
+                }
             }
         }
 
@@ -207,11 +388,13 @@ namespace Jellyfin.Plugin.SmartLists.Services.Shared
         /// <param name="success">Whether the operation succeeded</param>
         /// <param name="duration">The duration of the operation</param>
         /// <param name="errorMessage">Optional error message</param>
+        /// <param name="exception">Optional exception that failed the operation, kept with the history entry</param>
         public void CompleteOperation(
             string listId,
             bool success,
             TimeSpan duration,
-            string? errorMessage = null)
+            string? errorMessage = null,
+            Exception? exception = null)
         {
             if (_ongoingOperations.TryRemove(listId, out var operation))
             {
@@ -225,13 +408,48 @@ namespace Jellyfin.Plugin.SmartLists.Services.Shared
                     EndTime = DateTime.UtcNow,
                     Duration = duration,
                     Success = success,
-                    ErrorMessage = errorMessage ?? operation.ErrorMessage
+                    ErrorMessage = errorMessage ?? operation.ErrorMessage,
+                    Profile = operation.Profiler.HasData ? operation.Profiler.ToProfile(duration) : null
                 };
 
+                if (exception != null)
+                {
+                    SetErrorDetails(historyEntry, exception);
+                }
+
+                lock (operation)
+                {
+                    if (operation.AddedItemIds != null && operation.RemovedItemIds != null)
+                    {
+                        historyEntry.AddedCount = operation.AddedItemIds.Count;
+                        historyEntry.RemovedCount = operation.RemovedItemIds.Count;
+                        historyEntry.ItemCount = operation.ItemCount;
+                        historyEntry.AddedItemIds = operation.AddedItemIds.Take(MaxItemChangesPerRefresh).ToList();
+                        historyEntry.RemovedItemIds = operation.RemovedItemIds.Take(MaxItemChangesPerRefresh).ToList();
+                    }
+
+                    if (operation.RuleErrors != null)
+                    {
+                        historyEntry.RuleErrors = operation.RuleErrors.Select(e => $"{e.Key}: {e.Value}").ToList();
+                    }
+                }
+
                 _refreshHistory.AddOrUpdate(listId, historyEntry, (key, existing) => historyEntry);
 
+                var listHistory = _listRefreshHistory.GetOrAdd(listId, _ => []);
+                lock (listHistory)
+                {
+                    listHistory.Add(historyEntry);
+                    if (listHistory.Count > MaxHistoryEntriesPerList)
+                    {
+                        listHistory.RemoveRange(0, listHistory.Count - MaxHistoryEntriesPerList);
+                    }
+                }
+
                 _logger.LogDebug("Completed refresh operation for list {ListId} ({ListName}): Success={Success}, Duration={Duration}ms",
                     listId, operation.ListName, success, duration.TotalMilliseconds);
+
+                RaiseStatusChanged(RefreshStatusEventType.Completed, listId, operation.ListName, historyEntry: CopyHistoryEntry(historyEntry));
             }
             else
             {
@@ -239,6 +457,60 @@ namespace Jellyfin.Plugin.SmartLists.Services.Shared
             }
         }
 
+        /// <summary>
+        /// Gets the profiler of an ongoing refresh, or null if the list isn't being refreshed
+        /// </summary>
+        public RefreshProfiler? GetProfiler(string listId)
+        {
+            return _ongoingOperations.TryGetValue(listId, out var operation) ? operation.Profiler : null;
+        }
+
+        /// <summary>
+        /// Records the items a refresh added to and removed from a list. Can be called several times for one
+        /// operation (once per user of a multi-user playlist); the changes are combined and the item counts added up.
+        /// </summary>
+        public void RecordItemChanges(string listId, IEnumerable<Guid> addedItemIds, IEnumerable<Guid> removedItemIds, int itemCount)
+        {
+            if (_ongoingOperations.TryGetValue(listId, out var operation))
+            {
+                lock (operation)
+                {
+                    operation.AddedItemIds ??= [];
+                    operation.RemovedItemIds ??= [];
+                    operation.AddedItemIds.UnionWith(addedItemIds);
+                    operation.RemovedItemIds.UnionWith(removedItemIds);
+                    operation.ItemCount = (operation.ItemCount ?? 0) + itemCount;
+                }
+            }
+        }
+
+        /// <summary>
+        /// Records a rule that was skipped or threw during a refresh. A rule that throws for many items is kept once,
+        /// with its first error.
+        /// </summary>
+        public void RecordRuleError(string listId, string rule, string error)
+        {
+            if (_ongoingOperations.TryGetValue(listId, out var operation))
+            {
+                lock (operation)
+                {
+                    operation.RuleErrors ??= [];
+                    if (operation.RuleErrors.Count < MaxRuleErrorsPerRefresh)
+                    {
+                        operation.RuleErrors.TryAdd(rule, error);
+                    }
+                }
+            }
+        }
+
+        private static void SetErrorDetails(RefreshHistoryEntry entry, Exception exception)
+        {
+            entry.ErrorType = exception.GetBaseException().GetType().Name;
+
+            var details = exception.ToString();
+            entry.ErrorDetails = details.Length > MaxErrorDetailsLength ? details[..MaxErrorDetailsLength] : details;
+        }
+
         /// <summary>
         /// Marks an operation as failed
         /// </summary>
@@ -256,50 +528,52 @@ namespace Jellyfin.Plugin.SmartLists.Services.Shared
         public List<RefreshOperation> GetOngoingOperations()
         {
             // Create copies to prevent external mutation of tracked state
-            // We need to preserve the elapsed time from the original stopwatch
-            return _ongoingOperations.Values.Select(op =>
+            return _ongoingOperations.Values.Select(CopyOperation).ToList();
+        }
+
+        // Copies an operation, preserving the elapsed time of its stopwatch
+        private static RefreshOperation CopyOperation(RefreshOperation op)
+        {
+            // Get elapsed time from original operation before creating copy
+            var elapsedTime = op.ElapsedTime;
+            
+            var copy = new RefreshOperation
+            {
+                ListId = op.ListId,
+                ListName = op.ListName,
+                ListType = op.ListType,
+                TriggerType = op.TriggerType,
+                StartTime = op.StartTime,
+                TotalItems = op.TotalItems,
+                ProcessedItems = op.ProcessedItems,
+                EstimatedTimeRemaining = op.EstimatedTimeRemaining,
+                ErrorMessage = op.ErrorMessage,
+                BatchCurrentIndex = op.BatchCurrentIndex,
+                BatchTotalCount = op.BatchTotalCount
+            };
+            
+            // Preserve the elapsed time from the original operation
+            copy.SetPreservedElapsedTime(elapsedTime);
+            
+            // Recalculate estimated time using the preserved elapsed time
+            if (op.ProcessedItems > 0 && op.TotalItems > 0 && elapsedTime.TotalMilliseconds > 0)
             {
-                // Get elapsed time from original operation before creating copy
-                var elapsedTime = op.ElapsedTime;
+                var itemsPerMs = (double)op.ProcessedItems / elapsedTime.TotalMilliseconds;
+                var remainingItems = op.TotalItems - op.ProcessedItems;
                 
-                var copy = new RefreshOperation
+                if (remainingItems > 0 && itemsPerMs > 0)
                 {
-                    ListId = op.ListId,
-                    ListName = op.ListName,
-                    ListType = op.ListType,
-                    TriggerType = op.TriggerType,
-                    StartTime = op.StartTime,
-                    TotalItems = op.TotalItems,
-                    ProcessedItems = op.ProcessedItems,
-                    EstimatedTimeRemaining = op.EstimatedTimeRemaining,
-                    ErrorMessage = op.ErrorMessage,
-                    BatchCurrentIndex = op.BatchCurrentIndex,
-                    BatchTotalCount = op.BatchTotalCount
-                };
-                
-                // Preserve the elapsed time from the original operation
-                copy.SetPreservedElapsedTime(elapsedTime);
-                
-                // Recalculate estimated time using the preserved elapsed time
-                if (op.ProcessedItems > 0 && op.TotalItems > 0 && elapsedTime.TotalMilliseconds > 0)
+                    var estimatedMs = remainingItems / itemsPerMs;
+                    copy.EstimatedTimeRemaining = TimeSpan.FromMilliseconds(estimatedMs);
+                }
+                else
                 {
-                    var itemsPerMs = (double)op.ProcessedItems / elapsedTime.TotalMilliseconds;
-                    var remainingItems = op.TotalItems - op.ProcessedItems;
-                    
-                    if (remainingItems > 0 && itemsPerMs > 0)
-                    {
-                        var estimatedMs = remainingItems / itemsPerMs;
-                        copy.EstimatedTimeRemaining = TimeSpan.FromMilliseconds(estimatedMs);
-                    }
-                    else
-                    {
-                        // All items processed, no time remaining
-                        copy.EstimatedTimeRemaining = null;
-                    }
+                    // All items processed, no time remaining
+                    copy.EstimatedTimeRemaining = null;
                 }
-                
-                return copy;
-            }).ToList();
+            }
+            
+            return copy;
         }
 
         /// <summary>
@@ -307,7 +581,99 @@ namespace Jellyfin.Plugin.SmartLists.Services.Shared
         /// </summary>
         public List<RefreshHistoryEntry> GetRefreshHistory()
         {
-            return _refreshHistory.Values.Select(entry => new RefreshHistoryEntry
+            return _refreshHistory.Values.Select(CopyHistoryEntry).ToList();
+        }
+
+        /// <summary>
+        /// Gets the recent refreshes of a list with their added and removed items, newest first (returns copies)
+        /// </summary>
+        public List<RefreshHistoryEntry> GetListRefreshHistory(string listId)
+        {
+            if (!_listRefreshHistory.TryGetValue(listId, out var listHistory))
+            {
+                return [];
+            }
+
+            lock (listHistory)
+            {
+                return listHistory.AsEnumerable().Reverse().Select(CopyHistoryEntry).ToList();
+            }
+        }
+
+        /// <summary>
+        /// Gets the refreshes matching a filter, in the filter's sort order (returns copies).
+        /// Covers the last MaxHistoryEntriesPerList refreshes of each list unless LatestPerList is set.
+        /// </summary>
+        public List<RefreshHistoryEntry> QueryRefreshHistory(RefreshHistoryFilter filter)
+        {
+            ArgumentNullException.ThrowIfNull(filter);
+
+            IEnumerable<RefreshHistoryEntry> entries;
+            if (filter.LatestPerList)
+            {
+                entries = _refreshHistory.Values.ToList();
+            }
+            else
+            {
+                var allEntries = new List<RefreshHistoryEntry>();
+                foreach (var listHistory in _listRefreshHistory.Values)
+                {
+                    lock (listHistory)
+                    {
+                        allEntries.AddRange(listHistory);
+                    }
+                }
+                entries = allEntries;
+            }
+
+            if (!string.IsNullOrWhiteSpace(filter.Search))
+            {
+                var search = filter.Search.Trim();
+                entries = entries.Where(e => e.ListName.Contains(search, StringComparison.OrdinalIgnoreCase));
+            }
+            if (filter.ListType.HasValue)
+            {
+                entries = entries.Where(e => e.ListType == filter.ListType.Value);
+            }
+            if (filter.TriggerType.HasValue)
+            {
+                entries = entries.Where(e => e.TriggerType == filter.TriggerType.Value);
+            }
+            if (filter.Success.HasValue)
+            {
+                entries = entries.Where(e => e.Success == filter.Success.Value);
+            }
+            if (filter.From.HasValue)
+            {
+                entries = entries.Where(e => (e.EndTime ?? e.StartTime) >= filter.From.Value);
+            }
+            if (filter.To.HasValue)
+            {
+                entries = entries.Where(e => (e.EndTime ?? e.StartTime) < filter.To.Value);
+            }
+
+            Func<RefreshHistoryEntry, object> sortKey = filter.SortBy switch
+            {
+                RefreshHistorySortField.ListName => e => e.ListName.ToUpperInvariant(),
+                RefreshHistorySortField.ListType => e => e.ListType,
+                RefreshHistorySortField.TriggerType => e => e.TriggerType,
+                RefreshHistorySortField.Status => e => e.Success,
+                RefreshHistorySortField.Changes => e => (e.AddedCount ?? -1) + (e.RemovedCount ?? 0),
+                RefreshHistorySortField.Duration => e => e.Duration,
+                _ => e => e.EndTime ?? e.StartTime,
+            };
+
+            // Ties (same list, same status, ...) are always newest first
+            var sorted = filter.SortDescending ? entries.OrderByDescending(sortKey) : entries.OrderBy(sortKey);
+            return sorted
+                .ThenByDescending(e => e.EndTime ?? e.StartTime)
+                .Select(CopyHistoryEntry)
+                .ToList();
+        }
+
+        private static RefreshHistoryEntry CopyHistoryEntry(RefreshHistoryEntry entry)
+        {
+            return new RefreshHistoryEntry
             {
                 ListId = entry.ListId,
                 ListName = entry.ListName,
@@ -317,8 +683,49 @@ namespace Jellyfin.Plugin.SmartLists.Services.Shared
                 EndTime = entry.EndTime,
                 Duration = entry.Duration,
                 Success = entry.Success,
-                ErrorMessage = entry.ErrorMessage
-            }).ToList();
+                ErrorMessage = entry.ErrorMessage,
+                ErrorType = entry.ErrorType,
+                ErrorDetails = entry.ErrorDetails,
+                AddedCount = entry.AddedCount,
+                RemovedCount = entry.RemovedCount,
+                ItemCount = entry.ItemCount,
+                Profile = entry.Profile,
+                AddedItemIds = [.. entry.AddedItemIds],
+                RemovedItemIds = [.. entry.RemovedItemIds],
+                RuleErrors = [.. entry.RuleErrors]
+            };
+        }
+
+        private void RaiseStatusChanged(
+            RefreshStatusEventType eventType,
+            string listId,
+            string listName,
+            RefreshOperation? operation = null,
+            RefreshHistoryEntry? historyEntry = null)
+        {
+            var handler = StatusChanged;
+            if (handler == null)
+            {
+                return;
+            }
+
+            try
+            {
+                handler(this, new RefreshStatusChangedEventArgs
+                {
+                    EventType = eventType,
+                    ListId = listId,
+                    ListName = listName,
+                    Operation = operation,
+                    HistoryEntry = historyEntry,
+                    QueuedCount = GetQueuedCount()
+                });
+            }
+            catch (Exception ex)
+            {
+                // A failing listener must never fail the refresh itself
+                _logger.LogWarning(ex, "Error notifying listeners of {EventType} for list {ListId}", eventType, listId);
+            }
         }
 
         /// <summary>
@@ -0,0 +1,198 @@
+using System;
+using System.Collections.Generic;
+using System.Linq;
+using System.Threading.Tasks;
+using Jellyfin.Database.Implementations.Entities;
+using Jellyfin.Plugin.SmartLists.Core.Models;
+using MediaBrowser.Controller.Entities;
+using MediaBrowser.Controller.Library;
+using Microsoft.Extensions.Logging;
+
+namespace Jellyfin.Plugin.SmartLists.Services.Shared
+{
+    /// <summary>
+    /// Resolves "Smart List" rules, which match the items currently in another smart list.
+    /// The referenced list's Jellyfin playlist or collection is read as-is, so it reflects that list's last refresh.
+    /// </summary>
+    public class SmartListReferenceResolver
+    {
+        /// <summary>
+        /// The rule field that references another smart list. The target value is the referenced list's ID.
+        /// </summary>
+        public const string FieldName = "SmartList";
+
+        private readonly ISmartListFileSystem _fileSystem;
+        private readonly ILibraryManager _libraryManager;
+        private readonly ILogger _logger;
+
+        public SmartListReferenceResolver(ISmartListFileSystem fileSystem, ILibraryManager libraryManager, ILogger logger)
+        {
+            _fileSystem = fileSystem;
+            _libraryManager = libraryManager;
+            _logger = logger;
+        }
+
+        /// <summary>
+        /// Gets the IDs of the smart lists referenced by a list's rules, including exclusion rules.
+        /// </summary>
+        public static HashSet<string> GetReferencedListIds(SmartListDto dto)
+        {
+            ArgumentNullException.ThrowIfNull(dto);
+
+            return dto.GetAllRuleSets()
+                .SelectMany(set => set.GetAllExpressions())
+                .Where(expr => expr?.MemberName == FieldName && !string.IsNullOrWhiteSpace(expr.TargetValue))
+                .SelectMany(expr => expr.TargetValue.Split(';', StringSplitOptions.RemoveEmptyEntries | StringSplitOptions.TrimEntries))
+                .ToHashSet(StringComparer.OrdinalIgnoreCase);
+        }
+
+        /// <summary>
+        /// Checks whether a list's references lead back to the list itself.
+        /// The given DTO takes the place of the stored version of the same list, so unsaved changes are checked.
+        /// </summary>
+        /// <returns>The names of the lists in the loop, starting and ending with this list, or null if there is no loop.</returns>
+        public async Task<List<string>?> FindReferenceCycleAsync(SmartListDto dto)
+        {
+            ArgumentNullException.ThrowIfNull(dto);
+
+            if (string.IsNullOrEmpty(dto.Id) || GetReferencedListIds(dto).Count == 0)
+            {
+                return null;
+            }
+
+            var lists = await LoadListsAsync(dto).ConfigureAwait(false);
+            return FindCycle(dto, lists);
+        }
+
+        /// <summary>
+        /// Loads the current items of every list referenced by the given list into the refresh cache, for the given user.
+        /// </summary>
+        /// <exception cref="InvalidOperationException">A referenced list no longer exists or the references form a loop.
+        /// The list can't be evaluated then, as an "is not in" rule would match the whole library.</exception>
+        public async Task LoadReferencedItemsAsync(SmartListDto dto, User user, RefreshQueueService.RefreshCache cache)
+        {
+            ArgumentNullException.ThrowIfNull(dto);
+            ArgumentNullException.ThrowIfNull(user);
+            ArgumentNullException.ThrowIfNull(cache);
+
+            var referencedIds = GetReferencedListIds(dto);
+            if (referencedIds.Count == 0)
+            {
+                return;
+            }
+
+            var lists = await LoadListsAsync(dto).ConfigureAwait(false);
+            var cycle = FindCycle(dto, lists);
+            if (cycle != null)
+            {
+                throw new InvalidOperationException(
+                    $"Smart list '{dto.Name}' references itself through {string.Join(" -> ", cycle)}. Edit the list to remove the loop.");
+            }
+
+            foreach (var referencedId in referencedIds)
+            {
+                if (!lists.TryGetValue(referencedId, out var referencedList))
+                {
+                    throw new InvalidOperationException(
+                        $"Smart list '{dto.Name}' references a smart list that no longer exists ({referencedId}). Edit the list to change or remove its Smart List rule.");
+                }
+
+                var items = GetCurrentItems(referencedList, user);
+                cache.ReferencedListItems[referencedId] = items;
+                _logger.LogDebug("Loaded {ItemCount} items from referenced smart list '{ReferencedName}' for '{ListName}'",
+                    items.Count, referencedList.Name, dto.Name);
+            }
+        }
+
+        private async Task<Dictionary<string, SmartListDto>> LoadListsAsync(SmartListDto current)
+        {
+            var (playlists, collections) = await _fileSystem.GetAllSmartListsAsync().ConfigureAwait(false);
+            var lists = playlists.Cast<SmartListDto>()
+                .Concat(collections)
+                .Where(list => !string.IsNullOrEmpty(list.Id))
+                .GroupBy(list => list.Id!, StringComparer.OrdinalIgnoreCase)
+                .ToDictionary(group => group.Key, group => group.First(), StringComparer.OrdinalIgnoreCase);
+
+            if (!string.IsNullOrEmpty(current.Id))
+            {
+                lists[current.Id] = current;
+            }
+
+            return lists;
+        }
+
+        private static List<string>? FindCycle(SmartListDto root, Dictionary<string, SmartListDto> lists)
+        {
+            if (string.IsNullOrEmpty(root.Id))
+            {
+                return null;
+            }
+
+            var visited = new HashSet<string>(StringComparer.OrdinalIgnoreCase);
+            var path = new List<SmartListDto> { root };
+
+            bool Visit(SmartListDto list)
+            {
+                foreach (var referencedId in GetReferencedListIds(list))
+                {
+                    if (string.Equals(referencedId, root.Id, StringComparison.OrdinalIgnoreCase))
+                    {
+                        path.Add(root);
+                        return true;
+                    }
+
+                    // Loops that don't include the root were already rejected when those lists were saved
+                    if (!visited.Add(referencedId) || !lists.TryGetValue(referencedId, out var referencedList))
+                    {
+                        continue;
+                    }
+
+                    path.Add(referencedList);
+                    if (Visit(referencedList))
+                    {
+                        return true;
+                    }
+                    path.RemoveAt(path.Count - 1);
+                }
+
+                return false;
+            }
+
+            return Visit(root) ? [.. path.Select(list => list.Name)] : null;
+        }
+
+        private HashSet<Guid> GetCurrentItems(SmartListDto list, User user)
+        {
+            string? jellyfinId = null;
+            if (list is SmartPlaylistDto playlist)
+            {
+                // Multi-user playlists have one Jellyfin playlist per user; prefer the one for the user being evaluated
+                var userId = user.Id.ToString("N");
+                jellyfinId = playlist.UserPlaylists?.FirstOrDefault(mapping => string.Equals(mapping.UserId, userId, StringComparison.OrdinalIgnoreCase))?.JellyfinPlaylistId
+                    ?? playlist.UserPlaylists?.FirstOrDefault(mapping => !string.IsNullOrEmpty(mapping.JellyfinPlaylistId))?.JellyfinPlaylistId
+                    ?? playlist.JellyfinPlaylistId;
+            }
+            else if (list is SmartCollectionDto collection)
+            {
+                jellyfinId = collection.JellyfinCollectionId;
+            }
+
+            if (string.IsNullOrEmpty(jellyfinId) || !Guid.TryParse(jellyfinId, out var parsedId))
+            {
+                _logger.LogDebug("Referenced smart list '{ListName}' has not been created in Jellyfin yet", list.Name);
+                return [];
+            }
+
+            if (_libraryManager.GetItemById(parsedId) is not Folder folder)
+            {
+                _logger.LogDebug("Jellyfin item {JellyfinId} for referenced smart list '{ListName}' was not found", jellyfinId, list.Name);
+                return [];
+            }
+
+            return folder.LinkedChildren
+                .Where(child => child.ItemId.HasValue)
+                .Select(child => child.ItemId!.Value)
+                .ToHashSet();
+        }
+    }
+}
@@ -0,0 +1,356 @@
+using System;
+using System.Collections.Generic;
+using System.Globalization;
+using System.Linq;
+using System.Net.Http;
+using System.Text;
+using System.Text.Encodings.Web;
+using System.Text.Json;
+using System.Text.RegularExpressions;
+using System.Threading;
+using System.Threading.Channels;
+using System.Threading.Tasks;
+using Jellyfin.Plugin.SmartLists.Configuration;
+using Jellyfin.Plugin.SmartLists.Core.Enums;
+using MediaBrowser.Common.Net;
+using Microsoft.Extensions.Hosting;
+using Microsoft.Extensions.Logging;
+
+namespace Jellyfin.Plugin.SmartLists.Services.Shared
+{
+    /// <summary>
+    /// Outcome of posting a webhook
+    /// </summary>
+    /// <param name="Success">Whether the webhook answered with a success status code.</param>
+    /// <param name="StatusCode">The HTTP status code, or null if no response was received.</param>
+    /// <param name="Message">The status code the webhook responded with, or what went wrong when sending.</param>
+    public sealed record WebhookDeliveryResult(bool Success, int? StatusCode, string Message);
+
+    /// <summary>
+    /// Sends the configured notification webhooks when list refreshes complete. Completed refreshes are turned into
+    /// events (succeeded, failed, items added or removed, list became empty) and posted in the background, one at a
+    /// time, so a slow or unreachable webhook never holds up a refresh.
+    /// </summary>
+    public class WebhookNotificationService : IHostedService, IDisposable
+    {
+        /// <summary>
+        /// Payload sent when a webhook has no template of its own
+        /// </summary>
+        public const string DefaultPayloadTemplate = """
+            {
+              "event": "{{event}}",
+              "message": "{{message}}",
+              "listId": "{{listId}}",
+              "listName": "{{listName}}",
+              "listType": "{{listType}}",
+              "triggerType": "{{triggerType}}",
+              "success": {{success}},
+              "errorMessage": "{{errorMessage}}",
+              "addedCount": {{addedCount}},
+              "removedCount": {{removedCount}},
+              "itemCount": {{itemCount}},
+              "durationSeconds": {{durationSeconds}},
+              "timestamp": "{{timestamp}}"
+            }
+            """;
+
+        /// <summary>
+        /// Number of webhooks waiting to be sent before new ones are dropped
+        /// </summary>
+        private const int MaxPendingWebhooks = 500;
+
+        private static readonly TimeSpan RequestTimeout = TimeSpan.FromSeconds(10);
+        private static readonly Regex PlaceholderRegex = new(@"\{\{\s*(\w+)\s*\}\}", RegexOptions.Compiled);
+
+        private readonly RefreshStatusService _refreshStatusService;
+        private readonly IHttpClientFactory _httpClientFactory;
+        private readonly ILogger<WebhookNotificationService> _logger;
+        private readonly Channel<PendingWebhook> _pendingWebhooks = Channel.CreateBounded<PendingWebhook>(
+            new BoundedChannelOptions(MaxPendingWebhooks) { SingleReader = true, FullMode = BoundedChannelFullMode.Wait });
+        private readonly CancellationTokenSource _stopping = new();
+        private Task? _sendLoop;
+
+        private sealed record PendingWebhook(NotificationWebhook Webhook, WebhookEventType EventType, string Payload);
+
+        /// <summary>
+        /// Creates the service; webhooks are only sent once it has been started
+        /// </summary>
+        public WebhookNotificationService(
+            RefreshStatusService refreshStatusService,
+            IHttpClientFactory httpClientFactory,
+            ILogger<WebhookNotificationService> logger)
+        {
+            _refreshStatusService = refreshStatusService;
+            _httpClientFactory = httpClientFactory;
+            _logger = logger;
+        }
+
+        /// <summary>
+        /// Subscribes to refresh status changes and starts sending queued webhooks in the background
+        /// </summary>
+        public Task StartAsync(CancellationToken cancellationToken)
+        {
+            _refreshStatusService.StatusChanged += OnStatusChanged;
+            _sendLoop = Task.Run(() => SendPendingWebhooksAsync(_stopping.Token), CancellationToken.None);
+            return Task.CompletedTask;
+        }
+
+        /// <summary>
+        /// Unsubscribes from refresh status changes and stops the background sender. Webhooks still queued are dropped.
+        /// </summary>
+        public async Task StopAsync(CancellationToken cancellationToken)
+        {
+            _refreshStatusService.StatusChanged -= OnStatusChanged;
+            _pendingWebhooks.Writer.TryComplete();
+            await _stopping.CancelAsync().ConfigureAwait(false);
+
+            if (_sendLoop != null)
+            {
+                await _sendLoop.ConfigureAwait(false);
+            }
+        }
+
+        /// <summary>
+        /// Disposes the cancellation source of the background sender
+        /// </summary>
+        public void Dispose()
+        {
+            _stopping.Dispose();
+            GC.SuppressFinalize(this);
+        }
+
+        /// <summary>
+        /// Gets the events a completed refresh fires, in the order they are sent
+        /// </summary>
+        public static List<WebhookEventType> GetEvents(RefreshHistoryEntry entry)
+        {
+            if (!entry.Success)
+            {
+                return [WebhookEventType.RefreshFailed];
+            }
+
+            var events = new List<WebhookEventType> { WebhookEventType.RefreshSucceeded };
+            if (entry.AddedCount > 0)
+            {
+                events.Add(WebhookEventType.ItemsAdded);
+            }
+
+            if (entry.RemovedCount > 0)
+            {
+                events.Add(WebhookEventType.ItemsRemoved);
+
+                // Only a refresh that removed items can empty the list; an empty list that stays empty isn't news
+                if (entry.ItemCount == 0)
+                {
+                    events.Add(WebhookEventType.ListBecameEmpty);
+                }
+            }
+
+            return events;
+        }
+
+        /// <summary>
+        /// Fills in the placeholders of a payload template. Text is JSON-escaped without quotes, so placeholders go
+        /// inside the template's own quotes; numbers and true/false go without them. Unknown placeholders are kept as they are.
+        /// </summary>
+        /// <param name="template">The template, or empty for <see cref="DefaultPayloadTemplate"/>.</param>
+        /// <param name="eventType">The event being sent.</param>
+        /// <param name="entry">The refresh the event is about.</param>
+        /// <returns>The payload.</returns>
+        public static string RenderPayload(string? template, WebhookEventType eventType, RefreshHistoryEntry entry)
+        {
+            var values = new Dictionary<string, string>(StringComparer.OrdinalIgnoreCase)
+            {
+                ["event"] = eventType.ToString(),
+                ["message"] = DescribeEvent(eventType, entry),
+                ["listId"] = entry.ListId,
+                ["listName"] = entry.ListName,
+                ["listType"] = entry.ListType.ToString(),
+                ["triggerType"] = entry.TriggerType.ToString(),
+                ["success"] = entry.Success ? "true" : "false",
+                ["errorMessage"] = entry.ErrorMessage ?? string.Empty,
+                ["errorType"] = entry.ErrorType ?? string.Empty,
+                ["addedCount"] = FormatCount(entry.AddedCount),
+                ["removedCount"] = FormatCount(entry.RemovedCount),
+                ["itemCount"] = FormatCount(entry.ItemCount),
+                ["durationSeconds"] = Math.Round(entry.Duration.TotalSeconds, 1).ToString(CultureInfo.InvariantCulture),
+                ["timestamp"] = (entry.EndTime ?? entry.StartTime).ToString("o", CultureInfo.InvariantCulture),
+            };
+
+            return PlaceholderRegex.Replace(string.IsNullOrWhiteSpace(template) ? DefaultPayloadTemplate : template, match =>
+                values.TryGetValue(match.Groups[1].Value, out var value)
+                    ? JsonEncodedText.Encode(value, JavaScriptEncoder.UnsafeRelaxedJsonEscaping).Value
+                    : match.Value);
+        }
+
+        /// <summary>
+        /// Checks that a payload is valid JSON
+        /// </summary>
+        /// <returns>Null if it is, otherwise what is wrong with it.</returns>
+        public static string? ValidatePayload(string payload)
+        {
+            try
+            {
+                using var document = JsonDocument.Parse(payload);
+                return null;
+            }
+            catch (JsonException ex)
+            {
+                return $"The payload is not valid JSON after filling in the placeholders: {ex.Message}";
+            }
+        }
+
+        /// <summary>
+        /// Checks that a webhook URL is an absolute http or https URL
+        /// </summary>
+        /// <returns>Null if it is, otherwise what is wrong with it.</returns>
+        public static string? ValidateUrl(string? url)
+        {
+            if (string.IsNullOrWhiteSpace(url))
+            {
+                return "A webhook URL is required";
+            }
+
+            if (!Uri.TryCreate(url.Trim(), UriKind.Absolute, out var uri) || (uri.Scheme != Uri.UriSchemeHttp && uri.Scheme != Uri.UriSchemeHttps))
+            {
+                return "The webhook URL must be an absolute http or https URL";
+            }
+
+            return null;
+        }
+
+        /// <summary>
+        /// Made-up refresh used by the Send test button, shaped like a refresh that fires the given event
+        /// </summary>
+        public static RefreshHistoryEntry CreateSampleEntry(WebhookEventType eventType)
+        {
+            var now = DateTime.UtcNow;
+            var success = eventType != WebhookEventType.RefreshFailed;
+            return new RefreshHistoryEntry
+            {
+                ListId = "00000000000000000000000000000000",
+                ListName = "SmartLists test list",
+                ListType = SmartListType.Playlist,
+                TriggerType = RefreshTriggerType.Manual,
+                StartTime = now.AddSeconds(-3),
+                EndTime = now,
+                Duration = TimeSpan.FromSeconds(3),
+                Success = success,
+                ErrorMessage = success ? null : "This is a test notification from SmartLists",
+                ErrorType = success ? null : nameof(InvalidOperationException),
+                AddedCount = success ? (eventType == WebhookEventType.ItemsAdded || eventType == WebhookEventType.RefreshSucceeded ? 3 : 0) : null,
+                RemovedCount = success ? (eventType == WebhookEventType.ItemsRemoved || eventType == WebhookEventType.ListBecameEmpty ? 2 : 0) : null,
+                ItemCount = success ? (eventType == WebhookEventType.ListBecameEmpty ? 0 : 25) : null,
+            };
+        }
+
+        /// <summary>
+        /// Posts a payload to a webhook URL right away
+        /// </summary>
+        public async Task<WebhookDeliveryResult> SendAsync(string url, string payload, CancellationToken cancellationToken)
+        {
+            using var timeout = CancellationTokenSource.CreateLinkedTokenSource(cancellationToken);
+            timeout.CancelAfter(RequestTimeout);
+
+            try
+            {
+                var client = _httpClientFactory.CreateClient(NamedClient.Default);
+                using var content = new StringContent(payload, Encoding.UTF8, "application/json");
+                using var response = await client.PostAsync(new Uri(url.Trim()), content, timeout.Token).ConfigureAwait(false);
+
+                var statusCode = (int)response.StatusCode;
+                return new WebhookDeliveryResult(response.IsSuccessStatusCode, statusCode, $"The webhook responded with {statusCode} {response.ReasonPhrase}");
+            }
+            catch (OperationCanceledException) when (!cancellationToken.IsCancellationRequested)
+            {
+                return new WebhookDeliveryResult(false, null, $"The webhook didn't respond within {RequestTimeout.TotalSeconds} seconds");
+            }
+            catch (HttpRequestException ex)
+            {
+                return new WebhookDeliveryResult(false, null, $"The webhook could not be reached: {ex.Message}");
+            }
+        }
+
+        private static string FormatCount(int? count)
+        {
+            return count?.ToString(CultureInfo.InvariantCulture) ?? "null";
+        }
+
+        private static string DescribeEvent(WebhookEventType eventType, RefreshHistoryEntry entry)
+        {
+            return eventType switch
+            {
+                WebhookEventType.RefreshFailed => $"Refresh of \"{entry.ListName}\" failed: {entry.ErrorMessage ?? "Unknown error"}",
+                WebhookEventType.ItemsAdded => $"{entry.AddedCount} item(s) added to \"{entry.ListName}\"",
+                WebhookEventType.ItemsRemoved => $"{entry.RemovedCount} item(s) removed from \"{entry.ListName}\"",
+                WebhookEventType.ListBecameEmpty => $"\"{entry.ListName}\" is now empty",
+                _ => $"Refreshed \"{entry.ListName}\"",
+            };
+        }
+
+        private void OnStatusChanged(object? sender, RefreshStatusChangedEventArgs e)
+        {
+            if (e.EventType != RefreshStatusEventType.Completed || e.HistoryEntry == null)
+            {
+                return;
+            }
+
+            var webhooks = Plugin.Instance?.Configuration.Webhooks;
+            if (webhooks == null || webhooks.Count == 0)
+            {
+                return;
+            }
+
+            // Runs on the refreshing thread, so the webhooks are only queued here
+            foreach (var eventType in GetEvents(e.HistoryEntry))
+            {
+                foreach (var webhook in webhooks.Where(w => w.Enabled && !string.IsNullOrWhiteSpace(w.Url) && w.Events.Contains(eventType)))
+                {
+                    var pending = new PendingWebhook(webhook, eventType, RenderPayload(webhook.PayloadTemplate, eventType, e.HistoryEntry));
+                    if (!_pendingWebhooks.Writer.TryWrite(pending))
+                    {
+                        _logger.LogWarning("Dropped {EventType} webhook '{WebhookName}' for list {ListName}: {MaxPending} webhooks are already waiting to be sent",
+                            eventType, webhook.Name, e.ListName, MaxPendingWebhooks);
+                    }
+                }
+            }
+        }
+
+        private async Task SendPendingWebhooksAsync(CancellationToken cancellationToken)
+        {
+            try
+            {
+                await foreach (var pending in _pendingWebhooks.Reader.ReadAllAsync(cancellationToken).ConfigureAwait(false))
+                {
+                    var payloadError = ValidatePayload(pending.Payload);
+                    if (payloadError != null)
+                    {
+                        _logger.LogWarning("Not sending {EventType} webhook '{WebhookName}': {Error}", pending.EventType, pending.Webhook.Name, payloadError);
+                        continue;
+                    }
+
+                    try
+                    {
+                        var result = await SendAsync(pending.Webhook.Url, pending.Payload, cancellationToken).ConfigureAwait(false);
+                        if (result.Success)
+                        {
+                            _logger.LogDebug("Sent {EventType} webhook '{WebhookName}': {Result}", pending.EventType, pending.Webhook.Name, result.Message);
+                        }
+                        else
+                        {
+                            _logger.LogWarning("Failed to send {EventType} webhook '{WebhookName}': {Result}", pending.EventType, pending.Webhook.Name, result.Message);
+                        }
+                    }
+                    catch (Exception ex) when (ex is not OperationCanceledException)
+                    {
+                        _logger.LogWarning(ex, "Failed to send {EventType} webhook '{WebhookName}'", pending.EventType, pending.Webhook.Name);
+                    }
+                }
+            }
+            catch (OperationCanceledException)
+            {
+                // Server is shutting down; webhooks still waiting are dropped
+            }
+        }
+    }
+}
@@ -0,0 +1,248 @@
+using System;
+using System.Collections.Generic;
+using System.Globalization;
+
+namespace Jellyfin.Plugin.SmartLists.Utilities
+{
+    /// <summary>
+    /// A parsed five-field cron expression (minute hour day-of-month month day-of-week), matched against local time.
+    /// Supports *, lists, ranges, steps, month and weekday names, 7 for Sunday and the @hourly/@daily/@weekly/@monthly/@yearly shortcuts.
+    /// As in standard cron, when both day-of-month and day-of-week are restricted, a day matches if either one does.
+    /// </summary>
+    public sealed class CronSchedule
+    {
+        private static readonly string[] MonthNames = ["JAN", "FEB", "MAR", "APR", "MAY", "JUN", "JUL", "AUG", "SEP", "OCT", "NOV", "DEC"];
+        private static readonly string[] DayNames = ["SUN", "MON", "TUE", "WED", "THU", "FRI", "SAT"];
+
+        private static readonly Dictionary<string, string> Shortcuts = new(StringComparer.OrdinalIgnoreCase)
+        {
+            ["@hourly"] = "0 * * * *",
+            ["@daily"] = "0 0 * * *",
+            ["@midnight"] = "0 0 * * *",
+            ["@weekly"] = "0 0 * * 0",
+            ["@monthly"] = "0 0 1 * *",
+            ["@yearly"] = "0 0 1 1 *",
+            ["@annually"] = "0 0 1 1 *",
+        };
+
+        private readonly bool[] _minutes;
+        private readonly bool[] _hours;
+        private readonly bool[] _daysOfMonth;
+        private readonly bool[] _months;
+        private readonly bool[] _daysOfWeek;
+        private readonly bool _daysOfMonthRestricted;
+        private readonly bool _daysOfWeekRestricted;
+
+        private CronSchedule(bool[] minutes, bool[] hours, bool[] daysOfMonth, bool[] months, bool[] daysOfWeek, bool daysOfMonthRestricted, bool daysOfWeekRestricted)
+        {
+            _minutes = minutes;
+            _hours = hours;
+            _daysOfMonth = daysOfMonth;
+            _months = months;
+            _daysOfWeek = daysOfWeek;
+            _daysOfMonthRestricted = daysOfMonthRestricted;
+            _daysOfWeekRestricted = daysOfWeekRestricted;
+        }
+
+        /// <summary>
+        /// Parses a cron expression.
+        /// </summary>
+        /// <param name="expression">The expression, e.g. "0 6 * * 1-5".</param>
+        /// <param name="schedule">The parsed schedule, or null if the expression is invalid.</param>
+        /// <param name="error">A description of what is wrong with the expression, or null if it is valid.</param>
+        /// <returns>True if the expression is valid.</returns>
+        public static bool TryParse(string? expression, out CronSchedule? schedule, out string? error)
+        {
+            schedule = null;
+            error = null;
+
+            var trimmed = expression?.Trim() ?? string.Empty;
+            if (trimmed.Length == 0)
+            {
+                error = "A cron expression is required";
+                return false;
+            }
+
+            if (trimmed.StartsWith('@'))
+            {
+                if (!Shortcuts.TryGetValue(trimmed, out var expanded))
+                {
+                    error = $"Unknown shortcut '{trimmed}'. Use @hourly, @daily, @weekly, @monthly or @yearly";
+                    return false;
+                }
+
+                trimmed = expanded;
+            }
+
+            var fields = trimmed.Split((char[]?)null, StringSplitOptions.RemoveEmptyEntries);
+            if (fields.Length != 5)
+            {
+                error = "A cron expression needs 5 fields: minute, hour, day of month, month and day of week";
+                return false;
+            }
+
+            if (!TryParseField(fields[0], "minute", 0, 59, null, out var minutes, out error)
+                || !TryParseField(fields[1], "hour", 0, 23, null, out var hours, out error)
+                || !TryParseField(fields[2], "day of month", 1, 31, null, out var daysOfMonth, out error)
+                || !TryParseField(fields[3], "month", 1, 12, MonthNames, out var months, out error)
+                || !TryParseField(fields[4], "day of week", 0, 7, DayNames, out var daysOfWeek, out error))
+            {
+                return false;
+            }
+
+            // 7 is Sunday as well
+            if (daysOfWeek[7])
+            {
+                daysOfWeek[0] = true;
+            }
+
+            schedule = new CronSchedule(minutes, hours, daysOfMonth, months, daysOfWeek, !IsWildcard(fields[2]), !IsWildcard(fields[4]));
+            return true;
+        }
+
+        /// <summary>
+        /// Checks whether the schedule fires at the minute of the given (local) time.
+        /// </summary>
+        /// <param name="time">The time to check. Seconds are ignored.</param>
+        /// <returns>True if the schedule fires at that minute.</returns>
+        public bool Matches(DateTime time)
+        {
+            if (!_minutes[time.Minute] || !_hours[time.Hour] || !_months[time.Month])
+            {
+                return false;
+            }
+
+            var dayOfMonthMatches = _daysOfMonth[time.Day];
+            var dayOfWeekMatches = _daysOfWeek[(int)time.DayOfWeek];
+            if (_daysOfMonthRestricted && _daysOfWeekRestricted)
+            {
+                return dayOfMonthMatches || dayOfWeekMatches;
+            }
+
+            return dayOfMonthMatches && dayOfWeekMatches;
+        }
+
+        /// <summary>
+        /// Gets the shortest time between two runs of the schedule, from its minute and hour fields.
+        /// Only runs within the same hour, or at the end of one hour and the start of the next, are compared,
+        /// which is enough to find schedules that run more often than every hour.
+        /// </summary>
+        /// <returns>The shortest gap between such runs, or one day if there are none. That includes schedules that run
+        /// several times a day in hours that aren't adjacent, such as "0 0,12 * * *".</returns>
+        public TimeSpan GetShortestInterval()
+        {
+            var shortest = 24 * 60;
+            var previous = -1;
+            var first = -1;
+            for (var minute = 0; minute < 60; minute++)
+            {
+                if (!_minutes[minute])
+                {
+                    continue;
+                }
+
+                if (previous >= 0)
+                {
+                    shortest = Math.Min(shortest, minute - previous);
+                }
+                else
+                {
+                    first = minute;
+                }
+
+                previous = minute;
+            }
+
+            for (var hour = 0; hour < 24 && first >= 0; hour++)
+            {
+                if (_hours[hour] && _hours[(hour + 1) % 24])
+                {
+                    shortest = Math.Min(shortest, 60 - previous + first);
+                    break;
+                }
+            }
+
+            return TimeSpan.FromMinutes(shortest);
+        }
+
+        private static bool IsWildcard(string field) => field == "*" || field == "?";
+
+        private static bool TryParseField(string field, string name, int min, int max, string[]? names, out bool[] values, out string? error)
+        {
+            values = new bool[max + 1];
+            error = null;
+
+            foreach (var part in field.Split(','))
+            {
+                var rangePart = part;
+                var step = 1;
+                var slashIndex = part.IndexOf('/', StringComparison.Ordinal);
+                if (slashIndex >= 0)
+                {
+                    if (!int.TryParse(part.AsSpan(slashIndex + 1), NumberStyles.None, CultureInfo.InvariantCulture, out step) || step < 1)
+                    {
+                        error = $"'{part}' has an invalid step in the {name} field";
+                        return false;
+                    }
+
+                    rangePart = part[..slashIndex];
+                }
+
+                int start;
+                int end;
+                if (IsWildcard(rangePart))
+                {
+                    start = min;
+                    end = max;
+                }
+                else
+                {
+                    var dashIndex = rangePart.IndexOf('-', StringComparison.Ordinal);
+                    var startText = dashIndex >= 0 ? rangePart[..dashIndex] : rangePart;
+                    if (!TryParseValue(startText, min, max, names, out start))
+                    {
+                        error = $"'{part}' is not valid in the {name} field ({min}-{max})";
+                        return false;
+                    }
+
+                    if (dashIndex >= 0)
+                    {
+                        if (!TryParseValue(rangePart[(dashIndex + 1)..], min, max, names, out end) || end < start)
+                        {
+                            error = $"'{part}' is not a valid range in the {name} field ({min}-{max})";
+                            return false;
+                        }
+                    }
+                    else
+                    {
+                        // "5/15" runs from 5 to the end of the field in steps of 15
+                        end = slashIndex >= 0 ? max : start;
+                    }
+                }
+
+                for (var value = start; value <= end; value += step)
+                {
+                    values[value] = true;
+                }
+            }
+
+            return true;
+        }
+
+        private static bool TryParseValue(string text, int min, int max, string[]? names, out int value)
+        {
+            if (names != null)
+            {
+                var nameIndex = Array.FindIndex(names, n => string.Equals(n, text, StringComparison.OrdinalIgnoreCase));
+                if (nameIndex >= 0)
+                {
+                    // Month names start at 1, day names at 0 (Sunday)
+                    value = nameIndex + min;
+                    return true;
+                }
+            }
+
+            return int.TryParse(text, NumberStyles.None, CultureInfo.InvariantCulture, out value) && value >= min && value <= max;
+        }
+    }
+}